@@ -1,18 +1,46 @@
 const utils = require("../misc/utils.js");
+const retry = require("../misc/retry.js");
+const credentials = require("../misc/credentials.js");
+const cache = require("../misc/cache.js");
+const transports = require("../misc/transport.js");
 const PenguinModAPIError = require("./PenguinModAPIError.js");
 const PenguinModAPIMisc = require("./PenguinModAPIMisc.js");
 const PenguinModAPIUsers = require("./PenguinModAPIUsers.js");
 const PenguinModAPIProjects = require("./PenguinModAPIProjects.js");
+const PenguinModRateLimiter = require("./PenguinModRateLimiter.js");
+const PenguinModMemoryStore = require("./PenguinModMemoryStore.js");
+const PenguinModUser = require("./PenguinModUser.js");
+const PenguinModProject = require("./PenguinModProject.js");
+const PenguinModSession = require("./PenguinModSession.js");
+const PenguinModInbox = require("./PenguinModInbox.js");
+const PenguinModFeed = require("./PenguinModFeed.js");
 
 /**
  * @class This class is used to interface with general core endpoints of the PenguinMod API.
  * Recommended to name instances of this class "PenguinModClient" for clarity.
  */
 class PenguinModAPI {
+    /**
+     * The transports that come with ApiModule. See setTransport for info.
+     */
+    static Transport = {
+        Fetch: transports.fetchTransport,
+        Axios: transports.axiosTransport,
+    };
+
     /**
      * @param {Object} options Optional.
      * @param {string?} options.token If omitted, use setToken later.
      * @param {string?} options.apiUrl Sets the base API url. See PenguinModAPI.apiUrl or setApiUrl for info. If omitted, use setApiUrl later.
+     * @param {PenguinModTypes.RetryPolicy|false|null} options.retry Changes how failed requests are retried. Pass `false` to never retry. See setRetryPolicy for info.
+     * @param {PenguinModTypes.RateLimitOptions|false|null} options.rateLimit Limits how fast requests are sent to each API host. Pass `false` to disable. See setRateLimit for info.
+     * @param {PenguinModTypes.CredentialOptions|null} options.credentials Changes where the token is placed in requests. See setCredentialTransport for info.
+     * @param {number|false|null} options.timeout How long to wait for each request in milliseconds. Default is 60000. Pass `false` to wait forever. See setRequestTimeout for info.
+     * @param {PenguinModTypes.Transport|null} options.transport Sends requests to the API. See setTransport for info.
+     * @param {PenguinModTypes.CacheOptions|boolean|null} options.cache Caches responses from read endpoints. Pass `true` to use the default cache. See setCache for info.
+     * @param {PenguinModTypes.SessionOptions|boolean|null} options.session Saves the token and renews it when it expires. Pass `true` to keep the session in memory. See setSession for info.
+     * @param {boolean?} options.dryRun If true, actions that are hard to undo are recorded in `dryRunLog` instead of being sent. See setDryRun for info.
+     * @param {PenguinModTypes.ConfirmHook|null} options.confirm Asked before every action that is hard to undo. See setConfirmHook for info.
      * @returns {PenguinModAPI} PenguinModClient
      */
     constructor(options = {}) {
@@ -27,6 +55,90 @@ class PenguinModAPI {
          */
         this.apiUrl = options.apiUrl || "https://projects.penguinmod.com/api";
 
+        /**
+         * The retry policy used for all requests, unless a request overrides it.
+         * Any missing properties use the defaults in DEFAULT_RETRY_POLICY.
+         * Null if requests should not be retried.
+         * @type {PenguinModTypes.RetryPolicy|null}
+         */
+        this.retryPolicy = null;
+        this.setRetryPolicy(options.retry);
+
+        /**
+         * The rate limit applied to requests for each API host.
+         * Null if requests should be sent as soon as possible.
+         * @type {PenguinModTypes.RateLimitOptions|null}
+         */
+        this.rateLimit = null;
+        /** @type {Map<string, PenguinModRateLimiter>} @private */
+        this._rateLimiters = new Map();
+        this.setRateLimit(options.rateLimit);
+        /**
+         * An extra rate limit for only this client's account, applied before the shared rate limit.
+         * Set by `as`. Null if the account has no limit of its own.
+         * @type {PenguinModRateLimiter|null}
+         */
+        this.accountRateLimiter = null;
+
+        /**
+         * Where the token is placed in requests to endpoints that need it.
+         * Any missing properties use the defaults in DEFAULT_CREDENTIAL_OPTIONS.
+         * @type {PenguinModTypes.CredentialOptions}
+         */
+        this.credentials = null;
+        this.setCredentialTransport(options.credentials);
+
+        /**
+         * How long to wait for a response in milliseconds, unless a request overrides it.
+         * Null if requests can take forever.
+         * @type {number|null}
+         */
+        this.timeout = null;
+        this.setRequestTimeout(options.timeout);
+
+        /**
+         * The function used to send every request.
+         * @type {PenguinModTypes.Transport}
+         */
+        this.transport = null;
+        this.setTransport(options.transport);
+
+        /**
+         * The cache used for responses from read endpoints.
+         * Null if responses should not be cached.
+         * @type {PenguinModTypes.CacheOptions|null}
+         */
+        this.cache = null;
+        /** @type {Map<string, Promise<any>>} @private */
+        this._inflightRequests = new Map();
+        this.setCache(options.cache);
+
+        /**
+         * The session that saves and renews the token.
+         * Null if the token is only kept in `token`.
+         * @type {PenguinModSession|null}
+         */
+        this.session = null;
+        this.setSession(options.session);
+
+        /**
+         * Whether or not actions that are hard to undo are recorded in `dryRunLog` instead of being sent.
+         * @type {boolean}
+         */
+        this.dryRun = false;
+        /**
+         * The actions recorded in dry run mode, oldest first.
+         * @type {Array<PenguinModTypes.DestructiveAction>}
+         */
+        this.dryRunLog = [];
+        this.setDryRun(options.dryRun);
+        /**
+         * Asked before every action that is hard to undo. Null if actions are sent without asking.
+         * @type {PenguinModTypes.ConfirmHook|null}
+         */
+        this.confirmHook = null;
+        this.setConfirmHook(options.confirm);
+
         /** @type {PenguinModAPIMisc} */
         this.misc = new PenguinModAPIMisc(this);
         /** @type {PenguinModAPIUsers} */
@@ -36,11 +148,54 @@ class PenguinModAPI {
     }
     /**
      * The new `token` of the account you want to use.
+     * If the client has a session, the token is also saved to it.
      * @param {string} token The new token to use.
+     * @returns {Promise<void>|void} Resolves once the session has saved the token, if there is a session.
      */
     setToken(token) {
+        if (this.session) return this.session.setToken(token);
         this.token = token;
     }
+    /**
+     * Turns on sessions, which save the token in `storage` and keep it up to date
+     * after logging in, changing the password or logging out.
+     * 
+     * When the API says the token has expired ("Reauthenticate"), `onSessionExpired` is called.
+     * If it resolves with a new token, the session switches to it and the request is sent again.
+     * Otherwise the session is cleared and the request fails as normal.
+     * Other auth errors fail as normal, and leave the session alone.
+     * 
+     * Call `session.load()` to use a token saved by an earlier session.
+     * @param {PenguinModTypes.SessionOptions|boolean|null} options Any missing properties use the defaults. Pass `true` to keep the session in memory, or `false` to turn off sessions.
+     */
+    setSession(options) {
+        if (!options) {
+            this.session = null;
+            return;
+        }
+        if (options === true) options = {};
+        this.session = new PenguinModSession(this, options);
+    }
+    /**
+     * Turns dry run mode on or off.
+     * In dry run mode, actions that are hard to undo, like `ban`, `massBanRegex`, `deleteAccount`, `hardDeleteProject` or `setProfanityList`,
+     * are added to `dryRunLog` instead of being sent, and resolve with null. Other requests are still sent.
+     * A single call can override this with `requestOptions.dryRun`.
+     * @param {boolean} enabled
+     */
+    setDryRun(enabled) {
+        this.dryRun = !!enabled;
+    }
+    /**
+     * Sets a function that is asked before every action that is hard to undo, like `ban`, `massBanRegex`, `deleteAccount`, `hardDeleteProject` or `setProfanityList`.
+     * It gets the action's name, URL and body, and the action is only sent if it resolves with `true`.
+     * Otherwise the method throws a PenguinModAPIError with the message "ActionNotConfirmed".
+     * It isn't asked in dry run mode, since nothing is sent.
+     * @param {PenguinModTypes.ConfirmHook|null} hook Pass null to send actions without asking.
+     */
+    setConfirmHook(hook) {
+        this.confirmHook = hook || null;
+    }
     /**
      * The new `apiUrl` to use.
      * Most endpoints will append a version like /v1 before the endpoint.
@@ -52,6 +207,184 @@ class PenguinModAPI {
         this.apiUrl = apiUrl;
     }
 
+    /**
+     * The new retry policy to use for all requests.
+     * Only requests that fail from a network error or one of `retryStatusCodes` are retried.
+     * 
+     * POST requests are only retried if `retryNonIdempotent` is true, since actions like banning or following should not be sent twice.
+     * Usually it's best to only set `retryNonIdempotent` per call, using the `requestOptions` parameter on an endpoint.
+     * @param {PenguinModTypes.RetryPolicy|false|null} policy Any missing properties use the default policy. Pass `false` to never retry.
+     */
+    setRetryPolicy(policy) {
+        if (policy === false) {
+            this.retryPolicy = null;
+            return;
+        }
+        this.retryPolicy = {
+            ...retry.DEFAULT_RETRY_POLICY,
+            ...(policy || {}),
+        };
+    }
+
+    /**
+     * Changes where the token is placed in requests.
+     * The preferred placement is only used on endpoints that are known to accept it.
+     * Every other endpoint uses the placement it has always used, which is the query or the body for now.
+     * 
+     * `endpoints` can pick a placement for specific endpoints, like `{ "/v1/users/getmyfeed": "header" }`.
+     * These are always used, so only set them for endpoints your server reads the token from.
+     * @param {PenguinModTypes.CredentialOptions|null} options Any missing properties use the default options.
+     */
+    setCredentialTransport(options) {
+        this.credentials = {
+            ...credentials.DEFAULT_CREDENTIAL_OPTIONS,
+            ...(options || {}),
+        };
+    }
+
+    /**
+     * The new timeout to use for all requests.
+     * Each attempt of a request gets the full timeout, and reading the response counts towards it.
+     * Requests that run out of time fail with a PenguinModAPIError with the message "RequestTimedOut", and are retried like network errors.
+     * 
+     * A single request can use `requestOptions.timeout` instead, or be cancelled with `requestOptions.signal`.
+     * @param {number|false|null} timeout The timeout in milliseconds. If null or undefined, the default of 60000 is used. Pass `false` or 0 to wait forever.
+     */
+    setRequestTimeout(timeout) {
+        if (timeout === undefined || timeout === null) timeout = 60000;
+        this.timeout = timeout || null;
+    }
+
+    /**
+     * Changes how requests are sent to the API.
+     * Every endpoint sends its request with this transport, so status codes, errors and parsing are handled the same way for all of them.
+     * 
+     * By default, the global `fetch` is used. `PenguinModAPI.Transport.Axios` uses axios instead.
+     * A custom transport takes `{url, method, headers, body, options}` and resolves with something that can be read like a fetch Response,
+     * which is useful for proxies, custom agents or test doubles.
+     * @param {PenguinModTypes.Transport|null} transport If null, the fetch transport is used.
+     */
+    setTransport(transport) {
+        this.transport = transport || transports.fetchTransport;
+    }
+
+    /**
+     * Turns on caching for responses from read endpoints, like profiles, profile pictures and project metadata.
+     * Cached responses are used until their TTL runs out, and identical requests sent at the same time only reach the API once.
+     * Writes that change a cached endpoint, like `setBio` for profiles, remove that endpoint's cached responses.
+     * 
+     * `endpoints` picks the TTL in milliseconds for specific endpoints, like `{ "/v1/users/profile": 30000 }`. A TTL of 0 stops an endpoint from being cached.
+     * Responses are kept in memory unless `store` is set, like to a PenguinModFileStore.
+     * @param {PenguinModTypes.CacheOptions|boolean|null} options Any missing properties use the defaults. Pass `false` to turn off caching.
+     */
+    setCache(options) {
+        if (!options) {
+            this.cache = null;
+            return;
+        }
+        if (options === true) options = {};
+        this.cache = {
+            store: options.store || new PenguinModMemoryStore(),
+            endpoints: {
+                ...cache.DEFAULT_CACHE_TTLS,
+                ...(options.endpoints || {}),
+            },
+        };
+    }
+    /**
+     * Removes cached responses.
+     * @param {string|Array<string>|null} paths Optional. Only removes responses from these endpoint paths, like "/v1/users/profile". If omitted, the whole cache is cleared.
+     * @returns {Promise<void>}
+     */
+    async clearCache(paths) {
+        if (typeof paths === "string") paths = [paths];
+        await cache.invalidate(this, paths || null);
+    }
+
+    /**
+     * The new rate limit to apply to requests.
+     * Each API host gets its own queue, which only sends `requestsPerSecond` requests per second (with bursts of up to `burst` requests),
+     * and never has more than `maxConcurrent` requests waiting for a response.
+     * 
+     * Requests made with `requestOptions.priority` set to `"background"` only get sent when no interactive requests are waiting.
+     * 
+     * Requests already waiting in a queue will still be sent using the old rate limit.
+     * @param {PenguinModTypes.RateLimitOptions|false|null} rateLimit Any missing properties use the default rate limit. Pass `false` to disable rate limiting.
+     */
+    setRateLimit(rateLimit) {
+        this._rateLimiters = new Map();
+        if (rateLimit === false) {
+            this.rateLimit = null;
+            return;
+        }
+        this.rateLimit = {
+            ...PenguinModRateLimiter.DEFAULT_RATE_LIMIT,
+            ...(rateLimit || {}),
+        };
+    }
+    /**
+     * Gets the rate limiter used for requests to a specific URL.
+     * @param {string} url Any URL on the API host.
+     * @returns {PenguinModRateLimiter|null} The rate limiter, or null if rate limiting is disabled.
+     */
+    getRateLimiter(url) {
+        if (!this.rateLimit) return null;
+
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch {
+            host = "";
+        }
+        if (!this._rateLimiters.has(host)) {
+            this._rateLimiters.set(host, new PenguinModRateLimiter(this.rateLimit));
+        }
+        return this._rateLimiters.get(host);
+    }
+    /**
+     * Returns the amount of requests waiting to be sent.
+     * @param {string?} url Optional. Only counts requests waiting for this URL's API host.
+     * @returns {number}
+     */
+    getQueueDepth(url) {
+        if (url) {
+            const limiter = this.getRateLimiter(url);
+            return limiter ? limiter.queueDepth : 0;
+        }
+
+        let depth = 0;
+        for (const limiter of this._rateLimiters.values()) {
+            depth += limiter.queueDepth;
+        }
+        return depth;
+    }
+
+    /**
+     * Makes a client that acts as another account.
+     * The new client shares this client's transport, cache, rate limit queues and other settings, but keeps its own token,
+     * so requests from several accounts can be sent at the same time without calling `setToken` in between.
+     * 
+     * Settings are copied when the client is made, so changing them later on either client doesn't change the other.
+     * The scoped client never has a session, and starts with an empty `dryRunLog` of its own.
+     * @param {string} token The token of the account to act as.
+     * @param {Object} options Optional.
+     * @param {PenguinModTypes.RateLimitOptions|null} options.rateLimit Optional. Limits how fast this account sends requests, on top of the shared rate limit.
+     * @returns {PenguinModAPI} The scoped client.
+     */
+    as(token, options = {}) {
+        const scoped = Object.create(Object.getPrototypeOf(this));
+        Object.assign(scoped, this);
+        scoped.token = token;
+        scoped.session = null;
+        scoped.dryRunLog = [];
+        scoped.accountRateLimiter = options.rateLimit ? new PenguinModRateLimiter(options.rateLimit) : null;
+
+        scoped.misc = new PenguinModAPIMisc(scoped);
+        scoped.users = new PenguinModAPIUsers(scoped);
+        scoped.projects = new PenguinModAPIProjects(scoped);
+        return scoped;
+    }
+
     /**
      * Can be overridden. Modify fetch options that the module sends.
      * @param {RequestInit?} options Optional, Fetch options
@@ -63,24 +396,70 @@ class PenguinModAPI {
         return options;
     }
 
+    /**
+     * Gets a user as a PenguinModUser, so you can call methods on them directly.
+     * No request is sent until you call `load` or one of the user's methods.
+     * @param {string|PenguinModTypes.StubUser|PenguinModTypes.UserProfile} user The username, or any user info returned by another endpoint.
+     * @returns {PenguinModUser}
+     */
+    getUser(user) {
+        if (user instanceof PenguinModUser) return user;
+        if (typeof user === "string") return new PenguinModUser(this, user);
+        return new PenguinModUser(this, user.real_username || user.username, user);
+    }
+    /**
+     * Gets a project as a PenguinModProject, so you can call methods on it directly.
+     * No request is sent until you call `load` or one of the project's methods.
+     * @param {string|number|PenguinModTypes.StubProject|PenguinModTypes.Project} project The project ID, or any project info returned by another endpoint.
+     * @returns {PenguinModProject}
+     */
+    getProject(project) {
+        if (project instanceof PenguinModProject) return project;
+        if (typeof project !== "object") return new PenguinModProject(this, project);
+        return new PenguinModProject(this, project.id, project);
+    }
+
+    /**
+     * Makes an inbox that watches this client's messages, and emits an event for each new one.
+     * Call `start` on it to begin polling.
+     * @param {PenguinModTypes.InboxOptions?} options Optional. Any missing options use PenguinModInbox.DEFAULT_INBOX_OPTIONS.
+     * @returns {PenguinModInbox}
+     */
+    createInbox(options) {
+        return new PenguinModInbox(this, options || {});
+    }
+    /**
+     * Makes a feed watcher that polls this client's feed, keeps every item past its expiry, and emits an event for each new one.
+     * Call `start` on it to begin polling.
+     * @param {PenguinModTypes.FeedOptions?} options Optional. Any missing options use PenguinModFeed.DEFAULT_FEED_OPTIONS.
+     * @returns {PenguinModFeed}
+     */
+    createFeed(options) {
+        return new PenguinModFeed(this, options || {});
+    }
+
     /**
      * This will query the API url for v1, which should return API server information.
      * @link https://projects.penguinmod.com/api/v1
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<object>} The metadata for the current API version used. Can be in any format.
      */
-    async getMetadata() {
-        return await utils.doBasicRequest(`${this.apiUrl}/v1`, null, this, utils.RequestType.JSON);
+    async getMetadata(requestOptions) {
+        return await utils.doBasicRequest(`${this.apiUrl}/v1`, null, this, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Requests the ping endpoint as a way to check if the API is online without sending much data.
      * @link https://projects.penguinmod.com/api/v1/ping
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>} True if the server responds properly.
      */
-    async checkOnline() {
+    async checkOnline(requestOptions) {
         try {
-            return !!(await utils.doBasicRequest(`${this.apiUrl}/v1/ping`, null, this, utils.RequestType.None));
+            // this is meant to be a quick check, so dont retry unless asked to
+            requestOptions = { retry: false, ...requestOptions };
+            return !!(await utils.doBasicRequest(`${this.apiUrl}/v1/ping`, null, this, utils.RequestType.None, requestOptions));
         } catch {
             return false;
         }
@@ -1,3 +1,10 @@
+const redaction = require("../misc/redaction.js");
+const errorCodes = require("../misc/error-codes.js");
+
+/**
+ * @class An error from a request to the PenguinMod API.
+ * Errors are made as one of the subclasses below when their category has one, so they can be checked with `instanceof`.
+ */
 class PenguinModAPIError extends Error {
     /**
      * Unknown error.
@@ -9,6 +16,8 @@ class PenguinModAPIError extends Error {
      */
     static UNKNOWN_CODE = 0;
     static ASSERT_FAILED = -1;
+    static ErrorCategory = errorCodes.ErrorCategory;
+    static ERROR_CODES = errorCodes.ERROR_CODES;
 
     /**
      * @param {string} message An error message that PenguinMod-BackendApi sent back
@@ -20,28 +29,81 @@ class PenguinModAPIError extends Error {
      * @param {RequestInit|null} request The fetch options provided to fetch()
      * @param {Response|null} response The actual response after "fetch()"ing a URL.
      * @param {Error|null} error The original error that PenguinModAPIError was created after.
+     * 
+     * Tokens and passwords are redacted from `detail`, `url` and `request`, so errors can be logged safely.
      */
     constructor(message, detail, httpCode, data, parsingError = false, url, request, response, error) {
         super(message);
 
         // Dont include the creation of PenguinModAPIError in the stack trace.
         if (Error.captureStackTrace) {
-            Error.captureStackTrace(this, PenguinModAPIError);
+            Error.captureStackTrace(this, new.target);
         }
 
-        this.name = "PenguinModAPIError";
+        this.name = new.target === PenguinModAPIError ? "PenguinModAPIError" : new.target.name;
         this.message = message;
         this.cause = error;
 
-        this.detail = String(detail);
+        this.detail = redaction.redactText(String(detail));
         this.data = data;
 
         this.httpCode = httpCode;
         this.parsing = parsingError;
 
-        this.url = url;
-        this.request = request;
+        this.url = redaction.redactUrl(url);
+        this.request = redaction.redactRequest(request);
         this.response = response;
+
+        const info = errorCodes.getErrorInfo(message, httpCode, parsingError);
+        /**
+         * What kind of error this is. Use the PenguinModAPIError.ErrorCategory object.
+         * @type {string}
+         */
+        this.category = info.category;
+        /**
+         * A human-readable description of the error, which can be shown to users.
+         * @type {string}
+         */
+        this.description = info.description;
+        /** @private */
+        this._retryable = info.retryable;
+    }
+
+    /**
+     * Whether or not sending the same request again later could work.
+     * @type {boolean}
+     */
+    get isRetryable() {
+        return this._retryable;
+    }
+
+    /**
+     * Makes a PenguinModAPIError, using the subclass for its category if there is one.
+     * Takes the same parameters as the constructor.
+     * @param {string} message
+     * @param {string} detail
+     * @param {number} httpCode
+     * @param {any} data
+     * @param {boolean} parsingError
+     * @param {string} url
+     * @param {RequestInit|null} request
+     * @param {Response|null} response
+     * @param {Error|null} error
+     * @returns {PenguinModAPIError}
+     */
+    static create(message, detail, httpCode, data, parsingError = false, url, request, response, error) {
+        const category = errorCodes.getErrorInfo(message, httpCode, parsingError).category;
+        const ErrorClass = ERROR_CLASSES[category] || PenguinModAPIError;
+        return new ErrorClass(message, detail, httpCode, data, parsingError, url, request, response, error);
+    }
+    /**
+     * Whether or not sending the same request again later could work.
+     * Anything that isn't a PenguinModAPIError is never retryable.
+     * @param {any} err
+     * @returns {boolean}
+     */
+    static isRetryable(err) {
+        return err instanceof PenguinModAPIError && err.isRetryable;
     }
 
     toString() {
@@ -49,4 +111,41 @@ class PenguinModAPIError extends Error {
     }
 }
 
+/** @class The user, project or message doesn't exist, or can't be seen by you. */
+class NotFoundError extends PenguinModAPIError {}
+/** @class No token was given, or the token is invalid or expired ("Reauthenticate"). */
+class AuthError extends PenguinModAPIError {}
+/** @class The account isn't allowed to do this. */
+class PermissionError extends PenguinModAPIError {}
+/** @class Too many requests were sent. */
+class RateLimitedError extends PenguinModAPIError {}
+/** @class Something sent to the API was invalid, or the action can't be done right now. */
+class ValidationError extends PenguinModAPIError {}
+/** @class The API could not be reached, or didn't respond in time. */
+class NetworkError extends PenguinModAPIError {}
+/** @class The API responded, but the response couldn't be read. */
+class ParseError extends PenguinModAPIError {}
+/** @class The API failed, or has turned off the feature. */
+class ServerError extends PenguinModAPIError {}
+
+const ERROR_CLASSES = {
+    [errorCodes.ErrorCategory.NotFound]: NotFoundError,
+    [errorCodes.ErrorCategory.Auth]: AuthError,
+    [errorCodes.ErrorCategory.Permission]: PermissionError,
+    [errorCodes.ErrorCategory.RateLimited]: RateLimitedError,
+    [errorCodes.ErrorCategory.Validation]: ValidationError,
+    [errorCodes.ErrorCategory.Network]: NetworkError,
+    [errorCodes.ErrorCategory.Parse]: ParseError,
+    [errorCodes.ErrorCategory.Server]: ServerError,
+};
+
+PenguinModAPIError.NotFoundError = NotFoundError;
+PenguinModAPIError.AuthError = AuthError;
+PenguinModAPIError.PermissionError = PermissionError;
+PenguinModAPIError.RateLimitedError = RateLimitedError;
+PenguinModAPIError.ValidationError = ValidationError;
+PenguinModAPIError.NetworkError = NetworkError;
+PenguinModAPIError.ParseError = ParseError;
+PenguinModAPIError.ServerError = ServerError;
+
 module.exports = PenguinModAPIError;
\ No newline at end of file
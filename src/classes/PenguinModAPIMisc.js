@@ -1,5 +1,7 @@
 const utils = require("../misc/utils.js");
+const profanityList = require("../misc/profanity-list.js");
 const PenguinModAPIError = require("./PenguinModAPIError.js");
+const PenguinModValidation = require("./PenguinModValidation.js");
 /** @typedef {import("./PenguinModAPI")} PenguinModAPI */
 
 /**
@@ -21,85 +23,85 @@ class PenguinModAPIMisc {
     /**
      * This will get the API's server stats such as number of users and projects.
      * @link https://projects.penguinmod.com/api/v1/misc/getStats
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<PenguinModTypes.ServerStatistics>} The statistics of the server's content.
      */
-    async getStats() {
-        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getStats`, null, this._parent, utils.RequestType.JSON);
+    async getStats(requestOptions) {
+        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getStats`, null, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Returns an object containing the latest dates the policy documents were updated.
      * @link https://projects.penguinmod.com/api/v1/misc/getLastPolicyUpdate
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<{TOS:number, guidelines:number, privacyPolicy:number}>} The dates policy documents were last updated.
      */
-    async getLastPolicyUpdate() {
-        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getLastPolicyUpdate`, null, this._parent, utils.RequestType.JSON);
+    async getLastPolicyUpdate(requestOptions) {
+        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getLastPolicyUpdate`, null, this._parent, utils.RequestType.JSON, requestOptions);
     }
 
     /**
      * Returns the dates that this account last read the policy documents.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/misc/getLastPolicyRead
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<{TOS:number, guidelines:number, privacyPolicy:number}>} The dates policy documents were last read on this account.
      */
-    async getLastPolicyRead() {
-        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getLastPolicyRead?token=${encodeURIComponent(this._parent.token)}`, null, this._parent, utils.RequestType.JSON);
+    async getLastPolicyRead(requestOptions) {
+        return await utils.doBasicRequest(`${this._parent.apiUrl}/v1/misc/getLastPolicyRead`, null, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Saves the current date as the last time the guidelines policy document was read.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/misc/markGuidelinesAsRead
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<void>}
      */
-    async markGuidelinesAsRead() {
+    async markGuidelinesAsRead(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/misc/markGuidelinesAsRead`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.JSON);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Saves the current date as the last time the privacyPolicy policy document was read.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/misc/markPrivacyPolicyAsRead
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<void>}
      */
-    async markPrivacyPolicyAsRead() {
+    async markPrivacyPolicyAsRead(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/misc/markPrivacyPolicyAsRead`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.JSON);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Saves the current date as the last time the TOS policy document was read.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/misc/markTOSAsRead
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<void>}
      */
-    async markTOSAsRead() {
+    async markTOSAsRead(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/misc/markTOSAsRead`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.JSON);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
 
     /**
@@ -107,13 +109,14 @@ class PenguinModAPIMisc {
      * Requires token.
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/misc/getProfanityList
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<PenguinModTypes.ProfanityList>} The current profanity list.
      */
-    async getProfanityList() {
-        const url = `${this._parent.apiUrl}/v1/misc/getProfanityList?token=${encodeURIComponent(this._parent.token)}`;
+    async getProfanityList(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/misc/getProfanityList`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
-        return await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        return await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Saves the current date as the last time the specified policy documents were updated.
@@ -121,20 +124,20 @@ class PenguinModAPIMisc {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/misc/setLastPolicyUpdate
      * @param {Array<"privacyPolicy"|"tos"|"guidelines">} types Which documents to update.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<void>}
      */
-    async setLastPolicyUpdate(types) {
+    async setLastPolicyUpdate(types, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/misc/setLastPolicyUpdate`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 types
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Sets the profanity list.
@@ -142,25 +145,80 @@ class PenguinModAPIMisc {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/misc/setProfanityList
      * @param {PenguinModTypes.ProfanityList} newProfanityList 
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if an object was not provided, any extra keys are added to the list, any of the keys are not arrays, or any of the arrays contain non-strings.
      * @returns {Promise<void>}
      */
-    async setProfanityList(newProfanityList) {
+    async setProfanityList(newProfanityList, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/misc/setProfanityList`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        utils.assertValid(PenguinModValidation.validateProfanityList(newProfanityList), url);
         try {
-            await utils.doBasicRequest(url, {
+            await utils.doDestructiveRequest("misc.setProfanityList", url, {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
                 body: JSON.stringify({
-                    token: this._parent.token,
                     json: newProfanityList
                 })
-            }, this._parent, utils.RequestType.JSON);
+            }, this._parent, utils.RequestType.JSON, requestOptions);
         } catch (err) {
             throw err;
         }
     }
+    /**
+     * Adds and removes words from the profanity list, without overwriting changes made by someone else.
+     * Gets the current list, applies the patch to it, and checks the list didn't change in the meantime before saving it.
+     * The API has no way to lock the list, so a change made in the moment between the check and the save can still be lost.
+     * Requires token.
+     * Only accessible on admin accounts.
+     * @param {PenguinModTypes.ProfanityListPatch} patch The words to add and remove, in each category.
+     * @param {PenguinModTypes.PatchProfanityListOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Throws "ProfanityListConflict" if the list differs from `options.expected`, or keeps changing while patching.
+     * @returns {Promise<PenguinModTypes.PatchProfanityListResult>}
+     */
+    async patchProfanityList(patch, options, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/misc/setProfanityList`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        options = options || {};
+        const retries = typeof options.retries === "number" ? options.retries : 2;
+        // the list has to be read fresh every time, or the conflict check is pointless
+        const readOptions = { ...requestOptions, cache: false };
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const current = await this.getProfanityList(readOptions);
+            if (options.expected) {
+                const changes = profanityList.diffProfanityList(options.expected, current);
+                if (!profanityList.isEmptyPatch(changes)) {
+                    throw PenguinModAPIError.create("ProfanityListConflict", "The profanity list was changed since it was last read.", PenguinModAPIError.ASSERT_FAILED, changes, false, url, null, null, null);
+                }
+            }
+
+            const patched = profanityList.applyProfanityPatch(current, patch);
+            utils.assertValid(PenguinModValidation.validateProfanityList(patched), url);
+            const applied = profanityList.diffProfanityList(current, patched);
+            if (profanityList.isEmptyPatch(applied)) {
+                return { list: current, applied, snapshot: null };
+            }
+
+            const latest = await this.getProfanityList(readOptions);
+            if (!profanityList.isEmptyPatch(profanityList.diffProfanityList(current, latest))) continue;
+
+            // nothing is saved in a dry run, so there's nothing to snapshot
+            const snapshot = options.snapshotDirectory && !utils.isDryRun(this._parent, requestOptions)
+                ? await profanityList.saveProfanitySnapshot(options.snapshotDirectory, current)
+                : null;
+            await utils.doDestructiveRequest("misc.patchProfanityList", url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    json: patched
+                })
+            }, this._parent, utils.RequestType.JSON, requestOptions);
+            return { list: patched, applied, snapshot };
+        }
+        throw PenguinModAPIError.create("ProfanityListConflict", "The profanity list kept changing while it was being patched.", PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, null);
+    }
 
     /*
     /**
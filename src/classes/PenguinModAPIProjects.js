@@ -1,7 +1,7 @@
-const pmp_protobuf = require("pmp-protobuf");
-
 const utils = require("../misc/utils.js");
+const pagination = require("../misc/pagination.js");
 const PenguinModAPIError = require("./PenguinModAPIError.js");
+const PenguinModDiscovery = require("./PenguinModDiscovery.js");
 /** @typedef {import("./PenguinModAPI")} PenguinModAPI */
 
 /**
@@ -23,33 +23,36 @@ class PenguinModAPIProjects {
     /**
      * Returns a boolean that is true if uploading is enabled for all users.
      * @link https://projects.penguinmod.com/api/v1/projects/canuploadprojects
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>} True if uploading is enabled for all users.
      */
-    async canUploadProjects() {
-        const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/canuploadprojects`, null, this._parent, utils.RequestType.JSON);
+    async canUploadProjects(requestOptions) {
+        const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/canuploadprojects`, null, this._parent, utils.RequestType.JSON, requestOptions);
         return json.canUpload !== false;
     }
     /**
      * Returns a boolean that is true if viewing projects is enabled for all users.
      * @link https://projects.penguinmod.com/api/v1/projects/canviewprojects
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>} True if viewing projects is enabled for all users.
      */
-    async canViewProjects() {
-        const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/canviewprojects`, null, this._parent, utils.RequestType.JSON);
+    async canViewProjects(requestOptions) {
+        const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/canviewprojects`, null, this._parent, utils.RequestType.JSON, requestOptions);
         return json.viewing !== false;
     }
     /**
      * Gets the amount of loves (likes) a project has.
      * @link https://projects.penguinmod.com/api/v1/projects/getLoves
      * @param {string} projectId The project to get loves for.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<number>} The amount of loves (likes) the project has.
      */
-    async getLoves(projectId) {
+    async getLoves(projectId, requestOptions) {
         try {
-            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/getLoves?projectID=${encodeURIComponent(projectId)}`, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/getLoves?projectID=${encodeURIComponent(projectId)}`, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.loves;
         } catch (err) {
             throw err;
@@ -59,12 +62,13 @@ class PenguinModAPIProjects {
      * Gets the amount of votes a project has.
      * @link https://projects.penguinmod.com/api/v1/projects/getVotes
      * @param {string} projectId The project to get votes for.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<number>} The amount of votes the project has.
      */
-    async getVotes(projectId) {
+    async getVotes(projectId, requestOptions) {
         try {
-            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/getVotes?projectID=${encodeURIComponent(projectId)}`, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/projects/getVotes?projectID=${encodeURIComponent(projectId)}`, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.votes;
         } catch (err) {
             throw err;
@@ -79,10 +83,11 @@ class PenguinModAPIProjects {
      * @param {number?} options.page Determines which page of projects should be returned. If not provided, page will be 0.
      * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
      * @param {boolean?} options.login Whether or not to provide login info. Should be true for moderators who want to see unranked user's projects. Default is true.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
      * @returns {Promise<Array<PenguinModTypes.Project>>} An array of PenguinMod projects.
      */
-    async getProjects(options) {
+    async getProjects(options, requestOptions) {
         if (!options) options = {};
         try {
             const url = new URL(`${this._parent.apiUrl}/v1/projects/getprojects`);
@@ -92,29 +97,252 @@ class PenguinModAPIProjects {
             if (typeof options.reverse === "boolean") {
                 url.searchParams.set("reverse", options.reverse);
             }
-            if (options.login !== false && this._parent.token) {
-                url.searchParams.set("token", this._parent.token);
+            if (options.login === false) {
+                requestOptions = { ...requestOptions, credentials: false };
             }
-            const json = await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
             return json;
         } catch (err) {
             throw err;
         }
     }
+    /**
+     * Walks through every page of `getProjects` until there are no more projects.
+     * Use with `for await`, or call `collectAll()` on the result to get every project at once.
+     * @param {Object} options Optional. Also accepts any PenguinModTypes.PaginationOptions.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {boolean?} options.login Whether or not to provide login info. Default is true.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateProjects(options, requestOptions) {
+        if (!options) options = {};
+        return pagination.paginate((page) => this.getProjects({
+            page,
+            reverse: options.reverse,
+            login: options.login,
+        }, requestOptions), options);
+    }
+
+    /**
+     * Converts a search query into the string form the API expects.
+     * @param {string|PenguinModTypes.SearchQuery} query The search query, either as text or as a SearchQuery object.
+     * @returns {string}
+     * @private
+     */
+    _serializeQuery(query) {
+        if (typeof query === "string") return query;
+        if (!query) return "";
+
+        // skip modifiers that were left unset, otherwise they get sent as "sort:undefined"
+        const searchQuery = { query: query.query || "" };
+        for (const modifier in query) {
+            if (modifier === "query") continue;
+            if (query[modifier] === undefined || query[modifier] === null) continue;
+            searchQuery[modifier] = query[modifier];
+        }
+        return PenguinModDiscovery.createQuery(searchQuery);
+    }
+    /**
+     * Searches for projects.
+     * @link https://projects.penguinmod.com/api/v1/projects/searchprojects
+     * @param {string|PenguinModTypes.SearchQuery} query The search query. Modifiers like `by:PenguinMod` or `sort:views` can be used in text, or as properties of a SearchQuery object.
+     * @param {number?} page Which page of results to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<Array<PenguinModTypes.Project>>}
+     */
+    async searchProjects(query, page, requestOptions) {
+        const url = new URL(`${this._parent.apiUrl}/v1/projects/searchprojects`);
+        url.searchParams.set("query", this._serializeQuery(query));
+        url.searchParams.set("page", page || 0);
+        return await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `searchProjects` until there are no more results.
+     * @param {string|PenguinModTypes.SearchQuery} query The search query.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateSearchProjects(query, options, requestOptions) {
+        return pagination.paginate((page) => this.searchProjects(query, page, requestOptions), options);
+    }
+    /**
+     * Searches for users.
+     * @link https://projects.penguinmod.com/api/v1/projects/searchusers
+     * @param {string|PenguinModTypes.SearchQuery} query The search query.
+     * @param {number?} page Which page of results to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModTypes.StubUser>>}
+     */
+    async searchUsers(query, page, requestOptions) {
+        const url = new URL(`${this._parent.apiUrl}/v1/projects/searchusers`);
+        url.searchParams.set("query", this._serializeQuery(query));
+        url.searchParams.set("page", page || 0);
+        return await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `searchUsers` until there are no more results.
+     * @param {string|PenguinModTypes.SearchQuery} query The search query.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.StubUser>}
+     */
+    iterateSearchUsers(query, options, requestOptions) {
+        return pagination.paginate((page) => this.searchUsers(query, page, requestOptions), options);
+    }
+
+    /**
+     * Gets the projects shown on the front page of the site, sorted into categories.
+     * Token is optional. If provided, the front page may be personalized.
+     * @link https://projects.penguinmod.com/api/v1/projects/frontpage
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<PenguinModTypes.FrontPage>}
+     */
+    async getFrontPage(requestOptions) {
+        const url = new URL(`${this._parent.apiUrl}/v1/projects/frontpage`);
+        return await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Gets a list of featured projects.
+     * @link https://projects.penguinmod.com/api/v1/projects/getfeaturedprojects
+     * @param {Object} options Optional.
+     * @param {number?} options.page Determines which page of projects should be returned. If not provided, page will be 0.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<Array<PenguinModTypes.Project>>}
+     */
+    async getFeaturedProjects(options, requestOptions) {
+        if (!options) options = {};
+        const url = new URL(`${this._parent.apiUrl}/v1/projects/getfeaturedprojects`);
+        url.searchParams.set("page", options.page || 0);
+        if (typeof options.reverse === "boolean") {
+            url.searchParams.set("reverse", options.reverse);
+        }
+        return await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `getFeaturedProjects` until there are no more projects.
+     * @param {Object} options Optional. Also accepts any PenguinModTypes.PaginationOptions.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateFeaturedProjects(options, requestOptions) {
+        if (!options) options = {};
+        return pagination.paginate((page) => this.getFeaturedProjects({ page, reverse: options.reverse }, requestOptions), options);
+    }
+    /**
+     * Gets a random project.
+     * @link https://projects.penguinmod.com/api/v1/projects/getrandomproject
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<PenguinModTypes.Project>}
+     */
+    async getRandomProject(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getrandomproject`;
+        return await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Gets the remixes of a project.
+     * @link https://projects.penguinmod.com/api/v1/projects/getremixes
+     * @param {string} projectId The project to get remixes of.
+     * @param {number?} page Which page of remixes to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<Array<PenguinModTypes.Project>>}
+     */
+    async getRemixes(projectId, page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getremixes?projectId=${encodeURIComponent(projectId)}&page=${encodeURIComponent(page || 0)}`;
+        return await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `getRemixes` until there are no more remixes.
+     * @param {string} projectId The project to get remixes of.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateRemixes(projectId, options, requestOptions) {
+        return pagination.paginate((page) => this.getRemixes(projectId, page, requestOptions), options);
+    }
+    /**
+     * Gets the projects uploaded by a specific user.
+     * Token is optional. If the token belongs to the author or a moderator, unlisted projects may also be included.
+     * @link https://projects.penguinmod.com/api/v1/projects/getprojectsbyauthor
+     * @param {string} username The author's username.
+     * @param {Object} options Optional.
+     * @param {number?} options.page Determines which page of projects should be returned. If not provided, page will be 0.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<Array<PenguinModTypes.Project>>}
+     */
+    async getProjectsByAuthor(username, options, requestOptions) {
+        if (!options) options = {};
+        const url = new URL(`${this._parent.apiUrl}/v1/projects/getprojectsbyauthor`);
+        url.searchParams.set("authorUsername", username);
+        url.searchParams.set("page", options.page || 0);
+        if (typeof options.reverse === "boolean") {
+            url.searchParams.set("reverse", options.reverse);
+        }
+        return await utils.doBasicRequest(url.toString(), null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `getProjectsByAuthor` until there are no more projects.
+     * @param {string} username The author's username.
+     * @param {Object} options Optional. Also accepts any PenguinModTypes.PaginationOptions.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateProjectsByAuthor(username, options, requestOptions) {
+        if (!options) options = {};
+        return pagination.paginate((page) => this.getProjectsByAuthor(username, { page, reverse: options.reverse }, requestOptions), options);
+    }
+    /**
+     * Gets the projects uploaded by this account, including unlisted and rejected projects.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/getmyprojects
+     * @param {number?} page Which page of projects to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModTypes.Project>>}
+     */
+    async getMyProjects(page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getmyprojects?page=${encodeURIComponent(page || 0)}`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        return await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
+    }
+    /**
+     * Walks through every page of `getMyProjects` until there are no more projects.
+     * Requires token.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Project>}
+     */
+    iterateMyProjects(options, requestOptions) {
+        return pagination.paginate((page) => this.getMyProjects(page, requestOptions), options);
+    }
 
     /**
      * Returns whether or not you have loved (liked) or voted a project.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/projects/getuserstatewrapper
      * @param {string} projectId The project to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<{hasLoved:boolean, hasVoted:boolean}>}
      */
-    async getUserState(projectId) {
-        const url = `${this._parent.apiUrl}/v1/projects/getuserstatewrapper?projectId=${encodeURIComponent(projectId)}&token=${encodeURIComponent(this._parent.token)}`;
+    async getUserState(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getuserstatewrapper?projectId=${encodeURIComponent(projectId)}`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json;
         } catch (err) {
             throw err;
@@ -125,14 +353,15 @@ class PenguinModAPIProjects {
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/projects/hasLoved
      * @param {string} projectId The project to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<boolean>}
      */
-    async hasLoved(projectId) {
-        const url = `${this._parent.apiUrl}/v1/projects/hasLoved?projectID=${encodeURIComponent(projectId)}&token=${encodeURIComponent(this._parent.token)}`;
+    async hasLoved(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hasLoved?projectID=${encodeURIComponent(projectId)}`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.hasLoved;
         } catch (err) {
             throw err;
@@ -143,20 +372,161 @@ class PenguinModAPIProjects {
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/projects/hasVoted
      * @param {string} projectId The project to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<boolean>}
      */
-    async hasVoted(projectId) {
-        const url = `${this._parent.apiUrl}/v1/projects/hasVoted?projectID=${encodeURIComponent(projectId)}&token=${encodeURIComponent(this._parent.token)}`;
+    async hasVoted(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hasVoted?projectID=${encodeURIComponent(projectId)}`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.hasVoted;
         } catch (err) {
             throw err;
         }
     }
 
+    /**
+     * Loves (likes) or unloves a project.
+     * Note that the API treats this as a toggle, so sending it twice may undo the first request. Use `setLoved` if you are unsure of the current state.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/interactions/loveToggle
+     * @param {string} projectId The project to love.
+     * @param {boolean} toggle True to love the project, false to unlove it.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async toggleLove(projectId, toggle, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/interactions/loveToggle`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+                toggle: toggle !== false,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Votes or unvotes a project.
+     * Note that the API treats this as a toggle, so sending it twice may undo the first request. Use `setVoted` if you are unsure of the current state.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/interactions/voteToggle
+     * @param {string} projectId The project to vote for.
+     * @param {boolean} toggle True to vote for the project, false to remove the vote.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async toggleVote(projectId, toggle, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/interactions/voteToggle`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+                toggle: toggle !== false,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Makes sure a project is loved (liked) or not loved.
+     * Unlike `toggleLove`, this checks `getUserState` first, so it is safe to call more than once.
+     * Requires token.
+     * @param {string} projectId The project to love.
+     * @param {boolean} loved Whether the project should end up loved or not.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<boolean>} True if the love had to be changed, false if it was already set.
+     */
+    async setLoved(projectId, loved, requestOptions) {
+        const state = await this.getUserState(projectId, requestOptions);
+        if (!!state.hasLoved === !!loved) return false;
+
+        await this.toggleLove(projectId, !!loved, requestOptions);
+        return true;
+    }
+    /**
+     * Makes sure a project is voted or not voted.
+     * Unlike `toggleVote`, this checks `getUserState` first, so it is safe to call more than once.
+     * Requires token.
+     * @param {string} projectId The project to vote for.
+     * @param {boolean} voted Whether the project should end up voted or not.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<boolean>} True if the vote had to be changed, false if it was already set.
+     */
+    async setVoted(projectId, voted, requestOptions) {
+        const state = await this.getUserState(projectId, requestOptions);
+        if (!!state.hasVoted === !!voted) return false;
+
+        await this.toggleVote(projectId, !!voted, requestOptions);
+        return true;
+    }
+    /**
+     * Counts a view on a project.
+     * Token is optional.
+     * @link https://projects.penguinmod.com/api/v1/projects/interactions/registerView
+     * @param {string} projectId The project that was viewed.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async registerView(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/interactions/registerView`;
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Tells the recommendation algorithm to show less projects like this one.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/interactions/showMeLess
+     * @param {string} projectId The project to see less of.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async showMeLess(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/interactions/showMeLess`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Tells the recommendation algorithm to show more projects like this one.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/interactions/showMeMore
+     * @param {string} projectId The project to see more of.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async showMeMore(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/interactions/showMeMore`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+
     /**
      * Returns whether or not another user has loved (liked) a project.
      * Requires token.
@@ -164,14 +534,15 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/hasLovedAdmin
      * @param {string} projectId The project to check.
      * @param {string} targetUsername The target user by username.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<boolean>}
      */
-    async hasLovedAdmin(projectId, targetUsername) {
-        const url = `${this._parent.apiUrl}/v1/projects/hasLovedAdmin?projectID=${encodeURIComponent(projectId)}&token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(targetUsername)}`;
+    async hasLovedAdmin(projectId, targetUsername, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hasLovedAdmin?projectID=${encodeURIComponent(projectId)}&target=${encodeURIComponent(targetUsername)}`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.hasLoved;
         } catch (err) {
             throw err;
@@ -184,14 +555,15 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/hasVotedAdmin
      * @param {string} projectId The project to check.
      * @param {string} targetUsername The target user by username.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<boolean>}
      */
-    async hasVotedAdmin(projectId, targetUsername) {
-        const url = `${this._parent.apiUrl}/v1/projects/hasVotedAdmin?projectID=${encodeURIComponent(projectId)}&token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(targetUsername)}`;
+    async hasVotedAdmin(projectId, targetUsername, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hasVotedAdmin?projectID=${encodeURIComponent(projectId)}&target=${encodeURIComponent(targetUsername)}`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.hasVoted;
         } catch (err) {
             throw err;
@@ -205,14 +577,27 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/getWhoLoved
      * @param {string} projectID The project to check.
      * @param {number?} page Which page of usernames to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<Array<string>>}
      */
-    async getWhoLoved(projectID, page) {
-        const url = `${this._parent.apiUrl}/v1/projects/getWhoLoved?projectID=${encodeURIComponent(projectID)}&token=${encodeURIComponent(this._parent.token)}&page=${encodeURIComponent(page)}`;
-        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getWhoLoved(projectID, page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getWhoLoved?projectID=${encodeURIComponent(projectID)}&page=${encodeURIComponent(page)}`;
+        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return json.loves;
     }
+    /**
+     * Walks through every page of `getWhoLoved` until there are no more users.
+     * Requires token.
+     * Only accessible on admin accounts.
+     * @param {string} projectID The project to check.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<string>}
+     */
+    iterateWhoLoved(projectID, options, requestOptions) {
+        return pagination.paginate((page) => this.getWhoLoved(projectID, page, requestOptions), options);
+    }
     /**
      * Returns which users have voted for a project.
      * Requires token.
@@ -220,14 +605,27 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/getWhoVoted
      * @param {string} projectID The project to check.
      * @param {number?} page Which page of usernames to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
      * @returns {Promise<Array<string>>}
      */
-    async getWhoVoted(projectID, page) {
-        const url = `${this._parent.apiUrl}/v1/projects/getWhoVoted?projectID=${encodeURIComponent(projectID)}&token=${encodeURIComponent(this._parent.token)}&page=${encodeURIComponent(page)}`;
-        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getWhoVoted(projectID, page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/getWhoVoted?projectID=${encodeURIComponent(projectID)}&page=${encodeURIComponent(page)}`;
+        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return json.votes;
     }
+    /**
+     * Walks through every page of `getWhoVoted` until there are no more users.
+     * Requires token.
+     * Only accessible on admin accounts.
+     * @param {string} projectID The project to check.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<string>}
+     */
+    iterateWhoVoted(projectID, options, requestOptions) {
+        return pagination.paginate((page) => this.getWhoVoted(projectID, page, requestOptions), options);
+    }
 
     /**
      * Changes the ID of a project. Makes old links break but the new ID can be any string.
@@ -236,21 +634,21 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/users/changeprojectid
      * @param {string} target The target project ID.
      * @param {string} newId The new project ID.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async changeProjectId(target, newId) {
+    async changeProjectId(target, newId, requestOptions) {
         // TODO: This should probably not be under users/
         const url = `${this._parent.apiUrl}/v1/users/changeprojectid`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("projects.changeProjectId", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 newId
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -258,12 +656,13 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/getproject
      * @param {string} projectID The ID of the project to pull from.
      * @param {boolean?} safe Will return a default set of "No Project Found" information if the project does not exist.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
      * @returns {Promise<PenguinModTypes.Project>} The project information
      */
-    async getProjectMeta(projectID, safe) {
+    async getProjectMeta(projectID, safe, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/projects/getproject?requestType=metadata&projectID=${encodeURIComponent(projectID)}${safe ? `&safe=${encodeURIComponent(safe)}` : ""}`;
-        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return json;
     }
     /**
@@ -271,12 +670,13 @@ class PenguinModAPIProjects {
      * @link https://projects.penguinmod.com/api/v1/projects/getproject
      * @param {string} projectID The ID of the project to pull from.
      * @param {boolean?} safe Will return a default set of "No Project Found" information if the project does not exist.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
      * @returns {Promise<ArrayBuffer>} The project thumbnail
      */
-    async getProjectThumbnail(projectID, safe) {
+    async getProjectThumbnail(projectID, safe, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/projects/getproject?requestType=thumbnail&projectID=${encodeURIComponent(projectID)}${safe ? `&safe=${encodeURIComponent(safe)}` : ""}`;
-        const arrayBuffer = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.ArrayBuffer);
+        const arrayBuffer = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.ArrayBuffer, requestOptions);
         return arrayBuffer;
     }
     /**
@@ -285,23 +685,294 @@ class PenguinModAPIProjects {
      * @param {string} projectId The ID of the project to pull from.
      * @param {boolean?} safe Will return a default set of "No Project Found" information if the project does not exist.
      * @param {boolean?} assets If false, will not return any assets in the .pmp project.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
      * @returns {Promise<ArrayBuffer>} The .pmp project
      */
-    async getProjectFile(projectId, safe, assets) {
+    async getProjectFile(projectId, safe, assets, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/projects/getprojectwrapper?projectId=${encodeURIComponent(projectId)}${safe ? `&safe=${encodeURIComponent(safe)}` : ""}${typeof assets === "boolean" ? `&assets=${encodeURIComponent(assets)}` : ""}`;
-        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
-        
-        const blob = new Uint8Array(json.project.data);
-        const packedAssets = [];
-        for (const asset of json.assets) {
-            const uint8 = new Uint8Array(asset.buffer.data);
-            packedAssets.push({
-                id: asset.id,
-                buffer: uint8.buffer,
-            });
+        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
+        return await utils.unpackPMP(json);
+    }
+
+    /**
+     * Adds the project details and files used by `uploadProject` and `updateProject` to a FormData.
+     * @param {FormData} formData The FormData to add to.
+     * @param {ArrayBuffer|null} pmpArrayBuffer The .pmp project, if one should be sent.
+     * @param {PenguinModTypes.ProjectUploadDetails} details The project details to send.
+     * @param {string} url The url being requested. Used for errors.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _appendProjectFormData(formData, pmpArrayBuffer, details, url) {
+        if (typeof details.title === "string") formData.append("title", details.title);
+        if (typeof details.instructions === "string") formData.append("instructions", details.instructions);
+        if (typeof details.notes === "string") formData.append("notes", details.notes);
+        if (typeof details.rating === "string") formData.append("rating", details.rating);
+        if (details.remixOf) formData.append("remix", details.remixOf);
+        if (details.thumbnail) formData.append("thumbnail", new Blob([details.thumbnail]));
+
+        if (pmpArrayBuffer) {
+            const packed = await utils.packPMP(pmpArrayBuffer, url);
+            formData.append("jsonFile", new Blob([packed.protobuf]));
+            for (const asset of packed.assets) {
+                formData.append("assets", new Blob([asset.buffer]), asset.id);
+            }
         }
-        return pmp_protobuf.protobufToPMP(blob, packedAssets);
+    }
+    /**
+     * Uploads a new project to the server.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/uploadProject
+     * @param {ArrayBuffer} pmpArrayBuffer The .pmp project to upload.
+     * @param {PenguinModTypes.ProjectUploadDetails} details The title, instructions, notes and such of the project. `title` and `thumbnail` are required.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if uploading is disabled, the project file is invalid, or the details are rejected by the server.
+     * @returns {Promise<string>} The ID of the new project.
+     */
+    async uploadProject(pmpArrayBuffer, details, requestOptions) {
+        if (!details) details = {};
+        const url = `${this._parent.apiUrl}/v1/projects/uploadProject`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        utils.assert(!!pmpArrayBuffer, url, "MissingProjectFile", "A .pmp project must be provided.");
+        utils.assert(typeof details.title === "string", url, "MissingTitle", "Project must have a title.");
+        utils.assert(!!details.thumbnail, url, "MissingThumbnail", "Project must have a thumbnail.");
+
+        const formData = new FormData();
+        await this._appendProjectFormData(formData, pmpArrayBuffer, details, url);
+
+        const json = await utils.doFormDataRequest(url, {
+            method: "POST",
+        }, formData, this._parent, utils.RequestType.JSON, requestOptions);
+        return json.id;
+    }
+    /**
+     * Updates an existing project on the server.
+     * Any details that are not provided will be left unchanged.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/updateProject
+     * @param {string} projectId The ID of the project to update.
+     * @param {ArrayBuffer|null} pmpArrayBuffer The new .pmp project. If null, only the details of the project are updated.
+     * @param {PenguinModTypes.ProjectUploadDetails} details The details of the project to change.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if uploading is disabled, the project is not yours, or the project file is invalid.
+     * @returns {Promise<string>} The ID of the updated project.
+     */
+    async updateProject(projectId, pmpArrayBuffer, details, requestOptions) {
+        if (!details) details = {};
+        const url = `${this._parent.apiUrl}/v1/projects/updateProject`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+
+        const formData = new FormData();
+        formData.append("projectID", projectId);
+        await this._appendProjectFormData(formData, pmpArrayBuffer, details, url);
+
+        await utils.doFormDataRequest(url, {
+            method: "POST",
+        }, formData, this._parent, utils.RequestType.JSON, requestOptions);
+        return projectId;
+    }
+
+    /**
+     * Hides a project from everyone but its author and moderators, so it can be reviewed.
+     * The author will receive a Message with a `reject` MessageBody containing `message`.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/softreject
+     * @param {string} projectId The project to reject.
+     * @param {string} message The reason for rejecting the project. This is shown to the author.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async softReject(projectId, message, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/softreject`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                target: projectId,
+                message,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Rejects a project and marks it for deletion. Hard-rejected projects can still be downloaded with `downloadHardReject` until they are deleted.
+     * The author will receive a Message with a `reject` MessageBody containing `message`, with `hardReject` set to true.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/hardreject
+     * @param {string} projectId The project to reject.
+     * @param {string} message The reason for rejecting the project. This is shown to the author.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async hardReject(projectId, message, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hardreject`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doDestructiveRequest("projects.hardReject", url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                target: projectId,
+                message,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Restores a rejected project, making it visible again.
+     * The author will receive a Message with a `restored` MessageBody.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/restore
+     * @param {string} projectId The project to restore.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid, no project was found, or the project was not rejected.
+     * @returns {Promise<null>}
+     */
+    async restoreProject(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/restore`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Permanently deletes a project from the server. This cannot be undone.
+     * Requires token.
+     * Only accessible on admin accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/hardDeleteProject
+     * @param {string} projectId The project to delete.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid or no project was found.
+     * @returns {Promise<null>}
+     */
+    async hardDeleteProject(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/hardDeleteProject`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doDestructiveRequest("projects.hardDeleteProject", url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                projectID: projectId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Downloads a hard-rejected project before it gets deleted.
+     * Works like `getProjectFile`, but only for hard-rejected projects.
+     * Requires token.
+     * Only accessible on moderator accounts. The author of the project can also download it.
+     * @link https://projects.penguinmod.com/api/v1/projects/downloadHardReject
+     * @param {string} projectId The hard-rejected project to download.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the project ID is invalid, no project was found, or the project is not hard-rejected.
+     * @returns {Promise<ArrayBuffer>} The .pmp project
+     */
+    async downloadHardReject(projectId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/downloadHardReject?target=${encodeURIComponent(projectId)}`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
+        return await utils.unpackPMP(json);
+    }
+
+    /**
+     * Sends a message from the moderators to a user.
+     * The user will receive a Message with a `modMessage` MessageBody containing `message`. The user can reply to it with `dispute`.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/modmessage
+     * @param {string} target The username of the user to message.
+     * @param {string} message The message to send.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the user was not found.
+     * @returns {Promise<null>}
+     */
+    async sendModMessage(target, message, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/modmessage`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                target,
+                message,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Responds to a user's dispute.
+     * The user will receive a Message with a `disputeResponse` MessageBody containing `message`.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/modresponse
+     * @param {string} messageId The ID of the Message that was disputed.
+     * @param {string} message The response to send.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the message was not found.
+     * @returns {Promise<null>}
+     */
+    async sendModResponse(messageId, message, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/modresponse`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                messageID: messageId,
+                message,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Deletes a message that was sent by the moderators, such as a `modMessage` or `reject` Message.
+     * Requires token.
+     * Only accessible on moderator accounts.
+     * @link https://projects.penguinmod.com/api/v1/projects/deletemodmessage
+     * @param {string} messageId The ID of the Message to delete.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the message was not found.
+     * @returns {Promise<null>}
+     */
+    async deleteModMessage(messageId, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/deletemodmessage`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doDestructiveRequest("projects.deleteModMessage", url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                messageID: messageId,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Replies to a disputable Message (where `disputable` is true), like a `reject` or `modMessage` Message.
+     * The moderators can then reply with `sendModResponse`.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/projects/dispute
+     * @param {string} messageId The ID of the Message to dispute.
+     * @param {string} message Your reply to the moderators.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the message was not found, or the message cannot be disputed.
+     * @returns {Promise<null>}
+     */
+    async dispute(messageId, message, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/projects/dispute`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                messageID: messageId,
+                message,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -310,19 +981,19 @@ class PenguinModAPIProjects {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/projects/toggleviewing
      * @param {string} toggle True to enable, false to disable.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async toggleViewing(toggle) {
+    async toggleViewing(toggle, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/projects/toggleviewing`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("projects.toggleViewing", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 toggle
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Toggles uploading projects on or off. Prevents users from uploading or updating projects.
@@ -330,48 +1001,24 @@ class PenguinModAPIProjects {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/projects/toggleuploading
      * @param {string} toggle True to enable, false to disable.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async toggleUploading(toggle) {
+    async toggleUploading(toggle, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/projects/toggleuploading`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("projects.toggleUploading", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 toggle
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
-    // TODO: /api/v1/projects/updateProject
-    // TODO: /api/v1/projects/uploadProject
     // TODO: /api/v1/projects/getWhoLoved
     // TODO: /api/v1/projects/getWhoVoted
-    // TODO: /api/v1/projects/interactions/loveToggle
-    // TODO: /api/v1/projects/interactions/registerView
-    // TODO: /api/v1/projects/interactions/showMeLess
-    // TODO: /api/v1/projects/interactions/showMeMore
-    // TODO: /api/v1/projects/interactions/voteToggle
     // TODO: /api/v1/projects/manualfeature
-    // TODO: /api/v1/projects/deletemodmessage
-    // TODO: /api/v1/projects/hardDeleteProject
-    // TODO: /api/v1/projects/dispute
-    // TODO: /api/v1/projects/downloadHardReject
-    // TODO: /api/v1/projects/hardreject
-    // TODO: /api/v1/projects/modmessage
-    // TODO: /api/v1/projects/modresponse
-    // TODO: /api/v1/projects/restore
-    // TODO: /api/v1/projects/softreject
-    // TODO: /api/v1/projects/frontpage
-    // TODO: /api/v1/projects/getfeaturedprojects
-    // TODO: /api/v1/projects/getmyprojects
-    // TODO: /api/v1/projects/getprojectsbyauthor
-    // TODO: /api/v1/projects/getrandomproject
-    // TODO: /api/v1/projects/getremixes
-    // TODO: /api/v1/projects/searchprojects
-    // TODO: /api/v1/projects/searchusers
     // TODO: /api/v1/projects/deletethumb
     // TODO: /api/v1/projects/setCanBeFeatured
 }
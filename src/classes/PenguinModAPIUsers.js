@@ -1,8 +1,26 @@
 const utils = require("../misc/utils.js");
-const countryLookup = require("../misc/country-lookup.json");
+const pagination = require("../misc/pagination.js");
+const investigation = require("../misc/investigation.js");
 const PenguinModAPIError = require("./PenguinModAPIError.js");
+const PenguinModValidation = require("./PenguinModValidation.js");
 /** @typedef {import("./PenguinModAPI")} PenguinModAPI */
 
+/**
+ * The OAuth endpoints that the frontend redirects to instead of fetching, for each provider.
+ * If these endpoints are moved in the API, only this needs to be updated.
+ */
+const OAUTH_REDIRECTS = {
+    github: {
+        addPasswordFinal: "githubcallback/addpasswordfinal",
+    },
+    google: {
+        addPasswordFinal: "googlecallback/addpasswordfinal",
+    },
+    scratch: {
+        addPasswordFinal: "scratchaddpasswordfinal",
+    },
+};
+
 /**
  * @class This class is used to interface with endpoints related to users within the PenguinMod API.
  * Should only be accessed through PenguinModAPI.users
@@ -23,12 +41,13 @@ class PenguinModAPIUsers {
      * Returns the ID of a user by their username.
      * @link https://projects.penguinmod.com/api/v1/users/getid
      * @param {string} username The username of the user you want to get the ID of.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string|null>} The ID of the user, or null if not found.
      */
-    async getId(username) {
+    async getId(username, requestOptions) {
         try {
-            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getid?username=${encodeURIComponent(username)}`, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getid?username=${encodeURIComponent(username)}`, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.id;
         } catch (err) {
             if (err && err instanceof PenguinModAPIError && err.data && err.data.error === "UserNotFound") {
@@ -41,12 +60,13 @@ class PenguinModAPIUsers {
      * Returns the username of a user by their ID.
      * @link https://projects.penguinmod.com/api/v1/users/getusername
      * @param {string} id The ID of the user you want to get the username of.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string|null>} The username of the user, or null if not found.
      */
-    async getUsername(id) {
+    async getUsername(id, requestOptions) {
         try {
-            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getusername?ID=${encodeURIComponent(id)}`, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getusername?ID=${encodeURIComponent(id)}`, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.username || null; // false is returned if no user is found
         } catch (err) {
             if (err && err instanceof PenguinModAPIError && err.data && err.data.error === "UserNotFound") {
@@ -62,36 +82,36 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/blockuser
      * @param {string} targetUsername The username of the user you want to block.
      * @param {boolean?} shouldUnblock Whether to unblock this user or not.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async blockUser(targetUsername, shouldUnblock) {
+    async blockUser(targetUsername, shouldUnblock, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/blockuser`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target: targetUsername,
                 active: !shouldUnblock
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Check if you're blocking a given user.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/hasblocked
      * @param {string} username Who you want to check if you're blocking.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean|null>} If blocking or not, null if not found
      */
-    async hasBlocked(username) {
-        const token = this._parent.token;
-        const url = `${this._parent.apiUrl}/v1/users/hasblocked?target=${encodeURIComponent(username)}&token=${encodeURIComponent(token)}`;
-        utils.assert(!!token, url, "Reauthenticate", "No token is registered.");
+    async hasBlocked(username, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/hasblocked?target=${encodeURIComponent(username)}`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         try {
-            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json.has_blocked;
         } catch (err) {
             if (err && err instanceof PenguinModAPIError && err.data && err.data.error === "Target not found") {
@@ -107,44 +127,46 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/follow
      * @param {string} targetUsername The username of the user you want to follow.
      * @param {boolean?} shouldUnfollow Whether to unfollow this user or not.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Will also throw if following a followed user, or unfollowing a non-followed user.
      * @returns {Promise<null>}
      */
-    async followUser(targetUsername, shouldUnfollow) {
+    async followUser(targetUsername, shouldUnfollow, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/follow`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target: targetUsername,
                 toggle: !shouldUnfollow
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Gets the amount of followers a user has.
      * @link https://projects.penguinmod.com/api/v1/users/meta/getfollowercount
      * @param {string} username The username of the user you want to check followers for.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<number>}
      */
-    async getFollowerCount(username) {
+    async getFollowerCount(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/meta/getfollowercount?username=${encodeURIComponent(username)}`;
-        const followers = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const followers = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return followers.count;
     }
     /**
      * Gets the followers a user has.
      * @link https://projects.penguinmod.com/api/v1/users/meta/getfollowers
      * @param {string} username The username of the user you want to check followers for.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.StubUser>>}
      */
-    async getFollowers(username) {
+    async getFollowers(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/meta/getfollowers?username=${encodeURIComponent(username)}`;
-        const followers = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const followers = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return followers;
     }
     /**
@@ -152,12 +174,13 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/isfollowing
      * @param {string} username The username of the user you want to check followers for.
      * @param {string} target The target user you want to check if they are following.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>}
      */
-    async isFollowing(username, target) {
+    async isFollowing(username, target, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/isfollowing?username=${encodeURIComponent(username)}&target=${encodeURIComponent(target)}`;
-        const following = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const following = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return following.following;
     }
 
@@ -165,13 +188,14 @@ class PenguinModAPIUsers {
      * Get your feed.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/getmyfeed
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.FeedItem>>}
      */
-    async getMyFeed() {
-        const url = `${this._parent.apiUrl}/v1/users/getmyfeed?token=${encodeURIComponent(this._parent.token)}`;
+    async getMyFeed(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getmyfeed`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
-        const feed = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const feed = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return feed.feed;
     }
 
@@ -179,12 +203,13 @@ class PenguinModAPIUsers {
      * Get the profile picture of a user.
      * @link https://projects.penguinmod.com/api/v1/users/getpfp
      * @param {string} username The username of the user. 
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Uint8Array|null>} The profile picture as an octet stream, or null if not found.
      */
-    async getPFP(username) {
+    async getPFP(username, requestOptions) {
         try {
-            const pfp = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getpfp?username=${encodeURIComponent(username)}`, null, this._parent, utils.RequestType.ArrayBuffer);
+            const pfp = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/getpfp?username=${encodeURIComponent(username)}`, null, this._parent, utils.RequestType.ArrayBuffer, requestOptions);
             return pfp;
         } catch (err) {
             if (err && err instanceof PenguinModAPIError && err.data && err.data.error === "NotFound") {
@@ -199,14 +224,13 @@ class PenguinModAPIUsers {
      * Token is optional. If the user has a private account, it can be viewed only if they allow followees to view and they're following you, or if you're a mod/admin.
      * @link https://projects.penguinmod.com/api/v1/users/profile
      * @param {string} username Username of the target.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<PenguinModTypes.UserProfile|null>} Either the resulting profile or null if not found (not found could be given from a profile whose user is currently banned).
      */
-    async getProfile(username) {
+    async getProfile(username, requestOptions) {
         try {
-            const has_token = !!this._parent.token;
-            const token_str = has_token ? `&token=${this._parent.token}` : "";
-            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/profile?target=${encodeURIComponent(username)}${token_str}`, null, this._parent, utils.RequestType.JSON);
+            const json = await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/profile?target=${encodeURIComponent(username)}`, null, this._parent, utils.RequestType.JSON, requestOptions);
             return json; 
         } catch (err) {
             if (err && err instanceof PenguinModAPIError && err.data && err.data.error === "NotFound") {
@@ -220,28 +244,26 @@ class PenguinModAPIUsers {
      * Request a rank up.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/requestrankup
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Usually this only throws if the user cannot rank up at this time.
      * @returns {Promise<null>}
      */
-    async requestRankUp() {
+    async requestRankUp(requestOptions) {
         await utils.doBasicRequest(`${this._parent.apiUrl}/v1/users/requestrankup`, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.None);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
      * Check if an email is valid. Same function as used in the API.
+     * See `PenguinModValidation.validateEmail` to get the reason as well.
      * @param {string} email
      * @returns {boolean} 
      */
     isValidEmail(email) {
-        return email.match(
-            /^(([^<>()[\]\\.,;:\s@\"]+(\.[^<>()[\]\\.,;:\s@\"]+)*)|(\".+\"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
-        );
+        return PenguinModValidation.validateEmail(email).valid;
     }
 
     /**
@@ -249,66 +271,67 @@ class PenguinModAPIUsers {
      * Requires token.
      * Email must be a valid email.
      * @link https://projects.penguinmod.com/api/v1/users/setEmail
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @param {string} email New email.
      * @returns {Promise<null>}
      */
-    async setEmail(email) {
+    async setEmail(email, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setEmail`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
-        utils.assert(this.isValidEmail(email), url, "InvalidEmail", `Email '${email}' is not a valid email.`);
+        utils.assertValid(PenguinModValidation.validateEmail(email), url);
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 email
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
      * Set your account's bio.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/setBio
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @param {string} bio New bio.
      * @returns {Promise<null>}
      */
-    async setBio(bio) {
+    async setBio(bio, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setBio`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        utils.assertValid(PenguinModValidation.validateBio(bio), url);
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 bio
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Set another account's bio.
      * Requires token.
      * Only accessible on moderator accounts.
      * @link https://projects.penguinmod.com/api/v1/users/setbioadmin
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @param {string} target The target user to edit the bio for.
      * @param {string} bio New bio.
      * @returns {Promise<null>}
      */
-    async setBioAdmin(target, bio) {
+    async setBioAdmin(target, bio, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setbioadmin`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 bio
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Makes a specific project featured on your profile.
@@ -317,20 +340,21 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/setmyfeaturedproject
      * @param {string} projectId The project ID of the project to feature on your profile.
      * @param {number} featuredTitle This is a 1-index based number that chooses which featured label to use in the list of labels on the frontend.
-     * @throws {PenguinModAPIError}
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Throws "InvalidFeaturedTitle" without sending anything if `featuredTitle` isn't a whole number from 1.
      * @returns {Promise<null>}
      */
-    async setMyFeaturedProject(projectId, featuredTitle) {
+    async setMyFeaturedProject(projectId, featuredTitle, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setmyfeaturedproject`;
+        utils.assertValid(PenguinModValidation.validateFeaturedTitle(featuredTitle), url);
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 project: projectId,
                 title: featuredTitle,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Makes a specific project featured on someone else's profile.
@@ -340,21 +364,22 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/setmyfeaturedprojectadmin
      * @param {string} projectId The project ID of the project to feature on your profile.
      * @param {number} featuredTitle This is a 1-index based number that chooses which featured label to use in the list of labels on the frontend.
-     * @throws {PenguinModAPIError}
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Throws "InvalidFeaturedTitle" without sending anything if `featuredTitle` isn't a whole number from 1.
      * @returns {Promise<null>}
      */
-    async setMyFeaturedProjectAdmin(target, projectId, featuredTitle) {
+    async setMyFeaturedProjectAdmin(target, projectId, featuredTitle, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setmyfeaturedprojectadmin`;
+        utils.assertValid(PenguinModValidation.validateFeaturedTitle(featuredTitle), url);
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target: target,
                 project: projectId,
                 title: featuredTitle,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Saves an arbitrary object (with restrictions) to your profile.
@@ -365,20 +390,22 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/customization/setCustomization
      * @param {Object} customData The arbitrary object to save.
      * @param {string} modTarget A specific user to set the customizations for. This parameter is only allowed if you are a moderator.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Usually this will only throw if the data is invalid, or you try to set someone else's customizations without being a moderator.
+     * Throws "InvalidCustomization" without sending anything if `customData` isn't a plain object that can be sent as JSON.
      * @returns {Promise<null>}
      */
-    async setCustomization(customData, modTarget) {
+    async setCustomization(customData, modTarget, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/customization/setCustomization`;
+        utils.assertValid(PenguinModValidation.validateCustomization(customData), url);
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 customization: customData,
                 target: modTarget,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Disables someone else's customizations from being visible, and disables their ability to use the customization feature.
@@ -387,31 +414,32 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/customization/setCustomizationDisabled
      * @param {string} target The user to revoke customizations from
      * @param {boolean} isDisabled `true` to revoke customizations, `false` to give them back.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async setCustomizationDisabled(target, isDisabled) {
+    async setCustomizationDisabled(target, isDisabled, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/customization/setCustomizationDisabled`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 toggle: !isDisabled,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Gets a specific user's donator customization.
      * @link https://projects.penguinmod.com/api/v1/users/customization/getCustomization
      * @param {string} username The user to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Will also throw for accounts that do not have the "donator" badge.
      * @returns {Promise<Object>} Resolves to an arbitrary object, see `setCustomization`
      */
-    async getCustomization(username) {
+    async getCustomization(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/customization/getCustomization?target=${encodeURIComponent(username)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.customization;
     }
 
@@ -419,16 +447,17 @@ class PenguinModAPIUsers {
      * Check if a user exists by their username
      * @link https://projects.penguinmod.com/api/v1/users/userexists
      * @param {string} username The user's username
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>}
      */
-    async userExists(username) {
+    async userExists(username, requestOptions) {
         if (!username) {
             return false;
         }
 
         const url = `${this._parent.apiUrl}/v1/users/userexists?username=${encodeURIComponent(username)}`;
-        const exists = (await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON)).exists;
+        const exists = (await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions)).exists;
 
         return exists;
     }
@@ -436,12 +465,13 @@ class PenguinModAPIUsers {
      * Check if a user is banned
      * @link https://projects.penguinmod.com/api/v1/users/isBanned
      * @param {string} username The user's username
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>}
      */
-    async isBanned(username) {
+    async isBanned(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/isBanned?username=${encodeURIComponent(username)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.isBanned;
     }
 
@@ -449,47 +479,46 @@ class PenguinModAPIUsers {
      * Get your info.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/userfromcode
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<PenguinModTypes.UserIdentity>}
      */
-    async getInfo() {
-        const url = `${this._parent.apiUrl}/v1/users/userfromcode?token=${this._parent.token}`;
+    async getInfo(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/userfromcode`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
 
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
 
         return data;
     }
 
     /**
      * Change your password. Also refreshes your token.
+     * If the client has a session, it switches to the new token.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/changePassword
      * @param {string} old_password Your current password.
      * @param {string} new_password Your new password.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string>} Your new token.
      */
-    async changePassword(old_password, new_password) {
+    async changePassword(old_password, new_password, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/changePassword`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "Missing token");
-
-        const passwordDoesNotMeetLength = new_password.length < 8 || new_password.length > 50;
-        const passwordMeetsTextInclude = new_password.match(/[a-z]/) && new_password.match(/[A-Z]/);
-        const passwordMeetsSpecialInclude = new_password.match(/[0-9]/) && new_password.match(/[^a-z0-9]/i);
-        utils.assert(!passwordDoesNotMeetLength, url, "InvalidPasswordLength", "Password must be between 8 and 50 characters long.");
-        utils.assert(passwordMeetsTextInclude, url, "InvalidPasswordText", "Password must contain at least one letter.");
-        utils.assert(passwordMeetsSpecialInclude, url, "InvalidPasswordSpecial", "Password must contain at least one number and one special character.");
+        utils.assertValid(PenguinModValidation.validatePassword(new_password), url);
 
         const data = await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 old_password,
                 new_password
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
+        if (this._parent.session && !(requestOptions && requestOptions.token)) {
+            await this._parent.session.setToken(data.token);
+        }
         return data.token;
     }
     /**
@@ -497,26 +526,22 @@ class PenguinModAPIUsers {
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/changeUsername
      * @param {string} newUsername Your new username.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async changeUsername(newUsername) {
+    async changeUsername(newUsername, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/changeUsername`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "Missing token");
-
-        const usernameDoesNotMeetLength = newUsername.length < 3 || newUsername.length > 20;
-        const usernameHasIllegalChars = newUsername.match(/[^a-z0-9\-_]/i);
-        utils.assert(!usernameDoesNotMeetLength, url, "InvalidUsernameLength", "Username must be between 3 and 20 characters long.");
-        utils.assert(!usernameHasIllegalChars, url, "InvalidUsernameChars", "Username can only contain letters, numbers, dashes and underscores.");
+        utils.assertValid(PenguinModValidation.validateUsername(newUsername), url);
 
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 newUsername,
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Change another user's username.
@@ -525,10 +550,11 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/changeusernameadmin
      * @param {string} target The target user to rename.
      * @param {string} newUsername The user's new username.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async changeUsernameAdmin(target, newUsername) {
+    async changeUsernameAdmin(target, newUsername, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/changeusernameadmin`;
         utils.assert(!!this._parent.token, url, "Reauthenticate", "Missing token");
 
@@ -536,26 +562,20 @@ class PenguinModAPIUsers {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 newUsername,
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
     }
 
+    /**
+     * Turns a birthday into the ISO date string the API expects.
+     * Same as `PenguinModValidation.parseBirthday`.
+     * @param {string} birthday Should be parseable by new Date(x).
+     * @returns {string|undefined} Undefined if the birthday isn't a valid date.
+     */
     parseBirthday(birthday) {
-        if (!birthday) return;
-        if (typeof birthday !== "string") return;
-        try {
-            const date = new Date(birthday);
-            if (isNaN(date.getTime())) {
-                return; // invalid format
-            }
-
-            return date.toISOString();
-        } catch {
-            return;
-        }
+        return PenguinModValidation.parseBirthday(birthday);
     }
 
     /**
@@ -569,41 +589,14 @@ class PenguinModAPIUsers {
      * @param {string|number|null} birthday Your birthday. Should be parseable by new Date(x). Optional, but you're gonna get hassled for it on the frontend sooo just provide it now. You can use `filloutSafetyDetails` later to set the missing info.
      * @param {string|null} country Your country, in country-code form. Same as above - optional but recommended to provide it now. You can use `filloutSafetyDetails` later to set the missing info.
      * @param {string} email Your email. Optional. You can use `setEmail` later to set an email for this account.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string>} Your new token. 
      */
-    async createAccount(username, password, captcha_token, birthday, country, email="") {
+    async createAccount(username, password, captcha_token, birthday, country, email="", requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/createAccount`;
 
-        // validate everything
-        // block cuz im sooo sigma
-        {
-            const usernameDoesNotMeetLength = username.length < 3 || username.length > 20;
-            const usernameHasIllegalChars = username.match(/[^a-z0-9\-_]/i);
-
-            utils.assert(!usernameDoesNotMeetLength, url, "InvalidUsernameLength", "Username must be between 3 and 20 characters long.");
-            utils.assert(!usernameHasIllegalChars, url, "InvalidUsernameChars", "Username can only contain letters, numbers, dashes and underscores.");
-
-            const passwordDoesNotMeetLength = password.length < 8 || password.length > 50;
-            const passwordMeetsTextInclude = password.match(/[a-z]/) && password.match(/[A-Z]/);
-            const passwordMeetsSpecialInclude = password.match(/[0-9]/) && password.match(/[^a-z0-9]/i);
-
-            utils.assert(!passwordDoesNotMeetLength, url, "InvalidPasswordLength", "Password must be between 8 and 50 characters long.");
-            utils.assert(passwordMeetsTextInclude, url, "InvalidPasswordText", "Password must contain at least one letter.");
-            utils.assert(passwordMeetsSpecialInclude, url, "InvalidPasswordSpecial", "Password must contain at least one number and one special character.");
-
-            if (email) {
-                utils.assert(this.isValidEmail(email), url, "InvalidEmail", `Email '${email}' is not a valid email.`);
-            }
-
-            if (birthday && !this.parseBirthday(birthday)) {
-                throw new PenguinModAPIError("InvalidBirthday", "Birthday must be a valid date.", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
-            }
-
-            if (country && !countryLookup.countryCodes.includes(country)) {
-                throw new PenguinModAPIError("InvalidCountry", "Country must be a valid country code.", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
-            }
-        }
+        utils.assertValid(PenguinModValidation.validateSignup({ username, password, email, birthday, country }), url);
 
         const data = await utils.doBasicRequest(url, {
             method: "POST",
@@ -616,8 +609,9 @@ class PenguinModAPIUsers {
                 country,
                 email
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
 
+        if (this._parent.session) await this._parent.session.setToken(data.token);
         return data.token;
     }
 
@@ -628,62 +622,63 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/filloutSafetyDetails
      * @param {string|number|null} birthday Your birthday. Should be parseable by new Date(x).
      * @param {string|null} country Your country, in country-code form.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Note the API will reject requests to set information that has already been set before.
      * @returns {Promise<null>}
      */
-    async filloutSafetyDetails(birthday, country) {
+    async filloutSafetyDetails(birthday, country, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/filloutSafetyDetails`;
 
-        if (birthday && !this.parseBirthday(birthday)) {
-            throw new PenguinModAPIError("InvalidBirthday", "Birthday must be a valid date.", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
-        }
-        if (country && !countryLookup.countryCodes.includes(country)) {
-            throw new PenguinModAPIError("InvalidCountry", "Country must be a valid country code.", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
-        }
+        if (birthday) utils.assertValid(PenguinModValidation.validateBirthday(birthday), url);
+        if (country) utils.assertValid(PenguinModValidation.validateCountry(country), url);
         if (!birthday && !country) {
-            throw new PenguinModAPIError("MissingOneField", "Must have birthday and/or country", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
+            throw PenguinModAPIError.create("MissingOneField", "Must have birthday and/or country", PenguinModAPIError.UNKNOWN_CODE, null, false, url, null, null, null);
         }
 
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 birthday,
                 country,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
      * Logs out of the account, invalidating the current token.
+     * If the client has a session, it is cleared.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/logout
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async logout() {
+    async logout(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/logout`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.None);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.None, requestOptions);
+        if (this._parent.session && !(requestOptions && requestOptions.token)) {
+            await this._parent.session.clear();
+        }
     }
     /**
      * Allows you to log into an account from a provided username and password.
      * This will return a new token which can be used to access the specified account.
+     * If the client has a session, it switches to the new token.
      * Requires a Cloudflare Captcha token.
      * @link https://projects.penguinmod.com/api/v1/users/passwordLogin
      * @param {string} username The username of the account.
      * @param {string} password The password of the account.
      * @param {string} captcha_token The captcha token from cloudflare.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string>} A token for the account specified.
      */
-    async passwordLogin(username, password, captcha_token) {
+    async passwordLogin(username, password, captcha_token, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/passwordLogin`;
         const login = await utils.doBasicRequest(url, {
             method: "POST",
@@ -693,7 +688,8 @@ class PenguinModAPIUsers {
                 password,
                 captcha_token
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
+        if (this._parent.session) await this._parent.session.setToken(login.token);
         return login.token;
     }
     /**
@@ -701,22 +697,24 @@ class PenguinModAPIUsers {
      * Usually it's best to just use the token for the action you want to perform and see if the request fails, so you don't need to request the API twice.
      * @link https://projects.penguinmod.com/api/v1/users/tokenlogin
      * @param {string} token The token to use.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError} Will throw if the login is invalid.
      * @returns {Promise<null>}
      */
-    async tokenLogin(token) {
-        const url = `${this._parent.apiUrl}/v1/users/tokenlogin?token=${encodeURIComponent(token)}`;
-        await utils.doBasicRequest(url, null, this._parent, utils.RequestType.None);
+    async tokenLogin(token, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/tokenlogin`;
+        await utils.doBasicRequest(url, null, this._parent, utils.RequestType.None, { ...requestOptions, token });
     }
 
     /**
      * Returns the amount of projects a specific user has uploaded.
      * @link https://projects.penguinmod.com/api/v1/users/getprojectcountofuser
      * @param {string} username The user to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<number>}
      */
-    async getProjectCountOfUser(username) {
+    async getProjectCountOfUser(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/getprojectcountofuser`;
         const data = await utils.doBasicRequest(url, {
             method: "POST",
@@ -724,19 +722,20 @@ class PenguinModAPIUsers {
             body: JSON.stringify({
                 target: username,
             })
-        }, this._parent, utils.RequestType.JSON);
+        }, this._parent, utils.RequestType.JSON, requestOptions);
         return data.count;
     }
     /**
      * Gets a specific user's badges.
      * @link https://projects.penguinmod.com/api/v1/users/getBadges
      * @param {string} username The user to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<string>>}
      */
-    async getBadges(username) {
+    async getBadges(username, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/getBadges?username=${encodeURIComponent(username)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.badges;
     }
 
@@ -747,10 +746,11 @@ class PenguinModAPIUsers {
      * @param {string} email Which email asked to reset a password. This email must have a valid PenguinMod account attached to it.
      * @param {string} emailState A specific code sent in an email's password reset link.
      * @param {string} newPassword The new password to use for the email's account.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async resetPassword(email, emailState, newPassword) {
+    async resetPassword(email, emailState, newPassword, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/resetpassword/reset`;
         await utils.doBasicRequest(url, {
             method: "POST",
@@ -760,7 +760,7 @@ class PenguinModAPIUsers {
                 state: emailState,
                 password: newPassword,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Send a password reset request via email. Returns the URL that the user can visit to reset their password.
@@ -768,10 +768,11 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/resetpassword/sendEmail
      * @param {string} email Which email to request a password reset for. This email must have a valid PenguinMod account attached to it.
      * @param {string} captcha_token The captcha token from cloudflare.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async sendResetPasswordEmail(email, captcha_token) {
+    async sendResetPasswordEmail(email, captcha_token, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/resetpassword/sendEmail`;
         await utils.doBasicRequest(url, {
             method: "POST",
@@ -780,25 +781,24 @@ class PenguinModAPIUsers {
                 email,
                 captcha_token,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Sends an email to this account's inbox that allows this account's email to be verified.
      * An email must be attached to this account, and the email cannot already be verified.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/resetpassword/sendVerifyEmail
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async sendVerifyEmail() {
+    async sendVerifyEmail(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/resetpassword/sendVerifyEmail`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.None);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -809,107 +809,129 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/privateProfile
      * @param {boolean} makePrivate Makes this profile private if `true`, and not private if `false`.
      * @param {boolean} makePrivateToFollowing Makes this profile only accessible to people you follow if `true`, and private to all if `false`. Only applies if the profile is private.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async privateProfile(makePrivate, makePrivateToFollowing) {
+    async privateProfile(makePrivate, makePrivateToFollowing, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/privateProfile`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 privateProfile: makePrivate,
                 privateToFollowing: makePrivateToFollowing,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
      * Gets any messages that this user has.
      * @link https://projects.penguinmod.com/api/v1/users/getmessages
      * @param {number?} page Which page of messages to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.Message>>}
      */
-    async getMessages(page) {
-        const token = this._parent.token;
-        const url = `${this._parent.apiUrl}/v1/users/getmessages?token=${encodeURIComponent(token)}&page=${page}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getMessages(page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getmessages?page=${page}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.messages;
     }
+    /**
+     * Walks through every page of `getMessages` until there are no more messages.
+     * Use with `for await`, or call `collectAll()` on the result to get every message at once.
+     * Requires token.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Message>}
+     */
+    iterateMessages(options, requestOptions) {
+        return pagination.paginate((page) => this.getMessages(page, requestOptions), options);
+    }
     /**
      * Gets any unread messages that this user has. 
      * @link https://projects.penguinmod.com/api/v1/users/getunreadmessages
      * @param {number?} page Which page of messages to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.Message>>}
      */
-    async getUnreadMessages(page) {
-        const token = this._parent.token;
-        const url = `${this._parent.apiUrl}/v1/users/getunreadmessages?token=${encodeURIComponent(token)}&page=${page}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getUnreadMessages(page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getunreadmessages?page=${page}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.messages;
     }
+    /**
+     * Walks through every page of `getUnreadMessages` until there are no more messages.
+     * Requires token.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModTypes.Message>}
+     */
+    iterateUnreadMessages(options, requestOptions) {
+        return pagination.paginate((page) => this.getUnreadMessages(page, requestOptions), options);
+    }
     /**
      * Returns the amount of messages this user has.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/getmessagecount
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<number>}
      */
-    async getMessageCount() {
-        const url = `${this._parent.apiUrl}/v1/users/getmessagecount?token=${encodeURIComponent(this._parent.token)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getMessageCount(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getmessagecount`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.count;
     }
     /**
      * Returns the amount of unread messages this user has. This also counts policy updates that have not been seen yet.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/getunreadmessagecount
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<number>}
      */
-    async getUnreadMessageCount() {
-        const url = `${this._parent.apiUrl}/v1/users/getunreadmessagecount?token=${encodeURIComponent(this._parent.token)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getUnreadMessageCount(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getunreadmessagecount`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.count;
     }
     /**
      * Marks every message sent to the user as read.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/markallmessagesasread
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async markAllMessagesAsRead() {
+    async markAllMessagesAsRead(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/markallmessagesasread`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.None);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Marks a specific message sent to the user as read.
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/markmessageasread
      * @param {string} id The ID of the message to mark as read.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async markMessageAsRead(id) {
+    async markMessageAsRead(id, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/markmessageasread`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 messageID: id,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -918,17 +940,18 @@ class PenguinModAPIUsers {
      * Requires token.
      * @link https://projects.penguinmod.com/api/v1/users/setpfp
      * @param {ArrayBuffer} file The new profile picture to use.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async setPFP(file) {
-        const url = `${this._parent.apiUrl}/v1/users/setpfp?token=${encodeURIComponent(this._parent.token)}`;
+    async setPFP(file, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/setpfp`;
         const formData = new FormData();
         formData.append("picture", new Blob([file]));
 
         await utils.doFormDataRequest(url, {
             method: "POST",
-        }, formData, this._parent, utils.RequestType.JSON);
+        }, formData, this._parent, utils.RequestType.JSON, requestOptions);
     }
     /**
      * Sets the profile picture of another user's account.
@@ -937,19 +960,19 @@ class PenguinModAPIUsers {
      * Only accessible on moderator accounts.
      * @link https://projects.penguinmod.com/api/v1/users/setpfpadmin
      * @param {ArrayBuffer} file The new profile picture to use.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async setPFPAdmin(target, file) {
+    async setPFPAdmin(target, file, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setpfpadmin`;
         const formData = new FormData();
-        formData.append("token", this._parent.token);
         formData.append("target", target);
         formData.append("picture", new Blob([file]));
 
         await utils.doFormDataRequest(url, {
             method: "POST",
-        }, formData, this._parent, utils.RequestType.JSON);
+        }, formData, this._parent, utils.RequestType.JSON, requestOptions);
     }
 
     /**
@@ -962,23 +985,23 @@ class PenguinModAPIUsers {
      * @param {boolean?} doUnban If true, will unban the user.
      * @param {number?} time A duration to ban the user for. If not set, the ban will be permanent.
      * @param {boolean?} removeFollows If false, will not remove the followers and following users from a permanently banned user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async ban(target, reason, doUnban, time, removeFollows) {
+    async ban(target, reason, doUnban, time, removeFollows, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/ban`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.ban", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target: target,
                 reason: reason,
                 toggle: doUnban !== true,
                 time: time || 0,
                 remove_follows: removeFollows !== false,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Bans an IP from accessing the server. Handles IP bans and unbans.
@@ -987,20 +1010,20 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/banip
      * @param {string} targetIP The IP to ban.
      * @param {boolean?} doUnban If true, will unban the IP.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async banIP(targetIP, doUnban) {
+    async banIP(targetIP, doUnban, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/banip`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.banIP", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 targetIP: targetIP,
                 toggle: doUnban !== true,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Bans a user's IP from accessing the server. Handles user IP bans and unbans.
@@ -1009,43 +1032,63 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/banuserip
      * @param {string} target The target user to ban.
      * @param {boolean?} doUnban If true, will unban the user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async banUserIP(target, doUnban) {
+    async banUserIP(target, doUnban, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/banuserip`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.banUserIP", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target: target,
                 toggle: doUnban !== true,
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Uses a regex to ban or unban many users at once.
      * Requires token.
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/massbanregex
+     * Regexes that can take too long to run, like `(a+)+`, are rejected before anything is sent. Use `previewMassBanRegex` to see who a regex matches first.
      * @param {string} targetRegex The regex to use to ban.
      * @param {boolean?} doUnban If true, will unban the users.
-     * @throws {PenguinModAPIError}
-     * @returns {Promise<number>} Returns the amount of banned users.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Throws "InvalidRegex" or "UnsafeRegex" without sending anything if the regex is bad.
+     * @returns {Promise<number|null>} Returns the amount of banned users, or null in dry run mode.
      */
-    async massBanRegex(targetRegex, doUnban) {
+    async massBanRegex(targetRegex, doUnban, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/massbanregex`;
-        const result = await utils.doBasicRequest(url, {
+        utils.assertValid(PenguinModValidation.validateRegex(targetRegex), url);
+        const result = await utils.doDestructiveRequest("users.massBanRegex", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 targetRegex,
                 toggle: doUnban !== true,
             })
-        }, this._parent, utils.RequestType.JSON);
-        return result.count;
+        }, this._parent, utils.RequestType.JSON, requestOptions);
+        return result ? result.count : null;
+    }
+    /**
+     * Shows which usernames a regex for `massBanRegex` would match, without sending anything.
+     * @param {string} targetRegex The regex that would be given to `massBanRegex`.
+     * @param {Array<string>} usernames The usernames to test, like from `getAllUsers` or a list of known accounts.
+     * @throws {PenguinModAPIError} Throws "InvalidRegex" or "UnsafeRegex" if the regex is bad, like `massBanRegex` would.
+     * @returns {{matched: Array<string>, unmatched: Array<string>}}
+     */
+    previewMassBanRegex(targetRegex, usernames) {
+        const url = `${this._parent.apiUrl}/v1/users/massbanregex`;
+        utils.assertValid(PenguinModValidation.validateRegex(targetRegex), url);
+        const regex = new RegExp(targetRegex);
+        const matched = [];
+        const unmatched = [];
+        for (const username of usernames) {
+            (regex.test(username) ? matched : unmatched).push(username);
+        }
+        return { matched, unmatched };
     }
 
     /**
@@ -1054,12 +1097,13 @@ class PenguinModAPIUsers {
      * Only accessible on moderator accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getAlts
      * @param {string} target The target user to get the alts for.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<string>>} The list of usernames for accounts this user made.
      */
-    async getAlts(target) {
-        const url = `${this._parent.apiUrl}/v1/users/getAlts?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getAlts(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getAlts?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.alts;
     }
 
@@ -1071,21 +1115,21 @@ class PenguinModAPIUsers {
      * @param {string} target The target user to update the position of.
      * @param {boolean} admin If true, promotes the user. If false, demotes the user. Must be provided.
      * @param {boolean} moderator If true, promotes the user. If false, demotes the user. Must be provided.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async assignPosition(target, admin, moderator) {
+    async assignPosition(target, admin, moderator, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/assignPossition`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 admin,
                 approver: moderator
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -1096,20 +1140,20 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/setBadges
      * @param {string} target The target user to update the badges of.
      * @param {Array<string>} badges The badge IDs to give out.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async setBadges(target, badges) {
+    async setBadges(target, badges, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setBadges`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 badges
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Gives several users badges at once. Unlike setBadges, this adds to the badge list for each user.
@@ -1120,21 +1164,21 @@ class PenguinModAPIUsers {
      * @param {string} targets The target user to update the badges of.
      * @param {Array<string>} badges The badge IDs to give out.
      * @param {boolean?} removing True if you want to remove these badges from each user instead.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async setBadgesMultiple(targets, badges, removing) {
+    async setBadgesMultiple(targets, badges, removing, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/setbadgesmultiple`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 targets,
                 badges,
                 removing
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -1144,38 +1188,37 @@ class PenguinModAPIUsers {
      * @link https://projects.penguinmod.com/api/v1/users/deleteaccount
      * @param {string} target The target user to delete.
      * @param {string} reason A reason to delete their account.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async deleteAccount(target, reason) {
+    async deleteAccount(target, reason, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/deleteaccount`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.deleteAccount", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target,
                 reason
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
     /**
      * Forgets any sent emails. Meant for debugging.
      * Requires token.
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/deleteallemails
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async deleteAllEmails() {
+    async deleteAllEmails(requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/deleteallemails`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.deleteAllEmails", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                token: this._parent.token,
-            })
-        }, this._parent, utils.RequestType.None);
+            body: JSON.stringify({})
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -1183,12 +1226,13 @@ class PenguinModAPIUsers {
      * Requires token.
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getadmins
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.StubUser>>}
      */
-    async getAdmins() {
-        const url = `${this._parent.apiUrl}/v1/users/getadmins?token=${encodeURIComponent(this._parent.token)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getAdmins(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getadmins`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.admins;
     }
     /**
@@ -1196,12 +1240,13 @@ class PenguinModAPIUsers {
      * Requires token.
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getmods
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.StubUser>>}
      */
-    async getMods() {
-        const url = `${this._parent.apiUrl}/v1/users/getmods?token=${encodeURIComponent(this._parent.token)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getMods(requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getmods`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.mods;
     }
 
@@ -1211,12 +1256,13 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getAllAccountsWithIP
      * @param {string} target The target IP address to find IPs from.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.StubUser>>}
      */
-    async getAllAccountsWithIP(target) {
-        const url = `${this._parent.apiUrl}/v1/users/getAllAccountsWithIP?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getAllAccountsWithIP(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getAllAccountsWithIP?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.users;
     }
     /**
@@ -1225,12 +1271,13 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getAllIPs
      * @param {string} target The target user to get IPs from.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<Array<PenguinModTypes.IPAddress>>}
      */
-    async getAllIPsOf(target) {
-        const url = `${this._parent.apiUrl}/v1/users/getAllIPs?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getAllIPsOf(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getAllIPs?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.ips;
     }
 
@@ -1240,14 +1287,41 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getemail
      * @param {string} target The target user to get the email of.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<string|null>}
      */
-    async getEmail(target) {
-        const url = `${this._parent.apiUrl}/v1/users/getemail?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getEmail(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getemail?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.email;
     }
+    /**
+     * Crawls the accounts and IPs linked to a user, to check for ban evasion in one call.
+     * Collects the ban status, email, profile, IPs and last logins of every account found, using `getAlts`, `getAllIPsOf` and `getAllAccountsWithIP`.
+     * Render the report with `PenguinModClient.users.renderInvestigation`.
+     * Requires token.
+     * Only accessible on moderator accounts. Without an admin account, IPs and emails are missing, and the failed requests are listed in `errors`.
+     * @param {string} username The user to start from.
+     * @param {PenguinModTypes.InvestigationOptions?} options Optional. Any missing options use the defaults listed in InvestigationOptions.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} If no token is registered, or the crawl is aborted or times out. Other failed requests are listed in the report.
+     * @returns {Promise<PenguinModTypes.InvestigationReport>}
+     */
+    async investigate(username, options, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getAlts`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        return await investigation.investigate(this, username, options || {}, requestOptions);
+    }
+    /**
+     * Turns a report from `investigate` into text.
+     * @param {PenguinModTypes.InvestigationReport} report
+     * @param {"json"|"markdown"|"dot"} format Optional. "dot" is a Graphviz graph, like for `dot -Tsvg report.dot`. Default is "json".
+     * @returns {string}
+     */
+    renderInvestigation(report, format) {
+        return investigation.renderInvestigation(report, format);
+    }
 
     /**
      * For debugging MongoDB.
@@ -1255,37 +1329,51 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/getworstoffenders
      * @param {number?} page Which page of messages to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<any>}
      */
-    async getWorstOffenders(page) {
-        const url = `${this._parent.apiUrl}/v1/users/getworstoffenders?token=${encodeURIComponent(this._parent.token)}&page=${encodeURIComponent(page)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async getWorstOffenders(page, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/getworstoffenders?page=${encodeURIComponent(page)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.items;
     }
+    /**
+     * Walks through every page of `getWorstOffenders` until there are no more items.
+     * Requires token.
+     * Only accessible on admin accounts.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<any>}
+     */
+    iterateWorstOffenders(options, requestOptions) {
+        return pagination.paginate((page) => this.getWorstOffenders(page, requestOptions), options);
+    }
 
     /**
      * Checks if a user is an admin
      * @link https://projects.penguinmod.com/api/v1/users/isadmin
      * @param {string} target Which user to check
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>}
      */
-    async isAdmin(target) {
-        const url = `${this._parent.apiUrl}/v1/users/isadmin?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async isAdmin(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/isadmin?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.isAdmin;
     }
     /**
      * Checks if a user is an admin
      * @link https://projects.penguinmod.com/api/v1/users/ismod
      * @param {string} target Which user to check
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<boolean>}
      */
-    async isMod(target) {
-        const url = `${this._parent.apiUrl}/v1/users/ismod?token=${encodeURIComponent(this._parent.token)}&target=${encodeURIComponent(target)}`;
-        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON);
+    async isMod(target, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/ismod?target=${encodeURIComponent(target)}`;
+        const data = await utils.doBasicRequest(url, null, this._parent, utils.RequestType.JSON, requestOptions);
         return data.isMod;
     }
 
@@ -1295,19 +1383,19 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/users/verifyfollowers
      * @param {string} target The target user to filter the follow list of
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async verifyFollowers(target) {
+    async verifyFollowers(target, requestOptions) {
         const url = `${this._parent.apiUrl}/v1/users/verifyfollowers`;
         await utils.doBasicRequest(url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 target
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
     /**
@@ -1316,34 +1404,207 @@ class PenguinModAPIUsers {
      * Only accessible on admin accounts.
      * @link https://projects.penguinmod.com/api/v1/projects/toggleaccountcreation
      * @param {string} toggle True to enable, false to disable.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
      * @throws {PenguinModAPIError}
      * @returns {Promise<null>}
      */
-    async toggleAccountCreation(toggle) {
+    async toggleAccountCreation(toggle, requestOptions) {
         // TODO: This should probably not be in projects/
         const url = `${this._parent.apiUrl}/v1/projects/toggleaccountcreation`;
-        await utils.doBasicRequest(url, {
+        await utils.doDestructiveRequest("users.toggleAccountCreation", url, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-                token: this._parent.token,
                 toggle
             })
-        }, this._parent, utils.RequestType.None);
+        }, this._parent, utils.RequestType.None, requestOptions);
     }
 
-    // TODO: Add these OAuth endpoints
-    // TODO: /api/v1/users/addoauthmethod
-    // TODO: /api/v1/users/addscratchlogin
-    // TODO: /api/v1/users/addpasswordtooauth
-    // TODO: /api/v1/users/createoauthaccount
-    // TODO: /api/v1/users/loginoauthaccount
-    // TODO: /api/v1/users/removeoauthmethod
+    /**
+     * Makes a random value to use as an OAuth `state`.
+     * OAuth leaves the page with a full redirect, so save the state somewhere that lasts until the user comes back,
+     * like sessionStorage, and pass it to `verifyOAuthState` along with the state that gets sent back.
+     * @returns {string} The new state.
+     */
+    createOAuthState() {
+        return utils.randomHex(32);
+    }
+    /**
+     * Checks that an OAuth `state` sent back to your page is the one you sent.
+     * This prevents other sites from sending users to your page with their own OAuth login (CSRF).
+     * Remove the saved state after checking it, so it can't be used twice.
+     * @param {string} receivedState The state that was sent back to your page.
+     * @param {string} expectedState The state you saved when starting the OAuth flow, from `createOAuthState` or `buildOAuthRedirectUrl`.
+     * @returns {boolean} True if the state is valid. Always false if either state is missing.
+     */
+    verifyOAuthState(receivedState, expectedState) {
+        if (typeof receivedState !== "string" || !receivedState) return false;
+        if (typeof expectedState !== "string" || !expectedState) return false;
+        return utils.safeCompare(receivedState, expectedState);
+    }
+    /**
+     * Builds the URL to send a user to for OAuth endpoints that are redirected to instead of fetched.
+     * Save the returned state before opening the URL, and use `verifyOAuthState` on the state that gets sent back.
+     * @param {"github"|"google"|"scratch"} provider The OAuth provider.
+     * @param {"addPasswordFinal"} action Which redirect to build. See OAUTH_REDIRECTS for the actions each provider supports.
+     * @param {string?} state Optional. A state to send with the redirect. If not provided, one will be made with `createOAuthState`.
+     * @throws {PenguinModAPIError} Throws if the provider or action is not supported.
+     * @returns {{url:string, state:string}} The URL to redirect to, and the state that was used.
+     */
+    buildOAuthRedirectUrl(provider, action, state) {
+        const endpoints = OAUTH_REDIRECTS[provider];
+        const endpoint = endpoints ? endpoints[action] : null;
+        utils.assert(!!endpoints, `${this._parent.apiUrl}/v1/users`, "InvalidOAuthProvider", `OAuth provider '${provider}' is not supported.`);
+        utils.assert(!!endpoint, `${this._parent.apiUrl}/v1/users`, "InvalidOAuthAction", `OAuth action '${action}' is not supported for '${provider}'.`);
 
-    // TODO: These are redirected to from the frontend, not fetched. Perhaps cleanup these into one function that redirects to the correct method so we avoid worrying about different methods, in case they're changed?
-    // TODO: /api/v1/users/githubcallback/addpasswordfinal
-    // TODO: /api/v1/users/googlecallback/addpasswordfinal
-    // TODO: /api/v1/users/scratchaddpasswordfinal
+        const url = new URL(`${this._parent.apiUrl}/v1/users/${endpoint}`);
+        if (!state) state = this.createOAuthState();
+        url.searchParams.set("state", state);
+        return {
+            url: url.toString(),
+            state,
+        };
+    }
+
+    /**
+     * Links an OAuth login method to this account, using the code the OAuth provider sent back.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/users/addoauthmethod
+     * @param {"github"|"google"} method The OAuth provider to link.
+     * @param {string} code The code sent back by the OAuth provider.
+     * @param {string} state The state sent back by the OAuth provider. Check it with `verifyOAuthState` first.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the method is already linked, or the code is invalid.
+     * @returns {Promise<null>}
+     */
+    async addOAuthMethod(method, code, state, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/addoauthmethod`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                method,
+                code,
+                state,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Unlinks an OAuth login method from this account.
+     * The API will not remove the last way to log into an account.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/users/removeoauthmethod
+     * @param {"github"|"google"|"scratch"} method The OAuth provider to unlink.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the method is not linked, or it is the only login method left.
+     * @returns {Promise<null>}
+     */
+    async removeOAuthMethod(method, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/removeoauthmethod`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                method,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Creates an account that logs in with an OAuth provider instead of a password.
+     * Returns a token.
+     * @link https://projects.penguinmod.com/api/v1/users/createoauthaccount
+     * @param {"github"|"google"} method The OAuth provider to create the account with.
+     * @param {string} code The code sent back by the OAuth provider.
+     * @param {string} state The state sent back by the OAuth provider. Check it with `verifyOAuthState` first.
+     * @param {string} username The username of the new account.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the username is taken, or the code is invalid.
+     * @returns {Promise<string>} The token for the new account.
+     */
+    async createOAuthAccount(method, code, state, username, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/createoauthaccount`;
+        const data = await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                method,
+                code,
+                state,
+                username,
+            })
+        }, this._parent, utils.RequestType.JSON, requestOptions);
+        if (this._parent.session) await this._parent.session.setToken(data.token);
+        return data.token;
+    }
+    /**
+     * Logs into an account using an OAuth provider linked to it.
+     * Returns a token.
+     * @link https://projects.penguinmod.com/api/v1/users/loginoauthaccount
+     * @param {"github"|"google"} method The OAuth provider to log in with.
+     * @param {string} code The code sent back by the OAuth provider.
+     * @param {string} state The state sent back by the OAuth provider. Check it with `verifyOAuthState` first.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if no account has this login method linked, or the code is invalid.
+     * @returns {Promise<string>} A token for the account.
+     */
+    async loginOAuthAccount(method, code, state, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/loginoauthaccount`;
+        const data = await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                method,
+                code,
+                state,
+            })
+        }, this._parent, utils.RequestType.JSON, requestOptions);
+        if (this._parent.session) await this._parent.session.setToken(data.token);
+        return data.token;
+    }
+    /**
+     * Adds a password to an account that was created with an OAuth provider, so it can also log in with a password.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/users/addpasswordtooauth
+     * @param {string} password The password to add.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the account already has a password.
+     * @returns {Promise<null>}
+     */
+    async addPasswordToOAuth(password, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/addpasswordtooauth`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        utils.assertValid(PenguinModValidation.validatePassword(password), url);
+
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                password,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
+    /**
+     * Links a Scratch account to this account, so it can be used to log in.
+     * Requires token.
+     * @link https://projects.penguinmod.com/api/v1/users/addscratchlogin
+     * @param {string} privateCode The private code sent back by Scratch authentication.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if the Scratch account is already linked, or the code is invalid.
+     * @returns {Promise<null>}
+     */
+    async addScratchLogin(privateCode, requestOptions) {
+        const url = `${this._parent.apiUrl}/v1/users/addscratchlogin`;
+        utils.assert(!!this._parent.token, url, "Reauthenticate", "No token is registered.");
+        await utils.doBasicRequest(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                privateCode,
+            })
+        }, this._parent, utils.RequestType.None, requestOptions);
+    }
 }
 
 module.exports = PenguinModAPIUsers;
\ No newline at end of file
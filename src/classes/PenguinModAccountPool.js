@@ -0,0 +1,201 @@
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+
+/**
+ * The ways a pool can pick an account when more than one has the wanted role.
+ */
+const PoolStrategy = {
+    /** Take turns, starting from the account after the one picked last. */
+    RoundRobin: "roundRobin",
+    /** Pick the account with the fewest requests waiting or being sent. Accounts without a rate limit of their own count as idle. */
+    LeastBusy: "leastBusy",
+};
+
+/**
+ * @class Keeps clients for several accounts, like a moderator account, a bot account and test accounts,
+ * and picks one to run each action as.
+ * Every account gets a client made with `PenguinModAPI.as`, so they all share the pool client's transport, cache and rate limit,
+ * while each account can also have a rate limit of its own.
+ */
+class PenguinModAccountPool {
+    static Strategy = PoolStrategy;
+
+    /**
+     * @param {PenguinModAPI} client The client every account's client is made from.
+     * @param {Array<PenguinModTypes.PoolAccount>} accounts Optional. Accounts to add to the pool.
+     * @param {Object} options Optional.
+     * @param {"roundRobin"|"leastBusy"} options.strategy How an account is picked when more than one has the wanted role. Default is "roundRobin".
+     * @returns {PenguinModAccountPool}
+     */
+    constructor(client, accounts = [], options = {}) {
+        /** @private */
+        this._client = client;
+        /**
+         * How an account is picked when more than one has the wanted role.
+         * @type {"roundRobin"|"leastBusy"}
+         */
+        this.strategy = options.strategy || PoolStrategy.RoundRobin;
+
+        /** @type {Map<string, {name:string, roles:Array<string>, client:PenguinModAPI}>} @private */
+        this._accounts = new Map();
+        /** @type {Map<string, number>} The index of the account picked last, by role. @private */
+        this._cursors = new Map();
+
+        for (const account of accounts) {
+            this.add(account);
+        }
+    }
+
+    /**
+     * The names of every account in the pool.
+     * @type {Array<string>}
+     */
+    get names() {
+        return Array.from(this._accounts.keys());
+    }
+    /**
+     * The amount of accounts in the pool.
+     * @type {number}
+     */
+    get size() {
+        return this._accounts.size;
+    }
+
+    /**
+     * Adds an account to the pool. An account with the same name is replaced.
+     * @param {PenguinModTypes.PoolAccount} account
+     * @returns {PenguinModAPI} The client for the account.
+     */
+    add(account) {
+        if (!account || !account.name) throw new Error("Provide a name for the account");
+        if (!account.token) throw new Error(`Provide a token for the account "${account.name}"`);
+
+        const client = this._client.as(account.token, { rateLimit: account.rateLimit });
+        this._accounts.set(account.name, {
+            name: account.name,
+            roles: Array.isArray(account.roles) ? account.roles.slice() : [],
+            client,
+        });
+        return client;
+    }
+    /**
+     * Removes an account from the pool.
+     * @param {string} name The name of the account.
+     * @returns {boolean} True if the account was in the pool.
+     */
+    remove(name) {
+        return this._accounts.delete(name);
+    }
+    /**
+     * Checks if an account is in the pool.
+     * @param {string} name The name of the account.
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._accounts.has(name);
+    }
+    /**
+     * Gets the client for a specific account.
+     * @param {string} name The name of the account.
+     * @returns {PenguinModAPI}
+     */
+    get(name) {
+        const account = this._accounts.get(name);
+        if (!account) throw new Error(`There is no account named "${name}" in the pool`);
+        return account.client;
+    }
+    /**
+     * Gets the names of the accounts with a role.
+     * @param {string?} role Optional. If omitted, every account is returned.
+     * @returns {Array<string>}
+     */
+    getNames(role) {
+        return this._getAccounts(role).map(account => account.name);
+    }
+
+    /**
+     * Picks the client of an account to run an action as, using the pool's strategy.
+     * @param {string?} role Optional. Only picks accounts with this role.
+     * @returns {PenguinModAPI}
+     */
+    pick(role) {
+        const accounts = this._getAccounts(role);
+        if (accounts.length === 0) {
+            throw new Error(role ? `There are no accounts with the role "${role}" in the pool` : "There are no accounts in the pool");
+        }
+
+        const cursorKey = role || "";
+        const last = this._cursors.has(cursorKey) ? this._cursors.get(cursorKey) : -1;
+        const start = (last + 1) % accounts.length;
+        let index = start;
+        if (this.strategy === PoolStrategy.LeastBusy) {
+            // ties go to whichever account is next in turn
+            let leastLoad = Infinity;
+            for (let i = 0; i < accounts.length; i++) {
+                const current = (start + i) % accounts.length;
+                const load = this._getLoad(accounts[current]);
+                if (load < leastLoad) {
+                    leastLoad = load;
+                    index = current;
+                }
+            }
+        }
+        this._cursors.set(cursorKey, index);
+        return accounts[index].client;
+    }
+    /**
+     * Runs an action as an account picked with `pick`.
+     * @template T
+     * @param {string|null} role Only picks accounts with this role. Pass null to pick from every account.
+     * @param {(client:PenguinModAPI) => Promise<T>|T} action Called with the client of the picked account.
+     * @returns {Promise<T>} The result of the action.
+     */
+    async run(role, action) {
+        return await action(this.pick(role));
+    }
+    /**
+     * Runs an action as every account with a role, at the same time.
+     * @template T
+     * @param {string|null} role Only runs as accounts with this role. Pass null to run as every account.
+     * @param {(client:PenguinModAPI, name:string) => Promise<T>|T} action Called with the client and name of each account.
+     * @returns {Promise<Object<string, T>>} The result of each action, by account name.
+     */
+    async runAll(role, action) {
+        const accounts = this._getAccounts(role);
+        const results = await Promise.all(accounts.map(account => action(account.client, account.name)));
+
+        const resultsByName = {};
+        accounts.forEach((account, i) => {
+            resultsByName[account.name] = results[i];
+        });
+        return resultsByName;
+    }
+
+    /**
+     * Returns info on each account's own rate limit queue.
+     * Accounts without a rate limit of their own are left out.
+     * @returns {Object<string, PenguinModTypes.RateLimiterStats>}
+     */
+    getStats() {
+        const stats = {};
+        for (const account of this._accounts.values()) {
+            const limiter = account.client.accountRateLimiter;
+            if (limiter) stats[account.name] = limiter.getStats();
+        }
+        return stats;
+    }
+
+    /** @private */
+    _getAccounts(role) {
+        const accounts = Array.from(this._accounts.values());
+        if (!role) return accounts;
+        return accounts.filter(account => account.roles.includes(role));
+    }
+    /** @private */
+    _getLoad(account) {
+        const limiter = account.client.accountRateLimiter;
+        if (!limiter) return 0;
+        return limiter.queueDepth + limiter.activeCount;
+    }
+}
+
+module.exports = PenguinModAccountPool;
@@ -0,0 +1,180 @@
+const feedDigest = require("../misc/feed-digest.js");
+const PenguinModPoller = require("./PenguinModPoller.js");
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+
+/**
+ * The feed options used when none are given.
+ */
+const DEFAULT_FEED_OPTIONS = {
+    interval: 60 * 1000,
+    maxInterval: 10 * 60 * 1000,
+    backoff: 2,
+    resolve: true,
+    emitExisting: true,
+    maxHistory: 1000,
+    history: null,
+};
+
+/**
+ * @class Watches the feed of the client's account, and keeps every item it sees, even after the API stops sending it.
+ * Each new item is emitted once, with the profile of the user it's about and the project it points to.
+ * When nothing new arrives, it waits longer between each poll, up to `maxInterval`.
+ *
+ * Events:
+ * - `item` (entry): every new feed item.
+ * - `follow`, `upload` or `remix` (entry): new feed items of that type.
+ * - `error` (err): a poll failed. Polling keeps going.
+ *
+ * Get one from `PenguinModClient.createFeed`.
+ */
+class PenguinModFeed extends PenguinModPoller {
+    static DEFAULT_FEED_OPTIONS = DEFAULT_FEED_OPTIONS;
+    static groupFeedEntries = feedDigest.groupFeedEntries;
+
+    /**
+     * @param {PenguinModAPI} client The client whose feed is watched.
+     * @param {PenguinModTypes.FeedOptions} options Optional. Any missing options use DEFAULT_FEED_OPTIONS.
+     * @returns {PenguinModFeed}
+     */
+    constructor(client, options = {}) {
+        super({
+            ...DEFAULT_FEED_OPTIONS,
+            ...options,
+        });
+        /** @private */
+        this._client = client;
+
+        /**
+         * Every feed item seen so far, oldest first. Can be saved as JSON and passed back as the `history` option later.
+         * @type {Array<PenguinModTypes.FeedEntry>}
+         */
+        this.history = [];
+        /** @type {Set<string>} The keys of the items in `history`. @private */
+        this._seen = new Set();
+        /** @private */
+        this._polled = false;
+
+        if (Array.isArray(this.options.history)) {
+            for (const entry of this.options.history) {
+                if (entry && entry.key && !this._seen.has(entry.key)) this._remember(entry);
+            }
+            this.history.sort((a, b) => (a.date || 0) - (b.date || 0));
+        }
+    }
+
+    /**
+     * Checks for new feed items once, and emits events for them.
+     * Polls made at the same time share one request.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModTypes.FeedEntry>>} The new items, oldest first.
+     */
+    async poll() {
+        return await super.poll();
+    }
+
+    /**
+     * Gets the items in the history.
+     * @param {number?} since Optional. Only returns items made after this time in milliseconds.
+     * @returns {Array<PenguinModTypes.FeedEntry>} The items, oldest first.
+     */
+    getHistory(since) {
+        if (typeof since !== "number") return this.history.slice();
+        return this.history.filter(entry => (entry.date || 0) > since);
+    }
+    /**
+     * Groups the items in the history, like "3 people followed you" or "Penguin uploaded 2 projects".
+     * Useful for sending a digest of everything that happened since the last one.
+     * @param {number?} since Optional. Only groups items made after this time in milliseconds.
+     * @returns {Array<PenguinModTypes.FeedGroup>} The groups, newest first.
+     */
+    getDigest(since) {
+        const session = this._client.session;
+        const me = this.options.username || (session && session.identity ? session.identity.username : null);
+        return feedDigest.groupFeedEntries(this.getHistory(since), me);
+    }
+    /**
+     * Forgets every item in the history. Items the API still sends will be emitted again on the next poll.
+     */
+    clearHistory() {
+        this.history = [];
+        this._seen.clear();
+    }
+
+    /** @private */
+    async _poll(requestOptions) {
+        const feed = await this._client.users.getMyFeed(requestOptions);
+        const firstPoll = !this._polled;
+        this._polled = true;
+
+        const fresh = (Array.isArray(feed) ? feed : [])
+            .filter(item => item && !this._seen.has(feedDigest.getFeedItemKey(item)))
+            .sort((a, b) => (a.date || 0) - (b.date || 0));
+        const entries = [];
+        for (const item of fresh) {
+            const entry = await this._resolve(item, requestOptions);
+            this._remember(entry);
+            entries.push(entry);
+        }
+
+        // on the first poll, items from before the feed started are only emitted if asked for
+        if (firstPoll && !this.options.emitExisting) return [];
+
+        for (const entry of entries) {
+            this._emit("item", entry);
+            this._emit(entry.type, entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Makes the history entry for a feed item, getting the profiles and project it refers to.
+     * Profiles and projects that can't be found are left as null, so one deleted project never stops the feed.
+     * @private
+     */
+    async _resolve(item, requestOptions) {
+        const data = item.data || {};
+        const entry = {
+            key: feedDigest.getFeedItemKey(item),
+            type: item.type,
+            date: item.date,
+            expireAt: item.expireAt,
+            userId: item.id || null,
+            username: item.username || null,
+            item,
+            user: null,
+            project: null,
+            followed: null,
+        };
+        if (!this.options.resolve) return entry;
+
+        const tryGet = async (get) => {
+            try {
+                return await get();
+            } catch {
+                return null;
+            }
+        };
+        const users = this._client.users;
+        const projects = this._client.projects;
+        const [user, project, followed] = await Promise.all([
+            entry.username ? tryGet(() => users.getProfile(entry.username, requestOptions)) : null,
+            item.type !== "follow" && data.id ? tryGet(() => projects.getProjectMeta(data.id, false, requestOptions)) : null,
+            item.type === "follow" && data.username ? tryGet(() => users.getProfile(data.username, requestOptions)) : null,
+        ]);
+        entry.user = user;
+        entry.project = project;
+        entry.followed = followed;
+        return entry;
+    }
+    /** @private */
+    _remember(entry) {
+        this.history.push(entry);
+        this._seen.add(entry.key);
+        // the oldest items are forgotten first
+        while (this.history.length > this.options.maxHistory) {
+            this._seen.delete(this.history.shift().key);
+        }
+    }
+}
+
+module.exports = PenguinModFeed;
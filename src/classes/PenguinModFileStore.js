@@ -0,0 +1,124 @@
+/**
+ * @class A cache store that keeps each response in its own file, so the cache survives restarts and can be shared between processes.
+ * Only works in Node.js.
+ */
+class PenguinModFileStore {
+    /**
+     * @param {string} directory The folder to keep responses in. It is made if it does not exist.
+     * @returns {PenguinModFileStore}
+     */
+    constructor(directory) {
+        if (!directory) throw new Error("Provide a directory to PenguinModFileStore");
+        /** @type {string} */
+        this.directory = directory;
+
+        /** @private */
+        this._fs = require("fs").promises;
+        /** @private */
+        this._path = require("path");
+        /** @private */
+        this._crypto = require("crypto");
+    }
+
+    /**
+     * Gets the file a key is kept in. Keys are hashed since they are full URLs.
+     * @param {string} key
+     * @returns {string}
+     * @private
+     */
+    _getFile(key) {
+        const hash = this._crypto.createHash("sha256").update(key).digest("hex");
+        return this._path.join(this.directory, `${hash}.json`);
+    }
+    /**
+     * Reads a file made by `set`.
+     * @param {string} file
+     * @returns {Promise<{key:string, entry:PenguinModTypes.CacheEntry}|null>} Null if the file is missing or not readable.
+     * @private
+     */
+    async _readFile(file) {
+        let saved;
+        try {
+            saved = JSON.parse(await this._fs.readFile(file, "utf8"));
+        } catch {
+            return null;
+        }
+        if (!saved || typeof saved.key !== "string" || !saved.entry) return null;
+
+        const entry = saved.entry;
+        if (saved.arrayBuffer) {
+            const buffer = Buffer.from(entry.value, "base64");
+            entry.value = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+        return { key: saved.key, entry };
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<PenguinModTypes.CacheEntry|undefined>}
+     */
+    async get(key) {
+        const saved = await this._readFile(this._getFile(key));
+        if (!saved || saved.key !== key) return undefined;
+        return saved.entry;
+    }
+    /**
+     * @param {string} key
+     * @param {PenguinModTypes.CacheEntry} entry
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        const arrayBuffer = entry.value instanceof ArrayBuffer;
+        const saved = {
+            key,
+            arrayBuffer,
+            entry: {
+                ...entry,
+                value: arrayBuffer ? Buffer.from(entry.value).toString("base64") : entry.value,
+            },
+        };
+
+        await this._fs.mkdir(this.directory, { recursive: true });
+        // write to a temporary file first, so other processes never read half of a response
+        const file = this._getFile(key);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await this._fs.writeFile(tempFile, JSON.stringify(saved));
+        await this._fs.rename(tempFile, file);
+    }
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this._fs.rm(this._getFile(key), { force: true });
+    }
+    /**
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        let files;
+        try {
+            files = await this._fs.readdir(this.directory);
+        } catch {
+            return [];
+        }
+
+        const keys = [];
+        for (const file of files) {
+            if (!file.endsWith(".json")) continue;
+            const saved = await this._readFile(this._path.join(this.directory, file));
+            if (saved) keys.push(saved.key);
+        }
+        return keys;
+    }
+    /**
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const key of await this.keys()) {
+            await this.delete(key);
+        }
+    }
+}
+
+module.exports = PenguinModFileStore;
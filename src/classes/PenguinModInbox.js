@@ -0,0 +1,143 @@
+const messageRender = require("../misc/message-render.js");
+const PenguinModPoller = require("./PenguinModPoller.js");
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+
+/**
+ * The inbox options used when none are given.
+ */
+const DEFAULT_INBOX_OPTIONS = {
+    interval: 30 * 1000,
+    maxInterval: 5 * 60 * 1000,
+    backoff: 2,
+    emitExisting: true,
+    markAsRead: false,
+    maxSeen: 1000,
+};
+
+/**
+ * @class Watches the messages of the client's account, and emits an event for each new one.
+ * Polls the unread message count, and gets the unread messages whenever there are any. Messages are only emitted the first time they're seen.
+ * When nothing new arrives, it waits longer between each poll, up to `maxInterval`.
+ *
+ * Events:
+ * - `message` (message): every new message.
+ * - the message's `MessageBody.type`, like `newBadge`, `reject` or `followerAdded` (message): new messages of that type.
+ * - `count` (count, previousCount): the unread message count changed.
+ * - `error` (err): a poll failed. Polling keeps going.
+ *
+ * Get one from `PenguinModClient.createInbox`.
+ */
+class PenguinModInbox extends PenguinModPoller {
+    static DEFAULT_INBOX_OPTIONS = DEFAULT_INBOX_OPTIONS;
+    static RenderFormat = messageRender.RenderFormat;
+    static renderMessage = messageRender.renderMessage;
+
+    /**
+     * @param {PenguinModAPI} client The client whose messages are watched.
+     * @param {PenguinModTypes.InboxOptions} options Optional. Any missing options use DEFAULT_INBOX_OPTIONS.
+     * @returns {PenguinModInbox}
+     */
+    constructor(client, options = {}) {
+        super({
+            ...DEFAULT_INBOX_OPTIONS,
+            ...options,
+        });
+        /** @private */
+        this._client = client;
+
+        /**
+         * The unread message count from the last poll, or null before the first poll.
+         * @type {number|null}
+         */
+        this.unreadCount = null;
+        /** @type {Set<string>} The IDs of messages that were already emitted, oldest first. @private */
+        this._seen = new Set();
+    }
+
+    /**
+     * Checks for new messages once, and emits events for them.
+     * Polls made at the same time share one request.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModTypes.Message>>} The new messages, oldest first.
+     */
+    async poll() {
+        return await super.poll();
+    }
+
+    /**
+     * Marks a message as read.
+     * @param {PenguinModTypes.Message|string} message The message or its ID.
+     * @returns {Promise<void>}
+     */
+    async markAsRead(message) {
+        const id = typeof message === "object" ? message.id : message;
+        await this._client.users.markMessageAsRead(id, this.options.requestOptions);
+    }
+    /**
+     * Marks every message as read.
+     * @returns {Promise<void>}
+     */
+    async markAllAsRead() {
+        await this._client.users.markAllMessagesAsRead(this.options.requestOptions);
+        this._setUnreadCount(0);
+    }
+
+    /**
+     * Turns a message into text. See `PenguinModInbox.renderMessage`.
+     * @param {PenguinModTypes.Message} message
+     * @param {"text"|"markdown"} format Optional. Default is "text".
+     * @returns {string}
+     */
+    renderMessage(message, format) {
+        return messageRender.renderMessage(message, format);
+    }
+
+    /** @private */
+    async _poll(requestOptions) {
+        const previousCount = this.unreadCount;
+        const count = await this._client.users.getUnreadMessageCount(requestOptions);
+        this._setUnreadCount(count);
+        // the count can stay the same when one message is read and another arrives, so it can't be used to skip getting them
+        if (count === 0) return [];
+
+        const messages = await this._client.users.iterateUnreadMessages({ limit: count }, requestOptions).collectAll();
+        const fresh = messages
+            .filter(message => message && !this._seen.has(message.id))
+            .sort((a, b) => (a.date || 0) - (b.date || 0));
+        for (const message of fresh) {
+            this._remember(message.id);
+        }
+
+        // on the first poll, unread messages from before the inbox started are only emitted if asked for
+        if (previousCount === null && !this.options.emitExisting) return [];
+
+        for (const message of fresh) {
+            this._emit("message", message);
+            if (message.message && message.message.type) this._emit(message.message.type, message);
+        }
+        if (this.options.markAsRead) {
+            for (const message of fresh) {
+                await this.markAsRead(message);
+            }
+            this._setUnreadCount(Math.max(0, this.unreadCount - fresh.length));
+        }
+        return fresh;
+    }
+
+    /** @private */
+    _setUnreadCount(count) {
+        const previousCount = this.unreadCount;
+        this.unreadCount = count;
+        if (count !== previousCount) this._emit("count", count, previousCount);
+    }
+    /** @private */
+    _remember(id) {
+        this._seen.add(id);
+        // Sets keep insertion order, so the oldest IDs are forgotten first
+        while (this._seen.size > this.options.maxSeen) {
+            this._seen.delete(this._seen.values().next().value);
+        }
+    }
+}
+
+module.exports = PenguinModInbox;
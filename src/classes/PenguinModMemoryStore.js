@@ -0,0 +1,62 @@
+/**
+ * @class A cache store that keeps responses in memory. This is the store PenguinModAPI uses if the cache is given no other store.
+ * Other stores can be used as long as they have the same `get`, `set`, `delete`, `keys` and `clear` methods. Any of them may return promises.
+ */
+class PenguinModMemoryStore {
+    /**
+     * @param {Object} options Optional.
+     * @param {number?} options.maxEntries The most responses to keep. The oldest are removed first. Default is 1000.
+     * @returns {PenguinModMemoryStore}
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.maxEntries = options.maxEntries || 1000;
+        /** @type {Map<string, PenguinModTypes.CacheEntry>} @private */
+        this._entries = new Map();
+    }
+
+    /**
+     * The amount of responses being kept.
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {PenguinModTypes.CacheEntry|undefined}
+     */
+    get(key) {
+        return this._entries.get(key);
+    }
+    /**
+     * @param {string} key
+     * @param {PenguinModTypes.CacheEntry} entry
+     */
+    set(key, entry) {
+        // re-adding moves the key to the end, so the oldest entry is always first
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        while (this._entries.size > this.maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+    /**
+     * @param {string} key
+     */
+    delete(key) {
+        this._entries.delete(key);
+    }
+    /**
+     * @returns {Array<string>}
+     */
+    keys() {
+        return Array.from(this._entries.keys());
+    }
+    clear() {
+        this._entries.clear();
+    }
+}
+
+module.exports = PenguinModMemoryStore;
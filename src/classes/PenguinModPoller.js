@@ -0,0 +1,160 @@
+/**
+ * @class The base of PenguinModInbox and PenguinModFeed.
+ * Polls on a timer, waits longer between polls while nothing new arrives, and emits events to listeners.
+ * Subclasses implement `_poll`, which resolves with the new items it found.
+ * Polls are sent with background priority, since nobody is waiting on them, so they don't hold up other requests.
+ * @private
+ */
+class PenguinModPoller {
+    /**
+     * @param {{interval:number, maxInterval:number, backoff:number, requestOptions?:PenguinModTypes.RequestOptions}} options How often to poll, and how to send the requests. Subclasses keep their own options here too.
+     * @returns {PenguinModPoller}
+     */
+    constructor(options) {
+        this.options = options;
+
+        /**
+         * How long to wait before the next poll in milliseconds.
+         * @type {number}
+         */
+        this.currentInterval = this.options.interval;
+
+        /** @type {Map<string, Array<Function>>} @private */
+        this._listeners = new Map();
+        /** @private */
+        this._timer = null;
+        /** @private */
+        this._running = false;
+        /** Changes every time polling starts or stops, so a poll from before that doesn't schedule another one. @private */
+        this._generation = 0;
+        /** @type {Promise<Array<any>>|null} @private */
+        this._polling = null;
+    }
+
+    /**
+     * Whether or not polling has been started.
+     * @type {boolean}
+     */
+    get running() {
+        return this._running;
+    }
+
+    /**
+     * Listens for an event.
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {() => void} Stops listening.
+     */
+    on(event, listener) {
+        if (!this._listeners.has(event)) this._listeners.set(event, []);
+        this._listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+    /**
+     * Listens for an event once.
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {() => void} Stops listening.
+     */
+    once(event, listener) {
+        const wrapped = (...args) => {
+            this.off(event, wrapped);
+            return listener(...args);
+        };
+        return this.on(event, wrapped);
+    }
+    /**
+     * Stops listening for an event.
+     * @param {string} event
+     * @param {Function} listener
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Starts polling. The first poll is sent right away.
+     */
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._generation++;
+        this.currentInterval = this.options.interval;
+        this._tick(this._generation);
+    }
+    /**
+     * Stops polling. A poll that was already sent still finishes.
+     */
+    stop() {
+        this._running = false;
+        this._generation++;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Checks for new items once, and emits events for them.
+     * Polls made at the same time share one request.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<any>>} The new items, oldest first.
+     */
+    async poll() {
+        if (!this._polling) {
+            const requestOptions = { priority: "background", ...this.options.requestOptions };
+            this._polling = this._poll(requestOptions).finally(() => {
+                this._polling = null;
+            });
+        }
+        return await this._polling;
+    }
+
+    /**
+     * Implemented by subclasses.
+     * @param {PenguinModTypes.RequestOptions} requestOptions The options to send the poll's requests with.
+     * @returns {Promise<Array<any>>} The new items, oldest first.
+     * @abstract
+     * @private
+     */
+    async _poll(requestOptions) {
+        return [];
+    }
+
+    /** @private */
+    async _tick(generation) {
+        this._timer = null;
+        let gotItems = false;
+        try {
+            gotItems = (await this.poll()).length > 0;
+        } catch (err) {
+            this._emit("error", err);
+        }
+        // stopped, or stopped and started again while this poll was being sent
+        if (!this._running || generation !== this._generation) return;
+
+        this.currentInterval = gotItems
+            ? this.options.interval
+            : Math.min(this.options.maxInterval, this.currentInterval * this.options.backoff);
+        this._timer = setTimeout(() => this._tick(generation), this.currentInterval);
+    }
+
+    /** @private */
+    _emit(event, ...args) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        for (const listener of listeners.slice()) {
+            try {
+                listener(...args);
+            } catch (err) {
+                // a broken listener shouldn't stop the others, or the polling
+                if (event !== "error") this._emit("error", err);
+            }
+        }
+    }
+}
+
+module.exports = PenguinModPoller;
@@ -0,0 +1,360 @@
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+
+/**
+ * How bad a match from each list of the ProfanityList is.
+ * Lists that aren't here, like `legalExtensions`, are never matched against text.
+ */
+const LIST_SEVERITY = {
+    illegalWords: "flagged",
+    illegalWebsites: "flagged",
+    spacedOutWordsOnly: "flagged",
+    unsafeUsernames: "flagged",
+    potentiallyUnsafeWords: "potentiallyUnsafe",
+    potentiallyUnsafeWordsSpacedOut: "potentiallyUnsafe",
+    potentiallyUnsafeUsernames: "potentiallyUnsafe",
+};
+
+/**
+ * Characters commonly used in place of letters, like "b4dw0rd".
+ * These are only read as letters in words that have letters in them, so numbers like "455" are left alone.
+ */
+const LEETSPEAK = {
+    "0": "o",
+    "1": "i",
+    "3": "e",
+    "4": "a",
+    "5": "s",
+    "7": "t",
+    "8": "b",
+    "@": "a",
+    "$": "s",
+};
+
+/**
+ * How many single characters in a row with spaces between them, like "h i", are read as one word.
+ */
+const MIN_SPACED_OUT_LETTERS = 2;
+
+/**
+ * Finds the hosts of websites in text, like "cdn.example.com" in "see https://cdn.example.com/file".
+ */
+const HOST_REGEX = /(?:[a-z][a-z0-9+.-]*:\/\/)?((?:[a-z0-9-]+\.)+[a-z0-9-]+)/gi;
+
+/**
+ * Turns text into lowercase characters without accents, and remembers where each one came from.
+ * @param {string} text
+ * @returns {Array<{char:string, start:number, end:number}>} `start` and `end` are indexes in the original text.
+ */
+const normalizeText = (text) => {
+    const chars = [];
+    let index = 0;
+    for (const original of String(text)) {
+        const start = index;
+        index += original.length;
+        // "é" becomes "e" and a combining accent, and the accent is dropped
+        const stripped = original.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+        // split by UTF-16 code unit, so indexes in the joined text line up with this array
+        for (const char of stripped.split("")) {
+            chars.push({ char, start, end: index });
+        }
+    }
+    return chars;
+};
+/**
+ * Reads leetspeak in a word as letters, but only if the word has a letter in it.
+ * @param {Array<{char:string, start:number, end:number}>} word
+ * @returns {Array<{char:string, start:number, end:number}>}
+ */
+const readLeetspeak = (word) => {
+    if (!word.some(entry => /[a-z]/.test(entry.char))) return word;
+    return word.map(entry => ({ ...entry, char: LEETSPEAK[entry.char] || entry.char }));
+};
+const joinChars = (chars) => chars.map(entry => entry.char).join("");
+
+const isWordChar = (char) => /[a-z0-9@$]/.test(char);
+
+/**
+ * Splits normalized text into words, and joins spaced out letters like "b a d" or "b.a.d" back into one word.
+ * Leetspeak is read in each word, and in each run of spaced out letters as a whole.
+ * @param {Array<{char:string, start:number, end:number}>} chars
+ * @returns {{words: Array<Array<{char:string, start:number, end:number}>>, spacedOut: Array<Array<{char:string, start:number, end:number}>>}}
+ */
+const splitWords = (chars) => {
+    const words = [];
+    let current = [];
+    for (const entry of chars) {
+        if (isWordChar(entry.char)) {
+            current.push(entry);
+            continue;
+        }
+        if (current.length > 0) words.push(current);
+        current = [];
+    }
+    if (current.length > 0) words.push(current);
+
+    const spacedOut = [];
+    let run = [];
+    const endRun = () => {
+        if (run.length >= MIN_SPACED_OUT_LETTERS) spacedOut.push(readLeetspeak([].concat(...run)));
+        run = [];
+    };
+    for (const word of words) {
+        if (word.length === 1) {
+            run.push(word);
+            continue;
+        }
+        endRun();
+    }
+    endRun();
+    return { words: words.map(readLeetspeak), spacedOut };
+};
+/**
+ * Normalizes a word from the list the same way as the text it's compared with.
+ * @param {string} word
+ * @returns {Array<string>} The words it's made of, since some entries are more than one word.
+ */
+const normalizeWord = (word) => splitWords(normalizeText(word)).words.map(joinChars);
+/**
+ * Takes the host out of a website from the list, so "https://www.example.com/page" becomes "example.com".
+ * @param {string} website
+ * @returns {string}
+ */
+const normalizeWebsite = (website) => String(website).trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .replace(/^www\./, "")
+    .split(/[/?#]/)[0];
+/**
+ * Checks if a host is a website or one of its subdomains, so "cdn.example.com" matches "example.com" but "notexample.com" doesn't.
+ * @param {string} host
+ * @param {string} website A normalized website.
+ * @returns {boolean}
+ */
+const isHostOf = (host, website) => host === website || host.endsWith(`.${website}`);
+
+/**
+ * Finds every place a word appears in normalized text, even inside other words.
+ * @param {Array<{char:string, start:number, end:number}>} chars
+ * @param {string} word A normalized word.
+ * @returns {Array<{start:number, end:number}>} Indexes in the original text.
+ */
+const findAll = (chars, word) => {
+    const spans = [];
+    const text = joinChars(chars);
+    let index = text.indexOf(word);
+    while (index !== -1) {
+        spans.push({ start: chars[index].start, end: chars[index + word.length - 1].end });
+        index = text.indexOf(word, index + 1);
+    }
+    return spans;
+};
+/**
+ * Finds every run of spaced out letters that spells a list entry, like "h i" for "hi".
+ * @param {{words: Array<Array<{char:string, start:number, end:number}>>, spacedOut: Array<Array<{char:string, start:number, end:number}>>}} split From `splitWords`.
+ * @param {Array<string>} pattern The words of the entry, from `normalizeWord`.
+ * @returns {Array<{start:number, end:number}>} Indexes in the original text.
+ */
+const findSpacedOut = (split, pattern) => {
+    const joined = pattern.join("");
+    return split.spacedOut
+        .filter(run => joinChars(run) === joined)
+        .map(run => ({ start: run[0].start, end: run[run.length - 1].end }));
+};
+/**
+ * Finds every place a list entry appears as whole words, or as one run of spaced out letters.
+ * @param {{words: Array<Array<{char:string, start:number, end:number}>>, spacedOut: Array<Array<{char:string, start:number, end:number}>>}} split From `splitWords`.
+ * @param {Array<string>} pattern The words of the entry, from `normalizeWord`.
+ * @returns {Array<{start:number, end:number}>} Indexes in the original text.
+ */
+const findWholeWords = (split, pattern) => {
+    const spans = [];
+    const words = split.words.map(joinChars);
+    for (let i = 0; i + pattern.length <= words.length; i++) {
+        if (!pattern.every((word, offset) => words[i + offset] === word)) continue;
+        const last = split.words[i + pattern.length - 1];
+        spans.push({ start: split.words[i][0].start, end: last[last.length - 1].end });
+    }
+    return spans.concat(findSpacedOut(split, pattern));
+};
+
+/**
+ * @class Checks text, usernames and URLs against a ProfanityList.
+ * Useful for warning users before `setBio`, `createAccount` or a project upload gets rejected.
+ * The API's own rules for each list aren't documented, so this is only a guess at what it flags, and leans towards not flagging normal words.
+ *
+ * - `illegalWords` and `potentiallyUnsafeWords` only match whole words, so "ass" doesn't match "class".
+ * - `spacedOutWordsOnly` and `potentiallyUnsafeWordsSpacedOut` only match when spaced out, so "hi" matches "h i" but not "hi there".
+ * - `illegalWebsites` match the host of a website and its subdomains, so "scam.com" matches "cdn.scam.com" but not "notscam.com".
+ * - `unsafeUsernames` and `potentiallyUnsafeUsernames` match anywhere in a username.
+ *
+ * Text is compared in lowercase, without accents, with leetspeak like "b4dw0rd" read as letters in words that have letters,
+ * and with spaced out letters like "b a d w o r d" read as one word.
+ */
+class PenguinModProfanityFilter {
+    static LIST_SEVERITY = LIST_SEVERITY;
+
+    /**
+     * Makes a filter from the profanity list of the API.
+     * @param {PenguinModAPI} client The client to get the list with. Must be logged into a moderator account.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<PenguinModProfanityFilter>}
+     */
+    static async load(client, requestOptions) {
+        return new PenguinModProfanityFilter(await client.misc.getProfanityList(requestOptions));
+    }
+
+    /**
+     * @param {PenguinModTypes.ProfanityList} list The list to check against, like from `getProfanityList`. Missing lists are treated as empty.
+     * @returns {PenguinModProfanityFilter}
+     */
+    constructor(list) {
+        this.setList(list);
+    }
+
+    /**
+     * Replaces the list the filter checks against.
+     * @param {PenguinModTypes.ProfanityList} list
+     */
+    setList(list) {
+        /** @type {PenguinModTypes.ProfanityList} */
+        this.list = list || {};
+
+        // matches report the word as written in the list, but are found with its normalized pattern
+        const getList = (name, normalize) => (Array.isArray(this.list[name]) ? this.list[name] : [])
+            .map(word => ({ name, word, pattern: normalize(word) }))
+            .filter(entry => entry.pattern.length > 0);
+
+        /** @private */
+        this._wholeWords = [
+            ...getList("illegalWords", normalizeWord),
+            ...getList("potentiallyUnsafeWords", normalizeWord),
+        ];
+        /** @private */
+        this._spacedOut = [
+            ...getList("spacedOutWordsOnly", normalizeWord),
+            ...getList("potentiallyUnsafeWordsSpacedOut", normalizeWord),
+        ];
+        /** @private */
+        this._usernames = [
+            ...getList("unsafeUsernames", word => normalizeWord(word).join("")),
+            ...getList("potentiallyUnsafeUsernames", word => normalizeWord(word).join("")),
+        ];
+        /** @private */
+        this._websites = getList("illegalWebsites", normalizeWebsite);
+    }
+
+    /**
+     * Checks text like a bio, project title or project description.
+     * @param {string} text
+     * @returns {PenguinModTypes.ProfanityVerdict}
+     */
+    checkText(text) {
+        const matches = [];
+        this._checkText(String(text), matches);
+        return this._makeVerdict(String(text), matches);
+    }
+    /**
+     * Checks a username. Also checks it like text.
+     * @param {string} username
+     * @returns {PenguinModTypes.ProfanityVerdict}
+     */
+    checkUsername(username) {
+        const text = String(username);
+        const matches = [];
+        this._checkText(text, matches);
+        const chars = readLeetspeak(normalizeText(text));
+        for (const { name, word, pattern } of this._usernames) {
+            for (const span of findAll(chars, pattern)) {
+                matches.push({ list: name, word, ...span });
+            }
+        }
+        return this._makeVerdict(text, matches);
+    }
+    /**
+     * Checks a URL, like a link in a project's instructions. Also checks it like text.
+     * Websites from `illegalWebsites` match their subdomains too, so "scam.com" matches "https://cdn.scam.com/file".
+     * @param {string} url
+     * @returns {PenguinModTypes.ProfanityVerdict}
+     */
+    checkUrl(url) {
+        const text = String(url);
+        const matches = [];
+        this._checkText(text, matches);
+
+        let hostname = null;
+        try {
+            hostname = new URL(text).hostname.toLowerCase();
+        } catch {
+            // not a full URL, so it was only checked as text
+        }
+        if (hostname) {
+            const start = text.toLowerCase().indexOf(hostname);
+            for (const { name, word, pattern } of this._websites) {
+                if (!isHostOf(hostname, pattern)) continue;
+                // usually it was already found as text
+                if (matches.some(match => match.list === name && match.word === word)) continue;
+                matches.push({
+                    list: name,
+                    word,
+                    start: Math.max(0, start),
+                    end: start === -1 ? text.length : start + hostname.length,
+                });
+            }
+        }
+        return this._makeVerdict(text, matches);
+    }
+    /**
+     * Checks if an extension is in `legalExtensions`.
+     * @param {string} extension The extension ID, like "pen", or its URL.
+     * @returns {boolean}
+     */
+    isExtensionAllowed(extension) {
+        return Array.isArray(this.list.legalExtensions) && this.list.legalExtensions.includes(extension);
+    }
+
+    /** @private */
+    _checkText(text, matches) {
+        const split = splitWords(normalizeText(text));
+        for (const { name, word, pattern } of this._wholeWords) {
+            for (const span of findWholeWords(split, pattern)) {
+                matches.push({ list: name, word, ...span });
+            }
+        }
+        for (const { name, word, pattern } of this._spacedOut) {
+            for (const span of findSpacedOut(split, pattern)) {
+                matches.push({ list: name, word, ...span });
+            }
+        }
+
+        for (const found of text.matchAll(HOST_REGEX)) {
+            const host = found[1].toLowerCase();
+            const start = found.index + found[0].length - found[1].length;
+            for (const { name, word, pattern } of this._websites) {
+                if (!isHostOf(host, pattern)) continue;
+                matches.push({ list: name, word, start, end: start + host.length });
+            }
+        }
+    }
+    /** @private */
+    _makeVerdict(text, matches) {
+        // the same word can be found more than once, like in the text and in its spaced out letters
+        const unique = new Map();
+        for (const match of matches) {
+            const key = `${match.list} ${match.word} ${match.start} ${match.end}`;
+            if (unique.has(key)) continue;
+            unique.set(key, {
+                ...match,
+                severity: LIST_SEVERITY[match.list],
+                text: text.slice(match.start, match.end),
+            });
+        }
+        const sorted = Array.from(unique.values()).sort((a, b) => a.start - b.start || a.end - b.end);
+        return {
+            flagged: sorted.some(match => match.severity === "flagged"),
+            potentiallyUnsafe: sorted.some(match => match.severity === "potentiallyUnsafe"),
+            matches: sorted,
+        };
+    }
+}
+
+module.exports = PenguinModProfanityFilter;
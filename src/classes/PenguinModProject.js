@@ -0,0 +1,266 @@
+const pagination = require("../misc/pagination.js");
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+/** @typedef {import("./PenguinModUser")} PenguinModUser */
+
+/**
+ * @class A PenguinMod project, with methods for anything you can do with it.
+ * Fields are loaded from the project's metadata the first time `load` is called, and are undefined until then.
+ * Get instances of this class from `PenguinModClient.getProject`, instead of making them yourself.
+ */
+class PenguinModProject {
+    /**
+     * @param {PenguinModAPI} client The client used to make requests.
+     * @param {string} id The ID of the project.
+     * @param {PenguinModTypes.Project|PenguinModTypes.StubProject|null} data Optional. Any info already known about the project.
+     * @returns {PenguinModProject}
+     */
+    constructor(client, id, data) {
+        /** @private */
+        this._client = client;
+        /** @type {string} */
+        this.id = String(id);
+        /**
+         * The last info loaded for this project. May only contain some fields if `loaded` is false.
+         * @type {Partial<PenguinModTypes.Project>}
+         */
+        this.data = data || {};
+        /**
+         * Whether or not the full metadata has been loaded.
+         * @type {boolean}
+         */
+        this.loaded = false;
+    }
+
+    /**
+     * Loads the project's metadata. Only sends a request the first time, unless `force` is true.
+     * @param {boolean?} force Optional. Reload the metadata, even if it was already loaded.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if no project was found, or viewing projects is disabled.
+     * @returns {Promise<PenguinModProject>} This project, so calls can be chained.
+     */
+    async load(force, requestOptions) {
+        if (this.loaded && !force) return this;
+
+        this.data = await this._client.projects.getProjectMeta(this.id, false, requestOptions);
+        this.loaded = true;
+        return this;
+    }
+
+    /** @type {string|undefined} */
+    get title() {
+        return this.data.title;
+    }
+    /** @type {string|undefined} */
+    get instructions() {
+        return this.data.instructions;
+    }
+    /** @type {string|undefined} */
+    get notes() {
+        return this.data.notes;
+    }
+    /** @type {number|undefined} */
+    get views() {
+        return this.data.views;
+    }
+    /** @type {boolean|undefined} */
+    get featured() {
+        return this.data.featured;
+    }
+    /**
+     * The time in milliseconds that this project was published.
+     * @type {number|undefined}
+     */
+    get date() {
+        return this.data.date;
+    }
+    /**
+     * The time in milliseconds that this project was last updated.
+     * @type {number|undefined}
+     */
+    get lastUpdate() {
+        return this.data.lastUpdate;
+    }
+    /**
+     * The ID of the project this is a remix of, or null if this is not a remix.
+     * @type {string|null|undefined}
+     */
+    get remixOf() {
+        if (!("remix" in this.data)) return undefined;
+        const remix = this.data.remix;
+        return remix && remix !== "0" ? String(remix) : null;
+    }
+
+    /**
+     * Gets the author of this project. Loads the project first if needed.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<PenguinModUser|null>} The author, or null if the project has none or the author no longer exists.
+     */
+    async getAuthor(requestOptions) {
+        if (!this.data.author) await this.load(false, requestOptions);
+
+        const author = this.data.author;
+        if (!author) return null;
+        if (typeof author === "object") return this._client.getUser(author);
+
+        // some endpoints only give the author's ID
+        const username = await this._client.users.getUsername(author, requestOptions);
+        if (!username) return null;
+        return this._client.getUser({ id: author, username });
+    }
+    /**
+     * Gets the project this is a remix of. Loads the project first if needed.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<PenguinModProject|null>} The remixed project, or null if this is not a remix.
+     */
+    async getRemixOf(requestOptions) {
+        if (this.remixOf === undefined) await this.load(false, requestOptions);
+        return this.remixOf ? this._client.getProject(this.remixOf) : null;
+    }
+
+    /**
+     * Gets the .pmp file of this project.
+     * @param {boolean?} assets If false, will not return any assets in the .pmp project.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<ArrayBuffer>} The .pmp project
+     */
+    async getFile(assets, requestOptions) {
+        return await this._client.projects.getProjectFile(this.id, false, assets, requestOptions);
+    }
+    /**
+     * Gets the thumbnail of this project.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<ArrayBuffer>} The project thumbnail
+     */
+    async getThumbnail(requestOptions) {
+        return await this._client.projects.getProjectThumbnail(this.id, false, requestOptions);
+    }
+    /**
+     * Replaces the file or details of this project. Reload the project afterwards to see the changes.
+     * Requires token.
+     * @param {ArrayBuffer|null} pmpArrayBuffer The new .pmp project. If null, only the details of the project are updated.
+     * @param {PenguinModTypes.ProjectUploadDetails} details The details of the project to change.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Commonly throws if uploading is disabled, the project is not yours, or the project file is invalid.
+     * @returns {Promise<void>}
+     */
+    async update(pmpArrayBuffer, details, requestOptions) {
+        await this._client.projects.updateProject(this.id, pmpArrayBuffer, details, requestOptions);
+        this.loaded = false;
+    }
+
+    /**
+     * Gets the amount of loves (likes) this project has.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<number>}
+     */
+    async getLoves(requestOptions) {
+        return await this._client.projects.getLoves(this.id, requestOptions);
+    }
+    /**
+     * Gets the amount of votes this project has.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<number>}
+     */
+    async getVotes(requestOptions) {
+        return await this._client.projects.getVotes(this.id, requestOptions);
+    }
+    /**
+     * Checks whether or not you have loved and voted for this project.
+     * Requires token.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<{hasLoved:boolean, hasVoted:boolean}>}
+     */
+    async getUserState(requestOptions) {
+        return await this._client.projects.getUserState(this.id, requestOptions);
+    }
+    /**
+     * Loves (likes) this project. Does nothing if it is already loved.
+     * Requires token.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>} True if the love had to be changed, false if it was already set.
+     */
+    async love(requestOptions) {
+        return await this._client.projects.setLoved(this.id, true, requestOptions);
+    }
+    /**
+     * Removes your love (like) from this project. Does nothing if it is not loved.
+     * Requires token.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>} True if the love had to be changed, false if it was already set.
+     */
+    async unlove(requestOptions) {
+        return await this._client.projects.setLoved(this.id, false, requestOptions);
+    }
+    /**
+     * Votes for this project. Does nothing if it is already voted.
+     * Requires token.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>} True if the vote had to be changed, false if it was already set.
+     */
+    async vote(requestOptions) {
+        return await this._client.projects.setVoted(this.id, true, requestOptions);
+    }
+    /**
+     * Removes your vote from this project. Does nothing if it is not voted.
+     * Requires token.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the requests are sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>} True if the vote had to be changed, false if it was already set.
+     */
+    async unvote(requestOptions) {
+        return await this._client.projects.setVoted(this.id, false, requestOptions);
+    }
+    /**
+     * Counts a view on this project.
+     * Token is optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<void>}
+     */
+    async registerView(requestOptions) {
+        await this._client.projects.registerView(this.id, requestOptions);
+    }
+
+    /**
+     * Gets a page of remixes of this project.
+     * @param {number?} page Which page of remixes to look at. If not provided, page will be 0.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Can also throw if viewing projects is disabled.
+     * @returns {Promise<Array<PenguinModProject>>}
+     */
+    async getRemixes(page, requestOptions) {
+        const remixes = await this._client.projects.getRemixes(this.id, page, requestOptions);
+        return remixes.map(remix => this._client.getProject(remix));
+    }
+    /**
+     * Walks through every remix of this project.
+     * @param {PenguinModTypes.PaginationOptions?} options Optional.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModProject>}
+     */
+    iterateRemixes(options, requestOptions) {
+        return pagination.paginate((page) => this.getRemixes(page, requestOptions), options);
+    }
+
+    toJSON() {
+        return {
+            ...this.data,
+            id: this.id,
+        };
+    }
+    toString() {
+        return this.id;
+    }
+}
+
+module.exports = PenguinModProject;
@@ -0,0 +1,140 @@
+/**
+ * The rate limit used when a PenguinModAPI client does not set its own.
+ * @type {PenguinModTypes.RateLimitOptions}
+ */
+const DEFAULT_RATE_LIMIT = {
+    requestsPerSecond: 5,
+    burst: 10,
+    maxConcurrent: 4,
+};
+
+/**
+ * The priorities a request can be queued with.
+ * Interactive requests are always sent before background requests.
+ */
+const RequestPriority = {
+    Interactive: "interactive",
+    Background: "background",
+};
+
+/**
+ * @class Queues requests so they are sent at a limited rate, using a token bucket and a concurrency cap.
+ * PenguinModAPI makes one of these for each API host, so you usually don't need to make one yourself.
+ */
+class PenguinModRateLimiter {
+    static DEFAULT_RATE_LIMIT = DEFAULT_RATE_LIMIT;
+    static RequestPriority = RequestPriority;
+
+    /**
+     * @param {PenguinModTypes.RateLimitOptions} options Optional. Any missing options use DEFAULT_RATE_LIMIT.
+     * @returns {PenguinModRateLimiter}
+     */
+    constructor(options = {}) {
+        /** @type {PenguinModTypes.RateLimitOptions} */
+        this.options = {
+            ...DEFAULT_RATE_LIMIT,
+            ...options,
+        };
+
+        /** @private */
+        this._tokens = this.options.burst;
+        /** @private */
+        this._lastRefill = Date.now();
+        /** @private */
+        this._active = 0;
+        /** @private */
+        this._timer = null;
+        /** @type {Object<string, Array<{task:() => Promise<any>, resolve:Function, reject:Function}>>} @private */
+        this._queues = {
+            [RequestPriority.Interactive]: [],
+            [RequestPriority.Background]: [],
+        };
+    }
+
+    /**
+     * The amount of requests waiting to be sent.
+     * @type {number}
+     */
+    get queueDepth() {
+        return this._queues[RequestPriority.Interactive].length + this._queues[RequestPriority.Background].length;
+    }
+    /**
+     * The amount of requests that have been sent and haven't finished yet.
+     * @type {number}
+     */
+    get activeCount() {
+        return this._active;
+    }
+
+    /**
+     * Returns info on the current state of the queue.
+     * @returns {PenguinModTypes.RateLimiterStats}
+     */
+    getStats() {
+        this._refill();
+        return {
+            queued: this.queueDepth,
+            interactive: this._queues[RequestPriority.Interactive].length,
+            background: this._queues[RequestPriority.Background].length,
+            active: this._active,
+            tokens: this._tokens,
+        };
+    }
+
+    /**
+     * Queues a task to run once the rate limit allows it.
+     * @param {() => Promise<any>} task Sends the request.
+     * @param {"interactive"|"background"|null} priority Optional. Background tasks only run when no interactive tasks are waiting. Default is "interactive".
+     * @returns {Promise<any>} Resolves or rejects with the result of the task.
+     */
+    schedule(task, priority) {
+        const queue = this._queues[priority] || this._queues[RequestPriority.Interactive];
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            this._pump();
+        });
+    }
+
+    /** @private */
+    _refill() {
+        const now = Date.now();
+        const elapsed = (now - this._lastRefill) / 1000;
+        this._tokens = Math.min(this.options.burst, this._tokens + (elapsed * this.options.requestsPerSecond));
+        this._lastRefill = now;
+    }
+    /** @private */
+    _next() {
+        const interactive = this._queues[RequestPriority.Interactive];
+        if (interactive.length > 0) return interactive.shift();
+        return this._queues[RequestPriority.Background].shift();
+    }
+    /** @private */
+    _pump() {
+        while (this.queueDepth > 0 && this._active < this.options.maxConcurrent) {
+            this._refill();
+            if (this._tokens < 1) {
+                if (!this._timer) {
+                    const waitTime = ((1 - this._tokens) / this.options.requestsPerSecond) * 1000;
+                    this._timer = setTimeout(() => {
+                        this._timer = null;
+                        this._pump();
+                    }, Math.ceil(waitTime));
+                }
+                return;
+            }
+
+            this._tokens -= 1;
+            this._active++;
+            const item = this._next();
+            Promise.resolve()
+                .then(() => item.task())
+                .then(item.resolve, item.reject)
+                .finally(() => {
+                    this._active--;
+                    this._pump();
+                });
+        }
+    }
+}
+
+module.exports = PenguinModRateLimiter;
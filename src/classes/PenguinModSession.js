@@ -0,0 +1,175 @@
+const sessionStorage = require("../misc/session-storage.js");
+const PenguinModAPIError = require("./PenguinModAPIError.js");
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+
+/**
+ * The session options used when a PenguinModAPI client does not set its own.
+ */
+const DEFAULT_SESSION_OPTIONS = {
+    key: "penguinmod-session",
+    storage: null,
+    onSessionExpired: null,
+};
+
+/**
+ * The error codes the API sends when a token is missing or has expired.
+ * Other auth errors, like a generic 401, don't mean the token is gone, so they leave the session alone.
+ */
+const EXPIRED_SESSION_CODES = ["Reauthenticate"];
+
+/**
+ * @class Keeps track of which account a PenguinModAPI client is logged in to, and saves its token so it can be used again later.
+ * The client updates its session after logging in, changing the password or logging out,
+ * and asks `onSessionExpired` for a new token when the API says the current one is no longer valid.
+ * Get this from `PenguinModClient.session`, instead of making it yourself.
+ */
+class PenguinModSession {
+    /**
+     * Ways to save the session. Pass the result of one of these as `storage`.
+     */
+    static Storage = {
+        Memory: sessionStorage.createMemoryStorage,
+        File: sessionStorage.createFileStorage,
+        LocalStorage: sessionStorage.createLocalStorage,
+    };
+    static DEFAULT_SESSION_OPTIONS = DEFAULT_SESSION_OPTIONS;
+    static EXPIRED_SESSION_CODES = EXPIRED_SESSION_CODES;
+
+    /**
+     * @param {PenguinModAPI} client The client this session is for.
+     * @param {PenguinModTypes.SessionOptions} options Optional. Any missing options use DEFAULT_SESSION_OPTIONS.
+     * @returns {PenguinModSession}
+     */
+    constructor(client, options = {}) {
+        /** @private */
+        this._client = client;
+        options = {
+            ...DEFAULT_SESSION_OPTIONS,
+            ...options,
+        };
+
+        /**
+         * The key the session is saved under in `storage`.
+         * @type {string}
+         */
+        this.key = options.key;
+        /** @type {PenguinModTypes.SessionStorage} */
+        this.storage = options.storage || sessionStorage.createMemoryStorage();
+        /**
+         * Called when the API says the session's token has expired, see `EXPIRED_SESSION_CODES`. Can resolve with a new token to retry the request with.
+         * If it resolves with nothing, the session is cleared and the request fails.
+         * @type {((err:PenguinModAPIError) => Promise<string|null|void>|string|null|void)|null}
+         */
+        this.onSessionExpired = options.onSessionExpired;
+
+        /**
+         * The account the session is logged in to, once `getIdentity` has been called.
+         * @type {PenguinModTypes.UserIdentity|null}
+         */
+        this.identity = null;
+        /** @type {Promise<string|null>|null} @private */
+        this._renewing = null;
+    }
+
+    /**
+     * The token of the current session, if there is one.
+     * @type {string|null}
+     */
+    get token() {
+        return this._client.token || null;
+    }
+
+    /**
+     * Loads the saved session, and uses its token on the client.
+     * @returns {Promise<string|null>} The saved token, or null if there wasn't one.
+     */
+    async load() {
+        const saved = await this.storage.get(this.key);
+        const token = saved && typeof saved.token === "string" ? saved.token : null;
+        if (token) {
+            this._client.token = token;
+            this.identity = null;
+        }
+        return token;
+    }
+    /**
+     * Starts a new session with a token, and saves it.
+     * @param {string|null} token The new token. If null, the session is cleared.
+     * @returns {Promise<void>}
+     */
+    async setToken(token) {
+        if (!token) return await this.clear();
+
+        this._client.token = token;
+        this.identity = null;
+        await this.storage.set(this.key, { token });
+    }
+    /**
+     * Ends the session without logging out. The token is removed from the client and from storage.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this._client.token = null;
+        this.identity = null;
+        await this.storage.delete(this.key);
+    }
+
+    /**
+     * Gets the account the session is logged in to.
+     * Only requests the API the first time, or after the token changes, unless `force` is true.
+     * @param {boolean?} force Optional. Request the identity again, even if it is already known.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<PenguinModTypes.UserIdentity>}
+     */
+    async getIdentity(force, requestOptions) {
+        if (this.identity && !force) return this.identity;
+
+        const token = this.token;
+        const identity = await this._client.users.getInfo(requestOptions);
+        // dont keep an identity for a token that was replaced while waiting
+        if (this.token === token) this.identity = identity;
+        return identity;
+    }
+
+    /**
+     * Checks if an error from the API means the session's token has expired, so it should be renewed or cleared.
+     * @param {any} err
+     * @returns {boolean}
+     */
+    isExpiredError(err) {
+        return err instanceof PenguinModAPIError.AuthError && EXPIRED_SESSION_CODES.includes(err.message);
+    }
+
+    /**
+     * Asks `onSessionExpired` for a new token after the API rejected `expiredToken`.
+     * Requests that fail at the same time all wait for the same call.
+     * @param {PenguinModAPIError} err The error the API sent back.
+     * @param {string} expiredToken The token the failed request was sent with.
+     * @returns {Promise<string|null>} The token to retry with, or null if the request should fail.
+     * @private
+     */
+    async _renew(err, expiredToken) {
+        // another request already got a new token
+        if (this.token && this.token !== expiredToken) return this.token;
+
+        if (!this._renewing) {
+            this._renewing = (async () => {
+                try {
+                    const token = this.onSessionExpired ? await this.onSessionExpired(err) : null;
+                    if (token && token !== expiredToken) {
+                        await this.setToken(token);
+                        return token;
+                    }
+                    await this.clear();
+                    return null;
+                } finally {
+                    this._renewing = null;
+                }
+            })();
+        }
+        return await this._renewing;
+    }
+}
+
+module.exports = PenguinModSession;
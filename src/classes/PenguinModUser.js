@@ -0,0 +1,250 @@
+const pagination = require("../misc/pagination.js");
+const PenguinModAPIError = require("./PenguinModAPIError.js");
+/** @typedef {import("./PenguinModAPI")} PenguinModAPI */
+/** @typedef {import("./PenguinModProject")} PenguinModProject */
+
+/**
+ * @class A PenguinMod user, with methods for anything you can do with them.
+ * Fields are loaded from the user's profile the first time `load` is called, and are undefined until then.
+ * Get instances of this class from `PenguinModClient.getUser`, instead of making them yourself.
+ */
+class PenguinModUser {
+    /**
+     * @param {PenguinModAPI} client The client used to make requests.
+     * @param {string} username The username of the user.
+     * @param {PenguinModTypes.UserProfile|PenguinModTypes.StubUser|null} data Optional. Any info already known about the user.
+     * @returns {PenguinModUser}
+     */
+    constructor(client, username, data) {
+        /** @private */
+        this._client = client;
+        /** @type {string} */
+        this.username = username;
+        /**
+         * The last info loaded for this user. May only contain some fields if `loaded` is false.
+         * @type {Partial<PenguinModTypes.UserProfile>}
+         */
+        this.data = data || {};
+        /**
+         * Whether or not the full profile has been loaded.
+         * @type {boolean}
+         */
+        this.loaded = false;
+    }
+
+    /**
+     * Loads the user's profile. Only sends a request the first time, unless `force` is true.
+     * @param {boolean?} force Optional. Reload the profile, even if it was already loaded.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError} Throws "NotFound" if the user doesn't exist, is banned, or has a private profile you can't see.
+     * @returns {Promise<PenguinModUser>} This user, so calls can be chained.
+     */
+    async load(force, requestOptions) {
+        if (this.loaded && !force) return this;
+
+        const profile = await this._client.users.getProfile(this.username, requestOptions);
+        if (!profile) {
+            const url = `${this._client.apiUrl}/v1/users/profile?target=${encodeURIComponent(this.username)}`;
+            throw PenguinModAPIError.create("NotFound", `User '${this.username}' was not found.`, 404, { error: "NotFound" }, false, url, null, null, null);
+        }
+        this.data = profile;
+        this.username = profile.real_username || profile.username || this.username;
+        this.loaded = true;
+        return this;
+    }
+
+    /** @type {string|undefined} */
+    get id() {
+        return this.data.id;
+    }
+    /** @type {string|undefined} */
+    get bio() {
+        return this.data.bio;
+    }
+    /** @type {string[]|undefined} */
+    get badges() {
+        return this.data.badges;
+    }
+    /** @type {number|undefined} */
+    get rank() {
+        return this.data.rank;
+    }
+    /** @type {boolean|undefined} */
+    get donator() {
+        return this.data.donator;
+    }
+    /** @type {number|undefined} */
+    get followerCount() {
+        return this.data.followers;
+    }
+    /** @type {boolean|undefined} */
+    get privateProfile() {
+        return this.data.privateProfile;
+    }
+    /**
+     * Whether or not this user is following you.
+     * @type {boolean|undefined}
+     */
+    get followsYou() {
+        return this.data.isFollowing;
+    }
+
+    /**
+     * Follows this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<void>}
+     */
+    async follow(requestOptions) {
+        await this._client.users.followUser(this.username, false, requestOptions);
+    }
+    /**
+     * Unfollows this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<void>}
+     */
+    async unfollow(requestOptions) {
+        await this._client.users.followUser(this.username, true, requestOptions);
+    }
+    /**
+     * Blocks this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<void>}
+     */
+    async block(requestOptions) {
+        await this._client.users.blockUser(this.username, false, requestOptions);
+    }
+    /**
+     * Unblocks this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<void>}
+     */
+    async unblock(requestOptions) {
+        await this._client.users.blockUser(this.username, true, requestOptions);
+    }
+    /**
+     * Checks whether or not you have blocked this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean|null>} If blocking or not, null if not found
+     */
+    async isBlocked(requestOptions) {
+        return await this._client.users.hasBlocked(this.username, requestOptions);
+    }
+    /**
+     * Checks whether or not this user is following someone.
+     * @param {PenguinModUser|string} target The user to check.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>}
+     */
+    async isFollowing(target, requestOptions) {
+        const targetUsername = target instanceof PenguinModUser ? target.username : target;
+        return await this._client.users.isFollowing(this.username, targetUsername, requestOptions);
+    }
+
+    /**
+     * Gets the users following this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModUser>>}
+     */
+    async getFollowers(requestOptions) {
+        const followers = await this._client.users.getFollowers(this.username, requestOptions);
+        return followers.map(follower => this._client.getUser(follower));
+    }
+    /**
+     * Gets the amount of users following this user.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<number>}
+     */
+    async getFollowerCount(requestOptions) {
+        return await this._client.users.getFollowerCount(this.username, requestOptions);
+    }
+    /**
+     * Gets this user's profile picture.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Uint8Array|null>} The profile picture as an octet stream, or null if not found.
+     */
+    async getPFP(requestOptions) {
+        return await this._client.users.getPFP(this.username, requestOptions);
+    }
+    /**
+     * Gets the badges this user owns.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<string>>}
+     */
+    async getBadges(requestOptions) {
+        return await this._client.users.getBadges(this.username, requestOptions);
+    }
+    /**
+     * Gets this user's profile customization.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Object>}
+     */
+    async getCustomization(requestOptions) {
+        return await this._client.users.getCustomization(this.username, requestOptions);
+    }
+    /**
+     * Checks whether or not this user is banned.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<boolean>}
+     */
+    async isBanned(requestOptions) {
+        return await this._client.users.isBanned(this.username, requestOptions);
+    }
+
+    /**
+     * Gets a page of projects this user has uploaded, newest first.
+     * @param {Object} options Optional.
+     * @param {number?} options.page Determines which page of projects should be returned. If not provided, page will be 0.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<Array<PenguinModProject>>}
+     */
+    async getProjects(options, requestOptions) {
+        const projects = await this._client.projects.getProjectsByAuthor(this.username, options, requestOptions);
+        return projects.map(project => this._client.getProject(project));
+    }
+    /**
+     * Walks through every project this user has uploaded.
+     * @param {Object} options Optional. Also accepts any PenguinModTypes.PaginationOptions.
+     * @param {boolean?} options.reverse Whether or not to show oldest projects first. Default is false.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how each page request is sent.
+     * @returns {PenguinModTypes.PageIterator<PenguinModProject>}
+     */
+    iterateProjects(options, requestOptions) {
+        if (!options) options = {};
+        return pagination.paginate((page) => this.getProjects({ page, reverse: options.reverse }, requestOptions), options);
+    }
+    /**
+     * Gets the amount of projects this user has uploaded.
+     * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Changes how the request is sent, such as the retry policy.
+     * @throws {PenguinModAPIError}
+     * @returns {Promise<number>}
+     */
+    async getProjectCount(requestOptions) {
+        return await this._client.users.getProjectCountOfUser(this.username, requestOptions);
+    }
+
+    toJSON() {
+        return {
+            ...this.data,
+            username: this.username,
+        };
+    }
+    toString() {
+        return this.username;
+    }
+}
+
+module.exports = PenguinModUser;
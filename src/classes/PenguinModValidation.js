@@ -0,0 +1,263 @@
+const countryLookup = require("../misc/country-lookup.json");
+const profanityList = require("../misc/profanity-list.js");
+const regexSafety = require("../misc/regex-safety.js");
+
+/**
+ * The limits used by the validators. These match the ones used by the API.
+ */
+const Limits = {
+    usernameMinLength: 3,
+    usernameMaxLength: 20,
+    passwordMinLength: 8,
+    passwordMaxLength: 50,
+};
+
+/**
+ * Same regex as used in the API.
+ */
+const EMAIL_REGEX = /^(([^<>()[\]\\.,;:\s@\"]+(\.[^<>()[\]\\.,;:\s@\"]+)*)|(\".+\"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
+
+/**
+ * Makes a result from the errors that were found.
+ * @param {Array<PenguinModTypes.ValidationIssue>} errors
+ * @returns {PenguinModTypes.ValidationResult}
+ */
+const makeResult = (errors) => ({
+    valid: errors.length === 0,
+    errors,
+});
+
+/**
+ * Checks if a value can be saved as JSON without anything being lost, like functions, `undefined` or class instances.
+ * @param {any} value
+ * @param {Set<Object>} parents The objects that contain this value, to catch circular references.
+ * @returns {boolean}
+ */
+const isPlainJSON = (value, parents) => {
+    if (value === null) return true;
+    switch (typeof value) {
+        case "string":
+        case "boolean":
+            return true;
+        case "number":
+            return isFinite(value);
+        case "object": {
+            if (parents.has(value)) return false;
+            const isArray = Array.isArray(value);
+            if (!isArray && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) return false;
+            parents.add(value);
+            const children = isArray ? value : Object.values(value);
+            const valid = children.every(child => isPlainJSON(child, parents));
+            parents.delete(value);
+            return valid;
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * @class Checks user input the same way the API does, without sending any requests.
+ * Every validator returns all of the rules that failed, not just the first one, so forms can show every problem at once.
+ * The endpoints in PenguinModAPIUsers use these too, and throw the first error as a PenguinModAPIError.
+ */
+class PenguinModValidation {
+    static Limits = Limits;
+
+    /**
+     * Checks a username, like for `createAccount` or `changeUsername`.
+     * @param {string} username
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateUsername(username) {
+        const errors = [];
+        if (typeof username !== "string") {
+            errors.push({ field: "username", code: "InvalidUsername", message: "Username must be a string." });
+            return makeResult(errors);
+        }
+        if (username.length < Limits.usernameMinLength || username.length > Limits.usernameMaxLength) {
+            errors.push({ field: "username", code: "InvalidUsernameLength", message: `Username must be between ${Limits.usernameMinLength} and ${Limits.usernameMaxLength} characters long.` });
+        }
+        if (username.match(/[^a-z0-9\-_]/i)) {
+            errors.push({ field: "username", code: "InvalidUsernameChars", message: "Username can only contain letters, numbers, dashes and underscores." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a new password, like for `createAccount` or `changePassword`.
+     * @param {string} password
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validatePassword(password) {
+        const errors = [];
+        if (typeof password !== "string") {
+            errors.push({ field: "password", code: "InvalidPassword", message: "Password must be a string." });
+            return makeResult(errors);
+        }
+        if (password.length < Limits.passwordMinLength || password.length > Limits.passwordMaxLength) {
+            errors.push({ field: "password", code: "InvalidPasswordLength", message: `Password must be between ${Limits.passwordMinLength} and ${Limits.passwordMaxLength} characters long.` });
+        }
+        if (!password.match(/[a-z]/) || !password.match(/[A-Z]/)) {
+            errors.push({ field: "password", code: "InvalidPasswordText", message: "Password must contain at least one uppercase and one lowercase letter." });
+        }
+        if (!password.match(/[0-9]/) || !password.match(/[^a-z0-9]/i)) {
+            errors.push({ field: "password", code: "InvalidPasswordSpecial", message: "Password must contain at least one number and one special character." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks an email.
+     * @param {string} email
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateEmail(email) {
+        const errors = [];
+        if (typeof email !== "string" || !EMAIL_REGEX.test(email)) {
+            errors.push({ field: "email", code: "InvalidEmail", message: `Email '${email}' is not a valid email.` });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a birthday.
+     * @param {string} birthday Should be parseable by new Date(x).
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateBirthday(birthday) {
+        const errors = [];
+        if (!PenguinModValidation.parseBirthday(birthday)) {
+            errors.push({ field: "birthday", code: "InvalidBirthday", message: "Birthday must be a valid date." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a country code, like "US".
+     * @param {string} country
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateCountry(country) {
+        const errors = [];
+        if (!countryLookup.countryCodes.includes(country)) {
+            errors.push({ field: "country", code: "InvalidCountry", message: "Country must be a valid country code." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a bio.
+     * Only checks that it's a string. The API decides how long it can be.
+     * @param {string} bio
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateBio(bio) {
+        const errors = [];
+        if (typeof bio !== "string") {
+            errors.push({ field: "bio", code: "InvalidBio", message: "Bio must be a string." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks the featured label chosen for `setMyFeaturedProject` or `setMyFeaturedProjectAdmin`.
+     * @param {number} featuredTitle The 1-index based number of the label.
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateFeaturedTitle(featuredTitle) {
+        const errors = [];
+        if (!Number.isInteger(featuredTitle) || featuredTitle < 1) {
+            errors.push({ field: "featuredTitle", code: "InvalidFeaturedTitle", message: "Featured title must be a whole number starting from 1." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks the object given to `setCustomization`.
+     * Only checks that it's an object that can be sent as JSON. The API has its own restrictions on what goes inside it.
+     * @param {Object} customData
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateCustomization(customData) {
+        const errors = [];
+        if (!customData || typeof customData !== "object" || Array.isArray(customData)) {
+            errors.push({ field: "customization", code: "InvalidCustomization", message: "Customization must be an object." });
+        } else if (!isPlainJSON(customData, new Set())) {
+            errors.push({ field: "customization", code: "InvalidCustomization", message: "Customization can only contain strings, numbers, booleans, null, arrays and plain objects." });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a profanity list before it's given to `setProfanityList`.
+     * The API rejects lists with unknown keys, and keys that aren't arrays of strings.
+     * @param {PenguinModTypes.ProfanityList} list
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateProfanityList(list) {
+        const errors = [];
+        if (!list || typeof list !== "object" || Array.isArray(list)) {
+            errors.push({ field: "profanityList", code: "InvalidData", message: "Profanity list must be an object." });
+            return makeResult(errors);
+        }
+        for (const key in list) {
+            if (!profanityList.PROFANITY_LIST_KEYS.includes(key)) {
+                errors.push({ field: key, code: "InvalidData", message: `'${key}' is not a profanity list category.` });
+            } else if (!Array.isArray(list[key]) || list[key].some(word => typeof word !== "string")) {
+                errors.push({ field: key, code: "InvalidData", message: `'${key}' must be an array of strings.` });
+            }
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks a regex before it's given to `massBanRegex`.
+     * Patterns that can take exponential time to run, like `(a+)+`, are rejected, since the API runs them against every username.
+     * @param {string} pattern The source of the regex, without slashes or flags.
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateRegex(pattern) {
+        const errors = [];
+        try {
+            new RegExp(pattern);
+        } catch (err) {
+            errors.push({ field: "regex", code: "InvalidRegex", message: `Regex is not valid: ${err.message}` });
+            return makeResult(errors);
+        }
+        const unsafe = regexSafety.findCatastrophicBacktracking(pattern);
+        if (unsafe) {
+            errors.push({ field: "regex", code: "UnsafeRegex", message: `'${unsafe}' can take too long to run, since it repeats something that already repeats or can match the same text in more than one way.` });
+        }
+        return makeResult(errors);
+    }
+    /**
+     * Checks everything given to `createAccount` at once.
+     * The email, birthday and country are optional, and only checked if given.
+     * @param {PenguinModTypes.SignupDetails} details
+     * @returns {PenguinModTypes.ValidationResult}
+     */
+    static validateSignup(details) {
+        const results = [
+            PenguinModValidation.validateUsername(details.username),
+            PenguinModValidation.validatePassword(details.password),
+        ];
+        if (details.email) results.push(PenguinModValidation.validateEmail(details.email));
+        if (details.birthday) results.push(PenguinModValidation.validateBirthday(details.birthday));
+        if (details.country) results.push(PenguinModValidation.validateCountry(details.country));
+        return makeResult([].concat(...results.map(result => result.errors)));
+    }
+
+    /**
+     * Turns a birthday into the ISO date string the API expects.
+     * @param {string} birthday Should be parseable by new Date(x).
+     * @returns {string|undefined} Undefined if the birthday isn't a valid date.
+     */
+    static parseBirthday(birthday) {
+        if (!birthday) return;
+        if (typeof birthday !== "string") return;
+        try {
+            const date = new Date(birthday);
+            if (isNaN(date.getTime())) {
+                return; // invalid format
+            }
+
+            return date.toISOString();
+        } catch {
+            return;
+        }
+    }
+}
+
+module.exports = PenguinModValidation;
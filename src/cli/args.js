@@ -0,0 +1,134 @@
+const fs = require("fs");
+
+/**
+ * Flags that never take a value.
+ */
+const BOOLEAN_FLAGS = ["json", "yes", "help", "unban", "unread", "remove", "no-assets", "keep-follows"];
+/**
+ * Short versions of flags.
+ */
+const FLAG_ALIASES = {
+    o: "output",
+    y: "yes",
+    h: "help",
+    m: "message",
+    r: "reason",
+};
+
+/**
+ * @class Thrown when the command line is used wrong, so the usage can be shown instead of a stack trace.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message What was wrong.
+     * @returns {UsageError}
+     */
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Splits the command line into positional arguments and flags.
+ * Flags can be written as `--name value`, `--name=value` or `-n value`. Everything after `--` is positional.
+ * @param {Array<string>} argv The arguments, without `node` and the script path.
+ * @returns {{positional:Array<string>, flags:Object<string, string|boolean>}}
+ */
+const parseArgs = (argv) => {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--") {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith("-") || arg === "-") {
+            positional.push(arg);
+            continue;
+        }
+
+        let name = arg.replace(/^--?/, "");
+        let value;
+        const equals = name.indexOf("=");
+        if (equals !== -1) {
+            value = name.slice(equals + 1);
+            name = name.slice(0, equals);
+        }
+        if (!arg.startsWith("--")) name = FLAG_ALIASES[name] || name;
+
+        if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = value === undefined ? true : value !== "false";
+            continue;
+        }
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+            value = argv[++i];
+        }
+        flags[name] = value;
+    }
+
+    return { positional, flags };
+};
+
+/**
+ * Turns a positional argument into the value passed to an endpoint method, for commands that call a method directly.
+ * `true`, `false`, `null`, arrays and objects are parsed as JSON, `@path` reads a file as an ArrayBuffer,
+ * and everything else (including numbers, since IDs are strings) is kept as a string.
+ * @param {string} arg
+ * @returns {any}
+ */
+const parseValue = (arg) => {
+    if (arg === "true") return true;
+    if (arg === "false") return false;
+    if (arg === "null") return null;
+    if (arg.startsWith("@") && arg.length > 1) return readFileBuffer(arg.slice(1));
+    if (/^[[{]/.test(arg)) {
+        try {
+            return JSON.parse(arg);
+        } catch {
+            throw new UsageError(`Could not parse ${arg} as JSON`);
+        }
+    }
+    return arg;
+};
+
+/**
+ * Reads a file into an ArrayBuffer, which is what endpoints that upload files take.
+ * @param {string} filePath
+ * @returns {ArrayBuffer}
+ */
+const readFileBuffer = (filePath) => {
+    let buffer;
+    try {
+        buffer = fs.readFileSync(filePath);
+    } catch (err) {
+        throw new UsageError(`Could not read ${filePath}: ${err.message}`);
+    }
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+};
+
+/**
+ * Reads a number flag.
+ * @param {Object<string, string|boolean>} flags
+ * @param {string} name
+ * @returns {number|undefined} The number, or undefined if the flag wasn't given.
+ */
+const getNumberFlag = (flags, name) => {
+    if (flags[name] === undefined) return undefined;
+    const number = Number(flags[name]);
+    if (!Number.isFinite(number)) throw new UsageError(`--${name} must be a number`);
+    return number;
+};
+
+module.exports = {
+    BOOLEAN_FLAGS,
+    FLAG_ALIASES,
+    UsageError,
+    parseArgs,
+    parseValue,
+    readFileBuffer,
+    getNumberFlag,
+};
@@ -0,0 +1,587 @@
+const args = require("./args.js");
+/** @typedef {import("../classes/PenguinModAPI")} PenguinModAPI */
+
+/**
+ * @typedef {Object} CliCommand
+ * @property {string} usage The arguments the command takes, like "<username> [page]". Arguments in angle brackets are required.
+ * @property {string} description What the command does.
+ * @property {(client:PenguinModAPI, positional:Array<string>, flags:Object<string, string|boolean>, prompt:CliPrompt) => Promise<any>} run Runs the command, and resolves with what should be printed.
+ * @property {((positional:Array<string>, flags:Object<string, string|boolean>) => string)?} confirm If set, the command changes or removes things that are hard to undo,
+ * and asks this question before running unless `--yes` is given. Answering it also confirms the client's destructive actions the command sends.
+ */
+/**
+ * Asks a question in the terminal, or reads the next line of stdin when it isn't a terminal.
+ * @typedef {(question:string, secret?:boolean) => Promise<string>} CliPrompt
+ */
+
+/**
+ * Reads an "on" or "off" argument.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const parseToggle = (value) => {
+    if (/^(on|true|yes|enable)$/i.test(value)) return true;
+    if (/^(off|false|no|disable)$/i.test(value)) return false;
+    throw new args.UsageError(`Expected "on" or "off", got "${value}"`);
+};
+/**
+ * Reads an optional page number argument.
+ * @param {string?} value
+ * @returns {number|undefined}
+ */
+const parsePage = (value) => {
+    if (value === undefined) return undefined;
+    const page = Number(value);
+    if (!Number.isInteger(page) || page < 0) throw new args.UsageError(`"${value}" is not a page number`);
+    return page;
+};
+/**
+ * Reads a flag that must be given.
+ * @param {Object<string, string|boolean>} flags
+ * @param {string} name
+ * @returns {string}
+ */
+const requireFlag = (flags, name) => {
+    if (typeof flags[name] !== "string" || !flags[name]) throw new args.UsageError(`--${name} is required`);
+    return flags[name];
+};
+
+/**
+ * The commands the CLI knows by name, by group.
+ * Any other endpoint method can still be called with `penguinmod <users|projects|misc> <methodName> [args...]`.
+ * @type {Object<string, Object<string, CliCommand>>}
+ */
+const COMMANDS = {
+    auth: {
+        "set-token": {
+            usage: "",
+            description: "Saves a token to the config file. The token is read from stdin, so it never ends up in your shell history.",
+            run: async (client, positional, flags, prompt) => {
+                if (!client.session) throw new args.UsageError("PENGUINMOD_TOKEN is set, so the saved token wouldn't be used");
+                const token = (await prompt("Token: ", true)).trim();
+                if (!token) throw new args.UsageError("No token was given");
+                await client.session.setToken(token);
+                return "Token saved.";
+            },
+        },
+        clear: {
+            usage: "",
+            description: "Removes the saved token from the config file, without logging out.",
+            run: async (client) => {
+                if (client.session) await client.session.clear();
+                return "Token removed.";
+            },
+        },
+        whoami: {
+            usage: "",
+            description: "Shows the account the token belongs to.",
+            run: async (client) => client.session ? await client.session.getIdentity() : await client.users.getInfo(),
+        },
+        logout: {
+            usage: "",
+            description: "Logs out, which makes the token stop working, and removes it from the config file.",
+            run: async (client) => {
+                await client.users.logout();
+                return "Logged out.";
+            },
+        },
+    },
+
+    users: {
+        profile: {
+            usage: "<username>",
+            description: "Shows a user's profile.",
+            run: (client, [username]) => client.users.getProfile(username),
+        },
+        id: {
+            usage: "<username>",
+            description: "Shows the ID of a user.",
+            run: (client, [username]) => client.users.getId(username),
+        },
+        username: {
+            usage: "<id>",
+            description: "Shows the username of a user ID.",
+            run: (client, [id]) => client.users.getUsername(id),
+        },
+        exists: {
+            usage: "<username>",
+            description: "Checks if a user exists.",
+            run: (client, [username]) => client.users.userExists(username),
+        },
+        banned: {
+            usage: "<username>",
+            description: "Checks if a user is banned.",
+            run: (client, [username]) => client.users.isBanned(username),
+        },
+        pfp: {
+            usage: "<username>",
+            description: "Downloads a user's profile picture. Use -o to pick the file.",
+            run: (client, [username]) => client.users.getPFP(username),
+        },
+        badges: {
+            usage: "<username>",
+            description: "Shows a user's badges.",
+            run: (client, [username]) => client.users.getBadges(username),
+        },
+        followers: {
+            usage: "<username>",
+            description: "Shows who follows a user.",
+            run: (client, [username]) => client.users.getFollowers(username),
+        },
+        "follower-count": {
+            usage: "<username>",
+            description: "Shows how many followers a user has.",
+            run: (client, [username]) => client.users.getFollowerCount(username),
+        },
+        "project-count": {
+            usage: "<username>",
+            description: "Shows how many projects a user has.",
+            run: (client, [username]) => client.users.getProjectCountOfUser(username),
+        },
+        follow: {
+            usage: "<username>",
+            description: "Follows a user.",
+            run: async (client, [username]) => {
+                await client.users.followUser(username, false);
+                return `Followed ${username}.`;
+            },
+        },
+        unfollow: {
+            usage: "<username>",
+            description: "Unfollows a user.",
+            run: async (client, [username]) => {
+                await client.users.followUser(username, true);
+                return `Unfollowed ${username}.`;
+            },
+        },
+        block: {
+            usage: "<username>",
+            description: "Blocks a user.",
+            run: async (client, [username]) => {
+                await client.users.blockUser(username, false);
+                return `Blocked ${username}.`;
+            },
+        },
+        unblock: {
+            usage: "<username>",
+            description: "Unblocks a user.",
+            run: async (client, [username]) => {
+                await client.users.blockUser(username, true);
+                return `Unblocked ${username}.`;
+            },
+        },
+        me: {
+            usage: "",
+            description: "Shows your account info.",
+            run: (client) => client.users.getInfo(),
+        },
+        feed: {
+            usage: "",
+            description: "Shows your feed.",
+            run: (client) => client.users.getMyFeed(),
+        },
+        messages: {
+            usage: "[page]",
+            description: "Shows your messages. Add --unread for only unread messages.",
+            run: (client, [page], flags) => flags.unread
+                ? client.users.getUnreadMessages(parsePage(page))
+                : client.users.getMessages(parsePage(page)),
+        },
+        "set-bio": {
+            usage: "<bio>",
+            description: "Changes your bio.",
+            run: async (client, [bio]) => {
+                await client.users.setBio(bio);
+                return "Bio changed.";
+            },
+        },
+        "set-pfp": {
+            usage: "<file>",
+            description: "Changes your profile picture.",
+            run: async (client, [file]) => {
+                await client.users.setPFP(args.readFileBuffer(file));
+                return "Profile picture changed.";
+            },
+        },
+        "change-password": {
+            usage: "",
+            description: "Changes your password, and saves the new token. The passwords are read from stdin.",
+            run: async (client, positional, flags, prompt) => {
+                const oldPassword = await prompt("Current password: ", true);
+                const newPassword = await prompt("New password: ", true);
+                await client.users.changePassword(oldPassword, newPassword);
+                return "Password changed.";
+            },
+        },
+    },
+
+    projects: {
+        meta: {
+            usage: "<id>",
+            description: "Shows a project's title, author, stats and other info.",
+            run: (client, [id]) => client.projects.getProjectMeta(id),
+        },
+        download: {
+            usage: "<id>",
+            description: "Downloads a project as a .pmp file. Use -o to pick the file, and --no-assets to leave out costumes and sounds.",
+            run: (client, [id], flags) => client.projects.getProjectFile(id, false, !flags["no-assets"]),
+        },
+        thumbnail: {
+            usage: "<id>",
+            description: "Downloads a project's thumbnail. Use -o to pick the file.",
+            run: (client, [id]) => client.projects.getProjectThumbnail(id),
+        },
+        upload: {
+            usage: "<file.pmp>",
+            description: "Uploads a project. Needs --title and --thumbnail, and takes --instructions and --notes.",
+            run: (client, [file], flags) => client.projects.uploadProject(args.readFileBuffer(file), {
+                title: requireFlag(flags, "title"),
+                instructions: typeof flags.instructions === "string" ? flags.instructions : undefined,
+                notes: typeof flags.notes === "string" ? flags.notes : undefined,
+                thumbnail: args.readFileBuffer(requireFlag(flags, "thumbnail")),
+            }),
+        },
+        search: {
+            usage: "<query> [page]",
+            description: "Searches for projects.",
+            run: (client, [query, page]) => client.projects.searchProjects(query, parsePage(page)),
+        },
+        "search-users": {
+            usage: "<query> [page]",
+            description: "Searches for users.",
+            run: (client, [query, page]) => client.projects.searchUsers(query, parsePage(page)),
+        },
+        by: {
+            usage: "<username> [page]",
+            description: "Shows the projects made by a user.",
+            run: (client, [username, page]) => client.projects.getProjectsByAuthor(username, { page: parsePage(page) }),
+        },
+        mine: {
+            usage: "[page]",
+            description: "Shows your projects.",
+            run: (client, [page]) => client.projects.getMyProjects(parsePage(page)),
+        },
+        latest: {
+            usage: "[page]",
+            description: "Shows the newest projects.",
+            run: (client, [page]) => client.projects.getProjects({ page: parsePage(page) }),
+        },
+        featured: {
+            usage: "[page]",
+            description: "Shows featured projects.",
+            run: (client, [page]) => client.projects.getFeaturedProjects({ page: parsePage(page) }),
+        },
+        front: {
+            usage: "",
+            description: "Shows the projects on the front page.",
+            run: (client) => client.projects.getFrontPage(),
+        },
+        random: {
+            usage: "",
+            description: "Shows a random project.",
+            run: (client) => client.projects.getRandomProject(),
+        },
+        remixes: {
+            usage: "<id> [page]",
+            description: "Shows the remixes of a project.",
+            run: (client, [id, page]) => client.projects.getRemixes(id, parsePage(page)),
+        },
+        loves: {
+            usage: "<id>",
+            description: "Shows how many loves a project has.",
+            run: (client, [id]) => client.projects.getLoves(id),
+        },
+        votes: {
+            usage: "<id>",
+            description: "Shows how many votes a project has.",
+            run: (client, [id]) => client.projects.getVotes(id),
+        },
+        love: {
+            usage: "<id>",
+            description: "Loves a project. Add --remove to unlove it.",
+            run: async (client, [id], flags) => {
+                await client.projects.setLoved(id, !flags.remove);
+                return flags.remove ? `Unloved ${id}.` : `Loved ${id}.`;
+            },
+        },
+        vote: {
+            usage: "<id>",
+            description: "Votes for a project. Add --remove to take the vote back.",
+            run: async (client, [id], flags) => {
+                await client.projects.setVoted(id, !flags.remove);
+                return flags.remove ? `Removed your vote from ${id}.` : `Voted for ${id}.`;
+            },
+        },
+    },
+
+    misc: {
+        stats: {
+            usage: "",
+            description: "Shows how many users and projects there are.",
+            run: (client) => client.misc.getStats(),
+        },
+        profanity: {
+            usage: "",
+            description: "Shows the profanity list.",
+            run: (client) => client.misc.getProfanityList(),
+        },
+        "policy-update": {
+            usage: "",
+            description: "Shows when the Terms of Service, Privacy Policy and Guidelines were last changed.",
+            run: (client) => client.misc.getLastPolicyUpdate(),
+        },
+        ping: {
+            usage: "",
+            description: "Checks if the API is online.",
+            run: (client) => client.checkOnline(),
+        },
+    },
+
+    admin: {
+        ban: {
+            usage: "<username>",
+            description: "Bans a user. Needs --reason, and takes --time in milliseconds for a temporary ban and --keep-follows.",
+            run: async (client, [username], flags) => {
+                await client.users.ban(username, requireFlag(flags, "reason"), false, args.getNumberFlag(flags, "time"), !flags["keep-follows"]);
+                return `Banned ${username}.`;
+            },
+            confirm: ([username], flags) => flags.time ? `Ban ${username} for ${flags.time}ms?` : `Permanently ban ${username}?`,
+        },
+        unban: {
+            usage: "<username>",
+            description: "Unbans a user. Takes --reason.",
+            run: async (client, [username], flags) => {
+                await client.users.ban(username, typeof flags.reason === "string" ? flags.reason : "", true);
+                return `Unbanned ${username}.`;
+            },
+        },
+        "ban-ip": {
+            usage: "<ip>",
+            description: "Bans an IP. Add --unban to unban it.",
+            run: async (client, [ip], flags) => {
+                await client.users.banIP(ip, !!flags.unban);
+                return flags.unban ? `Unbanned ${ip}.` : `Banned ${ip}.`;
+            },
+            confirm: ([ip], flags) => flags.unban ? `Unban the IP ${ip}?` : `Ban the IP ${ip}?`,
+        },
+        "ban-user-ip": {
+            usage: "<username>",
+            description: "Bans every IP a user has used. Add --unban to unban them.",
+            run: async (client, [username], flags) => {
+                await client.users.banUserIP(username, !!flags.unban);
+                return flags.unban ? `Unbanned the IPs of ${username}.` : `Banned the IPs of ${username}.`;
+            },
+            confirm: ([username], flags) => flags.unban ? `Unban every IP ${username} has used?` : `Ban every IP ${username} has used?`,
+        },
+        "mass-ban": {
+            usage: "<regex>",
+            description: "Bans every user with a username matching a regex. Add --unban to unban them.",
+            run: async (client, [regex], flags) => {
+                await client.users.massBanRegex(regex, !!flags.unban);
+                return "Done.";
+            },
+            confirm: ([regex], flags) => `${flags.unban ? "Unban" : "Ban"} every user with a username matching /${regex}/?`,
+        },
+        "delete-account": {
+            usage: "<username>",
+            description: "Deletes an account. Needs --reason.",
+            run: async (client, [username], flags) => {
+                await client.users.deleteAccount(username, requireFlag(flags, "reason"));
+                return `Deleted ${username}.`;
+            },
+            confirm: ([username]) => `Delete the account ${username}? This can't be undone.`,
+        },
+        rename: {
+            usage: "<username> <new-username>",
+            description: "Changes a user's username.",
+            run: async (client, [username, newUsername]) => {
+                await client.users.changeUsernameAdmin(username, newUsername);
+                return `Renamed ${username} to ${newUsername}.`;
+            },
+            confirm: ([username, newUsername]) => `Rename ${username} to ${newUsername}?`,
+        },
+        "set-bio": {
+            usage: "<username> <bio>",
+            description: "Changes a user's bio.",
+            run: async (client, [username, bio]) => {
+                await client.users.setBioAdmin(username, bio);
+                return `Changed the bio of ${username}.`;
+            },
+        },
+        "set-badges": {
+            usage: "<username> [badges...]",
+            description: "Sets a user's badges, replacing the ones they have.",
+            run: async (client, [username, ...badges]) => {
+                await client.users.setBadges(username, badges);
+                return `Set the badges of ${username}.`;
+            },
+            confirm: ([username, ...badges]) => `Set the badges of ${username} to ${badges.length > 0 ? badges.join(", ") : "nothing"}?`,
+        },
+        "set-position": {
+            usage: "<username>",
+            description: "Makes a user an admin or moderator. Needs --admin and --moderator, each \"on\" or \"off\".",
+            run: async (client, [username], flags) => {
+                const admin = parseToggle(requireFlag(flags, "admin"));
+                const moderator = parseToggle(requireFlag(flags, "moderator"));
+                await client.users.assignPosition(username, admin, moderator);
+                return `Updated ${username}.`;
+            },
+            confirm: ([username], flags) => `Set ${username} to admin ${flags.admin}, moderator ${flags.moderator}?`,
+        },
+        alts: {
+            usage: "<username>",
+            description: "Shows accounts that share IPs with a user.",
+            run: (client, [username]) => client.users.getAlts(username),
+        },
+        ips: {
+            usage: "<username>",
+            description: "Shows every IP a user has used.",
+            run: (client, [username]) => client.users.getAllIPsOf(username),
+        },
+        "ip-accounts": {
+            usage: "<ip>",
+            description: "Shows every account that has used an IP.",
+            run: (client, [ip]) => client.users.getAllAccountsWithIP(ip),
+        },
+        email: {
+            usage: "<username>",
+            description: "Shows a user's email.",
+            run: (client, [username]) => client.users.getEmail(username),
+        },
+        admins: {
+            usage: "",
+            description: "Shows every admin.",
+            run: (client) => client.users.getAdmins(),
+        },
+        mods: {
+            usage: "",
+            description: "Shows every moderator.",
+            run: (client) => client.users.getMods(),
+        },
+        offenders: {
+            usage: "[page]",
+            description: "Shows the users with the most moderation actions against them.",
+            run: (client, [page]) => client.users.getWorstOffenders(parsePage(page)),
+        },
+        "mod-message": {
+            usage: "<username>",
+            description: "Sends a moderator message to a user. Needs --message.",
+            run: async (client, [username], flags) => {
+                await client.projects.sendModMessage(username, requireFlag(flags, "message"));
+                return `Sent to ${username}.`;
+            },
+        },
+        "soft-reject": {
+            usage: "<id>",
+            description: "Hides a project for review. Needs --message.",
+            run: async (client, [id], flags) => {
+                await client.projects.softReject(id, requireFlag(flags, "message"));
+                return `Soft-rejected ${id}.`;
+            },
+            confirm: ([id]) => `Hide project ${id} for review?`,
+        },
+        "hard-reject": {
+            usage: "<id>",
+            description: "Rejects a project, which deletes it later. Needs --message.",
+            run: async (client, [id], flags) => {
+                await client.projects.hardReject(id, requireFlag(flags, "message"));
+                return `Hard-rejected ${id}.`;
+            },
+            confirm: ([id]) => `Hard-reject project ${id}? It will be deleted later.`,
+        },
+        restore: {
+            usage: "<id>",
+            description: "Restores a rejected project.",
+            run: async (client, [id]) => {
+                await client.projects.restoreProject(id);
+                return `Restored ${id}.`;
+            },
+        },
+        "hard-delete": {
+            usage: "<id>",
+            description: "Deletes a project right away.",
+            run: async (client, [id]) => {
+                await client.projects.hardDeleteProject(id);
+                return `Deleted ${id}.`;
+            },
+            confirm: ([id]) => `Delete project ${id}? This can't be undone.`,
+        },
+        viewing: {
+            usage: "<on|off>",
+            description: "Turns viewing projects on or off for everyone.",
+            run: async (client, [toggle]) => {
+                await client.projects.toggleViewing(parseToggle(toggle));
+                return `Viewing is ${parseToggle(toggle) ? "on" : "off"}.`;
+            },
+            confirm: ([toggle]) => `Turn viewing projects ${parseToggle(toggle) ? "on" : "off"} for everyone?`,
+        },
+        uploading: {
+            usage: "<on|off>",
+            description: "Turns uploading projects on or off for everyone.",
+            run: async (client, [toggle]) => {
+                await client.projects.toggleUploading(parseToggle(toggle));
+                return `Uploading is ${parseToggle(toggle) ? "on" : "off"}.`;
+            },
+            confirm: ([toggle]) => `Turn uploading projects ${parseToggle(toggle) ? "on" : "off"} for everyone?`,
+        },
+        "account-creation": {
+            usage: "<on|off>",
+            description: "Turns making accounts on or off for everyone.",
+            run: async (client, [toggle]) => {
+                await client.users.toggleAccountCreation(parseToggle(toggle));
+                return `Account creation is ${parseToggle(toggle) ? "on" : "off"}.`;
+            },
+            confirm: ([toggle]) => `Turn making accounts ${parseToggle(toggle) ? "on" : "off"} for everyone?`,
+        },
+    },
+};
+
+/**
+ * The groups whose endpoint methods can be called by method name.
+ */
+const METHOD_GROUPS = ["users", "projects", "misc"];
+
+/**
+ * Finds the command to run for a group and name.
+ * Names that aren't known commands are looked up as endpoint methods, like `users getProfile`.
+ * Methods that are hard to undo, like `users ban`, are asked about through the client's confirm hook when they run.
+ * @param {PenguinModAPI} client Used to find endpoint methods.
+ * @param {string} group
+ * @param {string} name
+ * @returns {CliCommand|null} The command, or null if there isn't one.
+ */
+const findCommand = (client, group, name) => {
+    if (COMMANDS[group] && Object.prototype.hasOwnProperty.call(COMMANDS[group], name)) return COMMANDS[group][name];
+    if (!METHOD_GROUPS.includes(group) || name.startsWith("_") || name === "constructor") return null;
+
+    const api = client[group];
+    if (typeof api[name] !== "function") return null;
+    return {
+        usage: "[args...]",
+        description: `Calls ${group}.${name} directly.`,
+        run: async (client, positional) => {
+            const result = client[group][name](...positional.map(args.parseValue));
+            // iterate methods give back an async iterator, which is collected so it can be printed
+            if (result && typeof result[Symbol.asyncIterator] === "function" && typeof result.then !== "function") {
+                const items = [];
+                for await (const item of result) items.push(item);
+                return items;
+            }
+            return await result;
+        },
+    };
+};
+
+/**
+ * Counts the required arguments in a usage string.
+ * @param {string} usage
+ * @returns {number}
+ */
+const countRequiredArgs = (usage) => (usage.match(/<[^>]+>/g) || []).length;
+
+module.exports = {
+    COMMANDS,
+    METHOD_GROUPS,
+    findCommand,
+    countRequiredArgs,
+};
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Finds the config file. `--config` wins over `PENGUINMOD_CONFIG`, which wins over the default in the user's config folder.
+ * @param {Object<string, string|undefined>} env The environment variables.
+ * @param {Object<string, string|boolean>} flags The parsed flags.
+ * @returns {string}
+ */
+const getConfigPath = (env, flags) => {
+    if (typeof flags.config === "string") return path.resolve(flags.config);
+    if (env.PENGUINMOD_CONFIG) return path.resolve(env.PENGUINMOD_CONFIG);
+    const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+    return path.join(configHome, "penguinmod", "config.json");
+};
+
+/**
+ * Reads the config file.
+ * @param {string} configPath
+ * @returns {{token?:string, apiUrl?:string}} The config, or an empty object if the file doesn't exist.
+ */
+const readConfig = (configPath) => {
+    let text;
+    try {
+        text = fs.readFileSync(configPath, "utf8");
+    } catch {
+        return {};
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch {
+        throw new Error(`${configPath} is not valid JSON`);
+    }
+    return config && typeof config === "object" ? config : {};
+};
+/**
+ * Writes the config file. It is only readable by the current user, since it can hold the account token.
+ * @param {string} configPath
+ * @param {{token?:string, apiUrl?:string}} config
+ */
+const writeConfig = (configPath, config) => {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + "\n", { mode: 0o600 });
+    // the mode is only used when the file is made, so a file that already existed keeps its old permissions otherwise
+    fs.chmodSync(configPath, 0o600);
+};
+
+/**
+ * Keeps the CLI's session in the `token` property of the config file,
+ * so logging out or changing the password from the CLI updates the saved token.
+ * @param {string} configPath
+ * @returns {PenguinModTypes.SessionStorage}
+ */
+const createConfigStorage = (configPath) => {
+    return {
+        get: () => {
+            const config = readConfig(configPath);
+            return typeof config.token === "string" && config.token ? { token: config.token } : undefined;
+        },
+        set: (key, value) => {
+            writeConfig(configPath, { ...readConfig(configPath), token: value.token });
+        },
+        delete: () => {
+            const config = readConfig(configPath);
+            if (!("token" in config)) return;
+            delete config.token;
+            writeConfig(configPath, config);
+        },
+    };
+};
+
+/**
+ * Works out which API and token the CLI should use.
+ * The token comes from `PENGUINMOD_TOKEN` if it is set, and the config file otherwise.
+ * The API url comes from `--api-url`, then `PENGUINMOD_API_URL`, then the config file.
+ * @param {Object<string, string|undefined>} env The environment variables.
+ * @param {Object<string, string|boolean>} flags The parsed flags.
+ * @returns {{configPath:string, apiUrl:string|undefined, envToken:string|null}}
+ */
+const resolveSettings = (env, flags) => {
+    const configPath = getConfigPath(env, flags);
+    const config = readConfig(configPath);
+    return {
+        configPath,
+        apiUrl: (typeof flags["api-url"] === "string" ? flags["api-url"] : null) || env.PENGUINMOD_API_URL || config.apiUrl || undefined,
+        envToken: env.PENGUINMOD_TOKEN || null,
+    };
+};
+
+module.exports = {
+    getConfigPath,
+    readConfig,
+    writeConfig,
+    createConfigStorage,
+    resolveSettings,
+};
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const util = require("util");
+const readline = require("readline");
+const { Writable } = require("stream");
+const PenguinModAPI = require("../classes/PenguinModAPI.js");
+const PenguinModAPIError = require("../classes/PenguinModAPIError.js");
+const args = require("./args.js");
+const config = require("./config.js");
+const commands = require("./commands.js");
+
+/**
+ * The exit codes the CLI uses.
+ */
+const ExitCode = {
+    Success: 0,
+    Failed: 1,
+    Usage: 2,
+};
+
+const GENERAL_HELP = `Usage: penguinmod <group> <command> [args...] [flags]
+
+Groups:
+  auth       Save, check or remove your token
+  users      Profiles, follows, messages and your account
+  projects   Project info, downloads, uploads and searching
+  misc       Server stats and other info
+  admin      Moderation tools. Commands that are hard to undo ask before running.
+
+Run "penguinmod <group>" to see its commands.
+Any endpoint method can also be called by name, like "penguinmod users getProfile PenguinMod".
+
+Flags:
+  --json              Print the result as JSON
+  -o, --output <file> Write the result to a file, like a downloaded project
+  -y, --yes           Don't ask before running commands that are hard to undo
+  --api-url <url>     Use another API url
+  --config <file>     Use another config file
+  -h, --help          Show help
+
+The token is read from PENGUINMOD_TOKEN, or from the config file (see "penguinmod auth set-token").
+The API url can also be set with PENGUINMOD_API_URL.`;
+
+/**
+ * Makes the help text for a group.
+ * @param {string} group
+ * @returns {string}
+ */
+const getGroupHelp = (group) => {
+    const lines = [`Usage: penguinmod ${group} <command> [args...] [flags]`, "", "Commands:"];
+    const names = Object.keys(commands.COMMANDS[group]);
+    const width = Math.max(...names.map(name => `${name} ${commands.COMMANDS[group][name].usage}`.trim().length));
+    for (const name of names) {
+        const command = commands.COMMANDS[group][name];
+        lines.push(`  ${`${name} ${command.usage}`.trim().padEnd(width)}  ${command.description}`);
+    }
+    if (commands.METHOD_GROUPS.includes(group)) {
+        lines.push("", `Any ${group} method can also be called by name, like "penguinmod ${group} <methodName> [args...]".`);
+        lines.push(`Arguments are passed as strings, except true, false, null and JSON. Use @path to pass a file.`);
+    }
+    return lines.join("\n");
+};
+
+/**
+ * Makes the function commands use to ask questions.
+ * In a terminal, each question is asked on stderr, and secret answers aren't shown as they are typed.
+ * Otherwise each call reads the next line of stdin, so answers can be piped in.
+ * @param {NodeJS.ReadStream} stdin
+ * @param {NodeJS.WriteStream} stderr
+ * @returns {{prompt:commands.CliPrompt, close:() => void}}
+ */
+const createPrompt = (stdin, stderr) => {
+    let pipedLines = null;
+    let pipedInterface = null;
+
+    const prompt = async (question, secret) => {
+        if (!stdin.isTTY) {
+            if (!pipedInterface) {
+                pipedInterface = readline.createInterface({ input: stdin, terminal: false });
+                pipedLines = pipedInterface[Symbol.asyncIterator]();
+            }
+            const { value, done } = await pipedLines.next();
+            return done ? "" : value;
+        }
+
+        stderr.write(question);
+        // with a terminal that discards everything, readline doesn't echo what is typed
+        const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+        const rl = readline.createInterface({
+            input: stdin,
+            output: secret ? muted : undefined,
+            terminal: !!secret,
+        });
+        return await new Promise((resolve) => {
+            rl.once("line", (line) => {
+                rl.close();
+                if (secret) stderr.write("\n");
+                resolve(line);
+            });
+        });
+    };
+    const close = () => {
+        if (pipedInterface) pipedInterface.close();
+    };
+
+    return { prompt, close };
+};
+
+/**
+ * Checks if a result is a file, like a downloaded project or profile picture.
+ * @param {any} result
+ * @returns {boolean}
+ */
+const isBinary = (result) => result instanceof ArrayBuffer || ArrayBuffer.isView(result);
+
+/**
+ * Turns a result into the text that is printed.
+ * @param {any} result
+ * @param {boolean} json If true, the result is printed as JSON.
+ * @param {boolean} colors If true, objects are printed with colors.
+ * @returns {string}
+ */
+const formatResult = (result, json, colors) => {
+    if (json) return JSON.stringify(result === undefined ? null : result, null, 2);
+    if (result === undefined) return "Done.";
+    if (result === null) return "null";
+    if (typeof result === "string") return result;
+    if (Array.isArray(result) && result.every(item => typeof item === "string")) return result.join("\n");
+    return util.inspect(result, { depth: null, colors, maxArrayLength: null });
+};
+
+/**
+ * Prints an error the way the user asked for.
+ * @param {Error} err
+ * @param {Object<string, string|boolean>} flags
+ * @param {NodeJS.WriteStream} stderr
+ */
+const printError = (err, flags, stderr) => {
+    if (err instanceof PenguinModAPIError) {
+        if (flags.json) {
+            stderr.write(JSON.stringify({
+                error: err.message,
+                category: err.category,
+                description: err.description,
+                httpCode: err.httpCode,
+            }, null, 2) + "\n");
+            return;
+        }
+        stderr.write(`Error: ${err.message}\n`);
+        if (err.description) stderr.write(`${err.description}\n`);
+        return;
+    }
+    stderr.write(flags.json ? JSON.stringify({ error: err.message }, null, 2) + "\n" : `Error: ${err.message}\n`);
+};
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv The arguments, without `node` and the script path.
+ * @param {Object} io Optional. Where input comes from and output goes. Defaults to the process's.
+ * @param {NodeJS.ReadStream} io.stdin
+ * @param {NodeJS.WriteStream} io.stdout
+ * @param {NodeJS.WriteStream} io.stderr
+ * @param {Object<string, string|undefined>} io.env
+ * @returns {Promise<number>} The exit code.
+ */
+const main = async (argv, io = {}) => {
+    const stdin = io.stdin || process.stdin;
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const env = io.env || process.env;
+
+    let flags = {};
+    const { prompt, close } = createPrompt(stdin, stderr);
+    try {
+        const parsed = args.parseArgs(argv);
+        flags = parsed.flags;
+        const [group, name, ...positional] = parsed.positional;
+
+        if (!group || group === "help") {
+            stdout.write(GENERAL_HELP + "\n");
+            return group || flags.help ? ExitCode.Success : ExitCode.Usage;
+        }
+        if (!commands.COMMANDS[group]) throw new args.UsageError(`Unknown group "${group}"`);
+        if (!name) {
+            stdout.write(getGroupHelp(group) + "\n");
+            return flags.help ? ExitCode.Success : ExitCode.Usage;
+        }
+
+        const settings = config.resolveSettings(env, flags);
+        const client = new PenguinModAPI({
+            apiUrl: settings.apiUrl,
+            token: settings.envToken,
+            // a token from the environment is never saved
+            session: settings.envToken ? null : { storage: config.createConfigStorage(settings.configPath) },
+        });
+        if (client.session) await client.session.load();
+
+        const askToConfirm = async (question) => {
+            if (!stdin.isTTY) throw new args.UsageError(`${question} Add --yes to run this without a terminal.`);
+            const answer = await prompt(`${question} [y/N] `);
+            return /^y(es)?$/i.test(answer.trim());
+        };
+        // the client asks before every action that is hard to undo, so methods called by name are covered too
+        let confirmed = !!flags.yes;
+        client.setConfirmHook(async (action) => {
+            if (confirmed) return true;
+            return await askToConfirm(`Run ${action.action} with ${JSON.stringify(action.body)}?`);
+        });
+
+        const command = commands.findCommand(client, group, name);
+        if (!command) throw new args.UsageError(`Unknown command "${group} ${name}". Run "penguinmod ${group}" to see its commands.`);
+        if (flags.help) {
+            stdout.write(`Usage: penguinmod ${group} ${name} ${command.usage}`.trim() + `\n\n${command.description}\n`);
+            return ExitCode.Success;
+        }
+        if (positional.length < commands.countRequiredArgs(command.usage)) {
+            throw new args.UsageError(`Usage: penguinmod ${group} ${name} ${command.usage}`.trim());
+        }
+
+        if (command.confirm && !confirmed) {
+            if (!await askToConfirm(command.confirm(positional, flags))) {
+                stderr.write("Cancelled.\n");
+                return ExitCode.Failed;
+            }
+            confirmed = true;
+        }
+
+        const result = await command.run(client, positional, flags, prompt);
+        if (isBinary(result)) {
+            const bytes = Buffer.from(result instanceof ArrayBuffer ? result : result.buffer.slice(result.byteOffset, result.byteOffset + result.byteLength));
+            if (typeof flags.output === "string") {
+                fs.writeFileSync(flags.output, bytes);
+                stderr.write(`Saved ${bytes.length} bytes to ${flags.output}\n`);
+            } else if (!stdout.isTTY) {
+                stdout.write(bytes);
+            } else {
+                throw new args.UsageError("The result is a file. Use -o to pick where to save it.");
+            }
+            return ExitCode.Success;
+        }
+
+        const text = formatResult(result, !!flags.json, !!stdout.isTTY && typeof flags.output !== "string");
+        if (typeof flags.output === "string") {
+            fs.writeFileSync(flags.output, text + "\n");
+        } else {
+            stdout.write(text + "\n");
+        }
+        return ExitCode.Success;
+    } catch (err) {
+        if (err instanceof PenguinModAPIError && err.message === "ActionNotConfirmed") {
+            stderr.write("Cancelled.\n");
+            return ExitCode.Failed;
+        }
+        printError(err, flags, stderr);
+        if (err instanceof PenguinModAPIError.AuthError && !env.PENGUINMOD_TOKEN) {
+            stderr.write(`Run "penguinmod auth set-token" to save a working token.\n`);
+        }
+        return err instanceof args.UsageError ? ExitCode.Usage : ExitCode.Failed;
+    } finally {
+        close();
+    }
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    ExitCode,
+    main,
+};
@@ -1,7 +1,52 @@
 const PenguinModAPI = require("./classes/PenguinModAPI.js");
 const PenguinModAPIError = require("./classes/PenguinModAPIError.js");
+const PenguinModRateLimiter = require("./classes/PenguinModRateLimiter.js");
+const PenguinModDiscovery = require("./classes/PenguinModDiscovery.js");
+const PenguinModUser = require("./classes/PenguinModUser.js");
+const PenguinModProject = require("./classes/PenguinModProject.js");
+const PenguinModMemoryStore = require("./classes/PenguinModMemoryStore.js");
+const PenguinModFileStore = require("./classes/PenguinModFileStore.js");
+const PenguinModSession = require("./classes/PenguinModSession.js");
+const PenguinModAccountPool = require("./classes/PenguinModAccountPool.js");
+const PenguinModInbox = require("./classes/PenguinModInbox.js");
+const PenguinModFeed = require("./classes/PenguinModFeed.js");
+const PenguinModValidation = require("./classes/PenguinModValidation.js");
+const PenguinModProfanityFilter = require("./classes/PenguinModProfanityFilter.js");
+const profanityList = require("./misc/profanity-list.js");
+const investigation = require("./misc/investigation.js");
 
 module.exports = {
     PenguinModAPI,
     PenguinModAPIError,
+    NotFoundError: PenguinModAPIError.NotFoundError,
+    AuthError: PenguinModAPIError.AuthError,
+    PermissionError: PenguinModAPIError.PermissionError,
+    RateLimitedError: PenguinModAPIError.RateLimitedError,
+    ValidationError: PenguinModAPIError.ValidationError,
+    NetworkError: PenguinModAPIError.NetworkError,
+    ParseError: PenguinModAPIError.ParseError,
+    ServerError: PenguinModAPIError.ServerError,
+    ErrorCategory: PenguinModAPIError.ErrorCategory,
+    ERROR_CODES: PenguinModAPIError.ERROR_CODES,
+    isRetryable: PenguinModAPIError.isRetryable,
+    PenguinModRateLimiter,
+    PenguinModDiscovery,
+    PenguinModUser,
+    PenguinModProject,
+    PenguinModMemoryStore,
+    PenguinModFileStore,
+    PenguinModSession,
+    PenguinModAccountPool,
+    PenguinModInbox,
+    renderMessage: PenguinModInbox.renderMessage,
+    PenguinModFeed,
+    PenguinModValidation,
+    PenguinModProfanityFilter,
+    ProfanityFilter: PenguinModProfanityFilter,
+    diffProfanityList: profanityList.diffProfanityList,
+    applyProfanityPatch: profanityList.applyProfanityPatch,
+    saveProfanitySnapshot: profanityList.saveProfanitySnapshot,
+    loadProfanitySnapshot: profanityList.loadProfanitySnapshot,
+    listProfanitySnapshots: profanityList.listProfanitySnapshots,
+    renderInvestigation: investigation.renderInvestigation,
 }
\ No newline at end of file
@@ -0,0 +1,203 @@
+const credentials = require("./credentials.js");
+const retry = require("./retry.js");
+/** @typedef {import("../classes/PenguinModAPI")} PenguinModAPI */
+
+/**
+ * How long responses from each endpoint are cached for in milliseconds, when a client turns on caching.
+ * Endpoints that are not listed are never cached.
+ */
+const DEFAULT_CACHE_TTLS = {
+    "/v1/misc/getStats": 60 * 1000,
+    "/v1/users/profile": 60 * 1000,
+    "/v1/users/getpfp": 5 * 60 * 1000,
+    "/v1/users/getBadges": 5 * 60 * 1000,
+    "/v1/users/meta/getfollowercount": 60 * 1000,
+    "/v1/projects/getproject": 5 * 60 * 1000,
+};
+
+/**
+ * The cached endpoints that each write endpoint can change.
+ * When a request to a write endpoint succeeds, every cached response from these endpoints is removed.
+ */
+const INVALIDATED_BY = {
+    "/v1/users/setBio": ["/v1/users/profile"],
+    "/v1/users/setbioadmin": ["/v1/users/profile"],
+    "/v1/users/setmyfeaturedproject": ["/v1/users/profile"],
+    "/v1/users/setmyfeaturedprojectadmin": ["/v1/users/profile"],
+    "/v1/users/privateProfile": ["/v1/users/profile"],
+    "/v1/users/changeUsername": ["/v1/users/profile", "/v1/users/getpfp", "/v1/users/getBadges", "/v1/users/meta/getfollowercount"],
+    "/v1/users/changeusernameadmin": ["/v1/users/profile", "/v1/users/getpfp", "/v1/users/getBadges", "/v1/users/meta/getfollowercount"],
+    "/v1/users/ban": ["/v1/users/profile", "/v1/misc/getStats"],
+    "/v1/users/deleteaccount": ["/v1/users/profile", "/v1/users/getpfp", "/v1/users/getBadges", "/v1/misc/getStats"],
+    "/v1/users/setpfp": ["/v1/users/getpfp"],
+    "/v1/users/setpfpadmin": ["/v1/users/getpfp"],
+    "/v1/users/setBadges": ["/v1/users/getBadges", "/v1/users/profile"],
+    "/v1/users/setbadgesmultiple": ["/v1/users/getBadges", "/v1/users/profile"],
+    "/v1/users/follow": ["/v1/users/meta/getfollowercount", "/v1/users/profile"],
+    "/v1/projects/uploadProject": ["/v1/misc/getStats"],
+    "/v1/projects/updateProject": ["/v1/projects/getproject"],
+    "/v1/projects/softreject": ["/v1/projects/getproject"],
+    "/v1/projects/hardreject": ["/v1/projects/getproject"],
+    "/v1/projects/restore": ["/v1/projects/getproject"],
+    "/v1/projects/hardDeleteProject": ["/v1/projects/getproject", "/v1/misc/getStats"],
+    "/v1/users/changeprojectid": ["/v1/projects/getproject"],
+};
+
+/**
+ * Gets a short name for the account a request is sent as, so accounts never see each other's cached responses.
+ * The token is hashed, so it never ends up in a cache store.
+ * Uses the Web Crypto API, so it works in browsers and Node.js.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions The options given to the endpoint method.
+ * @returns {Promise<string>}
+ */
+const getAccountKey = async (apiClass, requestOptions) => {
+    if (requestOptions && requestOptions.credentials === false) return "anonymous";
+    const token = requestOptions && requestOptions.token ? requestOptions.token : apiClass.token;
+    if (!token) return "anonymous";
+    const webcrypto = globalThis.crypto || require("crypto").webcrypto;
+    const digest = await webcrypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, "0")).join("");
+};
+
+/**
+ * Gets the key a response is cached under. Keys start with the endpoint path, so they can be removed by endpoint.
+ * @param {string} path The endpoint path.
+ * @param {string} url The URL being requested, without the token.
+ * @param {string} requestType The type that the result of the request is parsed as.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions The options given to the endpoint method.
+ * @returns {Promise<string>}
+ */
+const getCacheKey = async (path, url, requestType, apiClass, requestOptions) => {
+    return `${path} ${await getAccountKey(apiClass, requestOptions)} ${requestType} ${url}`;
+};
+
+/**
+ * Decides how long a response should be cached for.
+ * @param {PenguinModTypes.CacheOptions} cacheOptions The client's cache options.
+ * @param {string|null} path The endpoint path.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Can skip the cache with `cache: false`, or pick a TTL with `cache: number`.
+ * @returns {number} The TTL in milliseconds, or 0 if the response should not be cached.
+ */
+const resolveTTL = (cacheOptions, path, requestOptions) => {
+    const override = requestOptions ? requestOptions.cache : undefined;
+    if (override === false) return 0;
+    if (!path || !(path in cacheOptions.endpoints)) return 0;
+    if (typeof override === "number") return Math.max(0, override);
+    return cacheOptions.endpoints[path] || 0;
+};
+
+/**
+ * Copies a cached response, so changing what an endpoint returns never changes the cache.
+ * @param {any} value
+ * @returns {any}
+ */
+const copyValue = (value) => {
+    if (value instanceof ArrayBuffer) return value.slice(0);
+    if (value && typeof value === "object") return structuredClone(value);
+    return value;
+};
+
+/**
+ * Removes every cached response from specific endpoints.
+ * @param {PenguinModAPI} apiClass The client to remove responses from.
+ * @param {Array<string>|null} paths The endpoint paths, like "/v1/users/profile". If null, the whole cache is cleared.
+ * @returns {Promise<void>}
+ */
+const invalidate = async (apiClass, paths) => {
+    const cacheOptions = apiClass.cache;
+    if (!cacheOptions) return;
+
+    const store = cacheOptions.store;
+    if (!paths) {
+        await store.clear();
+        return;
+    }
+    if (paths.length === 0) return;
+
+    const prefixes = paths.map(path => `${path} `);
+    for (const key of await store.keys()) {
+        if (prefixes.some(prefix => key.startsWith(prefix))) {
+            await store.delete(key);
+        }
+    }
+};
+
+/**
+ * Sends a request through the client's cache, if it has caching enabled.
+ * Reads from cached endpoints are answered from the cache while fresh, and identical reads that are sent at the same time share one request.
+ * Reads with their own AbortSignal are never shared, and neither are reads with different timeouts, so one caller can't cancel another's request.
+ * Successful writes remove the cached responses they may have changed.
+ *
+ * A cache store that fails to read or write is treated as empty, so a broken store never breaks requests.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {string} url The URL being requested, without the token.
+ * @param {RequestInit} options The fetch options of the request.
+ * @param {string} requestType The type that the result of the request is parsed as.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions The options given to the endpoint method.
+ * @param {() => Promise<any>} send Sends the request.
+ * @returns {Promise<any>}
+ */
+const withCache = async (apiClass, url, options, requestType, requestOptions, send) => {
+    const cacheOptions = apiClass.cache;
+    if (!cacheOptions) return await send();
+
+    const path = credentials.getEndpointPath(url, apiClass.apiUrl);
+    if (!retry.isIdempotent(options)) {
+        const result = await send();
+        try {
+            await invalidate(apiClass, INVALIDATED_BY[path] || []);
+        } catch {
+            // the write still went through
+        }
+        return result;
+    }
+
+    // RequestType.None resolves with the raw response, which can only be read once
+    const ttl = resolveTTL(cacheOptions, path, requestOptions);
+    if (!ttl || requestType === "none") return await send();
+
+    const store = cacheOptions.store;
+    const key = await getCacheKey(path, url, requestType, apiClass, requestOptions);
+    try {
+        const entry = await store.get(key);
+        if (entry && entry.expires > Date.now()) return copyValue(entry.value);
+    } catch {
+        // act like it wasnt cached
+    }
+
+    const sendAndStore = async () => {
+        const value = await send();
+        try {
+            await store.set(key, {
+                value: copyValue(value),
+                expires: Date.now() + ttl,
+            });
+        } catch {
+            // the response is still fine to use
+        }
+        return value;
+    };
+    if ((requestOptions && requestOptions.signal) || options.signal) return await sendAndStore();
+
+    const timeout = requestOptions && requestOptions.timeout !== undefined ? requestOptions.timeout : apiClass.timeout;
+    const inflightKey = `${key} ${timeout}`;
+    const inflight = apiClass._inflightRequests;
+    if (!inflight.has(inflightKey)) {
+        const request = sendAndStore().finally(() => {
+            inflight.delete(inflightKey);
+        });
+        inflight.set(inflightKey, request);
+    }
+    return copyValue(await inflight.get(inflightKey));
+};
+
+module.exports = {
+    DEFAULT_CACHE_TTLS,
+    INVALIDATED_BY,
+    getCacheKey,
+    resolveTTL,
+    invalidate,
+    withCache,
+};
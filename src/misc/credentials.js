@@ -0,0 +1,222 @@
+/** @typedef {import("../classes/PenguinModAPI")} PenguinModAPI */
+
+/**
+ * Where the account token can be placed in a request.
+ */
+const CredentialPlacement = {
+    /** In an HTTP header, see `PenguinModTypes.CredentialOptions.headerName`. This keeps the token out of URLs and logs. */
+    Header: "header",
+    /** In the `token` query parameter of the URL. */
+    Query: "query",
+    /** In the `token` property of the JSON body, or the `token` field of a FormData body. */
+    Body: "body",
+};
+
+/**
+ * The credential options used when a PenguinModAPI client does not set its own.
+ * @type {PenguinModTypes.CredentialOptions}
+ */
+const DEFAULT_CREDENTIAL_OPTIONS = {
+    placement: CredentialPlacement.Header,
+    headerName: "Authorization",
+    headerPrefix: "Bearer ",
+    endpoints: {},
+};
+
+/**
+ * Every endpoint that takes an account token, and where the API accepts the token for that endpoint.
+ * The first placement is where the token has always been sent, and is used if the preferred placement is not accepted.
+ * Only add `CredentialPlacement.Header` to an endpoint once the API is known to read the header there.
+ */
+const AUTHENTICATED_ENDPOINTS = {
+    "/v1/misc/getLastPolicyRead": [CredentialPlacement.Query],
+    "/v1/misc/getProfanityList": [CredentialPlacement.Query],
+    "/v1/misc/markGuidelinesAsRead": [CredentialPlacement.Body],
+    "/v1/misc/markPrivacyPolicyAsRead": [CredentialPlacement.Body],
+    "/v1/misc/markTOSAsRead": [CredentialPlacement.Body],
+    "/v1/misc/setLastPolicyUpdate": [CredentialPlacement.Body],
+    "/v1/misc/setProfanityList": [CredentialPlacement.Body],
+    "/v1/projects/deletemodmessage": [CredentialPlacement.Body],
+    "/v1/projects/dispute": [CredentialPlacement.Body],
+    "/v1/projects/downloadHardReject": [CredentialPlacement.Query],
+    "/v1/projects/frontpage": [CredentialPlacement.Query],
+    "/v1/projects/getWhoLoved": [CredentialPlacement.Query],
+    "/v1/projects/getWhoVoted": [CredentialPlacement.Query],
+    "/v1/projects/getmyprojects": [CredentialPlacement.Query],
+    "/v1/projects/getprojects": [CredentialPlacement.Query],
+    "/v1/projects/getprojectsbyauthor": [CredentialPlacement.Query],
+    "/v1/projects/getuserstatewrapper": [CredentialPlacement.Query],
+    "/v1/projects/hardDeleteProject": [CredentialPlacement.Body],
+    "/v1/projects/hardreject": [CredentialPlacement.Body],
+    "/v1/projects/hasLoved": [CredentialPlacement.Query],
+    "/v1/projects/hasLovedAdmin": [CredentialPlacement.Query],
+    "/v1/projects/hasVoted": [CredentialPlacement.Query],
+    "/v1/projects/hasVotedAdmin": [CredentialPlacement.Query],
+    "/v1/projects/interactions/loveToggle": [CredentialPlacement.Body],
+    "/v1/projects/interactions/registerView": [CredentialPlacement.Body],
+    "/v1/projects/interactions/showMeLess": [CredentialPlacement.Body],
+    "/v1/projects/interactions/showMeMore": [CredentialPlacement.Body],
+    "/v1/projects/interactions/voteToggle": [CredentialPlacement.Body],
+    "/v1/projects/modmessage": [CredentialPlacement.Body],
+    "/v1/projects/modresponse": [CredentialPlacement.Body],
+    "/v1/projects/restore": [CredentialPlacement.Body],
+    "/v1/projects/searchprojects": [CredentialPlacement.Query],
+    "/v1/projects/softreject": [CredentialPlacement.Body],
+    "/v1/projects/toggleaccountcreation": [CredentialPlacement.Body],
+    "/v1/projects/toggleuploading": [CredentialPlacement.Body],
+    "/v1/projects/toggleviewing": [CredentialPlacement.Body],
+    "/v1/projects/updateProject": [CredentialPlacement.Body],
+    "/v1/projects/uploadProject": [CredentialPlacement.Body],
+    "/v1/users/addoauthmethod": [CredentialPlacement.Body],
+    "/v1/users/addpasswordtooauth": [CredentialPlacement.Body],
+    "/v1/users/addscratchlogin": [CredentialPlacement.Body],
+    "/v1/users/assignPossition": [CredentialPlacement.Body],
+    "/v1/users/ban": [CredentialPlacement.Body],
+    "/v1/users/banip": [CredentialPlacement.Body],
+    "/v1/users/banuserip": [CredentialPlacement.Body],
+    "/v1/users/blockuser": [CredentialPlacement.Body],
+    "/v1/users/changePassword": [CredentialPlacement.Body],
+    "/v1/users/changeUsername": [CredentialPlacement.Body],
+    "/v1/users/changeprojectid": [CredentialPlacement.Body],
+    "/v1/users/changeusernameadmin": [CredentialPlacement.Body],
+    "/v1/users/customization/setCustomization": [CredentialPlacement.Body],
+    "/v1/users/customization/setCustomizationDisabled": [CredentialPlacement.Body],
+    "/v1/users/deleteaccount": [CredentialPlacement.Body],
+    "/v1/users/deleteallemails": [CredentialPlacement.Body],
+    "/v1/users/filloutSafetyDetails": [CredentialPlacement.Body],
+    "/v1/users/follow": [CredentialPlacement.Body],
+    "/v1/users/getAllAccountsWithIP": [CredentialPlacement.Query],
+    "/v1/users/getAllIPs": [CredentialPlacement.Query],
+    "/v1/users/getAlts": [CredentialPlacement.Query],
+    "/v1/users/getadmins": [CredentialPlacement.Query],
+    "/v1/users/getemail": [CredentialPlacement.Query],
+    "/v1/users/getmessagecount": [CredentialPlacement.Query],
+    "/v1/users/getmessages": [CredentialPlacement.Query],
+    "/v1/users/getmods": [CredentialPlacement.Query],
+    "/v1/users/getmyfeed": [CredentialPlacement.Query],
+    "/v1/users/getunreadmessagecount": [CredentialPlacement.Query],
+    "/v1/users/getunreadmessages": [CredentialPlacement.Query],
+    "/v1/users/getworstoffenders": [CredentialPlacement.Query],
+    "/v1/users/hasblocked": [CredentialPlacement.Query],
+    "/v1/users/isadmin": [CredentialPlacement.Query],
+    "/v1/users/ismod": [CredentialPlacement.Query],
+    "/v1/users/logout": [CredentialPlacement.Body],
+    "/v1/users/markallmessagesasread": [CredentialPlacement.Body],
+    "/v1/users/markmessageasread": [CredentialPlacement.Body],
+    "/v1/users/massbanregex": [CredentialPlacement.Body],
+    "/v1/users/privateProfile": [CredentialPlacement.Body],
+    "/v1/users/profile": [CredentialPlacement.Query],
+    "/v1/users/removeoauthmethod": [CredentialPlacement.Body],
+    "/v1/users/requestrankup": [CredentialPlacement.Body],
+    "/v1/users/resetpassword/sendVerifyEmail": [CredentialPlacement.Body],
+    "/v1/users/setBadges": [CredentialPlacement.Body],
+    "/v1/users/setBio": [CredentialPlacement.Body],
+    "/v1/users/setEmail": [CredentialPlacement.Body],
+    "/v1/users/setbadgesmultiple": [CredentialPlacement.Body],
+    "/v1/users/setbioadmin": [CredentialPlacement.Body],
+    "/v1/users/setmyfeaturedproject": [CredentialPlacement.Body],
+    "/v1/users/setmyfeaturedprojectadmin": [CredentialPlacement.Body],
+    "/v1/users/setpfp": [CredentialPlacement.Query],
+    "/v1/users/setpfpadmin": [CredentialPlacement.Body],
+    "/v1/users/tokenlogin": [CredentialPlacement.Query],
+    "/v1/users/userfromcode": [CredentialPlacement.Query],
+    "/v1/users/verifyfollowers": [CredentialPlacement.Body],
+};
+
+/**
+ * Gets the endpoint path of a URL on the API, like "/v1/users/getmyfeed".
+ * @param {string} url The full URL being requested.
+ * @param {string} apiUrl The client's API url.
+ * @returns {string|null} The path, or null if the URL is not on the API.
+ */
+const getEndpointPath = (url, apiUrl) => {
+    if (typeof url !== "string" || !url.startsWith(apiUrl)) return null;
+    const path = url.slice(apiUrl.length).split(/[?#]/)[0];
+    return path.replace(/\/+$/, "");
+};
+
+/**
+ * Decides where to put the token for a specific endpoint.
+ * Per-endpoint overrides are always used, since they are set for a specific server.
+ * Otherwise the client's preferred placement is used if the endpoint accepts it, or the placement the endpoint has always used.
+ * @param {PenguinModTypes.CredentialOptions} credentialOptions The client's credential options.
+ * @param {string} path The endpoint path.
+ * @returns {string|null} A CredentialPlacement, or null if the endpoint does not take a token.
+ */
+const resolvePlacement = (credentialOptions, path) => {
+    const accepted = AUTHENTICATED_ENDPOINTS[path];
+    if (!accepted) return null;
+
+    const override = credentialOptions.endpoints ? credentialOptions.endpoints[path] : null;
+    if (override) return override;
+    if (accepted.includes(credentialOptions.placement)) return credentialOptions.placement;
+    return accepted[0];
+};
+
+/**
+ * Gets the token that will be sent with a request.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {string} url The URL being requested.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Can provide a different token, or disable credentials with `credentials: false`.
+ * @returns {string|null} The token, or null if the request is sent without one.
+ */
+const getRequestToken = (apiClass, url, requestOptions) => {
+    if (requestOptions && requestOptions.credentials === false) return null;
+    const token = requestOptions && requestOptions.token ? requestOptions.token : apiClass.token;
+    if (!token) return null;
+    if (!AUTHENTICATED_ENDPOINTS[getEndpointPath(url, apiClass.apiUrl)]) return null;
+    return token;
+};
+
+/**
+ * Adds the account token to a request, if the endpoint takes one.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {string} url The URL being requested.
+ * @param {RequestInit} options The fetch options. The headers will be modified.
+ * @param {FormData|null} formData The FormData body of the request, if there is one.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Can provide a different token, or disable credentials with `credentials: false`.
+ * @returns {string} The URL to request, which has the token added if it was placed in the query.
+ */
+const applyCredentials = (apiClass, url, options, formData, requestOptions) => {
+    if (requestOptions && requestOptions.credentials === false) return url;
+    const token = requestOptions && requestOptions.token ? requestOptions.token : apiClass.token;
+    if (!token) return url;
+
+    const path = getEndpointPath(url, apiClass.apiUrl);
+    const credentialOptions = apiClass.credentials || DEFAULT_CREDENTIAL_OPTIONS;
+    const placement = resolvePlacement(credentialOptions, path);
+
+    switch (placement) {
+        case CredentialPlacement.Header: {
+            options.headers[credentialOptions.headerName] = `${credentialOptions.headerPrefix || ""}${token}`;
+            return url;
+        }
+        case CredentialPlacement.Query: {
+            const newUrl = new URL(url);
+            newUrl.searchParams.set("token", token);
+            return newUrl.toString();
+        }
+        case CredentialPlacement.Body: {
+            if (formData) {
+                formData.set("token", token);
+                return url;
+            }
+            const body = typeof options.body === "string" ? JSON.parse(options.body) : {};
+            options.body = JSON.stringify({ token, ...body });
+            if (!options.headers["Content-Type"]) options.headers["Content-Type"] = "application/json";
+            return url;
+        }
+        default:
+            return url;
+    }
+};
+
+module.exports = {
+    CredentialPlacement,
+    DEFAULT_CREDENTIAL_OPTIONS,
+    AUTHENTICATED_ENDPOINTS,
+    getEndpointPath,
+    resolvePlacement,
+    getRequestToken,
+    applyCredentials,
+};
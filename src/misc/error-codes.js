@@ -0,0 +1,166 @@
+/**
+ * The kinds of errors a request can fail with. Each one has its own PenguinModAPIError subclass, except Aborted and Unknown.
+ */
+const ErrorCategory = {
+    /** The user, project or message doesn't exist, or can't be seen by you. */
+    NotFound: "notFound",
+    /** No token was given, or the token is invalid or expired. */
+    Auth: "auth",
+    /** The account isn't allowed to do this, like a non-moderator using a moderator endpoint. */
+    Permission: "permission",
+    /** Too many requests were sent. */
+    RateLimited: "rateLimited",
+    /** Something sent to the API was invalid, or the action can't be done right now. */
+    Validation: "validation",
+    /** The API could not be reached, or didn't respond in time. */
+    Network: "network",
+    /** The API responded, but the response couldn't be read. */
+    Parse: "parse",
+    /** The API failed, or has turned off the feature. */
+    Server: "server",
+    /** The request was cancelled by the caller. */
+    Aborted: "aborted",
+    /** Anything else. */
+    Unknown: "unknown",
+};
+
+/**
+ * Error codes that PenguinMod-BackendApi and ApiModule are known to fail with.
+ * The code is the `message` of the PenguinModAPIError.
+ * Codes that aren't listed are categorized by their HTTP status code instead.
+ * @type {Object<string, {category:string, description:string, retryable?:boolean}>}
+ */
+const ERROR_CODES = {
+    // made by ApiModule
+    "FetchFailed": { category: ErrorCategory.Network, description: "The API could not be reached.", retryable: true },
+    "RequestTimedOut": { category: ErrorCategory.Network, description: "The API did not respond in time.", retryable: true },
+    "RequestAborted": { category: ErrorCategory.Aborted, description: "The request was cancelled." },
+    "ParseJSONFailed": { category: ErrorCategory.Parse, description: "The API sent back invalid JSON." },
+    "ParseTextFailed": { category: ErrorCategory.Parse, description: "The API response could not be read." },
+    "ParseArrayBufferFailed": { category: ErrorCategory.Parse, description: "The API response could not be read." },
+    "InvalidProjectFile": { category: ErrorCategory.Validation, description: "The project file is not a valid .pmp file." },
+    "InvalidBirthday": { category: ErrorCategory.Validation, description: "The birthday is not a valid date." },
+    "InvalidCountry": { category: ErrorCategory.Validation, description: "The country is not a valid country code." },
+    "MissingOneField": { category: ErrorCategory.Validation, description: "A birthday or country must be given." },
+    "InvalidUsernameLength": { category: ErrorCategory.Validation, description: "The username is too short or too long." },
+    "InvalidUsernameChars": { category: ErrorCategory.Validation, description: "The username has characters that aren't allowed." },
+    "InvalidPasswordLength": { category: ErrorCategory.Validation, description: "The password is too short or too long." },
+    "InvalidPasswordText": { category: ErrorCategory.Validation, description: "The password needs both an uppercase and a lowercase letter." },
+    "InvalidPasswordSpecial": { category: ErrorCategory.Validation, description: "The password needs both a number and a special character." },
+    "InvalidOAuthAction": { category: ErrorCategory.Validation, description: "That isn't a known OAuth action." },
+    "InvalidOAuthProvider": { category: ErrorCategory.Validation, description: "That isn't a known OAuth provider." },
+    "InvalidBio": { category: ErrorCategory.Validation, description: "The bio is not a string." },
+    "InvalidFeaturedTitle": { category: ErrorCategory.Validation, description: "The featured title is not one of the labels." },
+    "InvalidCustomization": { category: ErrorCategory.Validation, description: "The customization can't be saved." },
+    "InvalidRegex": { category: ErrorCategory.Validation, description: "That isn't a valid regex." },
+    "UnsafeRegex": { category: ErrorCategory.Validation, description: "The regex can take too long to run." },
+    "ProfanityListConflict": { category: ErrorCategory.Validation, description: "Someone else changed the profanity list at the same time." },
+    "ActionNotConfirmed": { category: ErrorCategory.Aborted, description: "The confirm hook didn't allow the action." },
+
+    // sent by the API
+    "Reauthenticate": { category: ErrorCategory.Auth, description: "Your login is missing or has expired. Log in again." },
+    "Invalid username or password": { category: ErrorCategory.Auth, description: "The username or password is wrong." },
+    "Banned": { category: ErrorCategory.Permission, description: "This account is banned." },
+    "Unauthorized": { category: ErrorCategory.Permission, description: "This account isn't allowed to do that." },
+    "Blocked": { category: ErrorCategory.Permission, description: "This user has blocked you, or you have blocked them." },
+    "PrivateProfile": { category: ErrorCategory.Permission, description: "This profile is private." },
+    "CustomizationDisabled": { category: ErrorCategory.Permission, description: "Profile customization has been turned off for this account." },
+    "NotFound": { category: ErrorCategory.NotFound, description: "That doesn't exist, or you can't see it." },
+    "UserNotFound": { category: ErrorCategory.NotFound, description: "That user doesn't exist." },
+    "Target not found": { category: ErrorCategory.NotFound, description: "That user doesn't exist." },
+    "UnknownEndpoint": { category: ErrorCategory.Unknown, description: "The API doesn't have this endpoint. The API url may be wrong." },
+    "InvalidData": { category: ErrorCategory.Validation, description: "Something sent to the API was invalid." },
+    "InvalidBody": { category: ErrorCategory.Validation, description: "The request body was invalid." },
+    "InvalidEmail": { category: ErrorCategory.Validation, description: "The email is not valid." },
+    "InvalidUsername": { category: ErrorCategory.Validation, description: "The username is not allowed." },
+    "InvalidPassword": { category: ErrorCategory.Validation, description: "The password is wrong or not allowed." },
+    "InvalidCaptcha": { category: ErrorCategory.Validation, description: "The captcha was not completed." },
+    "InvalidCode": { category: ErrorCategory.Validation, description: "The code is wrong or has expired." },
+    "InvalidState": { category: ErrorCategory.Validation, description: "The reset link is wrong or has expired." },
+    "InvalidIP": { category: ErrorCategory.Validation, description: "That isn't a valid IP address." },
+    "InvalidRequestType": { category: ErrorCategory.Validation, description: "That isn't a valid request type." },
+    "InvalidOAuthCode": { category: ErrorCategory.Validation, description: "The OAuth code is wrong or has expired." },
+    "InvalidOAuthMethod": { category: ErrorCategory.Validation, description: "That isn't a known OAuth method." },
+    "InvalidOAuthState": { category: ErrorCategory.Validation, description: "The OAuth state is wrong or has expired." },
+    "MissingMessage": { category: ErrorCategory.Validation, description: "A message must be given." },
+    "MissingPicture": { category: ErrorCategory.Validation, description: "A picture must be given." },
+    "MissingProjectFile": { category: ErrorCategory.Validation, description: "A project file must be given." },
+    "MissingThumbnail": { category: ErrorCategory.Validation, description: "A thumbnail must be given." },
+    "MissingTitle": { category: ErrorCategory.Validation, description: "A title must be given." },
+    "UsernameAlreadyUsed": { category: ErrorCategory.Validation, description: "That username is taken." },
+    "OAuthAlreadyLinked": { category: ErrorCategory.Validation, description: "That OAuth account is already linked to an account." },
+    "AlreadyHasPassword": { category: ErrorCategory.Validation, description: "This account already has a password." },
+    "AlreadyVerified": { category: ErrorCategory.Validation, description: "This email is already verified." },
+    "CannotFollowSelf": { category: ErrorCategory.Validation, description: "You can't follow yourself." },
+    "CannotRankUp": { category: ErrorCategory.Validation, description: "This account can't rank up yet." },
+    "CannotRemoveLastLogin": { category: ErrorCategory.Validation, description: "This is the only way to log in to the account, so it can't be removed." },
+    "MethodNotLinked": { category: ErrorCategory.Validation, description: "That OAuth method isn't linked to this account." },
+    "NoEmail": { category: ErrorCategory.Validation, description: "This account has no email." },
+    "NotDisputable": { category: ErrorCategory.Validation, description: "That message can't be disputed." },
+    "InternalError": { category: ErrorCategory.Server, description: "The API failed to handle the request.", retryable: true },
+    "ViewingDisabled": { category: ErrorCategory.Server, description: "Viewing projects has been turned off.", retryable: false },
+    "UploadingDisabled": { category: ErrorCategory.Server, description: "Uploading projects has been turned off.", retryable: false },
+    "AccountCreationDisabled": { category: ErrorCategory.Server, description: "Making accounts has been turned off.", retryable: false },
+};
+
+/**
+ * The description used for each category when the error code isn't in ERROR_CODES.
+ */
+const CATEGORY_DESCRIPTIONS = {
+    [ErrorCategory.NotFound]: "That doesn't exist, or you can't see it.",
+    [ErrorCategory.Auth]: "Your login is missing or has expired. Log in again.",
+    [ErrorCategory.Permission]: "This account isn't allowed to do that.",
+    [ErrorCategory.RateLimited]: "Too many requests were sent. Try again later.",
+    [ErrorCategory.Validation]: "Something sent to the API was invalid.",
+    [ErrorCategory.Network]: "The API could not be reached.",
+    [ErrorCategory.Parse]: "The API response could not be read.",
+    [ErrorCategory.Server]: "The API failed to handle the request.",
+    [ErrorCategory.Aborted]: "The request was cancelled.",
+    [ErrorCategory.Unknown]: "Something went wrong.",
+};
+
+/**
+ * Picks a category from an HTTP status code, for error codes that aren't in ERROR_CODES.
+ * @param {number} httpCode
+ * @returns {string} An ErrorCategory.
+ */
+const getStatusCategory = (httpCode) => {
+    if (httpCode === -1) return ErrorCategory.Validation; // PenguinModAPIError.ASSERT_FAILED
+    if (httpCode === 401) return ErrorCategory.Auth;
+    if (httpCode === 403) return ErrorCategory.Permission;
+    if (httpCode === 404) return ErrorCategory.NotFound;
+    if (httpCode === 429) return ErrorCategory.RateLimited;
+    if (httpCode >= 400 && httpCode < 500) return ErrorCategory.Validation;
+    if (httpCode >= 500) return ErrorCategory.Server;
+    return ErrorCategory.Unknown;
+};
+
+/**
+ * Looks up what an error means.
+ * @param {string} message The error code, which is the `message` of a PenguinModAPIError.
+ * @param {number} httpCode The HTTP status code of the response.
+ * @param {boolean} parsingError Whether or not the error was caused by failing to parse a response.
+ * @returns {{category:string, description:string, retryable:boolean}}
+ */
+const getErrorInfo = (message, httpCode, parsingError) => {
+    const known = Object.prototype.hasOwnProperty.call(ERROR_CODES, message) ? ERROR_CODES[message] : null;
+    const category = parsingError
+        ? ErrorCategory.Parse
+        : known ? known.category : getStatusCategory(httpCode);
+
+    let retryable = [ErrorCategory.Network, ErrorCategory.RateLimited, ErrorCategory.Server].includes(category);
+    if (known && typeof known.retryable === "boolean") retryable = known.retryable;
+
+    return {
+        category,
+        description: known ? known.description : CATEGORY_DESCRIPTIONS[category],
+        retryable,
+    };
+};
+
+module.exports = {
+    ErrorCategory,
+    ERROR_CODES,
+    CATEGORY_DESCRIPTIONS,
+    getErrorInfo,
+};
@@ -0,0 +1,100 @@
+/**
+ * Makes a key that is the same every time the API sends the same feed item.
+ * Feed items don't have IDs, so the type, who it is about, what it points to and when it was made are used instead.
+ * @param {PenguinModTypes.FeedItem} item
+ * @returns {string}
+ */
+const getFeedItemKey = (item) => {
+    const data = item.data || {};
+    return [item.type, item.id || item.username || "", data.id || data.username || data.name || "", item.date || 0].join(" ");
+};
+
+/**
+ * Joins names into a list like "A, B and C".
+ * @param {Array<string>} names
+ * @returns {string}
+ */
+const listNames = (names) => {
+    if (names.length <= 1) return names[0] || "Someone";
+    return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Writes the summary of a group, like "3 people followed you" or "Penguin uploaded 2 projects".
+ * @param {PenguinModTypes.FeedGroup} group
+ * @param {string?} me Optional. Your username. Follows of this user are written as "followed you".
+ * @returns {string}
+ */
+const summarizeGroup = (group, me) => {
+    const entries = group.entries;
+    const count = entries.length;
+    const titles = entries.map(entry => entry.project ? entry.project.title : (entry.item.data && entry.item.data.name) || "a project");
+
+    switch (group.type) {
+        case "follow": {
+            const followers = [];
+            for (const entry of entries) {
+                if (entry.username && !followers.includes(entry.username)) followers.push(entry.username);
+            }
+            const isMe = !!me && !!group.followed && group.followed.toLowerCase() === me.toLowerCase();
+            const target = isMe ? "you" : group.followed || "someone";
+            if (followers.length > 2) return `${followers.length} people followed ${target}`;
+            return `${listNames(followers)} followed ${target}`;
+        }
+        case "upload":
+            if (count === 1) return `${group.username} uploaded ${titles[0]}`;
+            return `${group.username} uploaded ${count} projects`;
+        case "remix":
+            if (count === 1) return `${group.username} uploaded a remix: ${titles[0]}`;
+            return `${group.username} uploaded ${count} remixes`;
+        default:
+            return `${count} ${group.type} update${count === 1 ? "" : "s"}`;
+    }
+};
+
+/**
+ * Groups feed entries into a digest, like "3 people followed you" or "Penguin uploaded 2 projects".
+ * Follows are grouped by who was followed, and uploads and remixes by who made them.
+ * @param {Array<PenguinModTypes.FeedEntry>} entries
+ * @param {string?} me Optional. Your username, so follows of you are written as "followed you".
+ * @returns {Array<PenguinModTypes.FeedGroup>} The groups, newest first.
+ */
+const groupFeedEntries = (entries, me) => {
+    const groups = new Map();
+    for (const entry of entries) {
+        const followed = entry.type === "follow" && entry.item.data
+            ? entry.item.data.username || entry.item.data.id || ""
+            : null;
+        const key = entry.type === "follow"
+            ? `follow ${followed}`
+            : `${entry.type} ${entry.userId || entry.username}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                type: entry.type,
+                username: entry.type === "follow" ? null : entry.username,
+                followed,
+                entries: [],
+                date: 0,
+                summary: "",
+            });
+        }
+        const group = groups.get(key);
+        group.entries.push(entry);
+        group.date = Math.max(group.date, entry.date || 0);
+    }
+
+    const grouped = Array.from(groups.values());
+    for (const group of grouped) {
+        group.entries.sort((a, b) => (b.date || 0) - (a.date || 0));
+        group.summary = summarizeGroup(group, me);
+    }
+    return grouped.sort((a, b) => b.date - a.date);
+};
+
+module.exports = {
+    getFeedItemKey,
+    summarizeGroup,
+    groupFeedEntries,
+};
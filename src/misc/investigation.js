@@ -0,0 +1,279 @@
+const PenguinModAPIError = require("../classes/PenguinModAPIError");
+const { escapeMarkdown } = require("./message-render.js");
+/** @typedef {import("../classes/PenguinModAPIUsers")} PenguinModAPIUsers */
+
+/**
+ * The investigation options used when none are given.
+ */
+const DEFAULT_INVESTIGATION_OPTIONS = {
+    depth: 2,
+    maxAccounts: 50,
+    includeEmail: true,
+    includeProfile: true,
+};
+
+/**
+ * The formats an investigation report can be rendered in.
+ */
+const InvestigationFormat = {
+    JSON: "json",
+    Markdown: "markdown",
+    DOT: "dot",
+};
+
+/**
+ * Crawls the accounts and IPs linked to a user, and collects what moderators need to check for ban evasion.
+ * Accounts are linked through shared IPs and `getAlts`. `depth` is how many links away from the user the crawl goes.
+ * Requests that fail are written down in `errors` instead of stopping the crawl, so moderators still get a report without admin access.
+ * Requests that are aborted or time out stop the crawl instead, since the caller gave up on it.
+ * @param {PenguinModAPIUsers} users
+ * @param {string} username
+ * @param {PenguinModTypes.InvestigationOptions} options
+ * @param {PenguinModTypes.RequestOptions?} requestOptions
+ * @returns {Promise<PenguinModTypes.InvestigationReport>}
+ */
+const investigate = async (users, username, options, requestOptions) => {
+    options = {
+        ...DEFAULT_INVESTIGATION_OPTIONS,
+        ...options,
+    };
+    const report = {
+        target: username,
+        depth: options.depth,
+        generatedAt: Date.now(),
+        truncated: false,
+        accounts: [],
+        ips: [],
+        links: [],
+        errors: [],
+    };
+    const accounts = new Map();
+    const ips = new Map();
+
+    const signal = requestOptions ? requestOptions.signal : null;
+    const checkAborted = () => {
+        if (signal && signal.aborted) {
+            throw PenguinModAPIError.create("RequestAborted", "The investigation was aborted.", PenguinModAPIError.UNKNOWN_CODE, null, false, null, null, null, signal.reason || null);
+        }
+    };
+    const tryGet = async (method, target, get) => {
+        try {
+            return await get();
+        } catch (err) {
+            const cancelled = err instanceof PenguinModAPIError
+                && (err.category === PenguinModAPIError.ErrorCategory.Aborted || err.message === "RequestTimedOut");
+            if (cancelled) throw err;
+            report.errors.push({ method, target, message: err && err.message ? err.message : String(err) });
+            return null;
+        }
+    };
+    // the API gives usernames with different capitalization depending on the endpoint
+    const addAccount = (name, depth, id) => {
+        const key = name.toLowerCase();
+        if (accounts.has(key)) return null;
+        if (accounts.size >= options.maxAccounts) {
+            report.truncated = true;
+            return null;
+        }
+        const account = {
+            username: name,
+            id: id || null,
+            depth,
+            banned: null,
+            email: null,
+            profile: null,
+            lastLogin: null,
+            ips: [],
+            alts: [],
+        };
+        accounts.set(key, account);
+        report.accounts.push(account);
+        return account;
+    };
+    const addLink = (link) => {
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+        // alts are found from both sides, but are only one link
+        const existing = report.links.find(other => other.type === link.type && (
+            (same(other.from, link.from) && same(other.to, link.to))
+            || (link.type === "alt" && same(other.from, link.to) && same(other.to, link.from))
+        ));
+        if (!existing) {
+            report.links.push(link);
+            return;
+        }
+        // links found from the IP's side don't know the last login
+        if (existing.lastLogin === null) existing.lastLogin = link.lastLogin;
+    };
+
+    let queue = [addAccount(username, 0, null)];
+    for (let depth = 0; depth <= options.depth && queue.length > 0; depth++) {
+        checkAborted();
+        const expand = depth < options.depth;
+        const next = [];
+        for (const account of queue) {
+            const name = account.username;
+            const [banned, profile, email, accountIPs, alts] = await Promise.all([
+                tryGet("isBanned", name, () => users.isBanned(name, requestOptions)),
+                options.includeProfile ? tryGet("getProfile", name, () => users.getProfile(name, requestOptions)) : null,
+                options.includeEmail ? tryGet("getEmail", name, () => users.getEmail(name, requestOptions)) : null,
+                tryGet("getAllIPsOf", name, () => users.getAllIPsOf(name, requestOptions)),
+                tryGet("getAlts", name, () => users.getAlts(name, requestOptions)),
+            ]);
+            account.banned = banned;
+            account.profile = profile;
+            account.email = email;
+            if (profile && profile.id) account.id = profile.id;
+
+            for (const address of accountIPs || []) {
+                account.ips.push(address.ip);
+                const lastLogin = typeof address.lastLogin === "number" ? address.lastLogin : null;
+                if (lastLogin !== null) account.lastLogin = Math.max(account.lastLogin || 0, lastLogin);
+                addLink({ type: "ip", from: name, to: address.ip, lastLogin });
+
+                if (!ips.has(address.ip)) {
+                    const ip = { ip: address.ip, banned: !!address.banned, lastLogin: null, depth, accounts: [] };
+                    ips.set(address.ip, ip);
+                    report.ips.push(ip);
+                }
+                const ip = ips.get(address.ip);
+                if (lastLogin !== null) ip.lastLogin = Math.max(ip.lastLogin || 0, lastLogin);
+            }
+            for (const alt of alts || []) {
+                account.alts.push(alt);
+                addLink({ type: "alt", from: name, to: alt, lastLogin: null });
+                if (!expand) continue;
+                const found = addAccount(alt, depth + 1, null);
+                if (found) next.push(found);
+            }
+        }
+
+        if (!expand) break;
+        checkAborted();
+        // every account on an IP is one link further away than the account that used it
+        for (const ip of report.ips) {
+            if (ip.depth !== depth) continue;
+            const onIP = await tryGet("getAllAccountsWithIP", ip.ip, () => users.getAllAccountsWithIP(ip.ip, requestOptions));
+            for (const user of onIP || []) {
+                if (!ip.accounts.includes(user.username)) ip.accounts.push(user.username);
+                addLink({ type: "ip", from: user.username, to: ip.ip, lastLogin: null });
+                const found = addAccount(user.username, depth + 1, user.id);
+                if (found) next.push(found);
+            }
+        }
+        queue = next;
+    }
+
+    // accounts at the last depth weren't asked for their IPs, so they're only known from the IP's side
+    for (const link of report.links) {
+        if (link.type !== "ip") continue;
+        const ip = ips.get(link.to);
+        if (ip && !ip.accounts.some(name => name.toLowerCase() === link.from.toLowerCase())) ip.accounts.push(link.from);
+    }
+    return report;
+};
+
+const formatDate = (time) => typeof time === "number" ? new Date(time).toISOString() : "unknown";
+const formatBanned = (banned) => banned === null ? "unknown" : (banned ? "yes" : "no");
+
+/**
+ * Writes a report as a Markdown document with a table of accounts and a table of IPs.
+ * @param {PenguinModTypes.InvestigationReport} report
+ * @returns {string}
+ */
+const renderMarkdown = (report) => {
+    const cell = (value) => escapeMarkdown(value).replace(/\n/g, " ");
+    const lines = [
+        `# Investigation of ${cell(report.target)}`,
+        "",
+        `${report.accounts.length} accounts and ${report.ips.length} IPs within ${report.depth} links, generated ${formatDate(report.generatedAt)}.`,
+    ];
+    if (report.truncated) lines.push("", "**The crawl stopped early because it found too many accounts.**");
+
+    lines.push("", "## Accounts", "", "| Account | Links away | Banned | Email | Last login | IPs | Alts |", "| --- | --- | --- | --- | --- | --- | --- |");
+    for (const account of report.accounts) {
+        lines.push(`| ${[
+            cell(account.username),
+            account.depth,
+            formatBanned(account.banned),
+            account.email ? cell(account.email) : "",
+            formatDate(account.lastLogin),
+            account.ips.map(cell).join(", "),
+            account.alts.map(cell).join(", "),
+        ].join(" | ")} |`);
+    }
+
+    lines.push("", "## IPs", "", "| IP | Banned | Last login | Accounts |", "| --- | --- | --- | --- |");
+    for (const ip of report.ips) {
+        lines.push(`| ${[cell(ip.ip), formatBanned(ip.banned), formatDate(ip.lastLogin), ip.accounts.map(cell).join(", ")].join(" | ")} |`);
+    }
+
+    if (report.errors.length > 0) {
+        lines.push("", "## Errors", "");
+        for (const error of report.errors) {
+            lines.push(`- \`${error.method}\` for ${cell(error.target)}: ${cell(error.message)}`);
+        }
+    }
+    return lines.join("\n");
+};
+
+/**
+ * Writes a report as a Graphviz DOT graph, with accounts as boxes and IPs as ellipses.
+ * Banned accounts and IPs are red, and the investigated user is bold.
+ * @param {PenguinModTypes.InvestigationReport} report
+ * @returns {string}
+ */
+const renderDot = (report) => {
+    const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+    const accountNode = (name) => quote(`user:${name.toLowerCase()}`);
+    const ipNode = (ip) => quote(`ip:${ip}`);
+
+    const lines = ["graph investigation {", "    node [fontname=\"sans-serif\"];"];
+    for (const account of report.accounts) {
+        const attributes = [`label=${quote(account.username)}`, "shape=box"];
+        if (account.banned) attributes.push("style=filled", "fillcolor=\"#f4a0a0\"");
+        if (account.depth === 0) attributes.push("penwidth=3");
+        lines.push(`    ${accountNode(account.username)} [${attributes.join(", ")}];`);
+    }
+    for (const ip of report.ips) {
+        const attributes = [`label=${quote(ip.ip)}`, "shape=ellipse"];
+        if (ip.banned) attributes.push("style=filled", "fillcolor=\"#f4a0a0\"");
+        lines.push(`    ${ipNode(ip.ip)} [${attributes.join(", ")}];`);
+    }
+    for (const link of report.links) {
+        // links can point to accounts that weren't crawled, which Graphviz draws with default attributes
+        if (link.type === "alt") {
+            lines.push(`    ${accountNode(link.from)} -- ${accountNode(link.to)} [style=dashed, label="alt"];`);
+            continue;
+        }
+        const label = link.lastLogin !== null ? ` [label=${quote(formatDate(link.lastLogin).slice(0, 10))}]` : "";
+        lines.push(`    ${accountNode(link.from)} -- ${ipNode(link.to)}${label};`);
+    }
+    lines.push("}");
+    return lines.join("\n");
+};
+
+/**
+ * Turns an investigation report into text.
+ * @param {PenguinModTypes.InvestigationReport} report The report from `investigate`.
+ * @param {"json"|"markdown"|"dot"} format Optional. DOT can be drawn with Graphviz, like `dot -Tsvg report.dot`. Default is "json".
+ * @returns {string}
+ */
+const renderInvestigation = (report, format = InvestigationFormat.JSON) => {
+    switch (format) {
+        case InvestigationFormat.Markdown:
+            return renderMarkdown(report);
+        case InvestigationFormat.DOT:
+            return renderDot(report);
+        case InvestigationFormat.JSON:
+            return JSON.stringify(report, null, 4);
+        default:
+            throw new Error(`Unknown investigation format "${format}"`);
+    }
+};
+
+module.exports = {
+    DEFAULT_INVESTIGATION_OPTIONS,
+    InvestigationFormat,
+    investigate,
+    renderInvestigation,
+};
@@ -0,0 +1,127 @@
+/**
+ * The formats a message can be rendered in.
+ */
+const RenderFormat = {
+    Text: "text",
+    Markdown: "markdown",
+};
+
+/**
+ * Where links in rendered messages point to.
+ */
+const SITE_URL = "https://penguinmod.com";
+const STUDIO_URL = "https://studio.penguinmod.com";
+
+/**
+ * Escapes text so Markdown shows it as written.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_~|[\]<>#])/g, "\\$1");
+
+/**
+ * Turns a duration in milliseconds into text like "3 days" or "2 hours".
+ * @param {number} time
+ * @returns {string}
+ */
+const formatDuration = (time) => {
+    const units = [
+        ["day", 24 * 60 * 60 * 1000],
+        ["hour", 60 * 60 * 1000],
+        ["minute", 60 * 1000],
+    ];
+    for (const [name, size] of units) {
+        if (time >= size) {
+            const amount = Math.round(time / size);
+            return `${amount} ${name}${amount === 1 ? "" : "s"}`;
+        }
+    }
+    const seconds = Math.max(0, Math.round(time / 1000));
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+};
+
+/**
+ * Makes the helpers used to write a message in a specific format.
+ * @param {string} format A RenderFormat.
+ */
+const createWriter = (format) => {
+    const markdown = format === RenderFormat.Markdown;
+    const text = (value) => markdown ? escapeMarkdown(value) : String(value);
+    return {
+        text,
+        bold: (value) => markdown ? `**${escapeMarkdown(value)}**` : String(value),
+        note: (label, value) => {
+            // quotes in Markdown have to start their own line
+            if (markdown) return `${label ? `${label}\n` : ""}${String(value).split("\n").map(line => `> ${escapeMarkdown(line)}`).join("\n")}`;
+            return `${label ? `${label} ` : ""}"${value}"`;
+        },
+        project: (project, fallbackId) => {
+            const id = project && project.id ? project.id : fallbackId;
+            const title = project && project.title ? project.title : (id ? `project ${id}` : "a project");
+            if (!markdown || !id) return text(title);
+            return `[${escapeMarkdown(title)}](${STUDIO_URL}/#${encodeURIComponent(id)})`;
+        },
+        user: (user) => {
+            if (!user) return text("Someone");
+            // some endpoints only give the user's ID
+            if (typeof user === "string") return text(`User ${user}`);
+            if (!markdown) return user.username;
+            return `[${escapeMarkdown(user.username)}](${SITE_URL}/profile?user=${encodeURIComponent(user.username)})`;
+        },
+    };
+};
+
+/**
+ * Turns a message into text that can be shown to the user, like in a notification or a Discord post.
+ * Every known `MessageBody.type` has its own wording, and unknown types still render as something readable.
+ * @param {PenguinModTypes.Message} message The message, from an endpoint like `getMessages`.
+ * @param {"text"|"markdown"} format Optional. Markdown escapes user-written text and links to projects and profiles. Default is "text".
+ * @returns {string}
+ */
+const renderMessage = (message, format = RenderFormat.Text) => {
+    const body = (message && message.message) || {};
+    const w = createWriter(format);
+    const projectId = body.projectID || (message && message.projectID) || null;
+    const project = w.project(body.project || (body.title ? { title: body.title } : null), projectId);
+    const withNote = (line, note, label) => note ? `${line}\n${w.note(label, note)}` : line;
+
+    switch (body.type) {
+        case "newBadge":
+            return `You got a new badge: ${w.bold(body.badge || "unknown")}`;
+        case "projectFeatured":
+            return `Your project ${project} was featured!`;
+        case "delete":
+            return withNote(`Your project ${project} was deleted.`, body.message, "Reason:");
+        case "reject":
+            return withNote(body.hardReject
+                ? `Your project ${project} was rejected, and will be deleted.`
+                : `Your project ${project} was hidden for review.`, body.message, "Reason:");
+        case "restored":
+            return `Your project ${project} was restored.`;
+        case "remix":
+            return `${w.project(body.newProject, projectId)} is a remix of your project ${w.project(body.oldProject)}.`;
+        case "followerAdded":
+            return `${w.user(body.user)} followed you.`;
+        case "modMessage":
+            return withNote("The moderators sent you a message:", body.message, null);
+        case "disputeResponse":
+            return withNote("The moderators replied to your dispute:", body.message, null);
+        case "tempban":
+            return withNote(`You were banned for ${typeof body.time === "number" ? formatDuration(body.time) : "a while"}.`, body.reason, "Reason:");
+        case "ban":
+            return withNote("You were banned.", body.reason, "Reason:");
+        case "unban":
+            return "You were unbanned.";
+        case "custom":
+            return w.text(body.text || "");
+        default:
+            return w.text(`You got a message PenguinMod-ApiModule doesn't know how to show (type "${body.type}").`);
+    }
+};
+
+module.exports = {
+    RenderFormat,
+    escapeMarkdown,
+    formatDuration,
+    renderMessage,
+};
@@ -0,0 +1,53 @@
+const PenguinModAPIError = require("../classes/PenguinModAPIError");
+
+/**
+ * Walks through the pages of a paged endpoint, one item at a time, until a page comes back empty.
+ * The returned object can be used with `for await`, or `collectAll()` can be used to get every item in one array.
+ * @template T
+ * @param {(page:number) => Promise<Array<T>>} fetchPage Requests a single page.
+ * @param {PenguinModTypes.PaginationOptions?} options Optional.
+ * @returns {PenguinModTypes.PageIterator<T>}
+ */
+const paginate = (fetchPage, options) => {
+    if (!options) options = {};
+    const startPage = typeof options.startPage === "number" ? options.startPage : 0;
+    const limit = typeof options.limit === "number" ? options.limit : Infinity;
+    const signal = options.signal;
+
+    const checkAborted = () => {
+        if (signal && signal.aborted) {
+            throw PenguinModAPIError.create("RequestAborted", "Pagination was aborted.", PenguinModAPIError.UNKNOWN_CODE, null, false, null, null, null, signal.reason || null);
+        }
+    };
+
+    async function* iterate() {
+        let count = 0;
+        for (let page = startPage; count < limit; page++) {
+            checkAborted();
+            const items = await fetchPage(page);
+            if (!Array.isArray(items) || items.length === 0) return;
+
+            for (const item of items) {
+                if (count >= limit) return;
+                checkAborted();
+                count++;
+                yield item;
+            }
+        }
+    }
+
+    return {
+        [Symbol.asyncIterator]: iterate,
+        async collectAll() {
+            const items = [];
+            for await (const item of iterate()) {
+                items.push(item);
+            }
+            return items;
+        },
+    };
+};
+
+module.exports = {
+    paginate,
+};
@@ -0,0 +1,142 @@
+/**
+ * Every category of the ProfanityList. The API rejects lists with any other keys.
+ */
+const PROFANITY_LIST_KEYS = [
+    "illegalWords",
+    "illegalWebsites",
+    "spacedOutWordsOnly",
+    "potentiallyUnsafeWords",
+    "potentiallyUnsafeWordsSpacedOut",
+    "legalExtensions",
+    "unsafeUsernames",
+    "potentiallyUnsafeUsernames",
+];
+
+/**
+ * Finds what changed between two profanity lists.
+ * The result is a patch, so `applyProfanityPatch(before, diff)` gives back `after`.
+ * @param {PenguinModTypes.ProfanityList} before
+ * @param {PenguinModTypes.ProfanityList} after
+ * @returns {PenguinModTypes.ProfanityListPatch} Only categories with changes are included.
+ */
+const diffProfanityList = (before, after) => {
+    const patch = { add: {}, remove: {} };
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const oldWords = Array.isArray(before && before[key]) ? before[key] : [];
+        const newWords = Array.isArray(after && after[key]) ? after[key] : [];
+        const added = newWords.filter(word => !oldWords.includes(word));
+        const removed = oldWords.filter(word => !newWords.includes(word));
+        if (added.length > 0) patch.add[key] = added;
+        if (removed.length > 0) patch.remove[key] = removed;
+    }
+    return patch;
+};
+
+/**
+ * Checks if a patch changes nothing.
+ * @param {PenguinModTypes.ProfanityListPatch} patch
+ * @returns {boolean}
+ */
+const isEmptyPatch = (patch) => {
+    for (const words of Object.values(patch.add || {})) {
+        if (words.length > 0) return false;
+    }
+    for (const words of Object.values(patch.remove || {})) {
+        if (words.length > 0) return false;
+    }
+    return true;
+};
+
+/**
+ * Adds and removes words from a profanity list. The list that is passed in is not changed.
+ * Words that are already in the list aren't added again, and words that aren't in it are ignored when removing.
+ * @param {PenguinModTypes.ProfanityList} list
+ * @param {PenguinModTypes.ProfanityListPatch} patch
+ * @returns {PenguinModTypes.ProfanityList}
+ */
+const applyProfanityPatch = (list, patch) => {
+    const patched = {};
+    for (const key in list) {
+        patched[key] = Array.isArray(list[key]) ? list[key].slice() : list[key];
+    }
+    for (const key in patch.remove || {}) {
+        if (!Array.isArray(patched[key])) continue;
+        patched[key] = patched[key].filter(word => !patch.remove[key].includes(word));
+    }
+    for (const key in patch.add || {}) {
+        // unknown keys are kept, so validating the result points them out
+        if (!Array.isArray(patched[key])) patched[key] = [];
+        for (const word of patch.add[key]) {
+            if (!patched[key].includes(word)) patched[key].push(word);
+        }
+    }
+    return patched;
+};
+
+/**
+ * Saves a profanity list to a new file in a folder, named after the current time. Only works in Node.js.
+ * @param {string} directory The folder to save in. It is made if it does not exist.
+ * @param {PenguinModTypes.ProfanityList} list
+ * @returns {Promise<string>} The path of the new file.
+ */
+const saveProfanitySnapshot = async (directory, list) => {
+    if (!directory) throw new Error("Provide a directory to saveProfanitySnapshot");
+    const fs = require("fs").promises;
+    const path = require("path");
+
+    const savedAt = Date.now();
+    // colons aren't allowed in file names on Windows
+    const filePath = path.join(directory, `profanity-list-${new Date(savedAt).toISOString().replace(/:/g, "-")}.json`);
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ savedAt, list }, null, 4), { flag: "wx" });
+    return filePath;
+};
+/**
+ * Reads a profanity list saved by `saveProfanitySnapshot`. Only works in Node.js.
+ * @param {string} filePath
+ * @returns {Promise<PenguinModTypes.ProfanityList>}
+ */
+const loadProfanitySnapshot = async (filePath) => {
+    const fs = require("fs").promises;
+    const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return saved.list;
+};
+/**
+ * Lists the profanity lists saved by `saveProfanitySnapshot` in a folder. Only works in Node.js.
+ * @param {string} directory
+ * @returns {Promise<Array<{path:string, savedAt:number}>>} The snapshots, newest first. Empty if the folder does not exist.
+ */
+const listProfanitySnapshots = async (directory) => {
+    const fs = require("fs").promises;
+    const path = require("path");
+
+    let files;
+    try {
+        files = await fs.readdir(directory);
+    } catch {
+        return [];
+    }
+    const snapshots = [];
+    for (const file of files) {
+        if (!/^profanity-list-.+\.json$/.test(file)) continue;
+        const filePath = path.join(directory, file);
+        try {
+            const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+            snapshots.push({ path: filePath, savedAt: saved.savedAt });
+        } catch {
+            // not a snapshot, or it was damaged
+        }
+    }
+    return snapshots.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+module.exports = {
+    PROFANITY_LIST_KEYS,
+    diffProfanityList,
+    isEmptyPatch,
+    applyProfanityPatch,
+    saveProfanitySnapshot,
+    loadProfanitySnapshot,
+    listProfanitySnapshots,
+};
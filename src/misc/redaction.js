@@ -0,0 +1,110 @@
+/**
+ * What secrets are replaced with.
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Query parameters, body properties and FormData fields that hold secrets.
+ */
+const SECRET_KEYS = ["token", "password", "newPassword", "oldPassword", "captcha_token", "privateCode"];
+/**
+ * Headers that hold secrets. Compared case-insensitively.
+ */
+const SECRET_HEADERS = ["authorization", "cookie", "x-api-key"];
+
+const isSecretKey = (key) => SECRET_KEYS.some(secretKey => secretKey.toLowerCase() === String(key).toLowerCase());
+const isSecretHeader = (key) => SECRET_HEADERS.includes(String(key).toLowerCase());
+
+/**
+ * Replaces any secret query parameters in a URL.
+ * @param {string} url
+ * @returns {string}
+ */
+const redactUrl = (url) => {
+    if (typeof url !== "string") return url;
+    return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, key) => {
+        let decodedKey = key;
+        try {
+            decodedKey = decodeURIComponent(key);
+        } catch {
+            // keep the key as-is if it isn't valid
+        }
+        if (!isSecretKey(decodedKey)) return match;
+        return `${separator}${key}=${REDACTED}`;
+    });
+};
+
+/**
+ * Replaces any secrets in some text, like an error detail or a response body.
+ * Catches query parameters, JSON properties and Authorization header values.
+ * @param {string} text
+ * @returns {string}
+ */
+const redactText = (text) => {
+    if (typeof text !== "string") return text;
+    return redactUrl(text)
+        .replace(/("([^"\\]+)"\s*:\s*)"(?:[^"\\]|\\.)*"/g, (match, prefix, key) => {
+            if (!isSecretKey(key)) return match;
+            return `${prefix}"${REDACTED}"`;
+        })
+        .replace(/\b(Bearer|Basic)\s+[^\s"',]+/gi, `$1 ${REDACTED}`);
+};
+
+/**
+ * Copies a set of headers, with any secret headers replaced.
+ * @param {HeadersInit} headers
+ * @returns {Object<string, string>}
+ */
+const redactHeaders = (headers) => {
+    const entries = typeof headers.entries === "function" && !Array.isArray(headers)
+        ? Array.from(headers.entries())
+        : Array.isArray(headers) ? headers : Object.entries(headers);
+
+    const redacted = {};
+    for (const [key, value] of entries) {
+        redacted[key] = isSecretHeader(key) ? REDACTED : redactText(value);
+    }
+    return redacted;
+};
+
+/**
+ * Copies a request body, with any secret properties or fields replaced.
+ * @param {any} body
+ * @returns {any}
+ */
+const redactBody = (body) => {
+    if (typeof body === "string") return redactText(body);
+    if (typeof FormData !== "undefined" && body instanceof FormData) {
+        const redacted = new FormData();
+        for (const [key, value] of body.entries()) {
+            redacted.append(key, isSecretKey(key) ? REDACTED : value);
+        }
+        return redacted;
+    }
+    return body;
+};
+
+/**
+ * Copies fetch options, with any secret headers or body properties replaced.
+ * The original options are not modified, since they may be reused for a retry.
+ * @param {RequestInit|null} request
+ * @returns {RequestInit|null}
+ */
+const redactRequest = (request) => {
+    if (!request || typeof request !== "object") return request;
+    const redacted = { ...request };
+    if (request.headers) redacted.headers = redactHeaders(request.headers);
+    if ("body" in request) redacted.body = redactBody(request.body);
+    return redacted;
+};
+
+module.exports = {
+    REDACTED,
+    SECRET_KEYS,
+    SECRET_HEADERS,
+    redactUrl,
+    redactText,
+    redactHeaders,
+    redactBody,
+    redactRequest,
+};
@@ -0,0 +1,127 @@
+/**
+ * Reads the quantifier after an atom of a regex, like `+`, `*?` or `{2,}`.
+ * @param {string} pattern
+ * @param {number} index Where the quantifier would start.
+ * @returns {{repeats:boolean, length:number}|null} `repeats` is true if the atom can match more than once. Null if there is no quantifier.
+ */
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    let repeats;
+    let length;
+    if (char === "*" || char === "+") {
+        repeats = true;
+        length = 1;
+    } else if (char === "?") {
+        repeats = false;
+        length = 1;
+    } else if (char === "{") {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+        if (!match) return null;
+        repeats = match[2] === undefined
+            ? Number(match[1]) > 1
+            : match[3] === "" || Number(match[3]) > 1;
+        length = match[0].length;
+    } else {
+        return null;
+    }
+    // lazy quantifiers backtrack the same way
+    if (pattern[index + length] === "?") length++;
+    return { repeats, length };
+};
+
+/**
+ * Reads how long the start of a group is, like `(` or `(?:` or `(?<name>`.
+ * @param {string} pattern
+ * @param {number} index Where the `(` is.
+ * @returns {number}
+ */
+const readGroupStart = (pattern, index) => {
+    if (pattern[index + 1] !== "?") return 1;
+    if (pattern.startsWith("(?<=", index) || pattern.startsWith("(?<!", index)) return 4;
+    if (pattern[index + 2] === "<") {
+        const end = pattern.indexOf(">", index);
+        return end === -1 ? 3 : end - index + 1;
+    }
+    return 3;
+};
+
+/**
+ * Checks if two alternatives of a repeated group can match the same text, like `(a|aa)+`.
+ * Only catches alternatives that are the same, or where one starts with the other.
+ * @param {Array<string>} alternatives
+ * @returns {boolean}
+ */
+const hasOverlappingAlternatives = (alternatives) => {
+    for (let i = 0; i < alternatives.length; i++) {
+        for (let j = i + 1; j < alternatives.length; j++) {
+            const a = alternatives[i];
+            const b = alternatives[j];
+            if (a === b || (a && b && (a.startsWith(b) || b.startsWith(a)))) return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Looks for parts of a regex that can take exponential time on text that almost matches,
+ * like a repeated group with a repeated atom inside `(a+)+`, or overlapping alternatives `(a|aa)*`.
+ * This is on the safe side, so some patterns that would be fine are still reported.
+ * @param {string} pattern The source of the regex, without slashes or flags.
+ * @returns {string|null} The part of the pattern that is unsafe, or null if none was found.
+ */
+const findCatastrophicBacktracking = (pattern) => {
+    const root = { start: 0, altStart: 0, alternatives: [], repeats: false };
+    const stack = [root];
+    let index = 0;
+    while (index < pattern.length) {
+        const frame = stack[stack.length - 1];
+        const char = pattern[index];
+        let atomEnd;
+        let group = null;
+
+        if (char === "\\") {
+            atomEnd = index + 2;
+        } else if (char === "[") {
+            let end = index + 1;
+            if (pattern[end] === "^") end++;
+            if (pattern[end] === "]") end++;
+            while (end < pattern.length && pattern[end] !== "]") {
+                end += pattern[end] === "\\" ? 2 : 1;
+            }
+            atomEnd = end + 1;
+        } else if (char === "(") {
+            const length = readGroupStart(pattern, index);
+            stack.push({ start: index, altStart: index + length, alternatives: [], repeats: false });
+            index += length;
+            continue;
+        } else if (char === "|") {
+            frame.alternatives.push(pattern.slice(frame.altStart, index));
+            frame.altStart = index + 1;
+            index++;
+            continue;
+        } else if (char === ")" && stack.length > 1) {
+            frame.alternatives.push(pattern.slice(frame.altStart, index));
+            group = stack.pop();
+            atomEnd = index + 1;
+        } else {
+            atomEnd = index + 1;
+        }
+
+        const quantifier = readQuantifier(pattern, atomEnd);
+        const parent = stack[stack.length - 1];
+        const repeats = !!quantifier && quantifier.repeats;
+        if (group) {
+            const source = pattern.slice(group.start, atomEnd + (quantifier ? quantifier.length : 0));
+            if (repeats && group.repeats) return source;
+            if (repeats && hasOverlappingAlternatives(group.alternatives)) return source;
+            if (group.repeats) parent.repeats = true;
+        }
+        if (repeats) parent.repeats = true;
+        index = atomEnd + (quantifier ? quantifier.length : 0);
+    }
+    return null;
+};
+
+module.exports = {
+    findCatastrophicBacktracking,
+};
@@ -0,0 +1,141 @@
+const PenguinModAPIError = require("../classes/PenguinModAPIError");
+/** @typedef {import("../classes/PenguinModAPI")} PenguinModAPI */
+
+/**
+ * The retry policy used when a PenguinModAPI client does not set its own.
+ * @type {PenguinModTypes.RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    jitter: true,
+    retryStatusCodes: [429, 500, 502, 503, 504],
+    respectRetryAfter: true,
+    retryNonIdempotent: false,
+};
+
+/**
+ * Combines the client's retry policy with any per-call overrides.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions The options given to the endpoint method.
+ * @returns {PenguinModTypes.RetryPolicy|null} The retry policy to use, or null if the request should not be retried.
+ */
+const resolveRetryPolicy = (apiClass, requestOptions) => {
+    const overrides = requestOptions ? requestOptions.retry : undefined;
+    if (overrides === false) return null;
+    if (apiClass.retryPolicy === null && !overrides) return null;
+
+    return {
+        ...DEFAULT_RETRY_POLICY,
+        ...(apiClass.retryPolicy || {}),
+        ...(overrides || {}),
+    };
+};
+
+/**
+ * Whether or not a request using these options can be safely sent again.
+ * @param {RequestInit?} options The fetch options of the request.
+ * @returns {boolean}
+ */
+const isIdempotent = (options) => {
+    const method = String((options && options.method) || "GET").toUpperCase();
+    return ["GET", "HEAD", "OPTIONS"].includes(method);
+};
+
+/**
+ * Reads the Retry-After header from a failed request, if there was one.
+ * @param {PenguinModAPIError} err The error the request failed with.
+ * @returns {number|null} How long the API asked us to wait in milliseconds, or null if it didn't say.
+ */
+const getRetryAfter = (err) => {
+    const response = err.response;
+    if (!response || !response.headers) return null;
+
+    const header = typeof response.headers.get === "function"
+        ? response.headers.get("retry-after")
+        : response.headers["retry-after"];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = new Date(header).getTime();
+    if (isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+};
+
+/**
+ * Whether or not an error is worth retrying the request for.
+ * @param {any} err The error the request failed with.
+ * @param {PenguinModTypes.RetryPolicy} policy
+ * @returns {boolean}
+ */
+const isRetryableError = (err, policy) => {
+    if (!(err instanceof PenguinModAPIError)) return false;
+    if (err.parsing) return false;
+    if (err.httpCode === PenguinModAPIError.UNKNOWN_CODE) {
+        // the request never reached the API or never got a response, aborted requests are left alone
+        return err.category === PenguinModAPIError.ErrorCategory.Network;
+    }
+    return policy.retryStatusCodes.includes(err.httpCode);
+};
+
+/**
+ * Gets how long to wait before the next attempt.
+ * @param {number} attempt The attempt that just failed, starting at 1.
+ * @param {PenguinModTypes.RetryPolicy} policy
+ * @returns {number} The delay in milliseconds.
+ */
+const getBackoffDelay = (attempt, policy) => {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * (2 ** (attempt - 1)));
+    if (!policy.jitter) return delay;
+    return Math.random() * delay;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs a request, and runs it again if it fails in a way that the retry policy allows.
+ * @param {() => Promise<any>} attempt Sends the request once.
+ * @param {RequestInit?} options The fetch options of the request.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions The options given to the endpoint method.
+ * @returns {Promise<any>} The result of the first successful attempt.
+ */
+const withRetries = async (attempt, options, apiClass, requestOptions) => {
+    const policy = resolveRetryPolicy(apiClass, requestOptions);
+    if (!policy || policy.maxAttempts <= 1) return await attempt();
+    if (!isIdempotent(options) && !policy.retryNonIdempotent) return await attempt();
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        try {
+            return await attempt();
+        } catch (err) {
+            if (attemptNumber >= policy.maxAttempts || !isRetryableError(err, policy)) {
+                throw err;
+            }
+
+            let delay = getBackoffDelay(attemptNumber, policy);
+            if (policy.respectRetryAfter) {
+                const retryAfter = getRetryAfter(err);
+                if (retryAfter !== null) {
+                    // dont wait longer than the policy allows, just give up instead
+                    if (retryAfter > policy.maxDelay) throw err;
+                    delay = Math.max(delay, retryAfter);
+                }
+            }
+            await wait(delay);
+        }
+    }
+};
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    isIdempotent,
+    getRetryAfter,
+    isRetryableError,
+    getBackoffDelay,
+    withRetries,
+};
@@ -0,0 +1,90 @@
+/**
+ * Keeps the session in memory. It is lost when the process exits.
+ * @returns {PenguinModTypes.SessionStorage}
+ */
+const createMemoryStorage = () => {
+    const values = new Map();
+    return {
+        get: (key) => values.get(key),
+        set: (key, value) => {
+            values.set(key, value);
+        },
+        delete: (key) => {
+            values.delete(key);
+        },
+    };
+};
+
+/**
+ * Keeps the session in a JSON file. Only works in Node.js.
+ * The file is only readable by the current user, since it holds the account token.
+ * @param {string} filePath The file to keep the session in. It is made if it does not exist.
+ * @returns {PenguinModTypes.SessionStorage}
+ */
+const createFileStorage = (filePath) => {
+    if (!filePath) throw new Error("Provide a file path to createFileStorage");
+    const fs = require("fs").promises;
+    const path = require("path");
+
+    const readAll = async () => {
+        try {
+            const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+            return saved && typeof saved === "object" ? saved : {};
+        } catch {
+            return {};
+        }
+    };
+    const writeAll = async (saved) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(saved), { mode: 0o600 });
+    };
+
+    return {
+        get: async (key) => (await readAll())[key],
+        set: async (key, value) => {
+            const saved = await readAll();
+            saved[key] = value;
+            await writeAll(saved);
+        },
+        delete: async (key) => {
+            const saved = await readAll();
+            if (!(key in saved)) return;
+            delete saved[key];
+            await writeAll(saved);
+        },
+    };
+};
+
+/**
+ * Keeps the session in the browser's localStorage, or anything with the same methods.
+ * @param {Storage?} storage Optional. Defaults to `globalThis.localStorage`.
+ * @returns {PenguinModTypes.SessionStorage}
+ */
+const createLocalStorage = (storage) => {
+    if (!storage) storage = globalThis.localStorage;
+    if (!storage) throw new Error("localStorage is not available here");
+
+    return {
+        get: (key) => {
+            const value = storage.getItem(key);
+            if (value === null) return undefined;
+            try {
+                return JSON.parse(value);
+            } catch {
+                return undefined;
+            }
+        },
+        set: (key, value) => {
+            storage.setItem(key, JSON.stringify(value));
+        },
+        delete: (key) => {
+            storage.removeItem(key);
+        },
+    };
+};
+
+module.exports = {
+    createMemoryStorage,
+    createFileStorage,
+    createLocalStorage,
+};
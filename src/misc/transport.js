@@ -0,0 +1,57 @@
+const axios = require("axios");
+
+/**
+ * Sends requests with the global `fetch`. This is the transport PenguinModAPI uses unless another is set.
+ * @type {PenguinModTypes.Transport}
+ */
+const fetchTransport = (request) => {
+    return fetch(request.url, {
+        ...request.options,
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+    });
+};
+
+/**
+ * Sends requests with axios, for environments where `fetch` is missing or needs to be avoided.
+ * The response is wrapped so it can be read like a fetch Response.
+ * @type {PenguinModTypes.Transport}
+ */
+const axiosTransport = async (request) => {
+    const response = await axios({
+        url: request.url,
+        method: request.method,
+        headers: request.headers,
+        data: request.body,
+        signal: request.options.signal,
+        responseType: "arraybuffer",
+        // status codes are handled the same way for every transport, so axios shouldn't throw for them
+        validateStatus: () => true,
+    });
+
+    const headers = new Headers();
+    for (const name in response.headers) {
+        const value = response.headers[name];
+        if (Array.isArray(value)) {
+            value.forEach(item => headers.append(name, item));
+        } else if (value !== undefined && value !== null) {
+            headers.set(name, String(value));
+        }
+    }
+
+    // axios gives a Buffer in Node.js and an ArrayBuffer in browsers
+    const bytes = new Uint8Array(response.data || new ArrayBuffer(0));
+    return {
+        ok: response.status >= 200 && response.status < 300,
+        status: response.status,
+        headers,
+        arrayBuffer: async () => bytes.slice().buffer,
+        text: async () => new TextDecoder().decode(bytes),
+    };
+};
+
+module.exports = {
+    fetchTransport,
+    axiosTransport,
+};
@@ -139,6 +139,27 @@ declare namespace PenguinModTypes {
         manuallyFeatured?: boolean;
     }
 
+    /** Details sent alongside a project when uploading or updating it. */
+    interface ProjectUploadDetails {
+        /** The title of the project. Required when uploading. */
+        title?: string;
+        /** The instructions attached to this project. */
+        instructions?: string;
+        /** The notes attached to this project. */
+        notes?: string;
+        /** The project ID of the project this project is remixing. */
+        remixOf?: string;
+        /** The age-rating of this project. */
+        rating?: string;
+        /** The thumbnail of the project, as a PNG or JPEG. Required when uploading. */
+        thumbnail?: ArrayBuffer | Uint8Array;
+    }
+
+    /** The projects shown on the front page of the site, sorted into categories like `featured` or `latest`. */
+    interface FrontPage {
+        [category: string]: PenguinModTypes.Project[] | any;
+    }
+
     // UNIQUE CLASSES
     /** Fields and content attached to a Message */
     interface MessageBody {
@@ -221,11 +242,11 @@ declare namespace PenguinModTypes {
         illegalWords: string[];
         /** Only flagged under certain conditions. */
         illegalWebsites: string[];
-        /** Only flagged under certain conditions. */
+        /** Only flagged when spaced out, like "h i". */
         spacedOutWordsOnly: string[];
         /** Only flagged under certain conditions. */
         potentiallyUnsafeWords: string[];
-        /** Only flagged under certain conditions. */
+        /** Only flagged for review when spaced out, like "h i". */
         potentiallyUnsafeWordsSpacedOut: string[];
         /**
          * A whitelist of permitted extension IDs (ie, `pen`, `text`, `translate`)
@@ -239,6 +260,122 @@ declare namespace PenguinModTypes {
         potentiallyUnsafeUsernames: string[];
     }
 
+    /** Words to add to and remove from each category of a ProfanityList. */
+    interface ProfanityListPatch {
+        add?: { [key in keyof ProfanityList]?: string[] };
+        remove?: { [key in keyof ProfanityList]?: string[] };
+    }
+    /** Changes how `patchProfanityList` saves the list. */
+    interface PatchProfanityListOptions {
+        /** The list the patch was made from. If the current list is different, nothing is saved and "ProfanityListConflict" is thrown. */
+        expected?: ProfanityList;
+        /** How many more times to try if the list changes while patching. Default is 2. */
+        retries?: number;
+        /** A folder to save the list to before it's changed, so it can be rolled back with `loadProfanitySnapshot`. Only works in Node.js. */
+        snapshotDirectory?: string;
+    }
+    /** What `patchProfanityList` did. */
+    interface PatchProfanityListResult {
+        /** The list as it is now. */
+        list: ProfanityList;
+        /** The changes that were made. Words that were already added or removed aren't included. */
+        applied: ProfanityListPatch;
+        /** The file the old list was saved to, or null if it wasn't saved. */
+        snapshot: string | null;
+    }
+    /** Changes how far `investigate` crawls, and what it collects. */
+    interface InvestigationOptions {
+        /** How many links away from the user to crawl. Each shared IP or alt is one link. Default is 2. */
+        depth?: number;
+        /** Stops crawling after this many accounts are found. Default is 50. */
+        maxAccounts?: number;
+        /** Whether or not to get the email of each account. Default is true. */
+        includeEmail?: boolean;
+        /** Whether or not to get the profile of each account. Default is true. */
+        includeProfile?: boolean;
+    }
+    /** An account found by `investigate`. */
+    interface InvestigatedAccount {
+        username: string;
+        id: string | null;
+        /** How many links away from the investigated user the account is. */
+        depth: number;
+        /** Null if it couldn't be checked. */
+        banned: boolean | null;
+        email: string | null;
+        /** Null if it couldn't be found, like for banned accounts. */
+        profile: UserProfile | null;
+        /** The latest `IPAddress.lastLogin` of the account, or null if unknown. */
+        lastLogin: number | null;
+        /** Empty for accounts at the last depth, and without an admin account. */
+        ips: string[];
+        alts: string[];
+    }
+    /** An IP found by `investigate`. */
+    interface InvestigatedIP {
+        ip: string;
+        banned: boolean;
+        /** The latest time an account logged in with this IP, or null if unknown. */
+        lastLogin: number | null;
+        /** How many links away from the investigated user the IP is. */
+        depth: number;
+        /** The usernames of the accounts that used the IP. */
+        accounts: string[];
+    }
+    /** What `investigate` found. */
+    interface InvestigationReport {
+        /** The username that was investigated. */
+        target: string;
+        depth: number;
+        /** The time in milliseconds the report was made. */
+        generatedAt: number;
+        /** Whether or not the crawl stopped early because of `maxAccounts`. */
+        truncated: boolean;
+        accounts: InvestigatedAccount[];
+        ips: InvestigatedIP[];
+        /** How the accounts and IPs are linked. `from` is always a username. */
+        links: Array<{ type: "ip" | "alt", from: string, to: string, lastLogin: number | null }>;
+        /** Requests that failed during the crawl. */
+        errors: Array<{ method: string, target: string, message: string }>;
+    }
+    /** An action that is hard to undo, given to the confirm hook and recorded in dry run mode. */
+    interface DestructiveAction {
+        /** The endpoint method, like "users.ban". */
+        action: string;
+        url: string;
+        /** The HTTP method, like "POST". */
+        method: string;
+        /** The JSON body that is sent, like `{ target: "Penguin", reason: "Spam", ... }`. */
+        body: any;
+        /** The time in milliseconds the action was made. */
+        time: number;
+    }
+    /** Asked before an action that is hard to undo is sent. The action is only sent if it resolves with true. */
+    type ConfirmHook = (action: DestructiveAction) => boolean | Promise<boolean>;
+    /** Where a PenguinModProfanityFilter found a word from the ProfanityList. */
+    interface ProfanityMatch {
+        /** The list the word is from, like "illegalWords". */
+        list: keyof ProfanityList;
+        /** The word as written in the list. */
+        word: string;
+        severity: "flagged" | "potentiallyUnsafe";
+        /** Where the match starts in the checked text. */
+        start: number;
+        /** Where the match ends in the checked text, exclusive. */
+        end: number;
+        /** The part of the checked text that matched, like "b4dw0rd". */
+        text: string;
+    }
+    /** What a PenguinModProfanityFilter thinks of some text. */
+    interface ProfanityVerdict {
+        /** Whether or not the text has a word or website from a list the API rejects. */
+        flagged: boolean;
+        /** Whether or not the text has a word from a list the API might flag for review. */
+        potentiallyUnsafe: boolean;
+        /** Every match, in the order they appear in the text. */
+        matches: ProfanityMatch[];
+    }
+
     /** Stats about the server and its contents. */
     interface ServerStatistics {
         /** Counts how many accounts are on the server */
@@ -291,6 +428,270 @@ declare namespace PenguinModTypes {
         unranked?: boolean;
     }
 
+    /** Controls how failed requests are sent again. */
+    interface RetryPolicy {
+        /** The most times a request will be sent, including the first attempt. Default is 3. */
+        maxAttempts?: number;
+        /** The delay in milliseconds before the first retry. Doubles after every retry. Default is 500. */
+        baseDelay?: number;
+        /** The longest delay in milliseconds between retries. Default is 10000. */
+        maxDelay?: number;
+        /** Whether or not to randomize the delay between retries, so many clients don't retry at the same time. Default is true. */
+        jitter?: boolean;
+        /** HTTP status codes that should be retried. Network errors are always retried. Default is 429, 500, 502, 503 and 504. */
+        retryStatusCodes?: number[];
+        /**
+         * Whether or not to wait for as long as the Retry-After header asks.
+         * If the API asks to wait longer than `maxDelay`, the request will not be retried. Default is true.
+         */
+        respectRetryAfter?: boolean;
+        /** Whether or not to retry requests that are not safe to send twice, such as POST requests. Default is false. */
+        retryNonIdempotent?: boolean;
+    }
+    /** Options that change how a single request is sent. */
+    interface RequestOptions {
+        /** Overrides parts of the client's retry policy for this request. Pass `false` to not retry this request. */
+        retry?: RetryPolicy | false;
+        /** Requests with a "background" priority are only sent when no "interactive" requests are waiting. Default is "interactive". */
+        priority?: "interactive" | "background";
+        /** Sends this request with a different token than the client's. */
+        token?: string;
+        /** Pass `false` to send this request without a token, even if the client has one. */
+        credentials?: false;
+        /** Pass `false` to skip the client's cache for this request, or a number to cache the response for that many milliseconds instead. */
+        cache?: false | number;
+        /** Overrides the client's dry run mode for this request. Only changes actions that are hard to undo, like `ban`. */
+        dryRun?: boolean;
+        /** Overrides the client's timeout for this request, in milliseconds. Pass 0 to wait forever. */
+        timeout?: number;
+        /** Cancels the request when aborted. The method will throw a PenguinModAPIError with the message "RequestAborted". */
+        signal?: AbortSignal;
+    }
+    /** Options for walking through the pages of a paged endpoint. */
+    interface PaginationOptions {
+        /** The most items to return in total. Default is no limit. */
+        limit?: number;
+        /** The page to start on. Default is 0. */
+        startPage?: number;
+        /** Stops walking through pages once aborted. The iterator will throw a PenguinModAPIError with the message "RequestAborted". */
+        signal?: AbortSignal;
+    }
+    /** Walks through the items of a paged endpoint. Use with `for await`. */
+    interface PageIterator<T> extends AsyncIterable<T> {
+        /** Walks through every page and returns all of the items in one array. */
+        collectAll(): Promise<T[]>;
+    }
+    /** Controls how fast requests are sent to an API host. */
+    interface RateLimitOptions {
+        /** How many requests can be sent per second, on average. Default is 5. */
+        requestsPerSecond?: number;
+        /** How many requests can be sent at once before being limited to `requestsPerSecond`. Default is 10. */
+        burst?: number;
+        /** The most requests that can be waiting for a response at once. Default is 4. */
+        maxConcurrent?: number;
+    }
+    /** The current state of a rate limiter's queue. */
+    interface RateLimiterStats {
+        /** The total amount of requests waiting to be sent. */
+        queued: number;
+        /** The amount of interactive requests waiting to be sent. */
+        interactive: number;
+        /** The amount of background requests waiting to be sent. */
+        background: number;
+        /** The amount of requests waiting for a response. */
+        active: number;
+        /** How many requests can be sent right now before the rate limit applies. */
+        tokens: number;
+    }
+    /** Changes how often a PenguinModInbox polls, and what it does with new messages. */
+    interface InboxOptions {
+        /** How long to wait between polls in milliseconds. Default is 30000. */
+        interval?: number;
+        /** The longest to wait between polls in milliseconds, when nothing new arrives for a while. Default is 300000. */
+        maxInterval?: number;
+        /** How much longer to wait after each poll that finds nothing new. Default is 2. */
+        backoff?: number;
+        /** Whether or not messages that were already unread when the inbox started are emitted. Default is true. */
+        emitExisting?: boolean;
+        /** Whether or not new messages are marked as read once they are emitted. Default is false. */
+        markAsRead?: boolean;
+        /** How many message IDs are remembered, so messages are never emitted twice. Default is 1000. */
+        maxSeen?: number;
+        /** Used for every request the inbox sends. */
+        requestOptions?: RequestOptions;
+    }
+    /** Changes how often a PenguinModFeed polls, and what it keeps. */
+    interface FeedOptions {
+        /** How long to wait between polls in milliseconds. Default is 60000. */
+        interval?: number;
+        /** The longest to wait between polls in milliseconds, when nothing new arrives for a while. Default is 600000. */
+        maxInterval?: number;
+        /** How much longer to wait after each poll that finds nothing new. Default is 2. */
+        backoff?: number;
+        /** Whether or not each item's profiles and project are requested. Default is true. */
+        resolve?: boolean;
+        /** Whether or not items that were already in the feed when the watcher started are emitted. Default is true. */
+        emitExisting?: boolean;
+        /** How many items the history keeps. The oldest are forgotten first. Default is 1000. */
+        maxHistory?: number;
+        /** A history saved from an earlier PenguinModFeed, so items are never emitted twice. */
+        history?: FeedEntry[] | null;
+        /** Your username, so digests say "followed you". Defaults to the session's identity, if it is known. */
+        username?: string;
+        /** Used for every request the feed watcher sends. */
+        requestOptions?: RequestOptions;
+    }
+    /** A feed item kept by a PenguinModFeed, with the profiles and project it refers to. */
+    interface FeedEntry {
+        /** Identifies the item, since feed items don't have IDs. */
+        key: string;
+        type: FeedItem["type"];
+        /** The time in milliseconds when the item was made. */
+        date: number;
+        /** The time in milliseconds when the API stopped (or will stop) sending the item. */
+        expireAt: number;
+        /** The ID of the user who followed, uploaded or remixed. */
+        userId: string | null;
+        /** The username of the user who followed, uploaded or remixed. */
+        username: string | null;
+        /** The item the API sent. */
+        item: FeedItem;
+        /** The profile of the user who followed, uploaded or remixed, if it could be found. */
+        user: UserProfile | null;
+        /** The uploaded project or remix, if it could be found. Null for follows. */
+        project: Project | null;
+        /** The profile of the user who was followed, if it could be found. Only for follows. */
+        followed: UserProfile | null;
+    }
+    /** Feed items grouped together for a digest. */
+    interface FeedGroup {
+        key: string;
+        type: FeedItem["type"];
+        /** Who uploaded or remixed. Null for follows. */
+        username: string | null;
+        /** Who was followed. Null for uploads and remixes. */
+        followed: string | null;
+        /** The items in the group, newest first. */
+        entries: FeedEntry[];
+        /** The time in milliseconds of the newest item. */
+        date: number;
+        /** Text like "3 people followed you" or "Penguin uploaded 2 projects". */
+        summary: string;
+    }
+    /** One rule that failed in a PenguinModValidation check. */
+    interface ValidationIssue {
+        /** The input the rule is about, like "username" or "password". */
+        field: string;
+        /** The error code the endpoint throws for this rule, like "InvalidUsernameLength". */
+        code: string;
+        /** Text explaining the rule, which can be shown to the user. */
+        message: string;
+    }
+    /** The result of a PenguinModValidation check. */
+    interface ValidationResult {
+        valid: boolean;
+        /** Every rule that failed. Empty if valid. */
+        errors: ValidationIssue[];
+    }
+    /** What `PenguinModValidation.validateSignup` checks. */
+    interface SignupDetails {
+        username: string;
+        password: string;
+        /** Optional. Only checked if given. */
+        email?: string;
+        /** Optional. Only checked if given. */
+        birthday?: string;
+        /** Optional. Only checked if given. */
+        country?: string;
+    }
+    /** An account kept in a PenguinModAccountPool. */
+    interface PoolAccount {
+        /** The name the account is known by in the pool, like "moderator". Doesn't need to be the username. */
+        name: string;
+        /** The token of the account. */
+        token: string;
+        /** Roles used to pick the account, like ["moderator"] or ["test"]. */
+        roles?: string[];
+        /** Limits how fast this account sends requests, on top of the client's rate limit. */
+        rateLimit?: RateLimitOptions;
+    }
+    /** Where the account token can be placed in a request. */
+    type CredentialPlacement = "header" | "query" | "body";
+    /** Changes where the token is placed in requests. */
+    interface CredentialOptions {
+        /** Where to place the token for endpoints that are known to accept it. Other endpoints use the placement they have always used. Default is "header". */
+        placement?: CredentialPlacement;
+        /** The header the token is sent in when placed in a header. Default is "Authorization". */
+        headerName?: string;
+        /** Added before the token when placed in a header. Default is "Bearer ". */
+        headerPrefix?: string;
+        /** Picks a placement for specific endpoints, using their path like "/v1/users/getmyfeed". These are used even if the endpoint isn't known to accept them. */
+        endpoints?: { [path: string]: CredentialPlacement };
+    }
+    /** What kind of error a PenguinModAPIError is. */
+    type ErrorCategory = "notFound" | "auth" | "permission" | "rateLimited" | "validation" | "network" | "parse" | "server" | "aborted" | "unknown";
+    /** A request given to a transport. */
+    interface TransportRequest {
+        url: string;
+        method: string;
+        headers: { [name: string]: string };
+        /** A JSON string, a FormData, or undefined. */
+        body?: string | FormData;
+        /** Every fetch option for the request, including any from `injectOptions`. */
+        options: RequestInit;
+    }
+    /** The parts of a fetch Response that ApiModule reads. */
+    interface TransportResponse {
+        ok: boolean;
+        status: number;
+        headers: Headers;
+        text(): Promise<string>;
+        arrayBuffer(): Promise<ArrayBuffer>;
+    }
+    /** Sends a request. Should only reject if no response was received, since status codes are handled by ApiModule. */
+    type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+    /** A response kept in a cache store. */
+    interface CacheEntry {
+        /** The parsed response. */
+        value: any;
+        /** The time in milliseconds that this response stops being used. */
+        expires: number;
+    }
+    /** Keeps cached responses. Every method may also return a promise. */
+    interface CacheStore {
+        get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+        set(key: string, entry: CacheEntry): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+        keys(): string[] | Promise<string[]>;
+        clear(): void | Promise<void>;
+    }
+    /** Changes which responses are cached, and where. */
+    interface CacheOptions {
+        /** Where responses are kept. Default is a new PenguinModMemoryStore. */
+        store?: CacheStore;
+        /** How long responses are cached for in milliseconds, using endpoint paths like "/v1/users/profile". Endpoints that are not listed are never cached. */
+        endpoints?: { [path: string]: number };
+    }
+    /** A saved session. */
+    interface SessionData {
+        token: string;
+    }
+    /** Keeps saved sessions. Every method may also return a promise. */
+    interface SessionStorage {
+        get(key: string): SessionData | undefined | Promise<SessionData | undefined>;
+        set(key: string, value: SessionData): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+    }
+    /** Changes where the session is saved, and how an expired token is renewed. */
+    interface SessionOptions {
+        /** The key the session is saved under. Default is "penguinmod-session". */
+        key?: string;
+        /** Where the session is saved. Default is memory, which is lost when the process exits. */
+        storage?: SessionStorage;
+        /** Called when the API says the token has expired ("Reauthenticate"). Resolve with a new token to send the request again, or nothing to clear the session. */
+        onSessionExpired?: (err: Error) => string | null | void | Promise<string | null | void>;
+    }
+
     /** An IP address with information about the user behind it. */
     interface IPAddress {
         /** The IPv6 IP */
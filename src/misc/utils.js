@@ -1,6 +1,11 @@
-const axios = require("axios");
+const JSZip = require("jszip");
+const pmp_protobuf = require("pmp-protobuf");
 
 const PenguinModAPIError = require("../classes/PenguinModAPIError");
+const retry = require("./retry.js");
+const credentials = require("./credentials.js");
+const cache = require("./cache.js");
+const transports = require("./transport.js");
 /** @typedef {import("../classes/PenguinModAPI")} PenguinModAPI */
 
 const safeParseJSON = (possibleJson, forceObject) => {
@@ -25,124 +30,286 @@ const RequestType = {
 };
 
 /**
+ * Sends a request through the rate limiter for its API host, if the client has rate limiting enabled.
+ * Clients made with `as` can also have a rate limiter for their own account, which the request waits for first.
+ * @param {string} url The URL being fetched.
+ * @param {PenguinModAPI} apiClass The client the request is made with.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Used to get the priority of the request.
+ * @param {() => Promise<any>} send Sends the request once.
+ * @returns {Promise<any>}
+ */
+const scheduleRequest = (url, apiClass, requestOptions, send) => {
+    const priority = requestOptions ? requestOptions.priority : null;
+    const limiter = apiClass.getRateLimiter(url);
+    const scheduled = limiter ? () => limiter.schedule(send, priority) : send;
+
+    // accounts from a pool wait for their own budget before joining the shared queue
+    const accountLimiter = apiClass.accountRateLimiter;
+    if (!accountLimiter) return scheduled();
+    return accountLimiter.schedule(scheduled, priority);
+};
+
+/**
+ * Makes the AbortSignal for one attempt of a request, which aborts when the timeout runs out or any given signal aborts.
+ * @param {PenguinModAPI} apiClass The client the request is made with. Used for the default timeout.
+ * @param {RequestInit} options The fetch options of the request, which may have a signal from `injectOptions`.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Can provide a `signal`, or a `timeout` that overrides the client's.
+ * @returns {{signal:AbortSignal, timeout:number|null, timedOut:() => boolean, cleanup:() => void}}
+ */
+const createRequestSignal = (apiClass, options, requestOptions) => {
+    const timeout = requestOptions && requestOptions.timeout !== undefined ? requestOptions.timeout : apiClass.timeout;
+    const signals = [options.signal, requestOptions ? requestOptions.signal : null].filter(Boolean);
+    const controller = new AbortController();
+
+    let timedOut = false;
+    let timer = null;
+    if (timeout) {
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    }
+
+    const onAbort = () => controller.abort();
+    for (const signal of signals) {
+        if (signal.aborted) {
+            controller.abort();
+            break;
+        }
+        signal.addEventListener("abort", onAbort);
+    }
+
+    return {
+        signal: controller.signal,
+        timeout: timeout || null,
+        timedOut: () => timedOut,
+        cleanup: () => {
+            if (timer) clearTimeout(timer);
+            for (const signal of signals) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        },
+    };
+};
+
+/**
+ * Reads a successful response as the type the endpoint asked for.
+ * @param {PenguinModTypes.TransportResponse} response
+ * @param {string} requestType Use the RequestType object.
+ * @param {string} url The url that was requested. Used for errors.
+ * @param {RequestInit} options The options the request was sent with. Used for errors.
+ * @returns {Promise<any>}
+ */
+const parseResponse = async (response, requestType, url, options) => {
+    if (requestType === RequestType.None) {
+        return response;
+    }
+
+    if (requestType === RequestType.ArrayBuffer) {
+        try {
+            return await response.arrayBuffer();
+        } catch (err) {
+            throw PenguinModAPIError.create("ParseArrayBufferFailed", err, response.status, null, true, url, options, response, err);
+        }
+    }
+
+    let text;
+    try {
+        text = await response.text();
+    } catch (err) {
+        throw PenguinModAPIError.create("ParseTextFailed", err, response.status, null, true, url, options, response, err);
+    }
+    if (requestType === RequestType.JSON) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw PenguinModAPIError.create("ParseJSONFailed", err, response.status, text, true, url, options, response, err);
+        }
+    }
+    return text;
+};
+/**
+ * Turns a failed response into a PenguinModAPIError.
+ * @param {PenguinModTypes.TransportResponse} response
+ * @param {string} url The url that was requested.
+ * @param {RequestInit} options The options the request was sent with.
+ * @returns {Promise<PenguinModAPIError>}
+ */
+const parseErrorResponse = async (response, url, options) => {
+    let text;
+    try {
+        text = await response.text();
+    } catch (err) {
+        return PenguinModAPIError.create("ParseTextFailed", err, response.status, null, true, url, options, response, err);
+    }
+
+    // a text API might error in JSON
+    const jsonResp = safeParseJSON(text);
+    const errorMsg = jsonResp && jsonResp.error ? jsonResp.error : text || PenguinModAPIError.UNKNOWN;
+    return PenguinModAPIError.create(errorMsg, text, response.status, jsonResp, false, url, options, response, null);
+};
+
+/**
+ * Sends a request with the client's transport, and handles the response.
+ * Every request goes through here, so errors and parsing are the same no matter what the body is.
  * @param {string} url 
  * @param {RequestInit?} options 
+ * @param {FormData?} formData Any FormData to send with the request. If null, `options.body` is sent.
  * @param {PenguinModAPI} apiClass Required to add headers.
  * @param {string} requestType The type that the result of the request is parsed as (i.e. text, json, etc). Use the RequestType object.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Per-call options, such as retry policy overrides or the token to use.
  * @returns {Promise<any>}
  */
-const doBasicRequest = (url, options, apiClass, requestType) => {
-    if (!apiClass) throw new Error("Provide apiClass to doBasicRequest");
+const sendRequest = (url, options, formData, apiClass, requestType, requestOptions) => {
     options = apiClass.injectOptions(options, url);
     if (!options) options = {};
     if (!options.headers) options.headers = {};
     options.headers["PenguinMod-Tooling"] = "PenguinMod-ApiModule";
-    
-    return new Promise((resolve, reject) => {
-        fetch(url, options).then(response => {
-            if (response.ok) {
-                if (requestType === RequestType.None) {
-                    return resolve(response);
-                }
-
-                if (requestType === RequestType.ArrayBuffer) {
-                    response
-                    .arrayBuffer()
-                    .then(arr_buff => resolve(arr_buff))
-                    .catch((err) => {
-                        const pmError = new PenguinModAPIError("ParseArrayBufferFailed", err, response.status, null, true, url, options, response, err);
-                        reject(pmError);
-                    });
-                } else {
-                    response.text().then(text => {
-                        if (requestType === RequestType.JSON) {
-                            try {
-                                return resolve(JSON.parse(text));
-                            } catch (err) {
-                                const pmError = new PenguinModAPIError("ParseJSONFailed", err, response.status, text, true, url, options, response, err);
-                                reject(pmError);
-                            }
-                        }
-                        return resolve(text);
-                    }).catch((err) => {
-                        const pmError = new PenguinModAPIError("ParseTextFailed", err, response.status, null, true, url, options, response, err);
-                        reject(pmError);
-                    });
-                }
-            } else {
-                response.text().then(text => {
-                    // a text API might error in JSON
-                    const jsonResp = safeParseJSON(text);
-                    const errorMsg = jsonResp && jsonResp.error ? jsonResp.error : text || PenguinModAPIError.UNKNOWN;
-                    const pmError = new PenguinModAPIError(errorMsg, text, response.status, jsonResp, false, url, options, response, null);
-                    return reject(pmError);
-                }).catch(err => {
-                    const pmError = new PenguinModAPIError("ParseTextFailed", err, response.status, null, true, url, options, response, err);
-                    reject(pmError);
-                });
+    const cacheUrl = url;
+    url = credentials.applyCredentials(apiClass, url, options, formData, requestOptions);
+
+    const transport = apiClass.transport || transports.fetchTransport;
+    const sendOnce = async (signal) => {
+        let response;
+        try {
+            response = await transport({
+                url,
+                method: options.method || "GET",
+                headers: options.headers,
+                body: formData || options.body,
+                options: { ...options, signal },
+            });
+        } catch (err) {
+            throw PenguinModAPIError.create("FetchFailed", err, PenguinModAPIError.UNKNOWN_CODE, null, false, url, options, null, err);
+        }
+
+        if (!response.ok) {
+            throw await parseErrorResponse(response, url, options);
+        }
+        return await parseResponse(response, requestType, url, options);
+    };
+    const send = async () => {
+        const requestSignal = createRequestSignal(apiClass, options, requestOptions);
+        try {
+            if (requestSignal.signal.aborted) throw new Error("Aborted before sending");
+            return await sendOnce(requestSignal.signal);
+        } catch (err) {
+            // the timeout or signal may have cut off the request while it was sending, or while the response was being read
+            if (requestSignal.timedOut()) {
+                throw PenguinModAPIError.create("RequestTimedOut", `No response within ${requestSignal.timeout}ms.`, PenguinModAPIError.UNKNOWN_CODE, null, false, url, options, null, err);
             }
-        }).catch((err) => {
-            const pmError = new PenguinModAPIError("FetchFailed", err, PenguinModAPIError.UNKNOWN_CODE, null, false, url, options, null, err);
-            reject(pmError);
-        });
-    });
+            if (requestSignal.signal.aborted) {
+                throw PenguinModAPIError.create("RequestAborted", "The request was aborted.", PenguinModAPIError.UNKNOWN_CODE, null, false, url, options, null, err);
+            }
+            throw err;
+        } finally {
+            requestSignal.cleanup();
+        }
+    };
+
+    return cache.withCache(apiClass, cacheUrl, options, requestType, requestOptions, () => retry.withRetries(() => scheduleRequest(url, apiClass, requestOptions, send), options, apiClass, requestOptions));
 };
 /**
+ * Sends a request, and if the API says the client's token has expired, asks the client's session for a new one and sends it once more.
  * @param {string} url 
  * @param {RequestInit?} options 
  * @param {FormData?} formData Any FormData to send with the request.
  * @param {PenguinModAPI} apiClass Required to add headers.
  * @param {string} requestType The type that the result of the request is parsed as (i.e. text, json, etc). Use the RequestType object.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Per-call options, such as retry policy overrides or the token to use.
  * @returns {Promise<any>}
  */
-const doFormDataRequest = async (url, options, formData, apiClass, requestType) => {
-    if (!apiClass) throw new Error("Provide apiClass to doFormDataRequest");
-    options = apiClass.injectOptions(options, url);
-    if (!options) options = {};
-    if (!options.headers) options.headers = {};
-    options.headers["PenguinMod-Tooling"] = "PenguinMod-ApiModule";
-
-    let axiosResponseType = null;
-    if (requestType === RequestType.Text) axiosResponseType = 'text';
-    if (requestType === RequestType.ArrayBuffer) axiosResponseType = 'arraybuffer';
-    if (requestType === RequestType.JSON) axiosResponseType = 'json';
-
+const sendWithSession = async (url, options, formData, apiClass, requestType, requestOptions) => {
+    // sending a request adds headers and the token to the options, so each attempt needs its own copy
+    const copyOptions = () => options ? { ...options, headers: { ...options.headers } } : options;
+    const sentToken = credentials.getRequestToken(apiClass, url, requestOptions);
     try {
-        const response = await axios({
-            url: url,
-            method: options.method || "GET",
-            data: formData,
-            headers: options.headers,
-            responseType: axiosResponseType,
-        });
-
-        // text requests can fail with json so we parse them
-        const responseData = response.data;
-        const jsonResp = (typeof responseData === "string")
-            ? safeParseJSON(responseData)
-            : responseData;
-        if (jsonResp && jsonResp.error) {
-            throw new PenguinModAPIError(jsonResp.error, responseData, response.status, responseData, false, url, options);
-        }
+        return await sendRequest(url, copyOptions(), formData, apiClass, requestType, requestOptions);
+    } catch (err) {
+        // only the client's own token belongs to the session
+        const session = apiClass.session;
+        if (!session || !sentToken || (requestOptions && requestOptions.token)) throw err;
+        if (!session.isExpiredError(err)) throw err;
 
-        if (responseData instanceof ArrayBuffer && !(response.status >= 200 && response.status < 400)) {
-            // Note: Your original code rejects if status is 200-400 for ArrayBuffers.
-            // I am keeping that logic here as requested.
-            throw new PenguinModAPIError("FormDataRequestArrayBufferFailed", "FormDataRequestArrayBufferFailed", response.status, responseData, true, url, options);
+        let token;
+        try {
+            token = await session._renew(err, sentToken);
+        } catch {
+            throw err;
         }
+        if (!token) throw err;
+        return await sendRequest(url, copyOptions(), formData, apiClass, requestType, requestOptions);
+    }
+};
+/**
+ * @param {string} url 
+ * @param {RequestInit?} options 
+ * @param {PenguinModAPI} apiClass Required to add headers.
+ * @param {string} requestType The type that the result of the request is parsed as (i.e. text, json, etc). Use the RequestType object.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Per-call options, such as retry policy overrides or the token to use.
+ * @returns {Promise<any>}
+ */
+const doBasicRequest = (url, options, apiClass, requestType, requestOptions) => {
+    if (!apiClass) throw new Error("Provide apiClass to doBasicRequest");
+    return sendWithSession(url, options, null, apiClass, requestType, requestOptions);
+};
+/**
+ * @param {string} url 
+ * @param {RequestInit?} options 
+ * @param {FormData?} formData Any FormData to send with the request.
+ * @param {PenguinModAPI} apiClass Required to add headers.
+ * @param {string} requestType The type that the result of the request is parsed as (i.e. text, json, etc). Use the RequestType object.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Per-call options, such as retry policy overrides or the token to use.
+ * @returns {Promise<any>}
+ */
+const doFormDataRequest = async (url, options, formData, apiClass, requestType, requestOptions) => {
+    if (!apiClass) throw new Error("Provide apiClass to doFormDataRequest");
+    return await sendWithSession(url, options, formData, apiClass, requestType, requestOptions);
+};
+/**
+ * Checks if actions that are hard to undo should only be recorded instead of sent.
+ * @param {PenguinModAPI} apiClass
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. `requestOptions.dryRun` overrides the client's setting.
+ * @returns {boolean}
+ */
+const isDryRun = (apiClass, requestOptions) => {
+    return requestOptions && typeof requestOptions.dryRun === "boolean" ? requestOptions.dryRun : !!apiClass.dryRun;
+};
 
-        return responseData;
-    } catch (err) {
-        if (err instanceof PenguinModAPIError) throw err;
+/**
+ * Sends a request for an action that is hard to undo, like banning or deleting an account.
+ * Asks the client's `confirm` hook first, and only records the request if the client or request is in dry run mode.
+ * @param {string} action The endpoint method, like "users.ban".
+ * @param {string} url 
+ * @param {RequestInit?} options 
+ * @param {PenguinModAPI} apiClass Required to add headers.
+ * @param {string} requestType The type that the result of the request is parsed as (i.e. text, json, etc). Use the RequestType object.
+ * @param {PenguinModTypes.RequestOptions?} requestOptions Optional. Per-call options, such as retry policy overrides or the token to use.
+ * @throws {PenguinModAPIError} Throws "ActionNotConfirmed" if the confirm hook doesn't allow it.
+ * @returns {Promise<any>} Null in dry run mode.
+ */
+const doDestructiveRequest = async (action, url, options, apiClass, requestType, requestOptions) => {
+    if (!apiClass) throw new Error("Provide apiClass to doDestructiveRequest");
+    const record = {
+        action,
+        url,
+        method: options && options.method ? options.method : "GET",
+        body: options && options.body ? safeParseJSON(options.body) : null,
+        time: Date.now(),
+    };
 
-        if (axios.isCancel(err)) {
-            throw new PenguinModAPIError("FormDataRequestAborted", "FormDataRequestAborted", PenguinModAPIError.UNKNOWN_CODE, null, false, url, options, null, err);
+    // nothing is sent in a dry run, so there's nothing to confirm
+    if (isDryRun(apiClass, requestOptions)) {
+        apiClass.dryRunLog.push(record);
+        return null;
+    }
+    if (apiClass.confirmHook) {
+        const confirmed = await apiClass.confirmHook(record);
+        if (!confirmed) {
+            throw PenguinModAPIError.create("ActionNotConfirmed", `${action} was not confirmed.`, PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, null);
         }
-
-        const errorMessage = err.response ? (err.response.data ? err.response.data.error || "FormDataRequestFailed" : "FormDataRequestFailed") : "FormDataRequestFailed";
-        const status = err.response ? err.response.status : PenguinModAPIError.UNKNOWN_CODE;
-        throw new PenguinModAPIError("FormDataRequestFailed", errorMessage, status, err.response, false, url, options, null, err);
     }
+    return await sendWithSession(url, options, null, apiClass, requestType, requestOptions);
 };
 
 /**
@@ -155,14 +322,121 @@ const doFormDataRequest = async (url, options, formData, apiClass, requestType)
  */
 const assert = (val, url, message="AssertFailed", detail="Assert failed.") => {
     if (!val) {
-        throw new PenguinModAPIError(message, detail, PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, null);
+        throw PenguinModAPIError.create(message, detail, PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, null);
     }
 }
 
+/**
+ * Throws the first error of a PenguinModValidation result, if there is one.
+ * @param {PenguinModTypes.ValidationResult} result
+ * @param {string} url The URL of the endpoint that was about to be requested.
+ * @throws {PenguinModAPIError}
+ */
+const assertValid = (result, url) => {
+    if (!result.valid) {
+        const error = result.errors[0];
+        assert(false, url, error.code, error.message);
+    }
+}
+
+/**
+ * Makes a cryptographically random string of hex characters.
+ * @param {number} byteCount How many random bytes to use. The string will be twice this length.
+ * @returns {string}
+ */
+const randomHex = (byteCount) => {
+    const webcrypto = globalThis.crypto || require("crypto").webcrypto;
+    const bytes = webcrypto.getRandomValues(new Uint8Array(byteCount));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+};
+/**
+ * Compares two strings in a way that takes the same amount of time no matter where they differ.
+ * Used for comparing secrets, like OAuth states.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if the strings are equal.
+ */
+const safeCompare = (a, b) => {
+    if (typeof a !== "string" || typeof b !== "string") return false;
+    let difference = a.length ^ b.length;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+    }
+    return difference === 0;
+};
+
+/**
+ * Converts a project sent by the API (like from `getprojectwrapper`) into a .pmp project.
+ * @param {{project:{data:Array<number>}, assets:Array<{id:string, buffer:{data:Array<number>}}>}} json The project and its assets, as sent by the API.
+ * @returns {Promise<ArrayBuffer>} The .pmp project
+ */
+const unpackPMP = async (json) => {
+    const blob = new Uint8Array(json.project.data);
+    const packedAssets = [];
+    for (const asset of json.assets) {
+        const uint8 = new Uint8Array(asset.buffer.data);
+        packedAssets.push({
+            id: asset.id,
+            buffer: uint8.buffer,
+        });
+    }
+    return await pmp_protobuf.protobufToPMP(blob, packedAssets);
+};
+/**
+ * Converts a .pmp project into the form the API stores projects in.
+ * This is the reverse of what `getProjectFile` does.
+ * @param {ArrayBuffer|Uint8Array} pmp The .pmp project file.
+ * @param {string} url The url that the project is being sent to. Used for errors.
+ * @throws {PenguinModAPIError} Throws if the file is not a valid .pmp project.
+ * @returns {Promise<{protobuf:Uint8Array, assets:Array<{id:string, buffer:ArrayBuffer}>}>} The project.json in protobuf form, and every asset file.
+ */
+const packPMP = async (pmp, url) => {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(pmp);
+    } catch (err) {
+        throw PenguinModAPIError.create("InvalidProjectFile", "Project must be a valid .pmp file.", PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, err);
+    }
+
+    const projectJsonFile = zip.file("project.json");
+    assert(!!projectJsonFile, url, "InvalidProjectFile", "Project is missing a project.json file.");
+
+    let protobuf;
+    try {
+        const projectJson = JSON.parse(await projectJsonFile.async("string"));
+        protobuf = pmp_protobuf.jsonToProtobuf(projectJson);
+    } catch (err) {
+        throw PenguinModAPIError.create("InvalidProjectFile", "Project has an invalid project.json file.", PenguinModAPIError.ASSERT_FAILED, null, false, url, null, null, err);
+    }
+
+    const assets = [];
+    for (const fileName in zip.files) {
+        const file = zip.files[fileName];
+        if (file.dir || fileName === "project.json") continue;
+        assets.push({
+            id: fileName,
+            buffer: await file.async("arraybuffer"),
+        });
+    }
+
+    return {
+        protobuf,
+        assets,
+    };
+};
+
 module.exports = {
     safeParseJSON,
     doBasicRequest,
     doFormDataRequest,
+    doDestructiveRequest,
+    isDryRun,
     RequestType,
-    assert
+    scheduleRequest,
+    assert,
+    assertValid,
+    randomHex,
+    safeCompare,
+    unpackPMP,
+    packPMP
 };
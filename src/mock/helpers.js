@@ -0,0 +1,199 @@
+/**
+ * Thrown by mock route handlers to send an error response, the same way PenguinMod-BackendApi does.
+ * The client receives `{ error }` with the given status code.
+ */
+class MockError extends Error {
+    /**
+     * @param {number} status The HTTP status code to respond with.
+     * @param {string} error The error message sent in the response.
+     * @param {Object<string, string>} headers Optional. Extra headers to send, like "Retry-After".
+     */
+    constructor(status, error, headers = {}) {
+        super(error);
+        this.name = "MockError";
+        this.status = status;
+        this.error = error;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Gets a single page of items.
+ * @template T
+ * @param {Array<T>} items
+ * @param {any} page The page number, as sent in the request.
+ * @param {number} pageSize
+ * @returns {Array<T>}
+ */
+const getPage = (items, page, pageSize) => {
+    const pageNumber = Math.max(0, Number(page) || 0);
+    return items.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize);
+};
+
+/**
+ * Reads a boolean sent as a query parameter or JSON property.
+ * @param {any} value
+ * @param {boolean} fallback Used if the value is missing.
+ * @returns {boolean}
+ */
+const readBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === "") return fallback;
+    if (typeof value === "boolean") return value;
+    return String(value) === "true";
+};
+
+/**
+ * Finds a user by their username, ignoring capitalization.
+ * @param {import("./seed").MockState} state
+ * @param {string} username
+ * @returns {import("./seed").MockUser|null}
+ */
+const findUser = (state, username) => {
+    if (typeof username !== "string") return null;
+    const lowerUsername = username.toLowerCase();
+    for (const user of state.users.values()) {
+        if (user.username === lowerUsername) return user;
+    }
+    return null;
+};
+/**
+ * Finds a user by their username, or throws a 404 if they don't exist.
+ * @param {import("./seed").MockState} state
+ * @param {string} username
+ * @param {string} error The error to send if the user doesn't exist.
+ * @returns {import("./seed").MockUser}
+ */
+const requireTarget = (state, username, error = "NotFound") => {
+    const user = findUser(state, username);
+    if (!user) throw new MockError(404, error);
+    return user;
+};
+/**
+ * Finds a project by its ID, or throws a 404 if it doesn't exist.
+ * @param {import("./seed").MockState} state
+ * @param {any} projectId
+ * @returns {import("./seed").MockProject}
+ */
+const requireProject = (state, projectId) => {
+    const project = state.projects.get(String(projectId));
+    if (!project) throw new MockError(404, "NotFound");
+    return project;
+};
+
+/**
+ * Whether or not a project can be seen by everyone.
+ * @param {import("./seed").MockProject} project
+ * @returns {boolean}
+ */
+const isProjectVisible = (project) => project.public && !project.softRejected && !project.hardReject;
+
+/**
+ * @param {import("./seed").MockUser} user
+ * @returns {PenguinModTypes.StubUser}
+ */
+const toStubUser = (user) => ({
+    id: user.id,
+    username: user.real_username,
+    banned: user.banned,
+});
+
+/**
+ * @param {import("./seed").MockState} state
+ * @param {import("./seed").MockProject} project
+ * @returns {PenguinModTypes.Project}
+ */
+const toProject = (state, project) => {
+    const author = state.users.get(project.author);
+    return {
+        id: project.id,
+        title: project.title,
+        author: author ? { id: author.id, username: author.real_username } : null,
+        instructions: project.instructions,
+        notes: project.notes,
+        remix: project.remix,
+        featured: project.featured,
+        views: project.views,
+        loves: project.loves.size,
+        votes: project.votes.size,
+        date: project.date,
+        lastUpdate: project.lastUpdate,
+        rating: project.rating,
+        public: project.public,
+        softRejected: project.softRejected,
+        hardReject: project.hardReject,
+        hardRejectTime: project.hardRejectTime,
+        impressions: project.impressions,
+        noFeature: project.noFeature,
+        featureDate: project.featureDate,
+        manuallyFeatured: project.manuallyFeatured,
+    };
+};
+
+/**
+ * Converts a project into the form `getprojectwrapper` sends it in.
+ * @param {import("./seed").MockProject} project
+ * @param {boolean} includeAssets
+ * @returns {{project:{type:"Buffer", data:Array<number>}, assets:Array<{id:string, buffer:{type:"Buffer", data:Array<number>}}>}}
+ */
+const toProjectWrapper = (project, includeAssets) => ({
+    project: project.protobuf.toJSON(),
+    assets: includeAssets === false ? [] : project.assets.map(asset => ({
+        id: asset.id,
+        buffer: asset.buffer.toJSON(),
+    })),
+});
+
+/**
+ * Sends a message to a user's inbox.
+ * @param {import("./seed").MockState} state
+ * @param {import("./seed").MockUser} receiver
+ * @param {PenguinModTypes.MessageBody} body
+ * @param {{disputable?:boolean, projectID?:string}?} options
+ * @returns {PenguinModTypes.Message}
+ */
+const sendMessage = (state, receiver, body, options = {}) => {
+    const message = {
+        id: state.nextId("message"),
+        receiver: receiver.id,
+        message: body,
+        disputable: !!options.disputable,
+        read: false,
+        date: state.now(),
+        projectID: options.projectID || 0,
+    };
+    state.messages.push(message);
+    return message;
+};
+/**
+ * Adds an item to the feed of everyone following a user.
+ * @param {import("./seed").MockState} state
+ * @param {import("./seed").MockUser} user The user the feed item is about.
+ * @param {"follow"|"upload"|"remix"} type
+ * @param {PenguinModTypes.FeedItemBody} data
+ */
+const addFeedItem = (state, user, type, data) => {
+    const date = state.now();
+    state.feed.push({
+        type,
+        date,
+        expireAt: date + (7 * 24 * 60 * 60 * 1000),
+        data,
+        id: user.id,
+        username: user.real_username,
+    });
+};
+
+module.exports = {
+    MockError,
+    getPage,
+    readBoolean,
+    findUser,
+    requireTarget,
+    requireProject,
+    isProjectVisible,
+    toStubUser,
+    toProject,
+    toProjectWrapper,
+    sendMessage,
+    addFeedItem,
+};
@@ -0,0 +1,10 @@
+const server = require("./server.js");
+const seed = require("./seed.js");
+const helpers = require("./helpers.js");
+
+module.exports = {
+    createMockServer: server.createMockServer,
+    MockError: helpers.MockError,
+    MOCK_TOKENS: seed.MOCK_TOKENS,
+    MOCK_PASSWORD: seed.MOCK_PASSWORD,
+};
@@ -0,0 +1,79 @@
+const { MockError, isProjectVisible } = require("../helpers.js");
+
+const POLICY_TYPES = {
+    tos: "TOS",
+    TOS: "TOS",
+    guidelines: "guidelines",
+    privacyPolicy: "privacyPolicy",
+};
+
+/**
+ * Misc routes, like server stats, policies and the profanity list.
+ * @type {Object<string, (ctx:import("../server").MockContext) => any>}
+ */
+module.exports = {
+    "GET /v1": () => ({
+        name: "PenguinMod-BackendApi",
+        mock: true,
+    }),
+    "GET /v1/ping": () => "Pong!",
+
+    "GET /v1/misc/getStats": ({ state }) => {
+        const users = Array.from(state.users.values());
+        const projects = Array.from(state.projects.values());
+        return {
+            userCount: users.length,
+            bannedCount: users.filter(user => user.banned).length,
+            projectCount: projects.length,
+            remixCount: projects.filter(project => project.remix && project.remix !== "0").length,
+            featuredCount: projects.filter(project => project.featured && isProjectVisible(project)).length,
+            totalViews: projects.reduce((total, project) => total + project.views, 0),
+            current_mem_usage: null,
+            comp_mem_usage: null,
+            mongodb_stats: null,
+        };
+    },
+
+    "GET /v1/misc/getLastPolicyUpdate": ({ state }) => ({ ...state.policyUpdates }),
+    "GET /v1/misc/getLastPolicyRead": (ctx) => ({ ...ctx.requireUser({ allowBanned: true }).policyRead }),
+    "POST /v1/misc/markGuidelinesAsRead": (ctx) => {
+        ctx.requireUser({ allowBanned: true }).policyRead.guidelines = ctx.state.now();
+    },
+    "POST /v1/misc/markPrivacyPolicyAsRead": (ctx) => {
+        ctx.requireUser({ allowBanned: true }).policyRead.privacyPolicy = ctx.state.now();
+    },
+    "POST /v1/misc/markTOSAsRead": (ctx) => {
+        ctx.requireUser({ allowBanned: true }).policyRead.TOS = ctx.state.now();
+    },
+    "POST /v1/misc/setLastPolicyUpdate": (ctx) => {
+        ctx.requireAdmin();
+        const types = ctx.body.types;
+        if (!Array.isArray(types) || types.length === 0) throw new MockError(400, "InvalidData");
+        for (const type of types) {
+            if (!POLICY_TYPES[type]) throw new MockError(400, "InvalidData");
+            ctx.state.policyUpdates[POLICY_TYPES[type]] = ctx.state.now();
+        }
+    },
+
+    "GET /v1/misc/getProfanityList": (ctx) => {
+        ctx.requireMod();
+        return ctx.state.profanityList;
+    },
+    "POST /v1/misc/setProfanityList": (ctx) => {
+        ctx.requireAdmin();
+        const list = ctx.body.json;
+        if (!list || typeof list !== "object" || Array.isArray(list)) throw new MockError(400, "InvalidData");
+
+        const keys = Object.keys(ctx.state.profanityList);
+        for (const key in list) {
+            if (!keys.includes(key)) throw new MockError(400, "InvalidData");
+            if (!Array.isArray(list[key]) || list[key].some(item => typeof item !== "string")) {
+                throw new MockError(400, "InvalidData");
+            }
+        }
+        ctx.state.profanityList = {
+            ...ctx.state.profanityList,
+            ...list,
+        };
+    },
+};
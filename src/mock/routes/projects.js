@@ -0,0 +1,474 @@
+const PenguinModDiscovery = require("../../classes/PenguinModDiscovery.js");
+const {
+    MockError,
+    getPage,
+    readBoolean,
+    requireTarget,
+    requireProject,
+    isProjectVisible,
+    toStubUser,
+    toProject,
+    toProjectWrapper,
+    sendMessage,
+    addFeedItem,
+} = require("../helpers.js");
+
+const SORTS = {
+    newest: (a, b) => b.date - a.date,
+    oldest: (a, b) => a.date - b.date,
+    views: (a, b) => b.views - a.views,
+    votes: (a, b) => b.votes.size - a.votes.size,
+    loves: (a, b) => b.loves.size - a.loves.size,
+};
+
+/**
+ * Gets every project everyone can see, newest first.
+ * @param {import("../seed").MockState} state
+ * @returns {Array<import("../seed").MockProject>}
+ */
+const getVisibleProjects = (state) => Array.from(state.projects.values())
+    .filter(isProjectVisible)
+    .sort(SORTS.newest);
+
+/**
+ * Sends a page of projects.
+ * @param {import("../server").MockContext} ctx
+ * @param {Array<import("../seed").MockProject>} projects Sorted newest first.
+ * @returns {Array<PenguinModTypes.Project>}
+ */
+const sendProjectPage = (ctx, projects) => {
+    if (readBoolean(ctx.query.reverse, false)) projects = projects.slice().reverse();
+    return getPage(projects, ctx.query.page, ctx.options.pageSize).map(project => toProject(ctx.state, project));
+};
+
+/**
+ * Throws if projects can't be viewed right now, unless the user is a moderator.
+ * @param {import("../server").MockContext} ctx
+ */
+const checkViewing = (ctx) => {
+    if (ctx.state.flags.viewing) return;
+    if (ctx.user && (ctx.user.admin || ctx.user.approver)) return;
+    throw new MockError(503, "ViewingDisabled");
+};
+/**
+ * Gets a project that the requester is allowed to see.
+ * @param {import("../server").MockContext} ctx
+ * @param {any} projectId
+ * @returns {import("../seed").MockProject}
+ */
+const requireViewableProject = (ctx, projectId) => {
+    checkViewing(ctx);
+    const project = requireProject(ctx.state, projectId);
+    if (isProjectVisible(project)) return project;
+    if (ctx.user && (ctx.user.id === project.author || ctx.user.admin || ctx.user.approver)) return project;
+    throw new MockError(404, "NotFound");
+};
+/**
+ * Gets a project that the requester is allowed to edit.
+ * @param {import("../server").MockContext} ctx
+ * @param {any} projectId
+ * @returns {import("../seed").MockProject}
+ */
+const requireEditableProject = (ctx, projectId) => {
+    const user = ctx.requireUser();
+    const project = requireProject(ctx.state, projectId);
+    if (project.author !== user.id && !user.admin && !user.approver) throw new MockError(403, "Unauthorized");
+    return project;
+};
+
+/**
+ * Copies the fields sent to uploadProject or updateProject onto a project.
+ * @param {import("../server").MockContext} ctx
+ * @param {import("../seed").MockProject} project
+ */
+const applyProjectFields = (ctx, project) => {
+    for (const field of ["title", "instructions", "notes", "rating"]) {
+        if (typeof ctx.body[field] === "string") project[field] = ctx.body[field];
+    }
+
+    const thumbnail = ctx.files.thumbnail;
+    if (thumbnail && thumbnail[0]) project.thumbnail = thumbnail[0].buffer;
+
+    const jsonFile = ctx.files.jsonFile;
+    if (jsonFile && jsonFile[0]) {
+        project.protobuf = jsonFile[0].buffer;
+        project.assets = (ctx.files.assets || []).map(asset => ({
+            id: asset.filename,
+            buffer: asset.buffer,
+        }));
+    }
+};
+
+/**
+ * Toggles a love or vote from the requester.
+ * @param {import("../server").MockContext} ctx
+ * @param {"loves"|"votes"} set
+ */
+const toggleInteraction = (ctx, set) => {
+    const user = ctx.requireUser();
+    const project = requireViewableProject(ctx, ctx.body.projectID);
+    if (readBoolean(ctx.body.toggle, true)) {
+        project[set].add(user.id);
+    } else {
+        project[set].delete(user.id);
+    }
+};
+
+/**
+ * Checks whether or not a specific user has loved or voted for a project.
+ * @param {import("../server").MockContext} ctx
+ * @param {"loves"|"votes"} set
+ * @param {import("../seed").MockUser} user
+ * @returns {boolean}
+ */
+const hasInteracted = (ctx, set, user) => {
+    const project = requireProject(ctx.state, ctx.query.projectID || ctx.query.projectId);
+    return project[set].has(user.id);
+};
+
+/**
+ * Sends a page of the usernames that loved or voted for a project.
+ * @param {import("../server").MockContext} ctx
+ * @param {"loves"|"votes"} set
+ * @returns {Array<string>}
+ */
+const getInteractionPage = (ctx, set) => {
+    ctx.requireMod();
+    const project = requireProject(ctx.state, ctx.query.projectID);
+    const usernames = Array.from(project[set])
+        .map(id => ctx.state.users.get(id))
+        .filter(user => !!user)
+        .map(user => user.real_username);
+    return getPage(usernames, ctx.query.page, ctx.options.pageSize);
+};
+
+/**
+ * Rejects a project, and tells the author why.
+ * @param {import("../server").MockContext} ctx
+ * @param {boolean} hardReject
+ */
+const rejectProject = (ctx, hardReject) => {
+    ctx.requireMod();
+    const project = requireProject(ctx.state, ctx.body.target);
+    if (typeof ctx.body.message !== "string" || !ctx.body.message) throw new MockError(400, "MissingMessage");
+
+    project.softRejected = true;
+    if (hardReject) {
+        project.hardReject = true;
+        project.hardRejectTime = ctx.state.now();
+    }
+
+    const author = ctx.state.users.get(project.author);
+    if (author) {
+        sendMessage(ctx.state, author, {
+            type: "reject",
+            message: ctx.body.message,
+            project: { id: project.id, title: project.title },
+            hardReject,
+        }, { disputable: true, projectID: project.id });
+    }
+};
+
+/**
+ * Sets a site-wide toggle.
+ * @param {import("../server").MockContext} ctx
+ * @param {"viewing"|"uploading"|"accountCreation"} flag
+ */
+const setFlag = (ctx, flag) => {
+    ctx.requireAdmin();
+    ctx.state.flags[flag] = readBoolean(ctx.body.toggle, true);
+};
+
+/**
+ * Project routes, including discovery, interactions, uploading and moderation.
+ * @type {Object<string, (ctx:import("../server").MockContext) => any>}
+ */
+module.exports = {
+    "GET /v1/projects/canuploadprojects": ({ state }) => ({ canUpload: state.flags.uploading }),
+    "GET /v1/projects/canviewprojects": ({ state }) => ({ viewing: state.flags.viewing }),
+
+    "GET /v1/projects/getLoves": (ctx) => ({ loves: requireViewableProject(ctx, ctx.query.projectID).loves.size }),
+    "GET /v1/projects/getVotes": (ctx) => ({ votes: requireViewableProject(ctx, ctx.query.projectID).votes.size }),
+
+    "GET /v1/projects/getprojects": (ctx) => {
+        checkViewing(ctx);
+        return sendProjectPage(ctx, getVisibleProjects(ctx.state));
+    },
+    "GET /v1/projects/searchprojects": (ctx) => {
+        checkViewing(ctx);
+        const query = PenguinModDiscovery.extractQuery(ctx.query.query || "");
+        const text = query.query.trim().toLowerCase();
+
+        let projects = getVisibleProjects(ctx.state).filter(project => {
+            if (text && !project.title.toLowerCase().includes(text) && !project.instructions.toLowerCase().includes(text)) return false;
+            if (typeof query.id === "string" && project.id !== query.id) return false;
+            if (typeof query.by === "string") {
+                const author = ctx.state.users.get(project.author);
+                if (!author || author.username !== query.by.toLowerCase()) return false;
+            }
+            if (typeof query.remixes === "string" && project.remix !== query.remixes) return false;
+            if (typeof query.featured === "boolean" && project.featured !== query.featured) return false;
+            if (typeof query.me === "boolean" && ctx.user) {
+                if ((project.author === ctx.user.id) !== query.me) return false;
+            }
+            return true;
+        });
+        if (SORTS[query.sort]) projects = projects.sort(SORTS[query.sort]);
+        if (query.reverse === true) projects = projects.reverse();
+        return getPage(projects, ctx.query.page, ctx.options.pageSize).map(project => toProject(ctx.state, project));
+    },
+    "GET /v1/projects/searchusers": (ctx) => {
+        const query = PenguinModDiscovery.extractQuery(ctx.query.query || "");
+        const text = query.query.trim().toLowerCase();
+        const users = Array.from(ctx.state.users.values())
+            .filter(user => !user.banned && user.username.includes(text))
+            .map(toStubUser);
+        return getPage(users, ctx.query.page, ctx.options.pageSize);
+    },
+
+    "GET /v1/projects/frontpage": (ctx) => {
+        checkViewing(ctx);
+        const projects = getVisibleProjects(ctx.state);
+        const page = (list) => list.slice(0, ctx.options.pageSize).map(project => toProject(ctx.state, project));
+        return {
+            featured: page(projects.filter(project => project.featured)),
+            latest: page(projects),
+            voted: page(projects.slice().sort(SORTS.votes)),
+            viewed: page(projects.slice().sort(SORTS.views)),
+            loved: page(projects.slice().sort(SORTS.loves)),
+        };
+    },
+    "GET /v1/projects/getfeaturedprojects": (ctx) => {
+        checkViewing(ctx);
+        const projects = getVisibleProjects(ctx.state)
+            .filter(project => project.featured)
+            .sort((a, b) => b.featureDate - a.featureDate);
+        return sendProjectPage(ctx, projects);
+    },
+    "GET /v1/projects/getrandomproject": (ctx) => {
+        checkViewing(ctx);
+        const projects = getVisibleProjects(ctx.state);
+        if (projects.length === 0) throw new MockError(404, "NotFound");
+        // go through the projects in order instead of randomly, so tests get the same results every run
+        const index = (Number(ctx.state.nextId("randomProject")) - 1) % projects.length;
+        return toProject(ctx.state, projects[index]);
+    },
+    "GET /v1/projects/getremixes": (ctx) => {
+        checkViewing(ctx);
+        const projectId = String(ctx.query.projectId);
+        return sendProjectPage(ctx, getVisibleProjects(ctx.state).filter(project => project.remix === projectId));
+    },
+    "GET /v1/projects/getprojectsbyauthor": (ctx) => {
+        checkViewing(ctx);
+        const author = requireTarget(ctx.state, ctx.query.authorUsername);
+        const projects = getVisibleProjects(ctx.state).filter(project => project.author === author.id);
+        return sendProjectPage(ctx, projects);
+    },
+    "GET /v1/projects/getmyprojects": (ctx) => {
+        const user = ctx.requireUser();
+        const projects = Array.from(ctx.state.projects.values())
+            .filter(project => project.author === user.id)
+            .sort(SORTS.newest);
+        return sendProjectPage(ctx, projects);
+    },
+
+    "GET /v1/projects/getuserstatewrapper": (ctx) => {
+        const user = ctx.requireUser();
+        return {
+            hasLoved: hasInteracted(ctx, "loves", user),
+            hasVoted: hasInteracted(ctx, "votes", user),
+        };
+    },
+    "GET /v1/projects/hasLoved": (ctx) => ({ hasLoved: hasInteracted(ctx, "loves", ctx.requireUser()) }),
+    "GET /v1/projects/hasVoted": (ctx) => ({ hasVoted: hasInteracted(ctx, "votes", ctx.requireUser()) }),
+    "GET /v1/projects/hasLovedAdmin": (ctx) => {
+        ctx.requireMod();
+        return { hasLoved: hasInteracted(ctx, "loves", requireTarget(ctx.state, ctx.query.target)) };
+    },
+    "GET /v1/projects/hasVotedAdmin": (ctx) => {
+        ctx.requireMod();
+        return { hasVoted: hasInteracted(ctx, "votes", requireTarget(ctx.state, ctx.query.target)) };
+    },
+    "GET /v1/projects/getWhoLoved": (ctx) => ({ loves: getInteractionPage(ctx, "loves") }),
+    "GET /v1/projects/getWhoVoted": (ctx) => ({ votes: getInteractionPage(ctx, "votes") }),
+
+    "POST /v1/projects/interactions/loveToggle": (ctx) => toggleInteraction(ctx, "loves"),
+    "POST /v1/projects/interactions/voteToggle": (ctx) => toggleInteraction(ctx, "votes"),
+    "POST /v1/projects/interactions/registerView": (ctx) => {
+        requireViewableProject(ctx, ctx.body.projectID).views++;
+    },
+    "POST /v1/projects/interactions/showMeLess": (ctx) => {
+        const user = ctx.requireUser();
+        const project = requireViewableProject(ctx, ctx.body.projectID);
+        user.recommendations.more.delete(project.id);
+        user.recommendations.less.add(project.id);
+    },
+    "POST /v1/projects/interactions/showMeMore": (ctx) => {
+        const user = ctx.requireUser();
+        const project = requireViewableProject(ctx, ctx.body.projectID);
+        user.recommendations.less.delete(project.id);
+        user.recommendations.more.add(project.id);
+    },
+
+    "POST /v1/users/changeprojectid": (ctx) => {
+        ctx.requireAdmin();
+        const project = requireProject(ctx.state, ctx.body.target);
+        const newId = String(ctx.body.newId);
+        if (!newId || ctx.state.projects.has(newId)) throw new MockError(400, "InvalidData");
+
+        ctx.state.projects.delete(project.id);
+        project.id = newId;
+        ctx.state.projects.set(newId, project);
+    },
+
+    "GET /v1/projects/getproject": (ctx) => {
+        const project = requireViewableProject(ctx, ctx.query.projectID);
+        switch (ctx.query.requestType) {
+            case "metadata":
+                return toProject(ctx.state, project);
+            case "thumbnail":
+                return project.thumbnail;
+            default:
+                throw new MockError(400, "InvalidRequestType");
+        }
+    },
+    "GET /v1/projects/getprojectwrapper": (ctx) => {
+        const project = requireViewableProject(ctx, ctx.query.projectId);
+        return toProjectWrapper(project, readBoolean(ctx.query.assets, true));
+    },
+
+    "POST /v1/projects/uploadProject": (ctx) => {
+        const user = ctx.requireUser();
+        if (!ctx.state.flags.uploading) throw new MockError(503, "UploadingDisabled");
+        if (typeof ctx.body.title !== "string" || !ctx.body.title) throw new MockError(400, "MissingTitle");
+        if (!ctx.files.thumbnail) throw new MockError(400, "MissingThumbnail");
+        if (!ctx.files.jsonFile) throw new MockError(400, "MissingProjectFile");
+
+        let remix = "0";
+        if (ctx.body.remix) {
+            remix = requireProject(ctx.state, ctx.body.remix).id;
+        }
+
+        const date = ctx.state.now();
+        const project = {
+            id: ctx.state.nextId("project"),
+            title: "",
+            author: user.id,
+            instructions: "",
+            notes: "",
+            rating: "",
+            remix,
+            featured: false,
+            views: 0,
+            date,
+            lastUpdate: date,
+            public: true,
+            softRejected: false,
+            hardReject: false,
+            hardRejectTime: 0,
+            impressions: 0,
+            noFeature: false,
+            featureDate: 0,
+            manuallyFeatured: false,
+            loves: new Set(),
+            votes: new Set(),
+        };
+        applyProjectFields(ctx, project);
+        ctx.state.projects.set(project.id, project);
+        user.lastUpload = date;
+
+        if (remix !== "0") {
+            const original = ctx.state.projects.get(remix);
+            const originalAuthor = ctx.state.users.get(original.author);
+            if (originalAuthor && originalAuthor.id !== user.id) {
+                sendMessage(ctx.state, originalAuthor, {
+                    type: "remix",
+                    projectID: project.id,
+                    oldProject: { id: original.id, title: original.title },
+                    newProject: { id: project.id, title: project.title },
+                }, { projectID: project.id });
+            }
+        }
+        addFeedItem(ctx.state, user, remix !== "0" ? "remix" : "upload", { id: project.id, name: project.title });
+
+        return { id: project.id };
+    },
+    "POST /v1/projects/updateProject": (ctx) => {
+        const project = requireEditableProject(ctx, ctx.body.projectID);
+        applyProjectFields(ctx, project);
+        project.lastUpdate = ctx.state.now();
+        return { success: true };
+    },
+
+    "POST /v1/projects/softreject": (ctx) => rejectProject(ctx, false),
+    "POST /v1/projects/hardreject": (ctx) => rejectProject(ctx, true),
+    "POST /v1/projects/restore": (ctx) => {
+        ctx.requireMod();
+        const project = requireProject(ctx.state, ctx.body.projectID);
+        project.softRejected = false;
+        project.hardReject = false;
+        project.hardRejectTime = 0;
+
+        const author = ctx.state.users.get(project.author);
+        if (author) {
+            sendMessage(ctx.state, author, {
+                type: "restored",
+                project: { id: project.id, title: project.title },
+            }, { projectID: project.id });
+        }
+    },
+    "POST /v1/projects/hardDeleteProject": (ctx) => {
+        ctx.requireAdmin();
+        const project = requireProject(ctx.state, ctx.body.projectID);
+        ctx.state.projects.delete(project.id);
+    },
+    "GET /v1/projects/downloadHardReject": (ctx) => {
+        ctx.requireMod();
+        const project = requireProject(ctx.state, ctx.query.target);
+        if (!project.hardReject) throw new MockError(404, "NotFound");
+        return toProjectWrapper(project, true);
+    },
+
+    "POST /v1/projects/modmessage": (ctx) => {
+        ctx.requireMod();
+        const target = requireTarget(ctx.state, ctx.body.target);
+        if (typeof ctx.body.message !== "string" || !ctx.body.message) throw new MockError(400, "MissingMessage");
+        sendMessage(ctx.state, target, { type: "modMessage", message: ctx.body.message }, { disputable: true });
+    },
+    "POST /v1/projects/modresponse": (ctx) => {
+        ctx.requireMod();
+        const message = ctx.state.messages.find(message => message.id === String(ctx.body.messageID));
+        if (!message) throw new MockError(404, "NotFound");
+        if (typeof ctx.body.message !== "string" || !ctx.body.message) throw new MockError(400, "MissingMessage");
+
+        const receiver = ctx.state.users.get(message.receiver);
+        if (receiver) {
+            sendMessage(ctx.state, receiver, { type: "disputeResponse", message: ctx.body.message }, { projectID: message.projectID });
+        }
+    },
+    "POST /v1/projects/deletemodmessage": (ctx) => {
+        ctx.requireMod();
+        const index = ctx.state.messages.findIndex(message => message.id === String(ctx.body.messageID));
+        if (index < 0) throw new MockError(404, "NotFound");
+        ctx.state.messages.splice(index, 1);
+    },
+    "POST /v1/projects/dispute": (ctx) => {
+        const user = ctx.requireUser({ allowBanned: true });
+        const message = ctx.state.messages.find(message => message.id === String(ctx.body.messageID));
+        if (!message || message.receiver !== user.id) throw new MockError(404, "NotFound");
+        if (!message.disputable) throw new MockError(400, "NotDisputable");
+        if (typeof ctx.body.message !== "string" || !ctx.body.message) throw new MockError(400, "MissingMessage");
+
+        ctx.state.disputes.push({
+            id: ctx.state.nextId("dispute"),
+            messageID: message.id,
+            author: user.id,
+            message: ctx.body.message,
+        });
+        message.disputable = false;
+    },
+
+    "POST /v1/projects/toggleviewing": (ctx) => setFlag(ctx, "viewing"),
+    "POST /v1/projects/toggleuploading": (ctx) => setFlag(ctx, "uploading"),
+    "POST /v1/projects/toggleaccountcreation": (ctx) => setFlag(ctx, "accountCreation"),
+};
@@ -0,0 +1,730 @@
+const {
+    MockError,
+    getPage,
+    readBoolean,
+    findUser,
+    requireTarget,
+    toStubUser,
+    sendMessage,
+    addFeedItem,
+} = require("../helpers.js");
+
+const PASSWORD_RULES = [
+    (password) => password.length >= 8 && password.length <= 50,
+    (password) => /[a-z]/.test(password) && /[A-Z]/.test(password),
+    (password) => /[0-9]/.test(password) && /[^a-z0-9]/i.test(password),
+];
+const OAUTH_METHODS = ["github", "google", "scratch"];
+
+/**
+ * Throws unless a username is available and follows the username rules.
+ * @param {import("../seed").MockState} state
+ * @param {any} username
+ */
+const checkNewUsername = (state, username) => {
+    if (typeof username !== "string" || username.length < 3 || username.length > 20 || /[^a-z0-9\-_]/i.test(username)) {
+        throw new MockError(400, "InvalidUsername");
+    }
+    if (findUser(state, username)) throw new MockError(400, "UsernameAlreadyUsed");
+};
+/**
+ * Throws unless a password follows the password rules.
+ * @param {any} password
+ */
+const checkNewPassword = (password) => {
+    if (typeof password !== "string" || !PASSWORD_RULES.every(rule => rule(password))) {
+        throw new MockError(400, "InvalidPassword");
+    }
+};
+
+/**
+ * Logs in to an account, and makes a new token for it.
+ * @param {import("../server").MockContext} ctx
+ * @param {import("../seed").MockUser} user
+ * @returns {{token:string}}
+ */
+const startSession = (ctx, user) => {
+    if (ctx.state.bannedIPs.has(ctx.ip)) throw new MockError(403, "Banned");
+    const token = `mock-token-${user.username}-${ctx.state.nextId("session")}`;
+    ctx.state.sessions.set(token, user.id);
+    user.lastLogin = ctx.state.now();
+    if (!user.ips.includes(ctx.ip)) user.ips.push(ctx.ip);
+    return { token };
+};
+/**
+ * Logs out every token of an account.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ */
+const endSessions = (state, user) => {
+    for (const [token, userId] of state.sessions) {
+        if (userId === user.id) state.sessions.delete(token);
+    }
+};
+
+/**
+ * Makes a new account.
+ * @param {import("../server").MockContext} ctx
+ * @param {string} username
+ * @param {Object} details
+ * @returns {import("../seed").MockUser}
+ */
+const addUser = (ctx, username, details) => {
+    if (!ctx.state.flags.accountCreation) throw new MockError(503, "AccountCreationDisabled");
+    checkNewUsername(ctx.state, username);
+
+    const now = ctx.state.now();
+    const ids = Array.from(ctx.state.users.keys()).map(Number);
+    const user = {
+        id: String(Math.max(1000, ...ids) + 1),
+        username: username.toLowerCase(),
+        real_username: username,
+        password: null,
+        admin: false,
+        approver: false,
+        banned: false,
+        banReason: "",
+        unbanTime: 0,
+        badges: [],
+        donator: false,
+        rank: 0,
+        bio: "",
+        myFeaturedProject: -1,
+        myFeaturedProjectTitle: -1,
+        followers: new Set(),
+        blocked: new Set(),
+        privateProfile: false,
+        canFollowingSeeProfile: true,
+        email: "",
+        emailVerified: false,
+        birthday: null,
+        country: null,
+        customization: {},
+        customizationDisabled: false,
+        firstLogin: now,
+        lastLogin: now,
+        lastUpload: 0,
+        policyRead: { TOS: now, guidelines: now, privacyPolicy: now },
+        ips: [],
+        pfp: null,
+        oauth: {},
+        recommendations: { less: new Set(), more: new Set() },
+        ...details,
+    };
+    ctx.state.users.set(user.id, user);
+    return user;
+};
+
+/**
+ * Gets the projects a user has uploaded.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ * @returns {Array<import("../seed").MockProject>}
+ */
+const getProjectsOf = (state, user) => Array.from(state.projects.values()).filter(project => project.author === user.id);
+/**
+ * Gets the messages sent to a user, newest first.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ * @param {boolean} unreadOnly
+ * @returns {Array<PenguinModTypes.Message>}
+ */
+const getMessagesOf = (state, user, unreadOnly) => state.messages
+    .filter(message => message.receiver === user.id && (!unreadOnly || !message.read))
+    .sort((a, b) => b.date - a.date);
+
+/**
+ * Whether or not a user can rank up from new penguin to penguin.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ * @returns {boolean}
+ */
+const canRankUp = (state, user) => user.rank === 0 && getProjectsOf(state, user).length >= 3;
+
+/**
+ * Finds the user an admin is targeting in a request, or throws a 404.
+ * @param {import("../server").MockContext} ctx
+ * @returns {import("../seed").MockUser}
+ */
+const requireBodyTarget = (ctx) => requireTarget(ctx.state, ctx.body.target);
+
+/**
+ * Bans or unbans an IP, so it can no longer be used to log in.
+ * @param {import("../seed").MockState} state
+ * @param {string} ip
+ * @param {boolean} ban
+ */
+const setIPBanned = (state, ip, ban) => {
+    if (ban) {
+        state.bannedIPs.add(ip);
+    } else {
+        state.bannedIPs.delete(ip);
+    }
+};
+
+/**
+ * Bans or unbans a user, and tells them about it.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ * @param {boolean} ban
+ * @param {string} reason
+ * @param {number} time How long the ban lasts in milliseconds, or 0 for a permanent ban.
+ */
+const setBanned = (state, user, ban, reason, time) => {
+    user.banned = ban;
+    user.banReason = ban ? reason : "";
+    user.unbanTime = ban && time > 0 ? state.now() + time : 0;
+
+    if (!ban) {
+        sendMessage(state, user, { type: "unban", reason });
+    } else if (time > 0) {
+        sendMessage(state, user, { type: "tempban", reason, time }, { disputable: true });
+    } else {
+        sendMessage(state, user, { type: "ban", reason }, { disputable: true });
+    }
+};
+
+/**
+ * Finds the accounts that share an IP with a user.
+ * @param {import("../seed").MockState} state
+ * @param {import("../seed").MockUser} user
+ * @returns {Array<import("../seed").MockUser>}
+ */
+const getAltsOf = (state, user) => Array.from(state.users.values())
+    .filter(other => other.id !== user.id && other.ips.some(ip => user.ips.includes(ip)));
+
+/**
+ * Reads the OAuth method and code sent in a request.
+ * In the mock server, the code is used as the ID of the account on the provider.
+ * @param {import("../server").MockContext} ctx
+ * @returns {{method:string, code:string}}
+ */
+const readOAuthCode = (ctx) => {
+    const { method, code, state } = ctx.body;
+    if (!OAUTH_METHODS.includes(method)) throw new MockError(400, "InvalidOAuthMethod");
+    if (typeof code !== "string" || !code) throw new MockError(400, "InvalidOAuthCode");
+    if (typeof state !== "string" || !state) throw new MockError(400, "InvalidOAuthState");
+    return { method, code };
+};
+/**
+ * Finds the account an OAuth code was linked to.
+ * @param {import("../seed").MockState} state
+ * @param {string} method
+ * @param {string} code
+ * @returns {import("../seed").MockUser|null}
+ */
+const findOAuthUser = (state, method, code) => {
+    for (const user of state.users.values()) {
+        if (user.oauth[method] === code) return user;
+    }
+    return null;
+};
+
+/**
+ * User routes, including accounts, profiles, following, messages and moderation.
+ * @type {Object<string, (ctx:import("../server").MockContext) => any>}
+ */
+module.exports = {
+    "GET /v1/users/getid": (ctx) => ({ id: requireTarget(ctx.state, ctx.query.username, "UserNotFound").id }),
+    "GET /v1/users/getusername": (ctx) => {
+        const user = ctx.state.users.get(String(ctx.query.ID));
+        if (!user) throw new MockError(404, "UserNotFound");
+        return { username: user.real_username };
+    },
+
+    "POST /v1/users/blockuser": (ctx) => {
+        const user = ctx.requireUser();
+        const target = requireBodyTarget(ctx);
+        if (readBoolean(ctx.body.active, true)) {
+            user.blocked.add(target.id);
+        } else {
+            user.blocked.delete(target.id);
+        }
+    },
+    "GET /v1/users/hasblocked": (ctx) => {
+        const user = ctx.requireUser();
+        const target = requireTarget(ctx.state, ctx.query.target, "Target not found");
+        return { has_blocked: user.blocked.has(target.id) };
+    },
+
+    "POST /v1/users/follow": (ctx) => {
+        const user = ctx.requireUser();
+        const target = requireBodyTarget(ctx);
+        if (target.id === user.id) throw new MockError(400, "CannotFollowSelf");
+
+        if (!readBoolean(ctx.body.toggle, true)) {
+            target.followers.delete(user.id);
+            return;
+        }
+        if (target.blocked.has(user.id)) throw new MockError(403, "Blocked");
+        if (target.followers.has(user.id)) return;
+
+        target.followers.add(user.id);
+        sendMessage(ctx.state, target, { type: "followerAdded", user: { id: user.id, username: user.real_username } });
+        addFeedItem(ctx.state, user, "follow", { id: target.id, username: target.real_username });
+    },
+    "GET /v1/users/meta/getfollowercount": (ctx) => ({ count: requireTarget(ctx.state, ctx.query.username).followers.size }),
+    "GET /v1/users/meta/getfollowers": (ctx) => {
+        const target = requireTarget(ctx.state, ctx.query.username);
+        return Array.from(target.followers)
+            .map(id => ctx.state.users.get(id))
+            .filter(user => !!user)
+            .map(toStubUser);
+    },
+    "GET /v1/users/isfollowing": (ctx) => {
+        const user = requireTarget(ctx.state, ctx.query.username);
+        const target = requireTarget(ctx.state, ctx.query.target);
+        return { following: target.followers.has(user.id) };
+    },
+
+    "GET /v1/users/getmyfeed": (ctx) => {
+        const user = ctx.requireUser();
+        const now = ctx.state.now();
+        const following = Array.from(ctx.state.users.values())
+            .filter(other => other.followers.has(user.id))
+            .map(other => other.id);
+        const feed = ctx.state.feed
+            .filter(item => following.includes(item.id) && item.expireAt > now)
+            .sort((a, b) => b.date - a.date);
+        return { feed };
+    },
+
+    "GET /v1/users/getpfp": (ctx) => {
+        const user = requireTarget(ctx.state, ctx.query.username);
+        if (!user.pfp) throw new MockError(404, "NotFound");
+        return user.pfp;
+    },
+    "GET /v1/users/profile": (ctx) => {
+        const target = requireTarget(ctx.state, ctx.query.target);
+        const viewer = ctx.user;
+        const isStaff = !!viewer && (viewer.admin || viewer.approver);
+        if (target.banned && !isStaff) throw new MockError(404, "NotFound");
+        if (target.privateProfile && !isStaff && (!viewer || viewer.id !== target.id)) {
+            const followsViewer = !!viewer && viewer.followers.has(target.id);
+            if (!target.canFollowingSeeProfile || !followsViewer) throw new MockError(403, "PrivateProfile");
+        }
+
+        return {
+            id: target.id,
+            username: target.username,
+            real_username: target.real_username,
+            badges: target.badges,
+            donator: target.donator,
+            rank: target.rank,
+            bio: target.bio,
+            myFeaturedProject: target.myFeaturedProject,
+            myFeaturedProjectTitle: target.myFeaturedProjectTitle,
+            followers: target.followers.size,
+            canrankup: canRankUp(ctx.state, target),
+            privateProfile: target.privateProfile,
+            canFollowingSeeProfile: target.canFollowingSeeProfile,
+            isFollowing: !!viewer && target.followers.has(viewer.id),
+        };
+    },
+    "POST /v1/users/requestrankup": (ctx) => {
+        const user = ctx.requireUser();
+        if (!canRankUp(ctx.state, user)) throw new MockError(400, "CannotRankUp");
+        user.rank = 1;
+    },
+
+    "POST /v1/users/setEmail": (ctx) => {
+        const user = ctx.requireUser();
+        if (typeof ctx.body.email !== "string" || !ctx.body.email.includes("@")) throw new MockError(400, "InvalidEmail");
+        user.email = ctx.body.email;
+        user.emailVerified = false;
+    },
+    "POST /v1/users/setBio": (ctx) => {
+        const user = ctx.requireUser();
+        if (typeof ctx.body.bio !== "string") throw new MockError(400, "InvalidBio");
+        user.bio = ctx.body.bio;
+    },
+    "POST /v1/users/setbioadmin": (ctx) => {
+        ctx.requireMod();
+        requireBodyTarget(ctx).bio = String(ctx.body.bio || "");
+    },
+    "POST /v1/users/setmyfeaturedproject": (ctx) => {
+        const user = ctx.requireUser();
+        user.myFeaturedProject = ctx.body.project;
+        user.myFeaturedProjectTitle = Number(ctx.body.title);
+    },
+    "POST /v1/users/setmyfeaturedprojectadmin": (ctx) => {
+        ctx.requireMod();
+        const target = requireBodyTarget(ctx);
+        target.myFeaturedProject = ctx.body.project;
+        target.myFeaturedProjectTitle = Number(ctx.body.title);
+    },
+
+    "POST /v1/users/customization/setCustomization": (ctx) => {
+        const user = ctx.requireUser();
+        let target = user;
+        if (ctx.body.target) {
+            ctx.requireMod();
+            target = requireBodyTarget(ctx);
+        }
+        if (target.customizationDisabled && target === user) throw new MockError(403, "CustomizationDisabled");
+        target.customization = ctx.body.customization || {};
+    },
+    "POST /v1/users/customization/setCustomizationDisabled": (ctx) => {
+        ctx.requireMod();
+        requireBodyTarget(ctx).customizationDisabled = !readBoolean(ctx.body.toggle, true);
+    },
+    "GET /v1/users/customization/getCustomization": (ctx) => ({ customization: requireTarget(ctx.state, ctx.query.target).customization }),
+
+    "GET /v1/users/userexists": (ctx) => ({ exists: !!findUser(ctx.state, ctx.query.username) }),
+    "GET /v1/users/isBanned": (ctx) => ({ isBanned: requireTarget(ctx.state, ctx.query.username).banned }),
+
+    "GET /v1/users/userfromcode": (ctx) => {
+        const user = ctx.requireUser({ allowBanned: true });
+        return {
+            id: user.id,
+            username: user.username,
+            real_username: user.real_username,
+            admin: user.admin,
+            approver: user.approver,
+            isBanned: user.banned,
+            badges: user.badges,
+            donator: user.donator,
+            rank: user.rank,
+            myFeaturedProject: user.myFeaturedProject,
+            myFeaturedProjectTitle: user.myFeaturedProjectTitle,
+            cubes: 0,
+            firstLogin: user.firstLogin,
+            lastLogin: user.lastLogin,
+            lastUpload: user.lastUpload,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            birthdayEntered: !!user.birthday,
+            countryEntered: !!user.country,
+            country: user.country || "",
+        };
+    },
+
+    "POST /v1/users/changePassword": (ctx) => {
+        const user = ctx.requireUser();
+        if (user.password !== null && ctx.body.old_password !== user.password) throw new MockError(401, "InvalidPassword");
+        checkNewPassword(ctx.body.new_password);
+
+        user.password = ctx.body.new_password;
+        endSessions(ctx.state, user);
+        return startSession(ctx, user);
+    },
+    "POST /v1/users/changeUsername": (ctx) => {
+        const user = ctx.requireUser();
+        checkNewUsername(ctx.state, ctx.body.newUsername);
+        user.username = ctx.body.newUsername.toLowerCase();
+        user.real_username = ctx.body.newUsername;
+    },
+    "POST /v1/users/changeusernameadmin": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireBodyTarget(ctx);
+        checkNewUsername(ctx.state, ctx.body.newUsername);
+        target.username = ctx.body.newUsername.toLowerCase();
+        target.real_username = ctx.body.newUsername;
+    },
+
+    "POST /v1/users/createAccount": (ctx) => {
+        const { username, password, birthday, country, email } = ctx.body;
+        checkNewPassword(password);
+        if (typeof ctx.body.captcha_token !== "string" || !ctx.body.captcha_token) throw new MockError(400, "InvalidCaptcha");
+
+        const user = addUser(ctx, username, {
+            password,
+            email: email || "",
+            birthday: birthday || null,
+            country: country || null,
+        });
+        return startSession(ctx, user);
+    },
+    "POST /v1/users/filloutSafetyDetails": (ctx) => {
+        const user = ctx.requireUser();
+        if (ctx.body.birthday) user.birthday = ctx.body.birthday;
+        if (ctx.body.country) user.country = ctx.body.country;
+    },
+
+    "POST /v1/users/logout": (ctx) => {
+        ctx.requireUser({ allowBanned: true });
+        ctx.state.sessions.delete(ctx.token);
+    },
+    "POST /v1/users/passwordLogin": (ctx) => {
+        const user = findUser(ctx.state, ctx.body.username);
+        if (!user || user.password === null || user.password !== ctx.body.password) {
+            throw new MockError(401, "Invalid username or password");
+        }
+        return startSession(ctx, user);
+    },
+    "GET /v1/users/tokenlogin": (ctx) => {
+        ctx.requireUser({ allowBanned: true });
+        return { success: true };
+    },
+
+    "POST /v1/users/getprojectcountofuser": (ctx) => ({ count: getProjectsOf(ctx.state, requireBodyTarget(ctx)).length }),
+    "GET /v1/users/getBadges": (ctx) => ({ badges: requireTarget(ctx.state, ctx.query.username).badges }),
+
+    "POST /v1/users/resetpassword/sendEmail": (ctx) => {
+        if (typeof ctx.body.captcha_token !== "string" || !ctx.body.captcha_token) throw new MockError(400, "InvalidCaptcha");
+        const user = Array.from(ctx.state.users.values()).find(user => user.email && user.email === ctx.body.email);
+        // like the real API, dont reveal whether or not the email is in use
+        if (!user) return;
+
+        const state = `mock-reset-${ctx.state.nextId("resetState")}`;
+        ctx.state.resetStates.set(state, user.email);
+        ctx.state.sentEmails.push({ type: "resetPassword", email: user.email, state });
+    },
+    "POST /v1/users/resetpassword/reset": (ctx) => {
+        const { email, state, password } = ctx.body;
+        if (ctx.state.resetStates.get(state) !== email) throw new MockError(400, "InvalidState");
+        checkNewPassword(password);
+
+        const user = Array.from(ctx.state.users.values()).find(user => user.email === email);
+        if (!user) throw new MockError(400, "InvalidState");
+        ctx.state.resetStates.delete(state);
+        user.password = password;
+        endSessions(ctx.state, user);
+    },
+    "POST /v1/users/resetpassword/sendVerifyEmail": (ctx) => {
+        const user = ctx.requireUser();
+        if (!user.email) throw new MockError(400, "NoEmail");
+        if (user.emailVerified) throw new MockError(400, "AlreadyVerified");
+        ctx.state.sentEmails.push({ type: "verifyEmail", email: user.email });
+    },
+
+    "POST /v1/users/privateProfile": (ctx) => {
+        const user = ctx.requireUser();
+        user.privateProfile = readBoolean(ctx.body.privateProfile, user.privateProfile);
+        user.canFollowingSeeProfile = readBoolean(ctx.body.privateToFollowing, user.canFollowingSeeProfile);
+    },
+
+    "GET /v1/users/getmessages": (ctx) => {
+        const user = ctx.requireUser({ allowBanned: true });
+        return { messages: getPage(getMessagesOf(ctx.state, user, false), ctx.query.page, ctx.options.pageSize) };
+    },
+    "GET /v1/users/getunreadmessages": (ctx) => {
+        const user = ctx.requireUser({ allowBanned: true });
+        return { messages: getPage(getMessagesOf(ctx.state, user, true), ctx.query.page, ctx.options.pageSize) };
+    },
+    "GET /v1/users/getmessagecount": (ctx) => ({ count: getMessagesOf(ctx.state, ctx.requireUser({ allowBanned: true }), false).length }),
+    "GET /v1/users/getunreadmessagecount": (ctx) => ({ count: getMessagesOf(ctx.state, ctx.requireUser({ allowBanned: true }), true).length }),
+    "POST /v1/users/markallmessagesasread": (ctx) => {
+        for (const message of getMessagesOf(ctx.state, ctx.requireUser({ allowBanned: true }), true)) {
+            message.read = true;
+        }
+    },
+    "POST /v1/users/markmessageasread": (ctx) => {
+        const user = ctx.requireUser({ allowBanned: true });
+        const message = ctx.state.messages.find(message => message.id === String(ctx.body.messageID));
+        if (!message || message.receiver !== user.id) throw new MockError(404, "NotFound");
+        message.read = true;
+    },
+
+    "POST /v1/users/setpfp": (ctx) => {
+        const user = ctx.requireUser();
+        const picture = ctx.files.picture;
+        if (!picture || !picture[0]) throw new MockError(400, "MissingPicture");
+        user.pfp = picture[0].buffer;
+    },
+    "POST /v1/users/setpfpadmin": (ctx) => {
+        ctx.requireMod();
+        const target = requireBodyTarget(ctx);
+        const picture = ctx.files.picture;
+        if (!picture || !picture[0]) throw new MockError(400, "MissingPicture");
+        target.pfp = picture[0].buffer;
+    },
+
+    "POST /v1/users/ban": (ctx) => {
+        ctx.requireMod();
+        const target = requireBodyTarget(ctx);
+        const ban = readBoolean(ctx.body.toggle, true);
+        setBanned(ctx.state, target, ban, String(ctx.body.reason || ""), Number(ctx.body.time) || 0);
+
+        if (ban && readBoolean(ctx.body.remove_follows, true)) {
+            for (const user of ctx.state.users.values()) {
+                user.followers.delete(target.id);
+            }
+        }
+    },
+    "POST /v1/users/banip": (ctx) => {
+        ctx.requireAdmin();
+        if (typeof ctx.body.targetIP !== "string" || !ctx.body.targetIP) throw new MockError(400, "InvalidIP");
+        setIPBanned(ctx.state, ctx.body.targetIP, readBoolean(ctx.body.toggle, true));
+    },
+    "POST /v1/users/banuserip": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireBodyTarget(ctx);
+        for (const ip of target.ips) {
+            setIPBanned(ctx.state, ip, readBoolean(ctx.body.toggle, true));
+        }
+    },
+    "POST /v1/users/massbanregex": (ctx) => {
+        ctx.requireAdmin();
+        let regex;
+        try {
+            regex = new RegExp(ctx.body.targetRegex);
+        } catch {
+            throw new MockError(400, "InvalidRegex");
+        }
+
+        const ban = readBoolean(ctx.body.toggle, true);
+        let count = 0;
+        for (const user of ctx.state.users.values()) {
+            if (user.admin || user.approver || !regex.test(user.username) || user.banned === ban) continue;
+            setBanned(ctx.state, user, ban, "Mass ban", 0);
+            count++;
+        }
+        return { count };
+    },
+
+    "GET /v1/users/getAlts": (ctx) => {
+        ctx.requireMod();
+        return { alts: getAltsOf(ctx.state, requireTarget(ctx.state, ctx.query.target)).map(user => user.real_username) };
+    },
+
+    "POST /v1/users/assignPossition": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireBodyTarget(ctx);
+        target.admin = readBoolean(ctx.body.admin, false);
+        target.approver = readBoolean(ctx.body.approver, false);
+    },
+    "POST /v1/users/setBadges": (ctx) => {
+        ctx.requireAdmin();
+        if (!Array.isArray(ctx.body.badges)) throw new MockError(400, "InvalidData");
+        requireBodyTarget(ctx).badges = ctx.body.badges.map(String);
+    },
+    "POST /v1/users/setbadgesmultiple": (ctx) => {
+        ctx.requireAdmin();
+        const { targets, badges } = ctx.body;
+        if (!Array.isArray(targets) || !Array.isArray(badges)) throw new MockError(400, "InvalidData");
+
+        const removing = readBoolean(ctx.body.removing, false);
+        for (const username of targets) {
+            const target = requireTarget(ctx.state, username);
+            const newBadges = new Set(target.badges);
+            for (const badge of badges) {
+                if (removing) {
+                    newBadges.delete(badge);
+                } else {
+                    newBadges.add(badge);
+                }
+            }
+            target.badges = Array.from(newBadges);
+        }
+    },
+
+    "POST /v1/users/deleteaccount": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireBodyTarget(ctx);
+        endSessions(ctx.state, target);
+        ctx.state.users.delete(target.id);
+        for (const project of Array.from(ctx.state.projects.values())) {
+            if (project.author === target.id) ctx.state.projects.delete(project.id);
+        }
+        for (const user of ctx.state.users.values()) {
+            user.followers.delete(target.id);
+        }
+    },
+    "POST /v1/users/deleteallemails": (ctx) => {
+        ctx.requireAdmin();
+        for (const user of ctx.state.users.values()) {
+            user.email = "";
+            user.emailVerified = false;
+        }
+    },
+
+    "GET /v1/users/getadmins": (ctx) => {
+        ctx.requireUser();
+        return { admins: Array.from(ctx.state.users.values()).filter(user => user.admin).map(toStubUser) };
+    },
+    "GET /v1/users/getmods": (ctx) => {
+        ctx.requireUser();
+        return { mods: Array.from(ctx.state.users.values()).filter(user => user.approver && !user.admin).map(toStubUser) };
+    },
+
+    "GET /v1/users/getAllAccountsWithIP": (ctx) => {
+        ctx.requireAdmin();
+        const ip = ctx.query.target;
+        return { users: Array.from(ctx.state.users.values()).filter(user => user.ips.includes(ip)).map(toStubUser) };
+    },
+    "GET /v1/users/getAllIPs": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireTarget(ctx.state, ctx.query.target);
+        return {
+            ips: target.ips.map(ip => ({
+                ip,
+                banned: ctx.state.bannedIPs.has(ip),
+                lastLogin: target.lastLogin,
+            })),
+        };
+    },
+    "GET /v1/users/getemail": (ctx) => {
+        ctx.requireAdmin();
+        return { email: requireTarget(ctx.state, ctx.query.target).email || null };
+    },
+    "GET /v1/users/getworstoffenders": (ctx) => {
+        ctx.requireMod();
+        const offenses = new Map();
+        for (const message of ctx.state.messages) {
+            if (!["reject", "tempban", "ban"].includes(message.message.type)) continue;
+            offenses.set(message.receiver, (offenses.get(message.receiver) || 0) + 1);
+        }
+        const items = Array.from(offenses)
+            .map(([id, count]) => ({ user: ctx.state.users.get(id), count }))
+            .filter(item => !!item.user)
+            .sort((a, b) => b.count - a.count)
+            .map(item => ({ ...toStubUser(item.user), offenses: item.count }));
+        return { items: getPage(items, ctx.query.page, ctx.options.pageSize) };
+    },
+    "GET /v1/users/isadmin": (ctx) => {
+        ctx.requireUser();
+        return { isAdmin: requireTarget(ctx.state, ctx.query.target).admin };
+    },
+    "GET /v1/users/ismod": (ctx) => {
+        ctx.requireUser();
+        return { isMod: requireTarget(ctx.state, ctx.query.target).approver };
+    },
+
+    "POST /v1/users/verifyfollowers": (ctx) => {
+        ctx.requireAdmin();
+        const target = requireBodyTarget(ctx);
+        for (const id of Array.from(target.followers)) {
+            const follower = ctx.state.users.get(id);
+            if (!follower || follower.banned) target.followers.delete(id);
+        }
+    },
+
+    "POST /v1/users/addoauthmethod": (ctx) => {
+        const user = ctx.requireUser();
+        const { method, code } = readOAuthCode(ctx);
+        if (findOAuthUser(ctx.state, method, code)) throw new MockError(400, "OAuthAlreadyLinked");
+        user.oauth[method] = code;
+    },
+    "POST /v1/users/removeoauthmethod": (ctx) => {
+        const user = ctx.requireUser();
+        const method = ctx.body.method;
+        if (!user.oauth[method]) throw new MockError(400, "MethodNotLinked");
+        if (user.password === null && Object.keys(user.oauth).length <= 1) throw new MockError(400, "CannotRemoveLastLogin");
+        delete user.oauth[method];
+    },
+    "POST /v1/users/createoauthaccount": (ctx) => {
+        const { method, code } = readOAuthCode(ctx);
+        if (findOAuthUser(ctx.state, method, code)) throw new MockError(400, "OAuthAlreadyLinked");
+        const user = addUser(ctx, ctx.body.username, { oauth: { [method]: code } });
+        return startSession(ctx, user);
+    },
+    "POST /v1/users/loginoauthaccount": (ctx) => {
+        const { method, code } = readOAuthCode(ctx);
+        const user = findOAuthUser(ctx.state, method, code);
+        if (!user) throw new MockError(404, "NotFound");
+        return startSession(ctx, user);
+    },
+    "POST /v1/users/addpasswordtooauth": (ctx) => {
+        const user = ctx.requireUser();
+        if (user.password !== null) throw new MockError(400, "AlreadyHasPassword");
+        checkNewPassword(ctx.body.password);
+        user.password = ctx.body.password;
+    },
+    "POST /v1/users/addscratchlogin": (ctx) => {
+        const user = ctx.requireUser();
+        if (typeof ctx.body.privateCode !== "string" || !ctx.body.privateCode) throw new MockError(400, "InvalidCode");
+        if (findOAuthUser(ctx.state, "scratch", ctx.body.privateCode)) throw new MockError(400, "OAuthAlreadyLinked");
+        user.oauth.scratch = ctx.body.privateCode;
+    },
+};
@@ -0,0 +1,342 @@
+const pmp_protobuf = require("pmp-protobuf");
+
+/**
+ * Every seeded date is based on this time, so responses are the same on every run.
+ */
+const SEED_DATE = 1700000000000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The password of every seeded account.
+ */
+const MOCK_PASSWORD = "Password1!";
+/**
+ * Tokens that are logged in to each seeded account.
+ */
+const MOCK_TOKENS = {
+    admin: "mock-token-admin",
+    moderator: "mock-token-moderator",
+    penguin: "mock-token-penguin",
+    newbie: "mock-token-newbie",
+    banned: "mock-token-banned",
+};
+
+/**
+ * A 1x1 PNG, used for seeded thumbnails and profile pictures.
+ */
+const PLACEHOLDER_PNG = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==", "base64");
+const PLACEHOLDER_ASSET_ID = "cd21514d0531fdffb22204e0ec5ed84a.svg";
+const PLACEHOLDER_ASSET = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2"/>`);
+
+/**
+ * Makes the project.json of an empty project, in protobuf form.
+ * @returns {Buffer}
+ */
+const createEmptyProject = () => Buffer.from(pmp_protobuf.jsonToProtobuf({
+    targets: [{
+        isStage: true,
+        name: "Stage",
+        variables: {},
+        lists: {},
+        broadcasts: {},
+        blocks: {},
+        comments: {},
+        currentCostume: 0,
+        costumes: [{
+            name: "backdrop1",
+            assetId: PLACEHOLDER_ASSET_ID.split(".")[0],
+            md5ext: PLACEHOLDER_ASSET_ID,
+            dataFormat: "svg",
+            rotationCenterX: 1,
+            rotationCenterY: 1,
+        }],
+        sounds: [],
+        volume: 100,
+        layerOrder: 0,
+        customVars: [],
+    }],
+    monitors: [],
+    extensions: [],
+    meta: { semver: "3.0.0", vm: "0.2.0", agent: "" },
+}));
+
+/**
+ * @typedef {Object} MockUser
+ * @property {string} id
+ * @property {string} username Always lowercase.
+ * @property {string} real_username
+ * @property {string} password
+ * @property {boolean} admin
+ * @property {boolean} approver
+ * @property {boolean} banned
+ * @property {string} banReason
+ * @property {number} unbanTime 0 if the ban is permanent.
+ * @property {string[]} badges
+ * @property {boolean} donator
+ * @property {number} rank
+ * @property {string} bio
+ * @property {string|number} myFeaturedProject
+ * @property {number} myFeaturedProjectTitle
+ * @property {Set<string>} followers User IDs following this user.
+ * @property {Set<string>} blocked User IDs this user has blocked.
+ * @property {boolean} privateProfile
+ * @property {boolean} canFollowingSeeProfile
+ * @property {string} email
+ * @property {boolean} emailVerified
+ * @property {string|null} birthday
+ * @property {string|null} country
+ * @property {Object} customization
+ * @property {boolean} customizationDisabled
+ * @property {number} firstLogin
+ * @property {number} lastLogin
+ * @property {number} lastUpload
+ * @property {{TOS:number, guidelines:number, privacyPolicy:number}} policyRead
+ * @property {string[]} ips
+ * @property {Buffer} pfp
+ * @property {Object<string, string>} oauth Linked OAuth methods, and the code they were linked with.
+ * @property {{less:Set<string>, more:Set<string>}} recommendations
+ */
+/**
+ * @typedef {Object} MockProject
+ * @property {string} id
+ * @property {string} title
+ * @property {string} author User ID of the author.
+ * @property {string} instructions
+ * @property {string} notes
+ * @property {string} rating
+ * @property {string} remix
+ * @property {boolean} featured
+ * @property {number} views
+ * @property {number} date
+ * @property {number} lastUpdate
+ * @property {boolean} public
+ * @property {boolean} softRejected
+ * @property {boolean} hardReject
+ * @property {number} hardRejectTime
+ * @property {number} impressions
+ * @property {boolean} noFeature
+ * @property {number} featureDate
+ * @property {boolean} manuallyFeatured
+ * @property {Set<string>} loves User IDs that loved the project.
+ * @property {Set<string>} votes User IDs that voted for the project.
+ * @property {Buffer} thumbnail
+ * @property {Buffer} protobuf
+ * @property {Array<{id:string, buffer:Buffer}>} assets
+ */
+/**
+ * @typedef {Object} MockState
+ * @property {Map<string, MockUser>} users Users by ID.
+ * @property {Map<string, MockProject>} projects Projects by ID.
+ * @property {Map<string, string>} sessions User IDs by token.
+ * @property {Array<PenguinModTypes.Message>} messages
+ * @property {Array<PenguinModTypes.FeedItem & {id:string}>} feed
+ * @property {Array<{id:string, messageID:string, author:string, message:string}>} disputes
+ * @property {{viewing:boolean, uploading:boolean, accountCreation:boolean}} flags
+ * @property {{TOS:number, guidelines:number, privacyPolicy:number}} policyUpdates
+ * @property {PenguinModTypes.ProfanityList} profanityList
+ * @property {Set<string>} bannedIPs
+ * @property {Array<{type:string, email:string, state?:string}>} sentEmails Emails the server would have sent.
+ * @property {Map<string, string>} resetStates Emails by password reset state.
+ * @property {() => number} now
+ * @property {(type:string) => string} nextId Makes a new ID. IDs go up by one for each type, so they are the same on every run.
+ */
+
+/**
+ * Makes a fresh copy of the seeded data.
+ * @param {{now?:() => number}} options Optional.
+ * @returns {MockState}
+ */
+const createSeedState = (options = {}) => {
+    const counters = {};
+    const state = {
+        users: new Map(),
+        projects: new Map(),
+        sessions: new Map(),
+        messages: [],
+        feed: [],
+        disputes: [],
+        flags: {
+            viewing: true,
+            uploading: true,
+            accountCreation: true,
+        },
+        policyUpdates: {
+            TOS: SEED_DATE,
+            guidelines: SEED_DATE,
+            privacyPolicy: SEED_DATE,
+        },
+        profanityList: {
+            illegalWords: ["badword"],
+            illegalWebsites: ["scam.example.com"],
+            spacedOutWordsOnly: ["bad"],
+            potentiallyUnsafeWords: ["iffy"],
+            potentiallyUnsafeWordsSpacedOut: [],
+            legalExtensions: ["pen", "text", "translate"],
+            unsafeUsernames: ["badname"],
+            potentiallyUnsafeUsernames: ["iffyname"],
+        },
+        bannedIPs: new Set(["10.0.0.66"]),
+        sentEmails: [],
+        resetStates: new Map(),
+        now: options.now || (() => Date.now()),
+        nextId(type) {
+            counters[type] = (counters[type] || 0) + 1;
+            return String(counters[type]);
+        },
+    };
+
+    /** @returns {MockUser} */
+    const addUser = (username, details = {}) => {
+        const id = String(1000 + state.users.size + 1);
+        const user = {
+            id,
+            username: username.toLowerCase(),
+            real_username: username,
+            password: MOCK_PASSWORD,
+            admin: false,
+            approver: false,
+            banned: false,
+            banReason: "",
+            unbanTime: 0,
+            badges: [],
+            donator: false,
+            rank: 0,
+            bio: "",
+            myFeaturedProject: -1,
+            myFeaturedProjectTitle: -1,
+            followers: new Set(),
+            blocked: new Set(),
+            privateProfile: false,
+            canFollowingSeeProfile: true,
+            email: `${username.toLowerCase()}@example.com`,
+            emailVerified: true,
+            birthday: "2000-01-01T00:00:00.000Z",
+            country: "US",
+            customization: {},
+            customizationDisabled: false,
+            firstLogin: SEED_DATE - (365 * DAY),
+            lastLogin: SEED_DATE,
+            lastUpload: 0,
+            policyRead: {
+                TOS: SEED_DATE,
+                guidelines: SEED_DATE,
+                privacyPolicy: SEED_DATE,
+            },
+            ips: [`10.0.0.${state.users.size + 1}`],
+            pfp: PLACEHOLDER_PNG,
+            oauth: {},
+            recommendations: {
+                less: new Set(),
+                more: new Set(),
+            },
+            ...details,
+        };
+        state.users.set(id, user);
+        if (MOCK_TOKENS[user.username]) {
+            state.sessions.set(MOCK_TOKENS[user.username], id);
+        }
+        return user;
+    };
+    /** @returns {MockProject} */
+    const addProject = (author, title, details = {}) => {
+        const id = state.nextId("project");
+        const date = SEED_DATE - (30 * DAY) + (Number(id) * DAY);
+        const project = {
+            id,
+            title,
+            author: author.id,
+            instructions: "",
+            notes: "",
+            rating: "",
+            remix: "0",
+            featured: false,
+            views: 0,
+            date,
+            lastUpdate: date,
+            public: true,
+            softRejected: false,
+            hardReject: false,
+            hardRejectTime: 0,
+            impressions: 0,
+            noFeature: false,
+            featureDate: 0,
+            manuallyFeatured: false,
+            loves: new Set(),
+            votes: new Set(),
+            thumbnail: PLACEHOLDER_PNG,
+            protobuf: createEmptyProject(),
+            assets: [{ id: PLACEHOLDER_ASSET_ID, buffer: PLACEHOLDER_ASSET }],
+            ...details,
+        };
+        state.projects.set(id, project);
+        author.lastUpload = Math.max(author.lastUpload, date);
+        return project;
+    };
+
+    const admin = addUser("Admin", { admin: true, approver: true, rank: 1, badges: ["staff"] });
+    const moderator = addUser("Moderator", { approver: true, rank: 1, badges: ["staff"] });
+    const penguin = addUser("Penguin", { rank: 1, donator: true, badges: ["donator"], bio: "I make platformers." });
+    const newbie = addUser("Newbie", { country: null, birthday: null, emailVerified: false, ips: ["10.0.0.4", "10.0.0.66"] });
+    const banned = addUser("Banned", { banned: true, banReason: "Spamming", ips: ["10.0.0.66"] });
+
+    penguin.followers.add(admin.id);
+    penguin.followers.add(newbie.id);
+    admin.followers.add(penguin.id);
+    newbie.blocked.add(banned.id);
+
+    const platformer = addProject(penguin, "Penguin Platformer", {
+        instructions: "Arrow keys to move.",
+        notes: "Thanks for playing!",
+        featured: true,
+        featureDate: SEED_DATE - (10 * DAY),
+        views: 120,
+        impressions: 400,
+        loves: new Set([admin.id, newbie.id]),
+        votes: new Set([admin.id, moderator.id, newbie.id]),
+    });
+    addProject(penguin, "Snow Simulator", { views: 45, loves: new Set([newbie.id]) });
+    addProject(penguin, "Fish Catcher", { views: 12 });
+    const remix = addProject(newbie, "Penguin Platformer Remix", { remix: platformer.id, views: 3 });
+    const rejected = addProject(newbie, "Needs Review", { softRejected: true });
+    addProject(admin, "Staff Notes", { noFeature: true, public: false });
+    addProject(banned, "Spam Project", { hardReject: true, hardRejectTime: SEED_DATE - DAY });
+
+    const addSeedMessage = (receiver, body, details = {}) => {
+        state.messages.push({
+            id: state.nextId("message"),
+            receiver: receiver.id,
+            message: body,
+            disputable: false,
+            read: false,
+            date: SEED_DATE - DAY + state.messages.length,
+            projectID: 0,
+            ...details,
+        });
+    };
+    addSeedMessage(penguin, { type: "projectFeatured", project: { id: platformer.id, title: platformer.title } }, { read: true, projectID: platformer.id });
+    addSeedMessage(penguin, { type: "followerAdded", user: { id: newbie.id, username: newbie.real_username } });
+    addSeedMessage(penguin, { type: "remix", projectID: remix.id, oldProject: { id: platformer.id, title: platformer.title }, newProject: { id: remix.id, title: remix.title } }, { projectID: remix.id });
+    addSeedMessage(newbie, { type: "reject", message: "Please add instructions.", project: { id: rejected.id, title: rejected.title }, hardReject: false }, { disputable: true, projectID: rejected.id });
+    addSeedMessage(newbie, { type: "modMessage", message: "Welcome to PenguinMod!" }, { disputable: true });
+    addSeedMessage(banned, { type: "ban", reason: "Spamming" });
+
+    state.feed.push({
+        type: "upload",
+        date: SEED_DATE - DAY,
+        expireAt: SEED_DATE + (6 * DAY),
+        data: { id: remix.id, name: remix.title },
+        id: newbie.id,
+        username: newbie.real_username,
+    });
+
+    return state;
+};
+
+module.exports = {
+    SEED_DATE,
+    MOCK_PASSWORD,
+    MOCK_TOKENS,
+    PLACEHOLDER_PNG,
+    createEmptyProject,
+    createSeedState,
+};
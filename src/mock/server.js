@@ -0,0 +1,295 @@
+const http = require("http");
+
+const seed = require("./seed.js");
+const helpers = require("./helpers.js");
+const miscRoutes = require("./routes/misc.js");
+const usersRoutes = require("./routes/users.js");
+const projectsRoutes = require("./routes/projects.js");
+
+const { MockError } = helpers;
+
+/**
+ * The options used when createMockServer is not given its own.
+ */
+const DEFAULT_MOCK_OPTIONS = {
+    basePath: "/api",
+    pageSize: 20,
+};
+
+/**
+ * Every route the mock server handles, keyed by "METHOD /path".
+ * @type {Object<string, (ctx:MockContext) => any>}
+ */
+const ROUTES = {
+    ...miscRoutes,
+    ...usersRoutes,
+    ...projectsRoutes,
+};
+
+/**
+ * @typedef {Object} MockContext
+ * @property {seed.MockState} state
+ * @property {{basePath:string, pageSize:number}} options
+ * @property {string} method
+ * @property {string} path The endpoint path, like "/v1/users/getmyfeed".
+ * @property {Object<string, string>} query
+ * @property {Object<string, any>} body The JSON body, or the text fields of a FormData body.
+ * @property {Object<string, Array<{buffer:Buffer, filename:string}>>} files The files of a FormData body.
+ * @property {string} ip
+ * @property {string|null} token
+ * @property {seed.MockUser|null} user The user the token belongs to, if it's valid.
+ * @property {(options?:{allowBanned?:boolean}) => seed.MockUser} requireUser Throws unless logged in.
+ * @property {() => seed.MockUser} requireMod Throws unless logged in to a moderator or admin account.
+ * @property {() => seed.MockUser} requireAdmin Throws unless logged in to an admin account.
+ */
+
+/**
+ * Reads the body of a request.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<{body:Object<string, any>, files:Object<string, Array<{buffer:Buffer, filename:string}>>}>}
+ */
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks);
+    const contentType = String(req.headers["content-type"] || "");
+    if (raw.length === 0) return { body: {}, files: {} };
+
+    if (contentType.startsWith("multipart/form-data")) {
+        const request = new Request("http://mock.invalid", {
+            method: "POST",
+            headers: { "content-type": contentType },
+            body: raw,
+        });
+        const formData = await request.formData();
+        const body = {};
+        const files = {};
+        for (const [key, value] of formData.entries()) {
+            if (typeof value === "string") {
+                body[key] = value;
+                continue;
+            }
+            if (!files[key]) files[key] = [];
+            files[key].push({
+                buffer: Buffer.from(await value.arrayBuffer()),
+                filename: value.name,
+            });
+        }
+        return { body, files };
+    }
+
+    try {
+        const body = JSON.parse(raw.toString("utf8"));
+        return { body: body && typeof body === "object" ? body : {}, files: {} };
+    } catch {
+        throw new MockError(400, "InvalidBody");
+    }
+};
+
+/**
+ * Finds the token sent with a request, wherever the client placed it.
+ * @param {http.IncomingMessage} req
+ * @param {Object<string, string>} query
+ * @param {Object<string, any>} body
+ * @returns {string|null}
+ */
+const readToken = (req, query, body) => {
+    const authorization = req.headers.authorization;
+    if (typeof authorization === "string" && authorization.startsWith("Bearer ")) {
+        return authorization.slice("Bearer ".length);
+    }
+    if (typeof query.token === "string" && query.token) return query.token;
+    if (typeof body.token === "string" && body.token) return body.token;
+    return null;
+};
+
+/**
+ * Sends the result of a route handler.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} result
+ * @param {Object<string, string>} headers Optional. Extra headers to send.
+ */
+const sendResult = (res, status, result, headers = {}) => {
+    if (Buffer.isBuffer(result)) {
+        const isPNG = result.length > 4 && result.readUInt32BE(0) === 0x89504e47;
+        res.writeHead(status, { "Content-Type": isPNG ? "image/png" : "application/octet-stream", ...headers });
+        res.end(result);
+        return;
+    }
+    if (typeof result === "string") {
+        res.writeHead(status, { "Content-Type": "text/plain", ...headers });
+        res.end(result);
+        return;
+    }
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(result === undefined ? { success: true } : result));
+};
+
+/**
+ * Creates a local stand-in for the PenguinMod API, with seeded users, projects, messages, follows and bans.
+ * Everything is kept in memory and reset when the server is made, so tests always start from the same data.
+ *
+ * Point a client at it with `PenguinModClient.setApiUrl(await mock.listen())`.
+ * Seeded accounts can be used with the tokens in `mock.tokens`, or logged in to with the password "Password1!".
+ * @param {Object} options Optional.
+ * @param {string?} options.basePath The path the API is served under. Default is "/api".
+ * @param {number?} options.pageSize How many items are sent in each page. Default is 20.
+ * @param {(() => number)?} options.now Returns the current time in milliseconds. Replace this to make dates in responses deterministic.
+ * @returns {PenguinModMockServer}
+ */
+const createMockServer = (options = {}) => {
+    options = {
+        ...DEFAULT_MOCK_OPTIONS,
+        ...options,
+    };
+
+    /**
+     * @typedef {Object} PenguinModMockServer
+     * @property {seed.MockState} state The data the server is using. Can be read or changed directly by tests.
+     * @property {typeof seed.MOCK_TOKENS} tokens Tokens that are logged in to each seeded account.
+     * @property {Array<{method:string, path:string, query:Object, body:Object, user:string|null, status:number, error?:Error}>} requests Every request the server has handled. `error` is set if a route crashed.
+     * @property {string|null} apiUrl The URL to give to `setApiUrl`, once the server is listening.
+     * @property {(req:http.IncomingMessage, res:http.ServerResponse) => Promise<void>} handle Handles a request. Can be used with your own http server.
+     * @property {(port?:number, host?:string) => Promise<string>} listen Starts the server, and resolves with the API url. The default port of 0 picks any free port.
+     * @property {() => Promise<void>} close Stops the server.
+     * @property {() => void} reset Puts back the seeded data, and clears the request log and failures.
+     * @property {(path:string, status:number, error:string, failOptions?:{times?:number, headers?:Object<string, string>}) => void} fail Makes the next requests to an endpoint fail with an error, like `mock.fail("/v1/users/profile", 429, "TooManyRequests", { headers: { "Retry-After": "1" } })`. `times` defaults to 1.
+     */
+    const mock = {
+        state: seed.createSeedState(options),
+        tokens: seed.MOCK_TOKENS,
+        requests: [],
+        failures: [],
+        apiUrl: null,
+        server: null,
+    };
+
+    mock.reset = () => {
+        mock.state = seed.createSeedState(options);
+        mock.requests = [];
+        mock.failures = [];
+    };
+
+    mock.fail = (path, status, error, failOptions = {}) => {
+        mock.failures.push({
+            path,
+            status,
+            error,
+            times: typeof failOptions.times === "number" ? failOptions.times : 1,
+            headers: failOptions.headers || {},
+        });
+    };
+
+    mock.handle = async (req, res) => {
+        const url = new URL(req.url, "http://mock.invalid");
+        let path = url.pathname;
+        if (path.startsWith(options.basePath)) path = path.slice(options.basePath.length);
+        path = path.replace(/\/+$/, "") || "/";
+
+        const entry = {
+            method: req.method,
+            path,
+            query: Object.fromEntries(url.searchParams),
+            body: {},
+            user: null,
+            status: 200,
+        };
+        mock.requests.push(entry);
+
+        let status = 200;
+        let result;
+        let headers = {};
+        try {
+            const failure = mock.failures.find(other => other.path === path && other.times > 0);
+            if (failure) {
+                failure.times--;
+                throw new MockError(failure.status, failure.error, failure.headers);
+            }
+            const handler = ROUTES[`${req.method} ${path}`];
+            if (!handler) throw new MockError(404, "UnknownEndpoint");
+
+            const { body, files } = await readBody(req);
+            const forwardedFor = req.headers["x-forwarded-for"];
+            const state = mock.state;
+            const token = readToken(req, entry.query, body);
+            const userId = token ? state.sessions.get(token) : null;
+            const user = userId ? state.users.get(userId) || null : null;
+            entry.body = body;
+            entry.user = user ? user.username : null;
+
+            /** @type {MockContext} */
+            const ctx = {
+                state,
+                options,
+                method: req.method,
+                path,
+                query: entry.query,
+                body,
+                files,
+                ip: typeof forwardedFor === "string" ? forwardedFor.split(",")[0].trim() : "127.0.0.1",
+                token,
+                user,
+                requireUser(requireOptions = {}) {
+                    if (!user) throw new MockError(401, "Reauthenticate");
+                    if (user.banned && !requireOptions.allowBanned) throw new MockError(403, "Banned");
+                    return user;
+                },
+                requireMod() {
+                    const modUser = ctx.requireUser();
+                    if (!modUser.admin && !modUser.approver) throw new MockError(403, "Unauthorized");
+                    return modUser;
+                },
+                requireAdmin() {
+                    const adminUser = ctx.requireUser();
+                    if (!adminUser.admin) throw new MockError(403, "Unauthorized");
+                    return adminUser;
+                },
+            };
+            result = await handler(ctx);
+        } catch (err) {
+            if (!(err instanceof MockError)) {
+                entry.error = err;
+                err = new MockError(500, "InternalError");
+            }
+            status = err.status;
+            result = { error: err.error };
+            headers = err.headers || {};
+        }
+
+        entry.status = status;
+        sendResult(res, status, result, headers);
+    };
+
+    mock.listen = (port = 0, host = "127.0.0.1") => new Promise((resolve, reject) => {
+        mock.server = http.createServer((req, res) => mock.handle(req, res));
+        mock.server.once("error", reject);
+        mock.server.listen(port, host, () => {
+            const address = mock.server.address();
+            mock.apiUrl = `http://${host}:${address.port}${options.basePath}`;
+            resolve(mock.apiUrl);
+        });
+    });
+
+    mock.close = () => new Promise((resolve, reject) => {
+        if (!mock.server) return resolve();
+        mock.server.close(err => {
+            mock.server = null;
+            if (err) return reject(err);
+            resolve();
+        });
+        if (typeof mock.server.closeAllConnections === "function") {
+            mock.server.closeAllConnections();
+        }
+    });
+
+    return mock;
+};
+
+module.exports = {
+    DEFAULT_MOCK_OPTIONS,
+    ROUTES,
+    createMockServer,
+};
@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAccountPool } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("PenguinModAccountPool", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock(null));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    const makePool = (options) => new PenguinModAccountPool(client, [
+        { name: "moderator", token: mock.tokens.moderator, roles: ["moderator"] },
+        { name: "penguin", token: mock.tokens.penguin, roles: ["test"] },
+        { name: "newbie", token: mock.tokens.newbie, roles: ["test"], rateLimit: { requestsPerSecond: 1, burst: 1 } },
+    ], options);
+
+    const usersOf = (path) => requestsTo(mock, path).map(entry => entry.user);
+
+    it("takes turns between accounts with a role", async () => {
+        const pool = makePool();
+        for (let i = 0; i < 3; i++) {
+            await pool.run("test", (account) => account.users.getMessageCount());
+        }
+        assert.deepEqual(usersOf("/v1/users/getmessagecount"), ["penguin", "newbie", "penguin"]);
+        assert.deepEqual(pool.getNames("test"), ["penguin", "newbie"]);
+    });
+
+    it("runs as every account with a role", async () => {
+        const pool = makePool();
+        const results = await pool.runAll("test", (account) => account.users.getMessageCount());
+        assert.deepEqual(Object.keys(results), ["penguin", "newbie"]);
+        assert.equal(typeof results.penguin, "number");
+        assert.deepEqual(usersOf("/v1/users/getmessagecount").sort(), ["newbie", "penguin"]);
+    });
+
+    it("picks the least busy account", async () => {
+        const pool = makePool({ strategy: PenguinModAccountPool.Strategy.LeastBusy });
+        const newbie = pool.get("newbie");
+        // the second request waits for the rate limit, so newbie is busy until it is sent
+        const busy = Promise.all([newbie.users.getMessageCount(), newbie.users.getMessageCount()]);
+
+        assert.ok(pool.getStats().newbie.queued + pool.getStats().newbie.active > 0);
+        assert.equal(pool.pick("test"), pool.get("penguin"));
+        assert.equal(pool.pick("test"), pool.get("penguin"));
+        await busy;
+    });
+
+    it("keeps each account's token apart from the pool client", async () => {
+        const pool = makePool();
+        await pool.get("moderator").users.getMessageCount();
+        assert.ok(!client.token);
+        assert.deepEqual(usersOf("/v1/users/getmessagecount"), ["moderator"]);
+    });
+
+    it("adds, replaces and removes accounts", () => {
+        const pool = makePool();
+        assert.equal(pool.size, 3);
+        pool.add({ name: "penguin", token: mock.tokens.admin, roles: ["admin"] });
+        assert.equal(pool.size, 3);
+        assert.deepEqual(pool.getNames("test"), ["newbie"]);
+
+        assert.equal(pool.remove("newbie"), true);
+        assert.equal(pool.has("newbie"), false);
+        assert.throws(() => pool.pick("test"), /no accounts with the role "test"/);
+        assert.throws(() => pool.get("newbie"), /no account named "newbie"/);
+        assert.throws(() => pool.add({ name: "empty" }), /Provide a token/);
+    });
+});
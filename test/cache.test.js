@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("response cache", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin", { cache: true }));
+    });
+    after(() => mock.close());
+    beforeEach(async () => {
+        mock.reset();
+        await client.clearCache();
+    });
+
+    const profileRequests = () => requestsTo(mock, "/v1/users/profile").length;
+
+    it("answers repeated reads from the cache", async () => {
+        const first = await client.users.getProfile("Penguin");
+        first.bio = "changed by the caller";
+        const second = await client.users.getProfile("Penguin");
+        assert.equal(second.bio, "I make platformers.");
+        assert.equal(profileRequests(), 1);
+    });
+
+    it("removes cached responses after a write that changes them", async () => {
+        await client.users.getProfile("Penguin");
+        await client.users.setBio("Now making racing games.");
+        assert.equal((await client.users.getProfile("Penguin")).bio, "Now making racing games.");
+        assert.equal(profileRequests(), 2);
+    });
+
+    it("keeps each account's responses apart, without storing the token", async () => {
+        await client.users.getProfile("Penguin");
+        await client.as(mock.tokens.admin).users.getProfile("Penguin");
+        assert.equal(profileRequests(), 2);
+
+        const keys = await client.cache.store.keys();
+        assert.ok(keys.length > 0);
+        assert.ok(keys.every(key => !key.includes(mock.tokens.penguin) && !key.includes(mock.tokens.admin)));
+    });
+
+    it("shares one request between identical reads sent at the same time", async () => {
+        await Promise.all([client.users.getProfile("Penguin"), client.users.getProfile("Penguin")]);
+        assert.equal(profileRequests(), 1);
+    });
+
+    it("doesn't let one caller's signal cancel another caller's read", async () => {
+        const controller = new AbortController();
+        const cancelled = client.users.getProfile("Penguin", { signal: controller.signal });
+        const other = client.users.getProfile("Penguin");
+        controller.abort();
+
+        await assert.rejects(cancelled, PenguinModAPIError);
+        assert.equal((await other).username, "penguin");
+    });
+
+    it("doesn't share a read between callers with different timeouts", async () => {
+        const slow = client.transport;
+        client.setTransport(async (request) => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return await slow(request);
+        });
+        try {
+            const hurried = client.users.getProfile("Penguin", { timeout: 10 });
+            const patient = client.users.getProfile("Penguin");
+            await assert.rejects(hurried, (err) => err.message === "RequestTimedOut");
+            assert.equal((await patient).username, "penguin");
+        } finally {
+            client.setTransport(slow);
+        }
+    });
+});
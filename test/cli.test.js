@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { main, ExitCode } = require("../src/cli");
+const config = require("../src/cli/config.js");
+const { startMock, requestsTo } = require("./helpers.js");
+
+/**
+ * Makes a stream that keeps what is written to it.
+ * @returns {{write:(chunk:string) => boolean, isTTY:boolean, text:string}}
+ */
+const createOutput = () => {
+    const output = {
+        isTTY: false,
+        text: "",
+        write: (chunk) => {
+            output.text += chunk;
+            return true;
+        },
+    };
+    return output;
+};
+
+describe("cli", () => {
+    let mock;
+    before(async () => {
+        ({ mock } = await startMock(null));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    const run = async (argv) => {
+        const stdout = createOutput();
+        const stderr = createOutput();
+        const code = await main(argv, {
+            stdin: { isTTY: false },
+            stdout,
+            stderr,
+            env: { PENGUINMOD_TOKEN: mock.tokens.admin, PENGUINMOD_API_URL: mock.apiUrl },
+        });
+        return { code, stdout: stdout.text, stderr: stderr.text };
+    };
+
+    it("asks before named commands that are hard to undo", async () => {
+        const projectId = mock.state.projects.keys().next().value;
+        const { code, stderr } = await run(["admin", "hard-delete", projectId]);
+        assert.equal(code, ExitCode.Usage);
+        assert.match(stderr, /Add --yes/);
+        assert.ok(mock.state.projects.has(projectId));
+
+        assert.equal((await run(["admin", "hard-delete", projectId, "--yes"])).code, ExitCode.Success);
+        assert.equal(mock.state.projects.has(projectId), false);
+    });
+
+    it("asks before methods the client guards", async () => {
+        const patch = JSON.stringify({ add: { illegalWords: ["newword"] } });
+        const { code, stderr } = await run(["misc", "patchProfanityList", patch]);
+        assert.equal(code, ExitCode.Usage);
+        assert.match(stderr, /misc\.patchProfanityList/);
+        assert.equal(requestsTo(mock, "/v1/misc/setProfanityList").length, 0);
+
+        assert.equal((await run(["misc", "patchProfanityList", patch, "--yes"])).code, ExitCode.Success);
+        assert.ok(mock.state.profanityList.illegalWords.includes("newword"));
+    });
+
+    it("runs other methods without asking", async () => {
+        const { code, stdout } = await run(["misc", "getProfanityList", "--json"]);
+        assert.equal(code, ExitCode.Success);
+        assert.deepEqual(JSON.parse(stdout).illegalWords, ["badword"]);
+    });
+
+    it("keeps the config file private when it already exists", (t) => {
+        if (process.platform === "win32") return t.skip("file modes aren't used on Windows");
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "penguinmod-cli-"));
+        try {
+            const configPath = path.join(directory, "config.json");
+            fs.writeFileSync(configPath, "{}", { mode: 0o644 });
+            config.writeConfig(configPath, { token: "secret" });
+            assert.equal(fs.statSync(configPath).mode & 0o777, 0o600);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("dry runs and confirmations", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("admin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => {
+        mock.reset();
+        client.setDryRun(false);
+        client.setConfirmHook(null);
+        client.dryRunLog.length = 0;
+    });
+
+    const firstProjectId = () => mock.state.projects.keys().next().value;
+
+    it("records actions instead of sending them", async () => {
+        client.setDryRun(true);
+        const projectId = firstProjectId();
+        await client.projects.hardDeleteProject(projectId);
+
+        assert.ok(mock.state.projects.has(projectId));
+        assert.equal(requestsTo(mock, "/v1/projects/hardDeleteProject").length, 0);
+        assert.equal(client.dryRunLog.length, 1);
+        assert.equal(client.dryRunLog[0].action, "projects.hardDeleteProject");
+        assert.deepEqual(client.dryRunLog[0].body, { projectID: projectId });
+    });
+
+    it("lets one call override dry run mode", async () => {
+        client.setDryRun(true);
+        await client.projects.hardDeleteProject(firstProjectId(), { dryRun: false });
+        assert.equal(client.dryRunLog.length, 0);
+        assert.equal(requestsTo(mock, "/v1/projects/hardDeleteProject").length, 1);
+    });
+
+    it("gives scoped clients their own log", async () => {
+        const scoped = client.as(mock.tokens.moderator);
+        scoped.setDryRun(true);
+        await scoped.projects.hardReject(firstProjectId(), "Broken");
+
+        assert.equal(scoped.dryRunLog.length, 1);
+        assert.equal(client.dryRunLog.length, 0);
+    });
+
+    it("guards profanity list changes", async () => {
+        client.setDryRun(true);
+        await client.misc.setProfanityList({ illegalWords: [] });
+
+        const snapshotDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "profanity-"));
+        try {
+            const result = await client.misc.patchProfanityList({ add: { illegalWords: ["newword"] } }, { snapshotDirectory });
+            assert.equal(result.snapshot, null);
+            assert.deepEqual(fs.readdirSync(snapshotDirectory), []);
+        } finally {
+            fs.rmSync(snapshotDirectory, { recursive: true, force: true });
+        }
+
+        assert.deepEqual(client.dryRunLog.map(entry => entry.action), ["misc.setProfanityList", "misc.patchProfanityList"]);
+        assert.deepEqual(mock.state.profanityList.illegalWords, ["badword"]);
+    });
+
+    it("only sends actions the confirm hook allows", async () => {
+        const asked = [];
+        client.setConfirmHook(async (action) => {
+            asked.push(action.action);
+            return action.action !== "projects.hardDeleteProject";
+        });
+        const projectId = firstProjectId();
+
+        await assert.rejects(client.projects.hardDeleteProject(projectId), (err) => {
+            assert.ok(err instanceof PenguinModAPIError);
+            assert.equal(err.message, "ActionNotConfirmed");
+            return true;
+        });
+        assert.ok(mock.state.projects.has(projectId));
+
+        await client.misc.setProfanityList({ illegalWords: [] });
+        assert.deepEqual(mock.state.profanityList.illegalWords, []);
+        assert.deepEqual(asked, ["projects.hardDeleteProject", "misc.setProfanityList"]);
+    });
+
+    it("guards banning every IP of a user", async () => {
+        client.setDryRun(true);
+        await client.users.banUserIP("Newbie");
+        assert.equal(requestsTo(mock, "/v1/users/banuserip").length, 0);
+        assert.deepEqual(client.dryRunLog.map(entry => entry.action), ["users.banUserIP"]);
+
+        client.setDryRun(false);
+        client.setConfirmHook(() => false);
+        await assert.rejects(client.users.banUserIP("Newbie"), (err) => {
+            assert.equal(err.message, "ActionNotConfirmed");
+            return true;
+        });
+        assert.equal(requestsTo(mock, "/v1/users/banuserip").length, 0);
+    });
+
+    it("doesn't ask the confirm hook in dry run mode", async () => {
+        client.setDryRun(true);
+        client.setConfirmHook(() => assert.fail("confirm hook was asked"));
+        await client.projects.deleteModMessage("1");
+        assert.equal(client.dryRunLog[0].action, "projects.deleteModMessage");
+    });
+
+    it("rejects unsafe mass ban regexes before sending", async () => {
+        await assert.rejects(client.users.massBanRegex("(a+)+$"), (err) => {
+            assert.equal(err.message, "UnsafeRegex");
+            return true;
+        });
+        assert.equal(requestsTo(mock, "/v1/users/massbanregex").length, 0);
+
+        const { matched } = client.users.previewMassBanRegex("^spambot_\\d+$", ["spambot_1", "penguin"]);
+        assert.deepEqual(matched, ["spambot_1"]);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const PenguinModPoller = require("../src/classes/PenguinModPoller.js");
+const { startMock } = require("./helpers.js");
+
+describe("PenguinModFeed", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    // the seeded feed has expired, so tests add their own items from Admin, who Penguin follows
+    const addUpload = (projectId, date) => {
+        const admin = Array.from(mock.state.users.values()).find(user => user.username === "admin");
+        const item = {
+            type: "upload",
+            date,
+            expireAt: Date.now() + 60 * 60 * 1000,
+            data: { id: projectId, name: mock.state.projects.get(projectId).title },
+            id: admin.id,
+            username: admin.real_username,
+        };
+        mock.state.feed.push(item);
+        return item;
+    };
+
+    it("emits new items once, with the user and project they're about", async () => {
+        addUpload("1", Date.now() - 1000);
+        const feed = client.createFeed();
+        const uploads = [];
+        feed.on("upload", entry => uploads.push(entry));
+
+        const [entry] = await feed.poll();
+        assert.equal(entry.username, "Admin");
+        assert.equal(entry.user.username, "admin");
+        assert.equal(entry.project.title, mock.state.projects.get("1").title);
+        assert.deepEqual(uploads, [entry]);
+        assert.deepEqual(await feed.poll(), []);
+    });
+
+    it("keeps items after the API stops sending them", async () => {
+        const item = addUpload("1", Date.now() - 1000);
+        const feed = client.createFeed({ resolve: false });
+        await feed.poll();
+
+        item.expireAt = Date.now() - 1;
+        assert.deepEqual(await feed.poll(), []);
+        assert.equal(feed.getHistory().length, 1);
+    });
+
+    it("sends polls with background priority", async () => {
+        const feed = client.createFeed({ resolve: false, requestOptions: { timeout: 5000 } });
+        const sent = [];
+        const getMyFeed = client.users.getMyFeed;
+        client.users.getMyFeed = (requestOptions) => {
+            sent.push(requestOptions);
+            return getMyFeed.call(client.users, requestOptions);
+        };
+        try {
+            await feed.poll();
+        } finally {
+            delete client.users.getMyFeed;
+        }
+        assert.deepEqual(sent, [{ priority: "background", timeout: 5000 }]);
+    });
+});
+
+describe("PenguinModPoller", () => {
+    const INTERVAL = 987654;
+
+    it("only keeps one loop when restarted while a poll is being sent", async () => {
+        let finishPoll;
+        class TestPoller extends PenguinModPoller {
+            async _poll() {
+                await new Promise(resolve => {
+                    finishPoll = resolve;
+                });
+                return [];
+            }
+        }
+        const poller = new TestPoller({ interval: INTERVAL, maxInterval: INTERVAL, backoff: 1 });
+
+        const scheduled = [];
+        const originalSetTimeout = global.setTimeout;
+        global.setTimeout = (callback, delay, ...args) => {
+            const timer = originalSetTimeout(callback, delay, ...args);
+            if (delay === INTERVAL) scheduled.push(timer);
+            return timer;
+        };
+        try {
+            poller.start();
+            poller.stop();
+            poller.start();
+            finishPoll();
+            await new Promise(resolve => setImmediate(resolve));
+        } finally {
+            global.setTimeout = originalSetTimeout;
+            poller.stop();
+            for (const timer of scheduled) clearTimeout(timer);
+        }
+        assert.equal(scheduled.length, 1);
+    });
+});
@@ -0,0 +1,35 @@
+const { PenguinModAPI } = require("../src");
+const { createMockServer } = require("../src/mock");
+
+/**
+ * Starts a mock server, and makes a client that is pointed at it.
+ * Retries and rate limits are off so tests run quickly, and can be turned back on with `clientOptions`.
+ * @param {string|null} account The seeded account to log in to, like "penguin" or "admin". Pass null to stay logged out.
+ * @param {Object} clientOptions Optional. Passed to the PenguinModAPI constructor.
+ * @returns {Promise<{mock:ReturnType<createMockServer>, client:PenguinModAPI}>}
+ */
+const startMock = async (account = "penguin", clientOptions = {}) => {
+    const mock = createMockServer();
+    const apiUrl = await mock.listen();
+    const client = new PenguinModAPI({
+        apiUrl,
+        token: account ? mock.tokens[account] : undefined,
+        retry: false,
+        rateLimit: false,
+        ...clientOptions,
+    });
+    return { mock, client };
+};
+
+/**
+ * Gets the requests the mock server handled for an endpoint.
+ * @param {ReturnType<createMockServer>} mock
+ * @param {string} path The endpoint path, like "/v1/users/getmyfeed".
+ * @returns {Array<Object>}
+ */
+const requestsTo = (mock, path) => mock.requests.filter(entry => entry.path === path);
+
+module.exports = {
+    startMock,
+    requestsTo,
+};
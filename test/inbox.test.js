@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMock } = require("./helpers.js");
+
+describe("PenguinModInbox", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    const penguinId = () => Array.from(mock.state.users.values()).find(user => user.username === "penguin").id;
+    const addMessage = (body) => {
+        const message = {
+            id: mock.state.nextId("message"),
+            receiver: penguinId(),
+            message: body,
+            disputable: false,
+            read: false,
+            date: Date.now(),
+            projectID: 0,
+        };
+        mock.state.messages.push(message);
+        return message;
+    };
+
+    it("emits unread messages, and only once", async () => {
+        const inbox = client.createInbox();
+        const types = [];
+        inbox.on("message", message => types.push(message.message.type));
+
+        const first = await inbox.poll();
+        assert.deepEqual(types, ["followerAdded", "remix"]);
+        assert.equal(first.length, 2);
+        assert.equal(inbox.unreadCount, 2);
+        assert.deepEqual(await inbox.poll(), []);
+        assert.equal(types.length, 2);
+    });
+
+    it("skips messages from before it started unless asked for", async () => {
+        const inbox = client.createInbox({ emitExisting: false });
+        assert.deepEqual(await inbox.poll(), []);
+
+        const message = addMessage({ type: "newBadge", badge: "donator" });
+        const fresh = await inbox.poll();
+        assert.deepEqual(fresh.map(found => found.id), [message.id]);
+    });
+
+    it("finds new messages when the unread count stays the same", async () => {
+        const inbox = client.createInbox();
+        await inbox.poll();
+
+        // one message is read somewhere else, and a new one arrives before the next poll
+        mock.state.messages.find(message => message.receiver === penguinId() && !message.read).read = true;
+        const message = addMessage({ type: "newBadge", badge: "donator" });
+        const badges = [];
+        inbox.on("newBadge", found => badges.push(found.id));
+
+        const fresh = await inbox.poll();
+        assert.equal(inbox.unreadCount, 2);
+        assert.deepEqual(fresh.map(found => found.id), [message.id]);
+        assert.deepEqual(badges, [message.id]);
+    });
+
+    it("emits count changes and can mark messages as read", async () => {
+        const inbox = client.createInbox({ markAsRead: true });
+        const counts = [];
+        inbox.on("count", (count, previousCount) => counts.push([count, previousCount]));
+
+        await inbox.poll();
+        assert.equal(inbox.unreadCount, 0);
+        assert.equal(await client.users.getUnreadMessageCount(), 0);
+        assert.deepEqual(counts, [[2, null], [0, 2]]);
+    });
+});
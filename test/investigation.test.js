@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock } = require("./helpers.js");
+
+describe("investigate", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("admin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    it("follows shared IPs and alts", async () => {
+        const report = await client.users.investigate("Newbie");
+        assert.deepEqual(report.errors, []);
+        assert.equal(report.truncated, false);
+        assert.deepEqual(report.accounts.map(account => [account.username, account.depth, account.banned]), [
+            ["Newbie", 0, false],
+            ["Banned", 1, true],
+        ]);
+        assert.equal(report.accounts[0].email, "newbie@example.com");
+
+        const shared = report.ips.find(ip => ip.ip === "10.0.0.66");
+        assert.equal(shared.banned, true);
+        assert.deepEqual(shared.accounts, ["Newbie", "Banned"]);
+        // alts are found from both accounts, but are only one link
+        assert.equal(report.links.filter(link => link.type === "alt").length, 1);
+    });
+
+    it("stops at the depth and account limit", async () => {
+        const shallow = await client.users.investigate("Newbie", { depth: 0 });
+        assert.deepEqual(shallow.accounts.map(account => account.username), ["Newbie"]);
+
+        const limited = await client.users.investigate("Newbie", { maxAccounts: 1 });
+        assert.equal(limited.accounts.length, 1);
+        assert.equal(limited.truncated, true);
+    });
+
+    it("lists the requests a moderator isn't allowed to make", async () => {
+        const moderator = client.as(mock.tokens.moderator);
+        const report = await moderator.users.investigate("Newbie");
+        assert.deepEqual(report.accounts.map(account => account.username), ["Newbie", "Banned"]);
+        assert.deepEqual(report.ips, []);
+        assert.ok(report.errors.some(error => error.method === "getAllIPsOf" && error.message === "Unauthorized"));
+        assert.equal(report.accounts[0].email, null);
+    });
+
+    it("stops when the caller aborts", async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(client.users.investigate("Newbie", {}, { signal: controller.signal }), (err) => {
+            assert.ok(err instanceof PenguinModAPIError);
+            assert.equal(err.message, "RequestAborted");
+            return true;
+        });
+        assert.equal(mock.requests.length, 0);
+    });
+
+    it("stops when a request is aborted mid-crawl", async () => {
+        const controller = new AbortController();
+        const getAlts = client.users.getAlts;
+        client.users.getAlts = async (...args) => {
+            controller.abort();
+            return await getAlts.apply(client.users, args);
+        };
+        try {
+            await assert.rejects(client.users.investigate("Newbie", {}, { signal: controller.signal }), (err) => {
+                assert.equal(err.message, "RequestAborted");
+                return true;
+            });
+        } finally {
+            delete client.users.getAlts;
+        }
+        assert.equal(mock.requests.filter(entry => entry.path === "/v1/users/getAllAccountsWithIP").length, 0);
+    });
+
+    it("needs a token", async () => {
+        const loggedOut = client.as(null);
+        await assert.rejects(loggedOut.users.investigate("Newbie"), PenguinModAPIError.AuthError);
+    });
+
+    it("renders reports", async () => {
+        const report = await client.users.investigate("Newbie");
+        const markdown = client.users.renderInvestigation(report, "markdown");
+        assert.match(markdown, /^# Investigation of Newbie/);
+        assert.match(markdown, /\| Banned \| 1 \| yes \|/);
+
+        const dot = client.users.renderInvestigation(report, "dot");
+        assert.match(dot, /^graph investigation \{/);
+        assert.match(dot, /"user:newbie" -- "user:banned" \[style=dashed, label="alt"\];/);
+
+        assert.deepEqual(JSON.parse(client.users.renderInvestigation(report)), report);
+        assert.throws(() => client.users.renderInvestigation(report, "pdf"), /Unknown investigation format/);
+    });
+});
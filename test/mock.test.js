@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPI, PenguinModAPIError } = require("../src");
+const { MOCK_PASSWORD } = require("../src/mock");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("mock server", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    it("serves seeded profiles", async () => {
+        const profile = await client.users.getProfile("Penguin");
+        assert.equal(profile.username, "penguin");
+        assert.equal(profile.bio, "I make platformers.");
+    });
+
+    it("serves seeded projects", async () => {
+        const id = await client.users.getId("Penguin");
+        const projects = await client.projects.getProjectsByAuthor("Penguin");
+        assert.ok(projects.length >= 3);
+        assert.ok(projects.every(project => project.author.id === id));
+    });
+
+    it("sends the token where each endpoint has always read it", async () => {
+        await client.users.getMessageCount();
+        await client.projects.toggleLove("2", true);
+
+        const [countRequest] = requestsTo(mock, "/v1/users/getmessagecount");
+        assert.equal(countRequest.query.token, mock.tokens.penguin);
+        assert.equal(countRequest.user, "penguin");
+        const [loveRequest] = requestsTo(mock, "/v1/projects/interactions/loveToggle");
+        assert.equal(loveRequest.body.token, mock.tokens.penguin);
+        assert.equal(loveRequest.query.token, undefined);
+    });
+
+    it("changes its data when written to", async () => {
+        await client.users.setBio("Now making racing games.");
+        assert.equal((await client.users.getProfile("Penguin")).bio, "Now making racing games.");
+
+        mock.reset();
+        assert.equal((await client.users.getProfile("Penguin")).bio, "I make platformers.");
+    });
+
+    it("logs in with the seeded password", async () => {
+        const loggedOut = new PenguinModAPI({ apiUrl: mock.apiUrl, retry: false, rateLimit: false });
+        const token = await loggedOut.users.passwordLogin("Newbie", MOCK_PASSWORD);
+        assert.equal(typeof token, "string");
+
+        loggedOut.setToken(token);
+        await loggedOut.users.getMessageCount();
+        assert.equal(requestsTo(mock, "/v1/users/getmessagecount")[0].user, "newbie");
+    });
+
+    it("rejects requests without a valid token", async () => {
+        const loggedOut = client.as("not-a-token");
+        await assert.rejects(loggedOut.users.getMessageCount(), (err) => {
+            assert.ok(err instanceof PenguinModAPIError.AuthError);
+            assert.equal(err.message, "Reauthenticate");
+            return true;
+        });
+    });
+
+    it("rejects actions the account isn't allowed to do", async () => {
+        await assert.rejects(client.projects.toggleUploading(false), PenguinModAPIError.PermissionError);
+        assert.equal(mock.state.flags.uploading, true);
+    });
+
+    it("can make endpoints fail", async () => {
+        mock.fail("/v1/users/profile", 500, "InternalError", { times: 1 });
+        await assert.rejects(client.users.getProfile("Penguin"), PenguinModAPIError.ServerError);
+        assert.equal((await client.users.getProfile("Penguin")).username, "penguin");
+    });
+
+    it("can be used by tests to change the seeded data", async () => {
+        mock.state.flags.uploading = false;
+        assert.equal(await client.projects.canUploadProjects(), false);
+    });
+});
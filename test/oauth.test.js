@@ -0,0 +1,42 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPI } = require("../src");
+const { startMock } = require("./helpers.js");
+
+describe("OAuth", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    it("verifies a state saved before the redirect, even on a new client", () => {
+        const { url, state } = client.users.buildOAuthRedirectUrl("github", "addPasswordFinal");
+        assert.equal(new URL(url).searchParams.get("state"), state);
+
+        // the page is reloaded by the redirect, so the callback is handled by a different client
+        const callbackClient = new PenguinModAPI({ apiUrl: mock.apiUrl });
+        assert.equal(callbackClient.users.verifyOAuthState(state, state), true);
+        assert.equal(callbackClient.as("other-token").users.verifyOAuthState(state, state), true);
+    });
+
+    it("rejects missing or different states", () => {
+        const state = client.users.createOAuthState();
+        assert.equal(client.users.verifyOAuthState(state), false);
+        assert.equal(client.users.verifyOAuthState(state, client.users.createOAuthState()), false);
+        assert.equal(client.users.verifyOAuthState("", ""), false);
+    });
+
+    it("links and logs in with an OAuth method", async () => {
+        const state = client.users.createOAuthState();
+        await client.users.addOAuthMethod("github", "github-code", state);
+
+        const loggedOut = new PenguinModAPI({ apiUrl: mock.apiUrl, retry: false, rateLimit: false });
+        const token = await loggedOut.users.loginOAuthAccount("github", "github-code", state);
+        loggedOut.setToken(token);
+        assert.equal((await loggedOut.users.getInfo()).username, "penguin");
+    });
+});
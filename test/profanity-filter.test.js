@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModProfanityFilter } = require("../src");
+const { startMock } = require("./helpers.js");
+
+describe("PenguinModProfanityFilter", () => {
+    const filter = new PenguinModProfanityFilter({
+        illegalWords: ["ass", "badword", "bad thing"],
+        illegalWebsites: ["https://www.scam.com/"],
+        spacedOutWordsOnly: ["hi"],
+        potentiallyUnsafeWords: ["iffy"],
+        potentiallyUnsafeWordsSpacedOut: ["meh"],
+        unsafeUsernames: ["badname"],
+        legalExtensions: ["pen"],
+    });
+
+    it("only matches whole words", () => {
+        assert.equal(filter.checkText("class").flagged, false);
+        assert.equal(filter.checkText("this").flagged, false);
+        assert.equal(filter.checkText("what an ass").flagged, true);
+        assert.equal(filter.checkText("a bad  thing").flagged, true);
+    });
+
+    it("reads leetspeak only in words with letters", () => {
+        assert.equal(filter.checkText("I got 455 points").flagged, false);
+        assert.equal(filter.checkText("$5 each").flagged, false);
+        assert.equal(filter.checkText("@ss").flagged, true);
+        assert.equal(filter.checkText("b4dw0rd!").flagged, true);
+    });
+
+    it("reads spaced out letters as one word", () => {
+        const verdict = filter.checkText("some b 4 d w 0 r d");
+        assert.equal(verdict.flagged, true);
+        assert.deepEqual(verdict.matches.map(match => [match.word, match.text]), [["badword", "b 4 d w 0 r d"]]);
+    });
+
+    it("only matches spaced out words when they are spaced out", () => {
+        assert.equal(filter.checkText("hi there").flagged, false);
+        assert.equal(filter.checkText("this is fine").flagged, false);
+        assert.equal(filter.checkText("h i").flagged, true);
+        assert.deepEqual(filter.checkText("oh h.i there").matches.map(match => match.text), ["h.i"]);
+
+        assert.equal(filter.checkText("meh").potentiallyUnsafe, false);
+        assert.equal(filter.checkText("m e h").potentiallyUnsafe, true);
+    });
+
+    it("matches websites by host and subdomain only", () => {
+        assert.equal(filter.checkText("see notscam.com").flagged, false);
+        assert.equal(filter.checkUrl("https://notscam.com/").flagged, false);
+        assert.equal(filter.checkText("visit scam.com.").flagged, true);
+        const verdict = filter.checkUrl("https://cdn.scam.com/file");
+        assert.deepEqual(verdict.matches.map(match => match.text), ["cdn.scam.com"]);
+    });
+
+    it("reports potentially unsafe words separately", () => {
+        const verdict = filter.checkText("kind of iffy");
+        assert.equal(verdict.flagged, false);
+        assert.equal(verdict.potentiallyUnsafe, true);
+    });
+
+    it("matches usernames anywhere", () => {
+        assert.equal(filter.checkUsername("xXb4dn4meXx").flagged, true);
+        assert.equal(filter.checkUsername("Penguin").flagged, false);
+    });
+
+    it("keeps indexes right around emoji", () => {
+        const [match] = filter.checkText("ok 😀 ass").matches;
+        assert.equal(match.text, "ass");
+    });
+
+    it("checks extensions", () => {
+        assert.equal(filter.isExtensionAllowed("pen"), true);
+        assert.equal(filter.isExtensionAllowed("custom"), false);
+    });
+
+    describe("load", () => {
+        let mock;
+        let client;
+        before(async () => {
+            ({ mock, client } = await startMock("moderator"));
+        });
+        after(() => mock.close());
+
+        it("uses the list from the API", async () => {
+            const loaded = await PenguinModProfanityFilter.load(client);
+            assert.equal(loaded.checkText("badword").flagged, true);
+            assert.equal(loaded.checkUrl("https://scam.example.com/").flagged, true);
+        });
+    });
+});
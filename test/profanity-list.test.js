@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PenguinModAPIError, loadProfanitySnapshot, listProfanitySnapshots } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("patchProfanityList", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("admin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    const isConflict = (err) => {
+        assert.ok(err instanceof PenguinModAPIError);
+        assert.equal(err.message, "ProfanityListConflict");
+        return true;
+    };
+
+    it("adds and removes words", async () => {
+        const { list, applied } = await client.misc.patchProfanityList({
+            add: { illegalWords: ["newword"] },
+            remove: { illegalWebsites: ["scam.example.com"] },
+        });
+        assert.deepEqual(mock.state.profanityList.illegalWords, ["badword", "newword"]);
+        assert.deepEqual(mock.state.profanityList.illegalWebsites, []);
+        assert.deepEqual(list.illegalWords, ["badword", "newword"]);
+        assert.deepEqual(applied.add.illegalWords, ["newword"]);
+    });
+
+    it("doesn't save anything if the expected list is different", async () => {
+        const expected = await client.misc.getProfanityList();
+        mock.state.profanityList.illegalWords = ["badword", "changed"];
+
+        await assert.rejects(client.misc.patchProfanityList({ add: { illegalWords: ["newword"] } }, { expected }), (err) => {
+            isConflict(err);
+            assert.deepEqual(err.data.add.illegalWords, ["changed"]);
+            return true;
+        });
+        assert.equal(requestsTo(mock, "/v1/misc/setProfanityList").length, 0);
+    });
+
+    it("doesn't save a patch that changes nothing", async () => {
+        const result = await client.misc.patchProfanityList({
+            add: { illegalWords: ["badword"] },
+            remove: { illegalWords: ["notinthelist"] },
+        });
+        assert.equal(result.snapshot, null);
+        assert.equal(requestsTo(mock, "/v1/misc/setProfanityList").length, 0);
+    });
+
+    it("gives up if the list keeps changing", async () => {
+        let reads = 0;
+        const getProfanityList = client.misc.getProfanityList;
+        client.misc.getProfanityList = async (...args) => {
+            const list = await getProfanityList.apply(client.misc, args);
+            mock.state.profanityList.illegalWords = [...list.illegalWords, `changed${reads++}`];
+            return list;
+        };
+        try {
+            await assert.rejects(client.misc.patchProfanityList({ add: { illegalWords: ["newword"] } }, { retries: 1 }), isConflict);
+        } finally {
+            delete client.misc.getProfanityList;
+        }
+        assert.equal(reads, 4);
+        assert.equal(requestsTo(mock, "/v1/misc/setProfanityList").length, 0);
+    });
+
+    it("saves the old list to snapshotDirectory first", async () => {
+        const snapshotDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "profanity-"));
+        try {
+            const before = await client.misc.getProfanityList();
+            const { snapshot } = await client.misc.patchProfanityList({ add: { illegalWords: ["newword"] } }, { snapshotDirectory });
+
+            assert.equal(path.dirname(snapshot), snapshotDirectory);
+            assert.deepEqual(await loadProfanitySnapshot(snapshot), before);
+            assert.deepEqual((await listProfanitySnapshots(snapshotDirectory)).map(entry => entry.path), [snapshot]);
+        } finally {
+            fs.rmSync(snapshotDirectory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const JSZip = require("jszip");
+
+const { startMock, requestsTo } = require("./helpers.js");
+
+const BACKDROP_ID = "cd21514d0531fdffb22204e0ec5ed84a";
+const BACKDROP = "<svg xmlns=\"http://www.w3.org/2000/svg\"/>";
+
+/**
+ * Makes a .pmp with only a stage and one backdrop.
+ * @param {string} name The name of the backdrop, so uploads can be told apart.
+ * @returns {Promise<ArrayBuffer>}
+ */
+const createProjectFile = (name) => {
+    const zip = new JSZip();
+    zip.file("project.json", JSON.stringify({
+        targets: [{
+            isStage: true,
+            name: "Stage",
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            // pmp-protobuf needs this on every target
+            customVars: [],
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [{
+                name,
+                assetId: BACKDROP_ID,
+                md5ext: `${BACKDROP_ID}.svg`,
+                dataFormat: "svg",
+                rotationCenterX: 240,
+                rotationCenterY: 180,
+            }],
+            sounds: [],
+            volume: 100,
+            layerOrder: 0,
+            tempo: 60,
+            videoTransparency: 50,
+            videoState: "on",
+            textToSpeechLanguage: null,
+        }],
+        monitors: [],
+        extensions: [],
+        meta: { semver: "3.0.0", vm: "0.2.0", agent: "" },
+    }));
+    zip.file(`${BACKDROP_ID}.svg`, BACKDROP);
+    return zip.generateAsync({ type: "arraybuffer" });
+};
+
+/**
+ * Opens a downloaded .pmp.
+ * @param {ArrayBuffer} pmp
+ * @returns {Promise<{project:object, files:string[], backdrop:string}>}
+ */
+const readProjectFile = async (pmp) => {
+    const zip = await JSZip.loadAsync(pmp);
+    return {
+        project: JSON.parse(await zip.file("project.json").async("string")),
+        files: Object.keys(zip.files).sort(),
+        backdrop: await zip.file(`${BACKDROP_ID}.svg`).async("string"),
+    };
+};
+
+describe("PenguinModAPIProjects", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    /**
+     * Gets a project that can be seen, and that nobody has loved or voted for yet.
+     * @returns {Promise<string>}
+     */
+    const getFreshProject = async () => {
+        const [project] = await client.projects.getProjectsByAuthor("Penguin");
+        mock.state.projects.get(project.id).loves.clear();
+        mock.state.projects.get(project.id).votes.clear();
+        return project.id;
+    };
+
+    it("only toggles the love when it has to", async () => {
+        const id = await getFreshProject();
+        assert.equal(await client.projects.setLoved(id, true), true);
+        assert.equal(await client.projects.setLoved(id, true), false);
+        assert.equal(requestsTo(mock, "/v1/projects/interactions/loveToggle").length, 1);
+        assert.equal((await client.projects.getUserState(id)).hasLoved, true);
+
+        assert.equal(await client.projects.setLoved(id, false), true);
+        assert.equal(await client.projects.setLoved(id, false), false);
+        assert.equal(requestsTo(mock, "/v1/projects/interactions/loveToggle").length, 2);
+        assert.equal((await client.projects.getUserState(id)).hasLoved, false);
+    });
+
+    it("only toggles the vote when it has to", async () => {
+        const id = await getFreshProject();
+        assert.equal(await client.projects.setVoted(id, true), true);
+        assert.equal(await client.projects.setVoted(id, true), false);
+        assert.equal(requestsTo(mock, "/v1/projects/interactions/voteToggle").length, 1);
+        assert.equal((await client.projects.getUserState(id)).hasVoted, true);
+
+        assert.equal(await client.projects.setVoted(id, false), true);
+        assert.equal(await client.projects.setVoted(id, false), false);
+        assert.equal(requestsTo(mock, "/v1/projects/interactions/voteToggle").length, 2);
+        assert.equal((await client.projects.getUserState(id)).hasVoted, false);
+    });
+
+    it("downloads the project file that was uploaded", async () => {
+        const id = await client.projects.uploadProject(await createProjectFile("uploaded"), {
+            title: "Round trip",
+            thumbnail: new Uint8Array([1, 2, 3]),
+        });
+        const uploaded = await readProjectFile(await client.projects.getProjectFile(id));
+        assert.deepEqual(uploaded.files, [`${BACKDROP_ID}.svg`, "project.json"]);
+        assert.equal(uploaded.backdrop, BACKDROP);
+        assert.equal(uploaded.project.targets[0].name, "Stage");
+        assert.deepEqual(uploaded.project.targets[0].costumes.map(costume => [costume.name, costume.md5ext]), [
+            ["uploaded", `${BACKDROP_ID}.svg`],
+        ]);
+
+        await client.projects.updateProject(id, await createProjectFile("updated"));
+        const updated = await readProjectFile(await client.projects.getProjectFile(id));
+        assert.equal(updated.project.targets[0].costumes[0].name, "updated");
+        assert.equal(updated.backdrop, BACKDROP);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError, PenguinModRateLimiter } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+/**
+ * Makes a task that only finishes when `finish` is called.
+ * @returns {{task:() => Promise<void>, finish:() => void, started:boolean}}
+ */
+const createBlockedTask = () => {
+    const blocked = { started: false };
+    const done = new Promise((resolve) => {
+        blocked.finish = resolve;
+    });
+    blocked.task = () => {
+        blocked.started = true;
+        return done;
+    };
+    return blocked;
+};
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe("PenguinModRateLimiter", () => {
+    it("uses the default rate limit for missing options", () => {
+        const limiter = new PenguinModRateLimiter({ maxConcurrent: 2 });
+        assert.deepEqual(limiter.options, { requestsPerSecond: 5, burst: 10, maxConcurrent: 2 });
+    });
+
+    it("sends no more than maxConcurrent requests at once", async () => {
+        const limiter = new PenguinModRateLimiter({ requestsPerSecond: 1000, burst: 100, maxConcurrent: 2 });
+        const tasks = [1, 2, 3, 4, 5].map(createBlockedTask);
+        const results = tasks.map(blocked => limiter.schedule(blocked.task));
+        await tick();
+
+        assert.deepEqual(tasks.map(blocked => blocked.started), [true, true, false, false, false]);
+        assert.equal(limiter.activeCount, 2);
+        assert.equal(limiter.queueDepth, 3);
+
+        tasks[0].finish();
+        await tick();
+        assert.deepEqual(tasks.map(blocked => blocked.started), [true, true, true, false, false]);
+        assert.equal(limiter.activeCount, 2);
+
+        tasks.forEach(blocked => blocked.finish());
+        await Promise.all(results);
+        assert.equal(limiter.activeCount, 0);
+        assert.equal(limiter.queueDepth, 0);
+    });
+
+    it("sends interactive requests before background ones", async () => {
+        const limiter = new PenguinModRateLimiter({ requestsPerSecond: 1000, burst: 100, maxConcurrent: 1 });
+        const blocker = createBlockedTask();
+        const order = [];
+        const sent = [
+            limiter.schedule(blocker.task),
+            limiter.schedule(async () => order.push("background 1"), "background"),
+            limiter.schedule(async () => order.push("background 2"), "background"),
+            limiter.schedule(async () => order.push("interactive"), "interactive"),
+        ];
+        await tick();
+        blocker.finish();
+        await Promise.all(sent);
+        assert.deepEqual(order, ["interactive", "background 1", "background 2"]);
+    });
+
+    it("waits for tokens once the burst is used up", async () => {
+        const limiter = new PenguinModRateLimiter({ requestsPerSecond: 20, burst: 2, maxConcurrent: 10 });
+        const start = Date.now();
+        const sent = [1, 2, 3].map(() => limiter.schedule(async () => Date.now()));
+        sent.push(limiter.schedule(async () => Date.now(), "background"));
+
+        const stats = limiter.getStats();
+        assert.equal(stats.queued, 2);
+        assert.equal(limiter.queueDepth, 2);
+        assert.equal(stats.interactive, 1);
+        assert.equal(stats.background, 1);
+        assert.equal(stats.active, 2);
+        assert.ok(stats.tokens < 1);
+
+        const times = await Promise.all(sent);
+        // 2 more tokens at 20 per second take about 100ms
+        assert.ok(times[3] - start >= 90);
+        assert.equal(limiter.getStats().queued, 0);
+    });
+
+    it("passes on the result or error of each task", async () => {
+        const limiter = new PenguinModRateLimiter();
+        assert.equal(await limiter.schedule(async () => "sent"), "sent");
+        await assert.rejects(limiter.schedule(async () => {
+            throw new Error("failed");
+        }), /failed/);
+        assert.equal(limiter.activeCount, 0);
+    });
+
+    describe("with a client", () => {
+        let mock;
+        let client;
+        before(async () => {
+            ({ mock, client } = await startMock("penguin", {
+                rateLimit: { requestsPerSecond: 10, burst: 1, maxConcurrent: 1 },
+            }));
+        });
+        after(() => mock.close());
+        beforeEach(() => mock.reset());
+
+        it("doesn't send requests that are aborted while queued", async () => {
+            const controller = new AbortController();
+            const first = client.users.getProfile("Penguin");
+            const second = client.users.getProfile("Admin", { signal: controller.signal });
+            const limiter = client.getRateLimiter(mock.apiUrl);
+            for (let i = 0; i < 100 && limiter.queueDepth === 0; i++) await tick();
+            assert.equal(limiter.queueDepth, 1);
+            controller.abort();
+
+            await first;
+            await assert.rejects(second, (err) => {
+                assert.ok(err instanceof PenguinModAPIError);
+                assert.equal(err.message, "RequestAborted");
+                return true;
+            });
+            assert.deepEqual(requestsTo(mock, "/v1/users/profile").map(entry => entry.query.target), ["Penguin"]);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock } = require("./helpers.js");
+
+describe("redaction", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    /**
+     * Checks that an error never shows the token.
+     * @param {PenguinModAPIError} err
+     */
+    const assertNoToken = (err) => {
+        assert.ok(err instanceof PenguinModAPIError);
+        for (const text of [err.url, JSON.stringify(err.request), err.toString()]) {
+            assert.ok(!text.includes(mock.tokens.penguin), `${text} contains the token`);
+        }
+    };
+
+    it("hides the token in the query of a failed GET", async () => {
+        mock.fail("/v1/users/getmessagecount", 500, "InternalError");
+        await assert.rejects(client.users.getMessageCount(), (err) => {
+            assertNoToken(err);
+            assert.ok(err.url.endsWith("/v1/users/getmessagecount?token=[REDACTED]"));
+            assert.ok(err.toString().endsWith("?token=[REDACTED]"));
+            return true;
+        });
+        // the token is still sent
+        assert.equal(mock.requests[0].query.token, mock.tokens.penguin);
+    });
+
+    it("hides the token in the body of a failed POST", async () => {
+        const [project] = await client.projects.getProjectsByAuthor("Penguin");
+        mock.fail("/v1/projects/interactions/loveToggle", 500, "InternalError");
+        await assert.rejects(client.projects.toggleLove(project.id, true), (err) => {
+            assertNoToken(err);
+            assert.ok(JSON.stringify(err.request).includes("[REDACTED]"));
+            assert.equal(JSON.parse(err.request.body).token, "[REDACTED]");
+            return true;
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("retries", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin", {
+            retry: { maxAttempts: 3, baseDelay: 1, maxDelay: 1000, jitter: false },
+        }));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    it("retries server errors until one works", async () => {
+        mock.fail("/v1/users/profile", 500, "InternalError", { times: 2 });
+        assert.equal((await client.users.getProfile("Penguin")).username, "penguin");
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 3);
+    });
+
+    it("gives up after maxAttempts", async () => {
+        mock.fail("/v1/users/profile", 503, "InternalError", { times: 5 });
+        await assert.rejects(client.users.getProfile("Penguin"), PenguinModAPIError.ServerError);
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 3);
+    });
+
+    it("waits as long as Retry-After asks", async () => {
+        mock.fail("/v1/users/profile", 429, "TooManyRequests", { headers: { "Retry-After": "0.2" } });
+        const start = Date.now();
+        await client.users.getProfile("Penguin");
+        assert.ok(Date.now() - start >= 190);
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 2);
+    });
+
+    it("gives up right away if Retry-After is longer than maxDelay", async () => {
+        mock.fail("/v1/users/profile", 429, "TooManyRequests", { headers: { "Retry-After": "60" } });
+        await assert.rejects(client.users.getProfile("Penguin"), PenguinModAPIError.RateLimitedError);
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 1);
+    });
+
+    it("doesn't retry errors that won't change", async () => {
+        assert.equal(await client.users.getProfile("nobody"), null);
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 1);
+    });
+
+    it("only retries POST requests when asked to", async () => {
+        mock.fail("/v1/users/setBio", 500, "InternalError");
+        await assert.rejects(client.users.setBio("Once."), PenguinModAPIError.ServerError);
+        assert.equal(requestsTo(mock, "/v1/users/setBio").length, 1);
+
+        mock.reset();
+        mock.fail("/v1/users/setBio", 500, "InternalError");
+        await client.users.setBio("Twice.", { retry: { retryNonIdempotent: true } });
+        assert.equal(requestsTo(mock, "/v1/users/setBio").length, 2);
+    });
+
+    it("can be turned off for one call", async () => {
+        mock.fail("/v1/users/profile", 500, "InternalError");
+        await assert.rejects(client.users.getProfile("Penguin", { retry: false }), PenguinModAPIError.ServerError);
+        assert.equal(requestsTo(mock, "/v1/users/profile").length, 1);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModSession, PenguinModAPIError } = require("../src");
+const { MOCK_PASSWORD } = require("../src/mock");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("PenguinModSession", () => {
+    let mock;
+    let client;
+    let storage;
+    before(async () => {
+        ({ mock, client } = await startMock(null));
+    });
+    after(() => mock.close());
+    beforeEach(async () => {
+        mock.reset();
+        storage = PenguinModSession.Storage.Memory();
+        client.setSession({ storage });
+        await client.session.setToken(mock.tokens.penguin);
+    });
+
+    it("saves the token after logging in", async () => {
+        const token = await client.users.passwordLogin("Newbie", MOCK_PASSWORD);
+        assert.equal(client.token, token);
+        assert.deepEqual(storage.get(client.session.key), { token });
+    });
+
+    it("renews an expired token and sends the request again", async () => {
+        const errors = [];
+        client.session.onSessionExpired = (err) => {
+            errors.push(err.message);
+            return mock.tokens.penguin;
+        };
+        client.token = "expired-token";
+
+        assert.equal(typeof await client.users.getMessageCount(), "number");
+        assert.deepEqual(errors, ["Reauthenticate"]);
+        assert.equal(client.token, mock.tokens.penguin);
+        assert.equal(requestsTo(mock, "/v1/users/getmessagecount").length, 2);
+    });
+
+    it("clears the session when an expired token can't be renewed", async () => {
+        await client.session.setToken("expired-token");
+        await assert.rejects(client.users.getMessageCount(), PenguinModAPIError.AuthError);
+        assert.equal(client.token, null);
+        assert.equal(storage.get(client.session.key), undefined);
+    });
+
+    it("leaves the session alone for other auth errors", async () => {
+        let asked = false;
+        client.session.onSessionExpired = () => {
+            asked = true;
+            return "other-token";
+        };
+        mock.fail("/v1/users/getmessagecount", 401, "AccessDenied");
+
+        await assert.rejects(client.users.getMessageCount(), PenguinModAPIError.AuthError);
+        assert.equal(asked, false);
+        assert.equal(client.token, mock.tokens.penguin);
+        assert.deepEqual(storage.get(client.session.key), { token: mock.tokens.penguin });
+    });
+
+    it("loads a saved token", async () => {
+        client.token = null;
+        assert.equal(await client.session.load(), mock.tokens.penguin);
+        assert.equal(client.token, mock.tokens.penguin);
+        assert.equal((await client.session.getIdentity()).username, "penguin");
+    });
+});
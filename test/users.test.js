@@ -0,0 +1,59 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PenguinModAPIError } = require("../src");
+const { startMock, requestsTo } = require("./helpers.js");
+
+describe("PenguinModAPIUsers", () => {
+    let mock;
+    let client;
+    before(async () => {
+        ({ mock, client } = await startMock("penguin"));
+    });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    it("gives back null for users that don't exist", async () => {
+        assert.equal(await client.users.getId("nobody"), null);
+        assert.equal(await client.users.getUsername("999999"), null);
+        assert.equal(await client.users.hasBlocked("nobody"), null);
+        assert.equal(await client.users.getPFP("nobody"), null);
+        assert.equal(await client.users.getProfile("nobody"), null);
+    });
+
+    it("still throws other 404 errors", async () => {
+        mock.fail("/v1/users/profile", 404, "UnknownEndpoint");
+        await assert.rejects(client.users.getProfile("Penguin"), (err) => {
+            assert.ok(err instanceof PenguinModAPIError);
+            assert.equal(err.message, "UnknownEndpoint");
+            return true;
+        });
+
+        mock.fail("/v1/users/getid", 404, "NotFound");
+        await assert.rejects(client.users.getId("Penguin"), PenguinModAPIError.NotFoundError);
+    });
+
+    it("sends long bios", async () => {
+        const bio = "a".repeat(5000);
+        await client.users.setBio(bio);
+        assert.equal((await client.users.getProfile("Penguin")).bio, bio);
+        await assert.rejects(client.users.setBio(5), (err) => {
+            assert.equal(err.message, "InvalidBio");
+            return true;
+        });
+    });
+
+    it("checks featured titles and customizations before sending", async () => {
+        await assert.rejects(client.users.setMyFeaturedProject("1", 0), (err) => {
+            assert.ok(err instanceof PenguinModAPIError.ValidationError);
+            assert.equal(err.message, "InvalidFeaturedTitle");
+            return true;
+        });
+        await assert.rejects(client.users.setCustomization({ color: () => "red" }), (err) => {
+            assert.equal(err.message, "InvalidCustomization");
+            return true;
+        });
+        assert.equal(requestsTo(mock, "/v1/users/setmyfeaturedproject").length, 0);
+        assert.equal(requestsTo(mock, "/v1/users/customization/setCustomization").length, 0);
+    });
+});